@@ -0,0 +1,91 @@
+// ============================================
+// ACCEPTANCE SLA (time out unaccepted orders)
+// ============================================
+// A pending order must be accepted or rejected within the restaurant's SLA.
+// Tablets get each order's deadline as acceptBy for the countdown; once it
+// passes the order is rejected as TIMEOUT ("Not accepted in time"). The
+// Central Backend calls, storage and audit stay in server.js and are plugged
+// in through configureAcceptanceSla.
+export const TIMEOUT_ACTOR = { authId: null, username: 'acceptance-sla', role: 'system' };
+// Don't retry a failed timeout rejection on every poll: orderId -> last attempt
+const TIMEOUT_RETRY_MS = 30 * 1000;
+const timeoutAttempts = new Map();
+
+let hooks = null;
+
+/**
+ * Plug in what lives in server.js
+ * @param {Object} config
+ * @param {(restaurantId: number) => Promise<number>} config.getSlaMinutes - The restaurant's acceptance SLA
+ * @param {(orderId: string, centralKey: string, rejection: Object) => Promise<boolean>} config.cancelIfPending -
+ *        Cancel the order at the Central Backend unless it has left pending; true when it was cancelled
+ * @param {(restaurantId: number, order: Object, rejection: Object) => Promise<void>} config.onTimedOut -
+ *        Store and audit a timed-out order
+ * @param {string} config.rejectionLabel - Label stored with TIMEOUT rejections
+ */
+export function configureAcceptanceSla(config) {
+    hooks = config;
+}
+
+export const orderCreatedAt = (order) => {
+    const created = new Date(order.createdAt ?? order.created_at ?? NaN).getTime();
+    return Number.isNaN(created) ? null : created;
+};
+
+/**
+ * Reject pending orders past their acceptance deadline and stamp acceptBy on the rest.
+ * Never throws: on failure the orders are returned as they were.
+ * @returns {Promise<Array>} - The orders without the ones just timed out
+ */
+export async function expireUnacceptedOrders(restaurantId, centralKey, orders) {
+    try {
+        const acceptanceSlaMinutes = await hooks.getSlaMinutes(restaurantId);
+        const slaMs = acceptanceSlaMinutes * 60 * 1000;
+        const now = Date.now();
+        const expired = new Set();
+
+        for (const order of orders) {
+            const createdAt = orderCreatedAt(order);
+            if (order.status !== 'pending' || createdAt === null || now < createdAt + slaMs) continue;
+
+            const orderId = String(order._id);
+            if (now - (timeoutAttempts.get(orderId) || 0) < TIMEOUT_RETRY_MS) continue;
+            timeoutAttempts.set(orderId, now);
+
+            const rejection = {
+                code: 'TIMEOUT',
+                label: hooks.rejectionLabel,
+                text: `No decision within ${acceptanceSlaMinutes} min`,
+                rejectedAt: new Date(now).toISOString(),
+                rejectedBy: TIMEOUT_ACTOR
+            };
+            if (!(await hooks.cancelIfPending(orderId, centralKey, rejection))) continue;
+
+            expired.add(orderId);
+            timeoutAttempts.delete(orderId);
+            await hooks.onTimedOut(restaurantId, order, rejection);
+        }
+
+        return orders
+            .filter(order => !expired.has(String(order._id)))
+            .map(order => {
+                const createdAt = orderCreatedAt(order);
+                return order.status === 'pending' && createdAt !== null
+                    ? { ...order, acceptBy: new Date(createdAt + slaMs).toISOString() }
+                    : order;
+            });
+    } catch (error) {
+        console.error(`Acceptance timeouts failed for restaurant ${restaurantId}:`, error.message);
+        return orders;
+    }
+}
+
+/**
+ * Forget failed attempts older than the cutoff
+ * @param {number} cutoff - Epoch ms
+ */
+export function pruneTimeoutAttempts(cutoff) {
+    for (const [orderId, attemptedAt] of timeoutAttempts) {
+        if (attemptedAt < cutoff) timeoutAttempts.delete(orderId);
+    }
+}
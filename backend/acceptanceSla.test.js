@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureAcceptanceSla, expireUnacceptedOrders } from './acceptanceSla.js';
+
+test('only pending orders past the SLA are cancelled', async () => {
+    const cancelled = [];
+    const timedOut = [];
+    configureAcceptanceSla({
+        getSlaMinutes: async () => 5,
+        cancelIfPending: async (orderId) => {
+            cancelled.push(orderId);
+            return true;
+        },
+        onTimedOut: async (restaurantId, order) => { timedOut.push(String(order._id)); },
+        rejectionLabel: 'Not accepted in time'
+    });
+
+    const overdue = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    const recent = new Date().toISOString();
+    const orders = [
+        { _id: 'pending-overdue', status: 'pending', createdAt: overdue },
+        { _id: 'pending-recent', status: 'pending', createdAt: recent },
+        { _id: 'preparing-overdue', status: 'preparing', createdAt: overdue },
+        { _id: 'ready-overdue', status: 'ready', createdAt: overdue }
+    ];
+
+    const remaining = await expireUnacceptedOrders(1, 'central-1', orders);
+
+    assert.deepEqual(cancelled, ['pending-overdue']);
+    assert.deepEqual(timedOut, ['pending-overdue']);
+    assert.deepEqual(remaining.map(order => order._id), ['pending-recent', 'preparing-overdue', 'ready-overdue']);
+    assert.ok(remaining[0].acceptBy);
+    assert.equal(remaining[1].acceptBy, undefined);
+});
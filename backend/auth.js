@@ -0,0 +1,139 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+
+// ============================================
+// TOKEN CONFIGURATION
+// ============================================
+// Access tokens are short-lived and sent on every /api/* call.
+// Refresh tokens are long-lived and only accepted by /api/auth/refresh.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+
+let JWT_SECRET = process.env.JWT_SECRET;
+
+if (!JWT_SECRET) {
+    // Tokens signed with a random secret stop working on restart — fine for local dev only
+    console.warn('⚠️  JWT_SECRET not set — using a random per-process secret');
+    JWT_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+// Staff roles, most to least privileged. Every restaurant has one owner.
+export const ROLES = ['owner', 'manager', 'kitchen', 'cashier'];
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Basic password policy for new passwords.
+ * @returns {string|null} - An error message, or null if the password is acceptable
+ */
+export function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a random opaque token (reset links, etc.).
+ * Hand the token to the user and store only its hash.
+ * @returns {{ token: string, tokenHash: string }}
+ */
+export function createOpaqueToken(bytes = 32) {
+    const token = crypto.randomBytes(bytes).toString('base64url');
+    return { token, tokenHash: hashToken(token) };
+}
+
+/**
+ * Issue a signed access/refresh token pair for an authenticated user.
+ * @param {{ authId: number, restaurantId: number, username: string, role: string, sessionId?: string }} identity
+ *        sessionId ties both tokens to a row in auth_sessions so they can be revoked
+ * @returns {{ accessToken: string, refreshToken: string, expiresIn: number }}
+ */
+export function issueTokens({ authId, restaurantId, username, role, sessionId }) {
+    const claims = { restaurantId, username, role, sid: sessionId };
+
+    const accessToken = jwt.sign(
+        { ...claims, type: 'access' },
+        JWT_SECRET,
+        { subject: String(authId), expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    const refreshToken = jwt.sign(
+        { ...claims, type: 'refresh' },
+        JWT_SECRET,
+        { subject: String(authId), expiresIn: REFRESH_TOKEN_TTL }
+    );
+
+    const { exp, iat } = jwt.decode(accessToken);
+
+    return { accessToken, refreshToken, expiresIn: exp - iat };
+}
+
+/**
+ * Verify a token and check it is of the expected type.
+ * Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError) on failure.
+ */
+function verifyToken(token, expectedType) {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload.type !== expectedType) {
+        throw new jwt.JsonWebTokenError(`Expected ${expectedType} token`);
+    }
+    return {
+        authId: parseInt(payload.sub),
+        restaurantId: payload.restaurantId,
+        username: payload.username,
+        role: payload.role,
+        sessionId: payload.sid || null,
+        expiresAt: payload.exp * 1000
+    };
+}
+
+export const verifyAccessToken = (token) => verifyToken(token, 'access');
+export const verifyRefreshToken = (token) => verifyToken(token, 'refresh');
+
+/**
+ * Express middleware: require a valid Bearer access token.
+ * On success the verified identity is available as req.auth.
+ */
+export function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            success: false,
+            code: 'UNAUTHORIZED',
+            error: 'Authentication required'
+        });
+    }
+
+    try {
+        req.auth = verifyAccessToken(token);
+        next();
+    } catch (error) {
+        const expired = error.name === 'TokenExpiredError';
+        return res.status(401).json({
+            success: false,
+            code: expired ? 'TOKEN_EXPIRED' : 'UNAUTHORIZED',
+            error: expired ? 'Session expired' : 'Invalid token'
+        });
+    }
+}
+
+/**
+ * Express middleware factory: only let the given staff roles through.
+ * Must run after requireAuth.
+ * @param {...string} roles - Allowed roles, e.g. requireRole('owner', 'manager')
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.auth?.role)) {
+        return res.status(403).json({
+            success: false,
+            code: 'FORBIDDEN',
+            error: 'Your role does not allow this action'
+        });
+    }
+    next();
+};
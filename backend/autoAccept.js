@@ -0,0 +1,153 @@
+// ============================================
+// AUTO-ACCEPT RULES
+// ============================================
+// Per-restaurant rules that accept routine orders without a tap on the tablet.
+// Stored in restaurants.auto_accept_rules:
+//
+//   {
+//     enabled: false,
+//     windows: [{ start: '11:30', end: '15:00' }],  // restaurant local time; none = any time
+//     maxOrderValue: 500,                          // ₹; null = no limit
+//     defaultPrepTime: 15,                         // minutes
+//     categoryPrepTimes: { 'Vada Pav': 10 },       // by menu category name
+//     itemPrepTimes: { 'Cheese Masala Vada Pav': 12 } // by menu item name
+//   }
+//
+// An order's prep time is the longest of its items' (item, else category, else
+// default). Orders outside every rule still need a manual decision.
+const TIMEZONE = process.env.RESTAURANT_TIMEZONE || 'Asia/Kolkata';
+// Longest prep time a kitchen may quote, in minutes (rules, manual accepts, extensions)
+export const MAX_PREP_TIME_MINUTES = 240;
+const MAX_WINDOWS = 10;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const DEFAULT_AUTO_ACCEPT_RULES = {
+    enabled: false,
+    windows: [],
+    maxOrderValue: null,
+    defaultPrepTime: 15,
+    categoryPrepTimes: {},
+    itemPrepTimes: {}
+};
+
+const isPrepTime = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_PREP_TIME_MINUTES;
+
+// Validate a { name: minutes } map; returns the cleaned map or null
+const normalizePrepTimes = (input) => {
+    if (input === undefined || input === null) return {};
+    if (typeof input !== 'object' || Array.isArray(input)) return null;
+    const cleaned = {};
+    for (const [name, minutes] of Object.entries(input)) {
+        if (!name.trim() || !isPrepTime(Number(minutes))) return null;
+        cleaned[name.trim()] = Number(minutes);
+    }
+    return cleaned;
+};
+
+/**
+ * Validate rules sent by the settings screen
+ * @param {Object} input
+ * @returns {{ error: string } | { rules: Object }}
+ */
+export function normalizeAutoAcceptRules(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Rules must be an object' };
+    }
+
+    const windows = input.windows ?? [];
+    if (!Array.isArray(windows) || windows.length > MAX_WINDOWS) {
+        return { error: `windows must be a list of at most ${MAX_WINDOWS} time windows` };
+    }
+    if (windows.some(w => !TIME_PATTERN.test(w?.start) || !TIME_PATTERN.test(w?.end) || w.start === w.end)) {
+        return { error: 'Each window needs a start and a different end time, as HH:MM' };
+    }
+
+    const maxOrderValue = input.maxOrderValue === '' || input.maxOrderValue === undefined
+        ? null
+        : input.maxOrderValue;
+    if (maxOrderValue !== null && !(Number(maxOrderValue) > 0)) {
+        return { error: 'maxOrderValue must be a positive amount, or empty for no limit' };
+    }
+
+    const defaultPrepTime = Number(input.defaultPrepTime ?? DEFAULT_AUTO_ACCEPT_RULES.defaultPrepTime);
+    if (!isPrepTime(defaultPrepTime)) {
+        return { error: `defaultPrepTime must be between 1 and ${MAX_PREP_TIME_MINUTES} minutes` };
+    }
+
+    const categoryPrepTimes = normalizePrepTimes(input.categoryPrepTimes);
+    const itemPrepTimes = normalizePrepTimes(input.itemPrepTimes);
+    if (!categoryPrepTimes || !itemPrepTimes) {
+        return { error: `Prep times must be between 1 and ${MAX_PREP_TIME_MINUTES} minutes` };
+    }
+
+    return {
+        rules: {
+            enabled: Boolean(input.enabled),
+            windows: windows.map(({ start, end }) => ({ start, end })),
+            maxOrderValue: maxOrderValue === null ? null : Number(maxOrderValue),
+            defaultPrepTime,
+            categoryPrepTimes,
+            itemPrepTimes
+        }
+    };
+}
+
+// Minutes since midnight in the restaurant's time zone
+const localMinutes = (date) => {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: TIMEZONE,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = (type) => parseInt(parts.find(part => part.type === type).value);
+    return value('hour') * 60 + value('minute');
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// A window whose end is before its start runs past midnight (e.g. 22:00–02:00)
+const inWindow = (now, { start, end }) => {
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    return from < to ? now >= from && now < to : now >= from || now < to;
+};
+
+/**
+ * What the customer is charged: the Central Backend's total_amount, else the sum of the lines
+ * @param {Object} order - Central Backend order
+ * @returns {number}
+ */
+export const orderTotal = (order) =>
+    Number(order.total_amount ?? (order.items || []).reduce((sum, item) => sum + (item.price || 0) * (item.qty || 1), 0));
+
+/**
+ * Decide whether an order is auto-accepted
+ * @param {Object} rules - Normalized rules
+ * @param {Object} order - Central Backend order ({ items: [{ name, qty, price }], total_amount })
+ * @param {Map<string, string>} categoryOf - Menu item name (lower case) -> category name
+ * @param {Date} [now]
+ * @returns {null | { prepTime: number }} - null when the order needs a manual decision
+ */
+export function matchAutoAccept(rules, order, categoryOf, now = new Date()) {
+    if (!rules?.enabled || !Array.isArray(order.items) || order.items.length === 0) return null;
+
+    if (rules.windows.length > 0) {
+        const minutes = localMinutes(now);
+        if (!rules.windows.some(window => inWindow(minutes, window))) return null;
+    }
+
+    if (rules.maxOrderValue !== null && orderTotal(order) > rules.maxOrderValue) return null;
+
+    const prepTime = Math.max(...order.items.map(item => {
+        const category = categoryOf.get(String(item.name).toLowerCase());
+        return rules.itemPrepTimes[item.name]
+            ?? (category && rules.categoryPrepTimes[category])
+            ?? rules.defaultPrepTime;
+    }));
+
+    return { prepTime };
+}
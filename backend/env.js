@@ -0,0 +1,10 @@
+// Load backend/.env. Imported first by server.js: ES module imports are evaluated
+// before the importing file's body runs, so helper modules that read process.env
+// at load time (auth.js, loginThrottle.js) would otherwise miss the .env values.
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+dotenv.config({ path: path.resolve(__dirname, '.env') });
@@ -0,0 +1,240 @@
+// ============================================
+// ESC/POS RECEIPTS (kitchen tickets and bills)
+// ============================================
+// Tickets are laid out once as a list of lines, then encoded either as an
+// ESC/POS byte stream for a thermal printer or as styled rows for the browser
+// print fallback, so both look the same. Lines are:
+//
+//   { text, align?: 'left'|'center'|'right', bold?: boolean, size?: 'normal'|'tall'|'large' }
+//   { columns: [left, right], bold?, size? } — left text, right-aligned amount
+//   { rule: true }   — a dashed separator
+//
+// Thermal printers use their built-in code page, so text is reduced to ASCII
+// ('₹' becomes 'Rs').
+
+// Characters per line in the printer's default font (Font A), by paper width in mm
+export const PAPER_WIDTHS = { 58: 32, 80: 48 };
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+const ALIGN = { left: 0, center: 1, right: 2 };
+// GS ! n: tall doubles the height, large doubles both (half as many characters fit)
+const SIZE = { normal: 0x00, tall: 0x01, large: 0x11 };
+
+const ASCII_REPLACEMENTS = [
+    [/₹/g, 'Rs'], [/[‘’]/g, "'"], [/[“”]/g, '"'], [/[–—]/g, '-'], [/…/g, '...'], [/×/g, 'x'], [/→/g, '->']
+];
+
+function toAscii(text) {
+    let ascii = String(text ?? '');
+    ASCII_REPLACEMENTS.forEach(([pattern, replacement]) => {
+        ascii = ascii.replace(pattern, replacement);
+    });
+    return ascii
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/[^\x20-\x7e]/g, '?');
+}
+
+// Break text into lines of at most width characters, on spaces where possible.
+// Leading spaces indent every line.
+function wrap(text, width) {
+    const indent = String(text ?? '').match(/^ */)[0].slice(0, Math.floor(width / 2));
+    if (indent) return wrap(String(text).slice(indent.length), width - indent.length).map(line => indent + line);
+
+    const lines = [];
+    let line = '';
+    toAscii(text).split(' ').forEach(word => {
+        while (word.length > width) {
+            if (line) {
+                lines.push(line);
+                line = '';
+            }
+            lines.push(word.slice(0, width));
+            word = word.slice(width);
+        }
+        if (!line) line = word;
+        else if (line.length + 1 + word.length <= width) line += ` ${word}`;
+        else {
+            lines.push(line);
+            line = word;
+        }
+    });
+    if (line || lines.length === 0) lines.push(line);
+    return lines;
+}
+
+// Text on the left, amount flush right; the left side wraps to leave room for the amount
+function columns(left, right, width) {
+    const amount = toAscii(right);
+    const lines = wrap(left, Math.max(1, width - amount.length - 1));
+    const last = lines.length - 1;
+    lines[last] = lines[last].padEnd(width - amount.length) + amount;
+    return lines;
+}
+
+const money = (amount) => Number(amount || 0).toFixed(2);
+
+// Printed times are the restaurant's local time, like the auto-accept windows
+const TIMEZONE = process.env.RESTAURANT_TIMEZONE || 'Asia/Kolkata';
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-IN', {
+    timeZone: TIMEZONE, day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: false
+});
+
+const firstText = (...values) =>
+    values.find(value => typeof value === 'string' && value.trim())?.trim() || null;
+
+// Central Backend order line -> what the tickets print (same fallbacks as the app's normalizeOrderItem)
+function ticketItem(item) {
+    const variant = item.variant ?? item.size ?? null;
+    const addOns = item.addons ?? item.add_ons ?? item.addOns ?? item.modifiers ?? [];
+    return {
+        name: item.name,
+        quantity: item.qty ?? item.quantity ?? 1,
+        price: item.price != null ? Number(item.price) : null,
+        variant: typeof variant === 'string' ? variant : variant?.name ?? null,
+        addOns: (Array.isArray(addOns) ? addOns : [])
+            .map(addOn => (typeof addOn === 'string'
+                ? { name: addOn, price: null }
+                : { name: addOn?.name, price: addOn?.price != null ? Number(addOn.price) : null }))
+            .filter(addOn => addOn.name),
+        instructions: firstText(item.instructions, item.special_instructions, item.specialInstructions, item.notes, item.note),
+        station: item.station ?? null
+    };
+}
+
+const orderInstructions = (order) =>
+    firstText(order.instructions, order.special_instructions, order.specialInstructions, order.notes, order.note);
+
+/**
+ * Kitchen order ticket: large order number and quantities, customizations and
+ * notes, no prices
+ * @param {Object} order - Central Backend order (items may carry a station)
+ * @param {Object} [options]
+ * @param {string} [options.station] - Only print this station's items (and say so)
+ * @returns {Array<Object>} - Ticket lines
+ */
+export function kitchenTicketLines(order, { station = null } = {}) {
+    const items = (order.items || []).map(ticketItem)
+        .filter(item => !station || !item.station || item.station === station);
+    const notes = orderInstructions(order);
+
+    return [
+        { text: 'KITCHEN ORDER', align: 'center', bold: true },
+        { text: `#${order._id ?? order.id}`, align: 'center', size: 'large', bold: true },
+        ...(station ? [{ text: station.toUpperCase(), align: 'center', size: 'tall', bold: true }] : []),
+        {
+            text: [
+                formatDateTime(order.acceptedAt || Date.now()),
+                order.prepTime ? `Prep ${order.prepTime} min` : null
+            ].filter(Boolean).join(' | '),
+            align: 'center'
+        },
+        { rule: true },
+        ...items.flatMap(item => [
+            { text: `${item.quantity} x ${item.name}`, size: 'tall', bold: true },
+            ...(item.variant ? [{ text: `   ${item.variant}` }] : []),
+            ...item.addOns.map(addOn => ({ text: `   + ${addOn.name}` })),
+            ...(item.instructions ? [{ text: `   "${item.instructions}"`, bold: true }] : [])
+        ]),
+        ...(notes ? [{ rule: true }, { text: `NOTE: ${notes}`, bold: true }] : []),
+        { rule: true },
+        ...(order.acceptedBy?.username ? [{ text: `Accepted by ${order.acceptedBy.username}`, align: 'center' }] : [])
+    ];
+}
+
+/**
+ * Customer bill: restaurant header, priced lines, refund of an accepted
+ * partial fulfilment and the total
+ * @param {Object} order - Central Backend order
+ * @param {Object} restaurant - { name, business_name?, gstin?, phone?, city? }
+ * @returns {Array<Object>} - Ticket lines
+ */
+export function billLines(order, restaurant = {}) {
+    const items = (order.items || []).map(ticketItem);
+    const lineTotal = (price, quantity) => (price ?? 0) * quantity;
+    const subtotal = items.reduce((sum, item) =>
+        sum + lineTotal(item.price, item.quantity) +
+        item.addOns.reduce((addOnSum, addOn) => addOnSum + lineTotal(addOn.price, item.quantity), 0), 0);
+    const charged = order.total_amount != null ? Number(order.total_amount) : subtotal;
+    // Taxes, delivery fees or discounts the Central Backend priced in
+    const difference = Math.round((charged - subtotal) * 100) / 100;
+    const { adjustment } = order;
+
+    return [
+        { text: restaurant.name || 'Restaurant', align: 'center', size: 'tall', bold: true },
+        ...(restaurant.business_name && restaurant.business_name !== restaurant.name
+            ? [{ text: restaurant.business_name, align: 'center' }] : []),
+        ...(restaurant.city || restaurant.phone
+            ? [{ text: [restaurant.city, restaurant.phone].filter(Boolean).join(' | '), align: 'center' }] : []),
+        ...(restaurant.gstin ? [{ text: `GSTIN: ${restaurant.gstin}`, align: 'center' }] : []),
+        { rule: true },
+        { text: `Order #${order._id ?? order.id}`, bold: true },
+        { text: formatDateTime(order.createdAt || order.created_at || Date.now()) },
+        // The app shows customer_id as the name when the order has none
+        ...(order.customer_name || order.customerName || order.customer_id
+            ? [{ text: `Customer: ${order.customer_name || order.customerName || order.customer_id}` }] : []),
+        { rule: true },
+        ...items.flatMap(item => [
+            { columns: [`${item.quantity} x ${item.name}${item.variant ? ` (${item.variant})` : ''}`, money(lineTotal(item.price, item.quantity))] },
+            ...item.addOns.map(addOn => ({
+                columns: [`   + ${addOn.name}`, addOn.price != null ? money(lineTotal(addOn.price, item.quantity)) : '']
+            }))
+        ]),
+        { rule: true },
+        { columns: ['Subtotal', money(subtotal)] },
+        ...(difference > 0 ? [{ columns: ['Taxes & charges', money(difference)] }] : []),
+        ...(difference < 0 ? [{ columns: ['Discount', `-${money(-difference)}`] }] : []),
+        ...(adjustment?.refundAmount > 0 ? [{ columns: ['Refund (items unavailable)', `-${money(adjustment.refundAmount)}`] }] : []),
+        { columns: ['TOTAL', `Rs ${money(adjustment ? adjustment.adjustedTotal : charged)}`], size: 'tall', bold: true },
+        { rule: true },
+        { text: 'Thank you!', align: 'center' }
+    ];
+}
+
+// Lines as printed rows of text at the given paper width: [{ text, align, bold, size }]
+function layout(lines, paperWidth) {
+    const width = PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS[80];
+    return lines.flatMap(line => {
+        const style = { align: line.align || 'left', bold: Boolean(line.bold), size: line.size || 'normal' };
+        // Large text is twice as wide
+        const lineWidth = style.size === 'large' ? Math.floor(width / 2) : width;
+        if (line.rule) return [{ ...style, text: '-'.repeat(width) }];
+        if (line.columns) {
+            return columns(line.columns[0], line.columns[1], lineWidth).map(text => ({ ...style, align: 'left', text }));
+        }
+        return wrap(line.text, lineWidth).map(text => ({ ...style, text }));
+    });
+}
+
+/**
+ * Encode ticket lines for an ESC/POS printer: reset, the lines, a few blank
+ * lines and a partial cut
+ * @param {Array<Object>} lines
+ * @param {number} paperWidth - 58 or 80
+ * @returns {Buffer}
+ */
+export function encodeEscPos(lines, paperWidth) {
+    const bytes = [ESC, 0x40]; // ESC @ — initialize
+    layout(lines, paperWidth).forEach(row => {
+        bytes.push(ESC, 0x61, ALIGN[row.align] ?? 0); // ESC a — justification
+        bytes.push(ESC, 0x45, row.bold ? 1 : 0); // ESC E — emphasis
+        bytes.push(GS, 0x21, SIZE[row.size] ?? 0); // GS ! — character size
+        bytes.push(...Buffer.from(row.text, 'ascii'), LF);
+    });
+    bytes.push(ESC, 0x61, 0, ESC, 0x45, 0, GS, 0x21, 0);
+    bytes.push(GS, 0x56, 0x42, 0x04); // GS V B — feed 4 lines, partial cut
+    return Buffer.from(bytes);
+}
+
+/**
+ * The same ticket as rows of text, already wrapped to the paper width, for the
+ * browser print fallback to render in a monospaced font
+ * @param {Array<Object>} lines
+ * @param {number} paperWidth - 58 or 80
+ * @returns {Array<{ text: string, align: string, bold: boolean, size: string }>}
+ */
+export const toRows = (lines, paperWidth) => layout(lines, paperWidth);
@@ -0,0 +1,79 @@
+// ============================================
+// KITCHEN STATIONS (KDS routing)
+// ============================================
+// Which kitchen display shows which menu items. Stored in
+// restaurants.kitchen_stations:
+//
+//   {
+//     stations: ['Tandoor', 'Chinese', 'Beverages'],
+//     categoryStations: { Breads: 'Tandoor' },      // by menu category name
+//     itemStations: { 'Mango Lassi': 'Beverages' }  // by menu item name
+//   }
+//
+// An item goes to its item station, else its category station; items routed
+// nowhere show on every station's screen so nothing is left uncooked.
+const MAX_STATIONS = 12;
+const MAX_STATION_NAME_LENGTH = 40;
+
+export const DEFAULT_KITCHEN_STATIONS = {
+    stations: [],
+    categoryStations: {},
+    itemStations: {}
+};
+
+// Validate a { name: station } map against the station list; returns the cleaned map or null
+const normalizeRoutes = (input, stations) => {
+    if (input === undefined || input === null) return {};
+    if (typeof input !== 'object' || Array.isArray(input)) return null;
+    const cleaned = {};
+    for (const [name, station] of Object.entries(input)) {
+        if (!name.trim() || !stations.includes(station)) return null;
+        cleaned[name.trim()] = station;
+    }
+    return cleaned;
+};
+
+/**
+ * Validate station routing sent by the settings screen
+ * @param {Object} input
+ * @returns {{ error: string } | { config: Object }}
+ */
+export function normalizeKitchenStations(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Station settings must be an object' };
+    }
+
+    const stations = input.stations ?? [];
+    if (!Array.isArray(stations) || stations.length > MAX_STATIONS) {
+        return { error: `stations must be a list of at most ${MAX_STATIONS} names` };
+    }
+    const names = stations.map(station => (typeof station === 'string' ? station.trim() : ''));
+    if (names.some(name => !name || name.length > MAX_STATION_NAME_LENGTH)) {
+        return { error: `Station names must be 1 to ${MAX_STATION_NAME_LENGTH} characters` };
+    }
+    if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+        return { error: 'Station names must be unique' };
+    }
+
+    const categoryStations = normalizeRoutes(input.categoryStations, names);
+    const itemStations = normalizeRoutes(input.itemStations, names);
+    if (!categoryStations || !itemStations) {
+        return { error: 'Each category or item must be routed to one of the stations' };
+    }
+
+    return { config: { stations: names, categoryStations, itemStations } };
+}
+
+/**
+ * Station an order item is cooked at
+ * @param {Object} config - Normalized station settings
+ * @param {string} itemName
+ * @param {Map<string, string>} categoryOf - Menu item name (lower case) -> category name
+ * @returns {string|null} - null when the item isn't routed (shown on every station)
+ */
+export function stationFor(config, itemName, categoryOf) {
+    const category = categoryOf.get(String(itemName).toLowerCase());
+    return config.itemStations[itemName]
+        ?? (category && config.categoryStations[category])
+        ?? null;
+}
@@ -0,0 +1,119 @@
+// ============================================
+// LOGIN THROTTLING
+// ============================================
+// Brute-force protection for POST /api/auth/login and the current password check
+// of POST /api/auth/change-password. State lives in memory, so it
+// resets on restart and is per-process; the login_attempts table keeps the
+// durable record of failures for auditing.
+//
+//   - Per IP: at most IP_MAX_ATTEMPTS login requests per IP_WINDOW_MS
+//   - Per username: every USERNAME_MAX_FAILURES consecutive failures lock the
+//     account out, for progressively longer (LOCKOUT_STEPS_MS)
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || '30');
+const USERNAME_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5');
+const LOCKOUT_STEPS_MS = [1, 5, 15, 60].map(minutes => minutes * 60 * 1000);
+// A username with no failures for this long starts again from the first lockout step
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// ip -> [attempt timestamps within the window]
+const ipAttempts = new Map();
+// username -> { failures, lockouts, lockedUntil, lastFailureAt }
+const usernameState = new Map();
+
+const normalize = (username) => String(username || '').toLowerCase().trim();
+
+const getUsernameState = (username, now) => {
+    const state = usernameState.get(username);
+    if (state && now - state.lastFailureAt > FAILURE_MEMORY_MS) {
+        usernameState.delete(username);
+        return null;
+    }
+    return state || null;
+};
+
+const toSeconds = (ms) => Math.max(1, Math.ceil(ms / 1000));
+
+/**
+ * Human-readable wait, e.g. "45 seconds" or "5 minutes"
+ * @param {number} seconds
+ */
+export function formatRetryAfter(seconds) {
+    if (seconds < 60) {
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Count a login request against its IP and check whether it may proceed.
+ * Call before touching the password.
+ * @param {{ username: string, ip: string }} attempt
+ * @returns {null | { code: 'RATE_LIMITED'|'ACCOUNT_LOCKED', retryAfter: number }}
+ *          null when allowed; otherwise the block and its wait in seconds
+ */
+export function checkLoginAllowed({ username, ip }) {
+    const now = Date.now();
+
+    const recent = (ipAttempts.get(ip) || []).filter(at => now - at < IP_WINDOW_MS);
+    if (recent.length >= IP_MAX_ATTEMPTS) {
+        ipAttempts.set(ip, recent);
+        return { code: 'RATE_LIMITED', retryAfter: toSeconds(recent[0] + IP_WINDOW_MS - now) };
+    }
+    recent.push(now);
+    ipAttempts.set(ip, recent);
+
+    const state = getUsernameState(normalize(username), now);
+    if (state?.lockedUntil > now) {
+        return { code: 'ACCOUNT_LOCKED', retryAfter: toSeconds(state.lockedUntil - now) };
+    }
+
+    return null;
+}
+
+/**
+ * Record a failed login (unknown username or wrong password)
+ * @param {{ username: string }} attempt
+ * @returns {{ attemptsRemaining: number, retryAfter?: number }}
+ *          retryAfter is set when this failure triggered a lockout
+ */
+export function recordLoginFailure({ username }) {
+    const now = Date.now();
+    const key = normalize(username);
+    const state = getUsernameState(key, now) || { failures: 0, lockouts: 0, lockedUntil: 0 };
+
+    state.failures += 1;
+    state.lastFailureAt = now;
+
+    if (state.failures >= USERNAME_MAX_FAILURES) {
+        const duration = LOCKOUT_STEPS_MS[Math.min(state.lockouts, LOCKOUT_STEPS_MS.length - 1)];
+        state.lockouts += 1;
+        state.failures = 0;
+        state.lockedUntil = now + duration;
+        usernameState.set(key, state);
+        return { attemptsRemaining: 0, retryAfter: toSeconds(duration) };
+    }
+
+    usernameState.set(key, state);
+    return { attemptsRemaining: USERNAME_MAX_FAILURES - state.failures };
+}
+
+/**
+ * Clear the failure history for a username after a successful login
+ * @param {{ username: string }} attempt
+ */
+export function recordLoginSuccess({ username }) {
+    usernameState.delete(normalize(username));
+}
+
+// Drop expired entries so the maps don't grow without bound
+setInterval(() => {
+    const now = Date.now();
+    for (const [ip, attempts] of ipAttempts) {
+        if (!attempts.some(at => now - at < IP_WINDOW_MS)) ipAttempts.delete(ip);
+    }
+    for (const username of usernameState.keys()) {
+        getUsernameState(username, now);
+    }
+}, 10 * 60 * 1000).unref();
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ============================================
+// MAIL TRANSPORTS
+// ============================================
+// Pick one with MAIL_TRANSPORT=console|file|smtp (default: console).
+// Every transport is an object with an async send({ to, subject, text, html }).
+const MAIL_FROM = process.env.MAIL_FROM || 'MyEzz Partner <no-reply@myezz.app>';
+
+const transports = {
+    // Local dev: print the message to the server log
+    console: () => ({
+        async send(message) {
+            console.log('\n' + '-'.repeat(60));
+            console.log(`📧 To: ${message.to}`);
+            console.log(`   Subject: ${message.subject}`);
+            console.log('-'.repeat(60));
+            console.log(message.text);
+            console.log('-'.repeat(60) + '\n');
+        }
+    }),
+
+    // Local dev: write each message as a JSON file into MAIL_DIR (default ./mail-outbox)
+    file: () => {
+        const outbox = path.resolve(__dirname, process.env.MAIL_DIR || 'mail-outbox');
+        fs.mkdirSync(outbox, { recursive: true });
+        return {
+            async send(message) {
+                const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+                const filePath = path.join(outbox, fileName);
+                await fs.promises.writeFile(filePath, JSON.stringify({ from: MAIL_FROM, ...message }, null, 2));
+                console.log(`📧 Mail written to ${filePath}`);
+            }
+        };
+    },
+
+    // Production: any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+    smtp: () => {
+        let transporterPromise = null;
+        return {
+            async send(message) {
+                if (!transporterPromise) {
+                    transporterPromise = import('nodemailer').then(({ default: nodemailer }) =>
+                        nodemailer.createTransport({
+                            host: process.env.SMTP_HOST,
+                            port: parseInt(process.env.SMTP_PORT || '587'),
+                            secure: process.env.SMTP_PORT === '465',
+                            auth: process.env.SMTP_USER
+                                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                                : undefined
+                        })
+                    );
+                }
+                const transporter = await transporterPromise;
+                await transporter.sendMail({ from: MAIL_FROM, ...message });
+            }
+        };
+    }
+};
+
+let activeTransport = null;
+
+/**
+ * Register (or replace) a transport, e.g. for a transactional mail API.
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {() => { send: Function }} factory
+ */
+export function registerTransport(name, factory) {
+    transports[name] = factory;
+    activeTransport = null;
+}
+
+const getTransport = () => {
+    if (!activeTransport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        const factory = transports[name];
+        if (!factory) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        }
+        activeTransport = factory();
+    }
+    return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+export async function sendMail(message) {
+    await getTransport().send(message);
+}
@@ -0,0 +1,120 @@
+// ============================================
+// ORDER STREAM (Server-Sent Events fan-out)
+// ============================================
+// Dashboards subscribe to GET /api/orders/stream instead of polling. For each
+// restaurant with at least one open dashboard this module keeps ONE upstream
+// poll of the Central Backend and pushes the active-order list to every
+// subscriber whenever it changes — backend load no longer grows with the
+// number of open tablets. The poll stops when the last dashboard disconnects.
+const POLL_INTERVAL_MS = parseInt(process.env.ORDER_STREAM_POLL_MS || '3000');
+// Comment line sent to idle connections so proxies don't time them out
+const HEARTBEAT_MS = 25 * 1000;
+
+// restaurantId -> { subscribers: Set<send>, timer, lastPayload, orders, inFlight, pollAgain }
+const feeds = new Map();
+
+let fetchActiveOrders = null;
+
+/**
+ * Plug in the upstream fetcher (the Central Backend proxy lives in server.js)
+ * @param {(restaurantId: number) => Promise<Array>} fetcher - Active orders for one restaurant
+ */
+export function configureOrderStream(fetcher) {
+    fetchActiveOrders = fetcher;
+}
+
+const broadcast = (feed, event, data) => {
+    for (const send of feed.subscribers) {
+        send(event, data);
+    }
+};
+
+const pollFeed = async (restaurantId) => {
+    const feed = feeds.get(restaurantId);
+    if (!feed) return;
+    // A poll already running may have read the list before the change that asked
+    // for this one: poll once more when it's done
+    if (feed.inFlight) {
+        feed.pollAgain = true;
+        return;
+    }
+
+    feed.inFlight = true;
+    feed.pollAgain = false;
+    try {
+        const orders = await fetchActiveOrders(restaurantId);
+        const payload = JSON.stringify(orders);
+        // Only push when something actually changed
+        if (payload !== feed.lastPayload) {
+            feed.lastPayload = payload;
+            feed.orders = orders;
+            broadcast(feed, 'orders', { orders });
+        }
+    } catch (error) {
+        console.error(`Order stream poll failed for restaurant ${restaurantId}:`, error.message);
+    } finally {
+        feed.inFlight = false;
+    }
+    if (feed.pollAgain && feeds.get(restaurantId) === feed) {
+        pollFeed(restaurantId);
+    }
+};
+
+/**
+ * Subscribe to a restaurant's active orders.
+ * The current list is sent right away when known, then again on every change.
+ * @param {number} restaurantId
+ * @param {(event: string|null, data: Object|null) => void} send - Writes one SSE event (event null: heartbeat)
+ * @returns {() => void} - Unsubscribe
+ */
+export function subscribeToOrders(restaurantId, send) {
+    if (!fetchActiveOrders) {
+        throw new Error('Order stream not configured');
+    }
+
+    let feed = feeds.get(restaurantId);
+    if (!feed) {
+        feed = { subscribers: new Set(), timer: null, lastPayload: null, orders: null, inFlight: false, pollAgain: false };
+        feeds.set(restaurantId, feed);
+        feed.timer = setInterval(() => pollFeed(restaurantId), POLL_INTERVAL_MS);
+        pollFeed(restaurantId);
+    } else if (feed.orders) {
+        send('orders', { orders: feed.orders });
+    }
+    feed.subscribers.add(send);
+
+    return () => {
+        feed.subscribers.delete(send);
+        if (feed.subscribers.size === 0) {
+            clearInterval(feed.timer);
+            feeds.delete(restaurantId);
+        }
+    };
+}
+
+/**
+ * Re-poll a restaurant now, e.g. right after an order status change,
+ * so every dashboard sees it without waiting for the next tick
+ * @param {number} restaurantId
+ */
+export function refreshOrderStream(restaurantId) {
+    if (feeds.has(restaurantId)) {
+        pollFeed(restaurantId);
+    }
+}
+
+/**
+ * Whether a restaurant's orders are already being polled for an open dashboard
+ * @param {number} restaurantId
+ * @returns {boolean}
+ */
+export function hasOrderStream(restaurantId) {
+    return feeds.has(restaurantId);
+}
+
+// Keep idle connections open through proxies and load balancers
+setInterval(() => {
+    for (const feed of feeds.values()) {
+        broadcast(feed, null, null);
+    }
+}, HEARTBEAT_MS).unref();
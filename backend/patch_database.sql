@@ -34,3 +34,269 @@ VALUES
   ('ORD-TEST-1', 'Amit Sharma', '[{"name": "Masala Vada Pav", "quantity": 2, "price": 40}]'::jsonb, 80.00, 'delivered', NOW() - INTERVAL '2 hours'),
   ('ORD-TEST-2', 'Sneha Gupta', '[{"name": "Cheese Masala Vada Pav", "quantity": 1, "price": 60}]'::jsonb, 60.00, 'preparing', NOW())
 ON CONFLICT (order_id) DO NOTHING;
+
+-- 4. Staff accounts: multiple logins per restaurant, each with a role
+-- restaurant_auth was originally created by hand; make sure it exists first.
+CREATE TABLE IF NOT EXISTS restaurant_auth (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    restaurant_id BIGINT REFERENCES restaurants(id) ON DELETE CASCADE,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL
+);
+
+-- Existing rows become the restaurant owner (role defaults to 'owner')
+ALTER TABLE restaurant_auth
+ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'owner' CHECK (
+    role IN ('owner', 'manager', 'kitchen', 'cashier')
+),
+ADD COLUMN IF NOT EXISTS display_name TEXT,
+ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE,
+ADD COLUMN IF NOT EXISTS invited_by BIGINT REFERENCES restaurant_auth(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_restaurant_auth_restaurant_id ON restaurant_auth (restaurant_id);
+
+-- 5. Password reset tokens (single use, expiring; only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    auth_id BIGINT NOT NULL REFERENCES restaurant_auth(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_auth_id ON password_reset_tokens (auth_id);
+
+-- 6. Failed / blocked login attempts (brute-force auditing)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    username TEXT NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    reason TEXT NOT NULL CHECK (reason IN ('unknown_user', 'bad_password', 'locked', 'rate_limited')),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts (username, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip_address, created_at DESC);
+
+-- 7. Login sessions (one per signed-in device; revoking one signs that device out)
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    auth_id BIGINT NOT NULL REFERENCES restaurant_auth(id) ON DELETE CASCADE,
+    restaurant_id BIGINT NOT NULL,
+    device TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_auth_id ON auth_sessions (auth_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_restaurant_id ON auth_sessions (restaurant_id) WHERE revoked_at IS NULL;
+
+-- 8. TOTP two-factor authentication (owner accounts)
+ALTER TABLE restaurant_auth
+ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+-- Time step of the last accepted code, so a code can't be replayed
+ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- One-time recovery codes (only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS auth_recovery_codes (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    auth_id BIGINT NOT NULL REFERENCES restaurant_auth(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_recovery_codes_auth_id ON auth_recovery_codes (auth_id);
+
+-- Wrong 2FA codes are logged as failed logins too
+ALTER TABLE login_attempts DROP CONSTRAINT IF EXISTS login_attempts_reason_check;
+ALTER TABLE login_attempts ADD CONSTRAINT login_attempts_reason_check
+    CHECK (reason IN ('unknown_user', 'bad_password', 'bad_totp', 'locked', 'rate_limited'));
+
+-- 9. Onboarding: everything the signup wizard captures, and email verification
+-- Existing restaurants and accounts stay live / verified; new signups start offline.
+ALTER TABLE restaurants
+ADD COLUMN IF NOT EXISTS owner_name TEXT,
+ADD COLUMN IF NOT EXISTS phone TEXT,
+ADD COLUMN IF NOT EXISTS email TEXT,
+ADD COLUMN IF NOT EXISTS city TEXT,
+ADD COLUMN IF NOT EXISTS business_type TEXT,
+ADD COLUMN IF NOT EXISTS is_live BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE restaurant_auth
+ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    auth_id BIGINT NOT NULL REFERENCES restaurant_auth(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_auth_id ON email_verification_tokens (auth_id);
+
+-- 10. Multi-outlet accounts: link a login to more restaurants besides its home one
+CREATE TABLE IF NOT EXISTS restaurant_memberships (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    auth_id BIGINT NOT NULL REFERENCES restaurant_auth(id) ON DELETE CASCADE,
+    restaurant_id BIGINT NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'owner' CHECK (role IN ('owner', 'manager', 'kitchen', 'cashier')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (auth_id, restaurant_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_restaurant_memberships_restaurant_id ON restaurant_memberships (restaurant_id);
+
+-- 11. Scope report orders to their outlet (chain reports aggregate several)
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS restaurant_id BIGINT REFERENCES restaurants(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_orders_restaurant_created ON orders (restaurant_id, created_at);
+
+-- 12. Audit trail of mutating actions (menu, restaurant details, order status, staff, auth)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    restaurant_id BIGINT REFERENCES restaurants(id) ON DELETE CASCADE,
+    actor_auth_id BIGINT REFERENCES restaurant_auth(id) ON DELETE SET NULL,
+    actor_username TEXT,
+    actor_role TEXT,
+    action TEXT NOT NULL,
+    entity_type TEXT,
+    entity_id TEXT,
+    before JSONB,
+    after JSONB,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_restaurant_created ON audit_log (restaurant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action);
+
+-- 13. Map restaurants to the Central Backend's restaurant key (orders are filtered by it).
+-- Existing restaurants keep the key the Central Backend already uses for them: their
+-- name. Restaurants without a key are looked up by their id, and so are restaurants
+-- sharing a name: the Central Backend can't tell them apart, so their keys are set by hand.
+ALTER TABLE restaurants
+ADD COLUMN IF NOT EXISTS central_restaurant_key TEXT;
+
+UPDATE restaurants r SET central_restaurant_key = r.name
+WHERE r.central_restaurant_key IS NULL
+  AND NOT EXISTS (SELECT 1 FROM restaurants other WHERE other.name = r.name AND other.id <> r.id)
+  AND NOT EXISTS (SELECT 1 FROM restaurants keyed WHERE keyed.central_restaurant_key = r.name);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_restaurants_central_key ON restaurants (central_restaurant_key);
+
+-- 14. Why orders were rejected (reason code + optional free text), for reports
+CREATE TABLE IF NOT EXISTS order_rejections (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    order_id TEXT UNIQUE NOT NULL,
+    restaurant_id BIGINT REFERENCES restaurants(id) ON DELETE CASCADE,
+    reason_code TEXT NOT NULL CHECK (
+        reason_code IN ('OUT_OF_STOCK', 'KITCHEN_BUSY', 'CLOSING_SOON', 'SPECIAL_REQUEST', 'OTHER')
+    ),
+    reason_text TEXT,
+    rejected_by_auth_id BIGINT REFERENCES restaurant_auth(id) ON DELETE SET NULL,
+    rejected_by_username TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_rejections_restaurant_created ON order_rejections (restaurant_id, created_at);
+
+-- 15. Rider pickup codes: issued when an order is ready, checked at handoff
+CREATE TABLE IF NOT EXISTS order_handoffs (
+    order_id TEXT PRIMARY KEY,
+    restaurant_id BIGINT REFERENCES restaurants(id) ON DELETE CASCADE,
+    code TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+    issued_at TIMESTAMPTZ DEFAULT NOW(),
+    verified_at TIMESTAMPTZ,
+    verified_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_handoffs_restaurant ON order_handoffs (restaurant_id);
+
+-- 16. Auto-accept rules per restaurant (format: see backend/autoAccept.js)
+ALTER TABLE restaurants
+ADD COLUMN IF NOT EXISTS auto_accept_rules JSONB;
+
+-- 17. Acceptance SLA: new orders not accepted in time are rejected as TIMEOUT
+ALTER TABLE restaurants
+ADD COLUMN IF NOT EXISTS acceptance_sla_minutes INTEGER CHECK (acceptance_sla_minutes BETWEEN 1 AND 60);
+
+ALTER TABLE order_rejections DROP CONSTRAINT IF EXISTS order_rejections_reason_code_check;
+ALTER TABLE order_rejections ADD CONSTRAINT order_rejections_reason_code_check CHECK (
+    reason_code IN ('OUT_OF_STOCK', 'KITCHEN_BUSY', 'CLOSING_SOON', 'SPECIAL_REQUEST', 'OTHER', 'TIMEOUT')
+);
+
+-- 18. Kitchen display: station routing per restaurant (format: see backend/kitchenStations.js)
+-- and per-item bumps, shared by every KDS screen
+ALTER TABLE restaurants
+ADD COLUMN IF NOT EXISTS kitchen_stations JSONB;
+
+CREATE TABLE IF NOT EXISTS order_item_bumps (
+    order_id TEXT NOT NULL,
+    item_index INTEGER NOT NULL,
+    restaurant_id BIGINT REFERENCES restaurants(id) ON DELETE CASCADE,
+    bumped_at TIMESTAMPTZ DEFAULT NOW(),
+    bumped_by_auth_id BIGINT REFERENCES restaurant_auth(id) ON DELETE SET NULL,
+    bumped_by_username TEXT,
+    PRIMARY KEY (order_id, item_index)
+);
+
+-- 19. Prep checklist: order_item_bumps doubles as per-item prep state, kept for prep time analysis
+ALTER TABLE order_item_bumps
+ADD COLUMN IF NOT EXISTS item_name TEXT,
+ADD COLUMN IF NOT EXISTS quantity INTEGER,
+ADD COLUMN IF NOT EXISTS prep_seconds INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_order_item_bumps_restaurant_bumped ON order_item_bumps (restaurant_id, bumped_at);
+
+-- 20. Partial fulfilment: items marked unavailable or substituted, pending the customer's answer
+CREATE TABLE IF NOT EXISTS order_adjustments (
+    order_id TEXT PRIMARY KEY,
+    restaurant_id BIGINT REFERENCES restaurants(id) ON DELETE CASCADE,
+    lines JSONB NOT NULL,
+    note TEXT,
+    original_total DECIMAL(10, 2) NOT NULL,
+    refund_amount DECIMAL(10, 2) NOT NULL,
+    adjusted_total DECIMAL(10, 2) NOT NULL,
+    proposed_by_auth_id BIGINT REFERENCES restaurant_auth(id) ON DELETE SET NULL,
+    proposed_by_username TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_adjustments_restaurant_created ON order_adjustments (restaurant_id, created_at);
+
+-- 21. Prep time extensions: each time a kitchen pushed back an order's promised ready time, for reports
+CREATE TABLE IF NOT EXISTS order_prep_extensions (
+    id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    order_id TEXT NOT NULL,
+    restaurant_id BIGINT REFERENCES restaurants(id) ON DELETE CASCADE,
+    minutes INTEGER NOT NULL CHECK (minutes > 0),
+    prep_time INTEGER NOT NULL,
+    reason_code TEXT NOT NULL CHECK (
+        reason_code IN ('KITCHEN_BUSY', 'LARGE_ORDER', 'INGREDIENT_DELAY', 'EQUIPMENT', 'OTHER')
+    ),
+    reason_text TEXT,
+    extended_by_auth_id BIGINT REFERENCES restaurant_auth(id) ON DELETE SET NULL,
+    extended_by_username TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_prep_extensions_restaurant_created ON order_prep_extensions (restaurant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_order_prep_extensions_order ON order_prep_extensions (order_id);
+
+-- 22. Printers and auto-print rules per restaurant (format: see backend/printers.js)
+ALTER TABLE restaurants
+ADD COLUMN IF NOT EXISTS printer_settings JSONB;
@@ -0,0 +1,157 @@
+// ============================================
+// PRINTERS (profiles and auto-print rules)
+// ============================================
+// Thermal printers a restaurant prints kitchen tickets (KOT) and bills on, and
+// when they print by themselves. Stored in restaurants.printer_settings:
+//
+//   {
+//     printers: [
+//       { id: 'kitchen', name: 'Kitchen', connection: 'network', host: '192.168.1.50', port: 9100, paperWidth: 80 },
+//       { id: 'counter', name: 'Counter', connection: 'agent', agentUrl: 'http://localhost:9101/print', paperWidth: 58 },
+//       { id: 'pc', name: 'This computer', connection: 'browser', paperWidth: 80 }
+//     ],
+//     rules: [
+//       { kind: 'kot', printerId: 'kitchen', station: 'Tandoor', copies: 1 },  // on accept
+//       { kind: 'bill', printerId: 'counter', station: null, copies: 1 }       // on ready
+//     ]
+//   }
+//
+// Network printers take raw ESC/POS on TCP 9100 and are printed to by this
+// server. Agent and browser printers sit next to the tablet, so the tablet that
+// accepted the order (or marked it ready) delivers to them.
+import net from 'net';
+import crypto from 'crypto';
+
+export const PRINT_KINDS = ['kot', 'bill'];
+export const PRINTER_CONNECTIONS = ['network', 'agent', 'browser'];
+export const PAPER_SIZES = [58, 80];
+const MAX_PRINTERS = 8;
+const MAX_RULES = 16;
+const MAX_COPIES = 3;
+const MAX_PRINTER_NAME_LENGTH = 40;
+// Raw printing ports (JetDirect uses 9100, multi-port print servers the next few);
+// nothing else, so printer settings can't point the server at arbitrary services
+const MIN_PRINTER_PORT = 9100;
+const MAX_PRINTER_PORT = 9109;
+const PRINTER_TIMEOUT_MS = 5000;
+const HOST_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+
+export const DEFAULT_PRINTER_SETTINGS = {
+    printers: [],
+    rules: []
+};
+
+// One printer from the settings screen; returns { error } or { printer }
+function normalizePrinter(input) {
+    const name = typeof input?.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_PRINTER_NAME_LENGTH) {
+        return { error: `Printer names must be 1 to ${MAX_PRINTER_NAME_LENGTH} characters` };
+    }
+    if (!PRINTER_CONNECTIONS.includes(input.connection)) {
+        return { error: `${name}: connection must be one of ${PRINTER_CONNECTIONS.join(', ')}` };
+    }
+    const paperWidth = Number(input.paperWidth ?? 80);
+    if (!PAPER_SIZES.includes(paperWidth)) {
+        return { error: `${name}: paper width must be ${PAPER_SIZES.join(' or ')} mm` };
+    }
+    const id = typeof input.id === 'string' && /^[\w-]{1,40}$/.test(input.id) ? input.id : crypto.randomUUID();
+    const printer = { id, name, connection: input.connection, paperWidth };
+
+    if (input.connection === 'network') {
+        const host = typeof input.host === 'string' ? input.host.trim() : '';
+        const port = Number(input.port ?? MIN_PRINTER_PORT);
+        if (!HOST_PATTERN.test(host)) {
+            return { error: `${name}: enter the printer's IP address or host name` };
+        }
+        if (!Number.isInteger(port) || port < MIN_PRINTER_PORT || port > MAX_PRINTER_PORT) {
+            return { error: `${name}: port must be between ${MIN_PRINTER_PORT} and ${MAX_PRINTER_PORT}` };
+        }
+        return { printer: { ...printer, host, port } };
+    }
+    if (input.connection === 'agent') {
+        let url;
+        try {
+            url = new URL(input.agentUrl);
+        } catch {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            return { error: `${name}: enter the print agent's URL, e.g. http://localhost:9101/print` };
+        }
+        return { printer: { ...printer, agentUrl: url.toString() } };
+    }
+    return { printer };
+}
+
+/**
+ * Validate printers and auto-print rules sent by the settings screen
+ * @param {Object} input
+ * @param {string[]} stations - Kitchen station names a KOT rule may be limited to
+ * @returns {{ error: string } | { config: Object }}
+ */
+export function normalizePrinterSettings(input, stations = []) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Printer settings must be an object' };
+    }
+
+    const printerInput = input.printers ?? [];
+    if (!Array.isArray(printerInput) || printerInput.length > MAX_PRINTERS) {
+        return { error: `printers must be a list of at most ${MAX_PRINTERS} printers` };
+    }
+    const printers = [];
+    for (const entry of printerInput) {
+        const { error, printer } = normalizePrinter(entry);
+        if (error) return { error };
+        printers.push(printer);
+    }
+    if (new Set(printers.map(printer => printer.id)).size !== printers.length) {
+        return { error: 'Printer ids must be unique' };
+    }
+    if (new Set(printers.map(printer => printer.name.toLowerCase())).size !== printers.length) {
+        return { error: 'Printer names must be unique' };
+    }
+
+    const ruleInput = input.rules ?? [];
+    if (!Array.isArray(ruleInput) || ruleInput.length > MAX_RULES) {
+        return { error: `rules must be a list of at most ${MAX_RULES} rules` };
+    }
+    const rules = [];
+    for (const rule of ruleInput) {
+        if (!PRINT_KINDS.includes(rule?.kind)) {
+            return { error: `Each rule's kind must be one of ${PRINT_KINDS.join(', ')}` };
+        }
+        if (!printers.some(printer => printer.id === rule.printerId)) {
+            return { error: 'Each rule must print on one of the printers' };
+        }
+        const station = rule.station || null;
+        if (station && (rule.kind !== 'kot' || !stations.includes(station))) {
+            return { error: 'Only kitchen tickets can be limited to a station, and it must be one of the kitchen stations' };
+        }
+        const copies = Number(rule.copies ?? 1);
+        if (!Number.isInteger(copies) || copies < 1 || copies > MAX_COPIES) {
+            return { error: `copies must be between 1 and ${MAX_COPIES}` };
+        }
+        rules.push({ kind: rule.kind, printerId: rule.printerId, station, copies });
+    }
+
+    return { config: { printers, rules } };
+}
+
+/**
+ * Send an ESC/POS byte stream to a network printer (raw TCP, e.g. port 9100)
+ * @param {{ host: string, port: number }} printer
+ * @param {Buffer} bytes
+ * @returns {Promise<void>} - Rejects when the printer can't be reached in time
+ */
+export function sendToNetworkPrinter({ host, port }, bytes) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        socket.setTimeout(PRINTER_TIMEOUT_MS);
+        socket.once('connect', () => socket.end(bytes));
+        socket.once('timeout', () => socket.destroy(new Error(`Printer ${host}:${port} timed out`)));
+        socket.once('error', reject);
+        socket.once('close', hadError => {
+            if (!hadError) resolve();
+        });
+    });
+}
@@ -1,16 +1,8 @@
+import './env.js';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import { createClient } from '@supabase/supabase-js';
 
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-dotenv.config({ path: path.resolve(__dirname, '.env') });
-
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -18,6 +10,13 @@ const PORT = process.env.PORT || 3001;
 app.use(cors());
 app.use(express.json());
 
+// Behind a load balancer / reverse proxy, set TRUST_PROXY (e.g. 1 = one hop) so
+// req.ip is the client's address rather than the proxy's — login throttling keys on it
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // ============================================
 // CENTRAL BACKEND CONFIGURATION (MongoDB Orders)
 // ============================================
@@ -33,10 +32,13 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     timestamp: new Date().toISOString(),
     endpoints: {
-      auth: ['/api/auth/login', '/api/auth/signup'],
+      auth: ['/api/auth/login', '/api/auth/signup', '/api/auth/verify-email', '/api/auth/resend-verification', '/api/auth/refresh', '/api/auth/forgot-password', '/api/auth/reset-password', '/api/auth/change-password', '/api/auth/logout', '/api/auth/sessions', '/api/auth/sessions/revoke-all', '/api/auth/outlets', '/api/auth/switch-outlet', '/api/auth/2fa', '/api/auth/2fa/setup', '/api/auth/2fa/enable', '/api/auth/2fa/disable', '/api/auth/2fa/recovery-codes'],
       menu: ['/api/menu', '/api/categories'],
       restaurant: ['/api/restaurant'],
-      orders: ['/api/orders/active', '/api/orders', '/api/orders/:id', '/api/orders/:id/status'],
+      outlets: ['/api/outlets'],
+      audit: ['/api/audit'],
+      staff: ['/api/staff', '/api/staff/invite', '/api/staff/:id/role', '/api/staff/:id/status'],
+      orders: ['/api/orders/active', '/api/orders/stream', '/api/orders', '/api/orders/:id', '/api/orders/:id/status'],
       reports: ['/api/reports/sales', '/api/reports/orders', '/api/reports/menu', '/api/reports/heatmap', '/api/reports/customers'],
       metrics: ['/api/metrics/today'],
       health: ['/health']
@@ -82,16 +84,539 @@ if (hasSupabaseCredentials) {
 }
 
 // RESTAURANT ID LOGIC
-// Defaults to 2 (BE Bytes) if not specified in query param ?restaurantId=X
-const getRestaurantId = (req) => {
-    const id = req.query.restaurantId || req.headers['x-restaurant-id'];
-    return id ? parseInt(id) : 2;
+// The tenant always comes from the verified access token (req.auth).
+// A ?restaurantId=X or x-restaurant-id sent by the client is only
+// accepted when it matches the token — anything else is rejected.
+const resolveTenant = (req, res, next) => {
+    const requestedId = req.query.restaurantId || req.headers['x-restaurant-id'];
+
+    if (requestedId && parseInt(requestedId) !== req.auth.restaurantId) {
+        return res.status(403).json({
+            success: false,
+            code: 'TENANT_MISMATCH',
+            error: 'Not authorized for this restaurant'
+        });
+    }
+
+    req.restaurantId = req.auth.restaurantId;
+    next();
+};
+
+const getRestaurantId = (req) => req.restaurantId;
+
+// ============================================
+// SESSION REGISTRY
+// ============================================
+// Every login creates a row in auth_sessions and its id travels in the tokens
+// (sid claim). Revoking the row signs that device out on its next API call,
+// even though its access token has not expired yet.
+
+// Only write last_seen_at this often per session
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// "Chrome on Android" style label from a User-Agent header
+const describeDevice = (userAgent = '') => {
+    const browser =
+        /Edg\//.test(userAgent) ? 'Edge' :
+        /OPR\/|Opera/.test(userAgent) ? 'Opera' :
+        /Chrome\//.test(userAgent) ? 'Chrome' :
+        /Firefox\//.test(userAgent) ? 'Firefox' :
+        /Safari\//.test(userAgent) ? 'Safari' : 'Browser';
+    const os =
+        /Android/.test(userAgent) ? 'Android' :
+        /iPhone|iPad|iPod/.test(userAgent) ? 'iOS' :
+        /Windows/.test(userAgent) ? 'Windows' :
+        /Mac OS X/.test(userAgent) ? 'macOS' :
+        /Linux/.test(userAgent) ? 'Linux' : 'Unknown device';
+    return `${browser} on ${os}`;
+};
+
+/**
+ * Register a new session for a freshly authenticated user.
+ * @returns {Promise<string|null>} - Session id to put in the tokens (null in mock mode)
+ */
+const createSession = async (req, { authId, restaurantId }) => {
+    if (useMockData) return null;
+
+    const userAgent = req.get('user-agent') || '';
+    const { data, error } = await supabase
+        .from('auth_sessions')
+        .insert({
+            auth_id: authId,
+            restaurant_id: restaurantId,
+            user_agent: userAgent,
+            device: describeDevice(userAgent),
+            ip_address: req.ip
+        })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+    return data.id;
+};
+
+/**
+ * Look up a session and check it can still be used by this identity.
+ * Records the caller's IP and last-seen time (throttled).
+ * @returns {Promise<boolean>}
+ */
+const touchSession = async (req, identity) => {
+    if (!identity.sessionId) return false;
+
+    const { data: session } = await supabase
+        .from('auth_sessions')
+        .select('id, auth_id, revoked_at, last_seen_at')
+        .eq('id', identity.sessionId)
+        .single();
+
+    if (!session || session.revoked_at || session.auth_id !== identity.authId) {
+        return false;
+    }
+
+    if (Date.now() - new Date(session.last_seen_at).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        supabase
+            .from('auth_sessions')
+            .update({ last_seen_at: new Date().toISOString(), ip_address: req.ip })
+            .eq('id', session.id)
+            .then(({ error }) => {
+                if (error) console.error('Failed to update session last seen:', error.message);
+            });
+    }
+
+    return true;
+};
+
+const sessionRevokedResponse = {
+    success: false,
+    code: 'SESSION_REVOKED',
+    error: 'This device has been signed out'
+};
+
+// Express middleware: reject access tokens whose session was revoked. Runs after requireAuth.
+const requireLiveSession = async (req, res, next) => {
+    if (useMockData) return next();
+
+    try {
+        if (!(await touchSession(req, req.auth))) {
+            return res.status(401).json(sessionRevokedResponse);
+        }
+        next();
+    } catch (error) {
+        console.error('Session check error:', error);
+        res.status(500).json({ success: false, error: 'Failed to verify session' });
+    }
+};
+
+/**
+ * Revoke sessions matching a filter, e.g. { auth_id: 7 } or { id: sessionId }.
+ * @param {Object} match - Column/value pairs passed to .match()
+ * @param {string} [exceptSessionId] - Keep this session (e.g. the caller's own)
+ */
+const revokeSessions = async (match, exceptSessionId) => {
+    if (useMockData) return;
+
+    let query = supabase
+        .from('auth_sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .match(match)
+        .is('revoked_at', null);
+
+    if (exceptSessionId) {
+        query = query.neq('id', exceptSessionId);
+    }
+
+    const { error } = await query;
+    if (error) throw error;
+};
+
+// ============================================
+// AUDIT LOG
+// ============================================
+// Who changed what: menu edits, restaurant details, order status changes,
+// staff and auth events. One audit_log row per action with the before/after
+// payloads. Writes are best effort — a failed insert never fails the request.
+
+/**
+ * Record an audit entry.
+ * @param {import('express').Request|null} req - Source of the IP / user agent (and the actor, when signed in);
+ *        null for system events such as auto-accept
+ * @param {Object} entry
+ * @param {string} entry.action - Dotted event name, e.g. 'menu.delete', 'auth.login'
+ * @param {string} [entry.entityType] - 'menu_item', 'restaurant', 'order', 'staff', 'session', ...
+ * @param {string|number} [entry.entityId]
+ * @param {Object|null} [entry.before] - State before the change
+ * @param {Object|null} [entry.after] - State after the change
+ * @param {number} [entry.restaurantId] - Defaults to the request's tenant
+ * @param {{ authId?: number, username?: string, role?: string }} [entry.actor] - Defaults to req.auth
+ */
+const recordAudit = (req, { action, entityType = null, entityId = null, before = null, after = null, restaurantId, actor }) => {
+    if (useMockData) return;
+
+    const who = actor || req?.auth || {};
+    supabase
+        .from('audit_log')
+        .insert({
+            restaurant_id: restaurantId ?? req?.restaurantId ?? req?.auth?.restaurantId ?? null,
+            actor_auth_id: who.authId ?? null,
+            actor_username: who.username ?? null,
+            actor_role: who.role ?? null,
+            action,
+            entity_type: entityType,
+            entity_id: entityId === null ? null : String(entityId),
+            before,
+            after,
+            ip_address: req?.ip ?? null,
+            user_agent: req?.get('user-agent') || null
+        })
+        .then(({ error }) => {
+            if (error) console.error(`Failed to record audit entry ${action}:`, error.message);
+        });
 };
 
+// Actor fields for an auth event that happens before req.auth exists (login, signup, ...)
+const auditActor = (authRecord) => ({
+    authId: authRecord.id,
+    username: authRecord.username,
+    role: authRecord.role || 'owner'
+});
+
 // ============================================
 // AUTHENTICATION API ENDPOINTS
 // ============================================
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import {
+    ROLES,
+    issueTokens,
+    verifyRefreshToken,
+    requireAuth,
+    requireRole,
+    validatePassword,
+    hashToken,
+    createOpaqueToken
+} from './auth.js';
+import { sendMail } from './mailer.js';
+import {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    formatRetryAfter
+} from './loginThrottle.js';
+import QRCode from 'qrcode';
+import {
+    generateTotpSecret,
+    buildOtpauthUrl,
+    verifyTotp,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+} from './totp.js';
+import {
+    configureOrderStream,
+    subscribeToOrders,
+    refreshOrderStream,
+    hasOrderStream
+} from './orderStream.js';
+import {
+    DEFAULT_AUTO_ACCEPT_RULES,
+    normalizeAutoAcceptRules,
+    matchAutoAccept,
+    orderTotal,
+    MAX_PREP_TIME_MINUTES
+} from './autoAccept.js';
+import {
+    DEFAULT_KITCHEN_STATIONS,
+    normalizeKitchenStations,
+    stationFor
+} from './kitchenStations.js';
+import {
+    PRINT_KINDS,
+    DEFAULT_PRINTER_SETTINGS,
+    normalizePrinterSettings,
+    sendToNetworkPrinter
+} from './printers.js';
+import { kitchenTicketLines, billLines, encodeEscPos, toRows } from './escpos.js';
+import {
+    TIMEOUT_ACTOR,
+    configureAcceptanceSla,
+    expireUnacceptedOrders,
+    pruneTimeoutAttempts
+} from './acceptanceSla.js';
+
+// Where password reset links point to (the frontend)
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES || '30');
+const VERIFY_TOKEN_TTL_HOURS = parseInt(process.env.VERIFY_TOKEN_TTL_HOURS || '48');
+
+// Onboarding wizard validation
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MOBILE_PATTERN = /^(\+91)?[6-9]\d{9}$/;
+const BUSINESS_TYPES = ['Restaurant', 'Cafe', 'Cloud Kitchen'];
+
+// Keep a durable record of failed / blocked logins (best effort — never fails the request)
+const logLoginAttempt = (req, username, reason) => {
+    if (useMockData) return;
+    supabase
+        .from('login_attempts')
+        .insert({
+            username: String(username).toLowerCase().trim(),
+            ip_address: req?.ip ?? null,
+            user_agent: req?.get('user-agent') || null,
+            reason
+        })
+        .then(({ error }) => {
+            if (error) console.error('Failed to record login attempt:', error.message);
+        });
+};
+
+const sendLoginBlocked = (res, { code, retryAfter }) => {
+    const wait = formatRetryAfter(retryAfter);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        code,
+        retryAfter,
+        error: code === 'ACCOUNT_LOCKED'
+            ? `Too many failed attempts. Try again in ${wait}.`
+            : `Too many login attempts from this network. Try again in ${wait}.`
+    });
+};
+
+// A wrong username and a wrong password look identical to the caller.
+// Wrong 2FA codes count towards the same lockout.
+const sendInvalidCredentials = (req, res, username, reason) => {
+    logLoginAttempt(req, username, reason);
+    const { attemptsRemaining, retryAfter } = recordLoginFailure({ username });
+    if (retryAfter) {
+        return sendLoginBlocked(res, { code: 'ACCOUNT_LOCKED', retryAfter });
+    }
+    return res.status(401).json({
+        success: false,
+        ...(reason === 'bad_totp'
+            ? { code: 'TOTP_INVALID', error: 'Invalid verification code' }
+            : { error: 'Invalid username or password' }),
+        attemptsRemaining
+    });
+};
+
+/**
+ * Accept an authenticator code once: the matched time step is stored and
+ * anything at or before it is rejected afterwards.
+ * @returns {Promise<boolean>}
+ */
+const consumeTotpCode = async (authRecord, code) => {
+    const step = verifyTotp(authRecord.totp_secret, code, authRecord.totp_last_step ?? null);
+    if (step === null) return false;
+
+    const { data } = await supabase
+        .from('restaurant_auth')
+        .update({ totp_last_step: step })
+        .eq('id', authRecord.id)
+        .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+        .select('id');
+
+    return Boolean(data?.length);
+};
+
+/**
+ * Use up one recovery code
+ * @returns {Promise<boolean>}
+ */
+const consumeRecoveryCode = async (authId, code) => {
+    const { data } = await supabase
+        .from('auth_recovery_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('auth_id', authId)
+        .eq('code_hash', hashToken(normalizeRecoveryCode(code)))
+        .is('used_at', null)
+        .select('id');
+
+    return Boolean(data?.length);
+};
+
+// Check a second factor sent as { totpCode } or { recoveryCode }
+const verifySecondFactor = ({ totpCode, recoveryCode }, authRecord) => {
+    if (totpCode) return consumeTotpCode(authRecord, totpCode);
+    if (recoveryCode) return consumeRecoveryCode(authRecord.id, recoveryCode);
+    return Promise.resolve(false);
+};
+
+/**
+ * Replace the user's recovery codes with a fresh set
+ * @returns {Promise<string[]>} - Plain codes, shown to the user once
+ */
+const issueRecoveryCodes = async (authId) => {
+    const codes = generateRecoveryCodes();
+
+    const { error: deleteError } = await supabase
+        .from('auth_recovery_codes')
+        .delete()
+        .eq('auth_id', authId);
+    if (deleteError) throw deleteError;
+
+    const { error } = await supabase
+        .from('auth_recovery_codes')
+        .insert(codes.map(code => ({ auth_id: authId, code_hash: hashToken(normalizeRecoveryCode(code)) })));
+    if (error) throw error;
+
+    return codes;
+};
+
+// ---- Outlets ----
+// A login belongs to one home restaurant (restaurant_auth.restaurant_id, with
+// restaurant_auth.role). Chain owners can be linked to more outlets through
+// restaurant_memberships, each with its own role. Tokens are scoped to one
+// outlet at a time; /api/auth/switch-outlet re-issues them for another.
+
+/**
+ * Every outlet a login can work in, home restaurant first
+ * @returns {Promise<Array<{ restaurantId: number, name: string, city: string|null, role: string }>>}
+ */
+const listOutlets = async (authRecord) => {
+    const { data: home } = await supabase
+        .from('restaurants')
+        .select('id, name, city')
+        .eq('id', authRecord.restaurant_id)
+        .single();
+
+    const { data: links, error } = await supabase
+        .from('restaurant_memberships')
+        .select('role, restaurants(id, name, city)')
+        .eq('auth_id', authRecord.id)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return [
+        { restaurantId: authRecord.restaurant_id, name: home?.name || 'Restaurant', city: home?.city || null, role: authRecord.role || 'owner' },
+        ...links
+            .filter(link => link.restaurants)
+            .map(link => ({
+                restaurantId: link.restaurants.id,
+                name: link.restaurants.name,
+                city: link.restaurants.city || null,
+                role: link.role
+            }))
+    ];
+};
+
+/**
+ * Role a login has in a given outlet
+ * @returns {Promise<string|null>} - null when the login isn't linked to that outlet
+ */
+const resolveOutletRole = async (authRecord, restaurantId) => {
+    if (restaurantId === authRecord.restaurant_id) {
+        return authRecord.role || 'owner';
+    }
+
+    const { data: membership } = await supabase
+        .from('restaurant_memberships')
+        .select('role')
+        .eq('auth_id', authRecord.id)
+        .eq('restaurant_id', restaurantId)
+        .maybeSingle();
+
+    return membership?.role || null;
+};
+
+/**
+ * Open a session for a verified user and build the payload the frontend stores
+ * (same shape for login and email verification). Signs in to the home restaurant.
+ */
+const buildSignInPayload = async (req, authRecord) => {
+    const outlets = await listOutlets(authRecord);
+
+    const sessionId = await createSession(req, {
+        authId: authRecord.id,
+        restaurantId: authRecord.restaurant_id
+    });
+
+    const tokens = issueTokens({
+        authId: authRecord.id,
+        restaurantId: authRecord.restaurant_id,
+        username: authRecord.username,
+        role: authRecord.role || 'owner',
+        sessionId
+    });
+
+    return {
+        restaurantId: authRecord.restaurant_id,
+        restaurantName: outlets[0].name,
+        username: authRecord.username,
+        displayName: authRecord.display_name || authRecord.username,
+        role: authRecord.role || 'owner',
+        outlets,
+        ...tokens
+    };
+};
+
+/**
+ * Email a single-use verification link to a new owner account.
+ * Older links for the same account stop working.
+ */
+const sendVerificationEmail = async (authRecord, restaurantName) => {
+    await supabase
+        .from('email_verification_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('auth_id', authRecord.id)
+        .is('used_at', null);
+
+    const { token, tokenHash } = createOpaqueToken();
+    const expiresAt = new Date(Date.now() + VERIFY_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+
+    const { error } = await supabase
+        .from('email_verification_tokens')
+        .insert({
+            auth_id: authRecord.id,
+            token_hash: tokenHash,
+            expires_at: expiresAt.toISOString()
+        });
+
+    if (error) throw error;
+
+    const verifyUrl = `${APP_URL}/login?verifyToken=${token}`;
+    await sendMail({
+        to: authRecord.username,
+        subject: 'Confirm your email to activate MyEzz Partner',
+        text: [
+            `Welcome to MyEzz Partner${restaurantName ? `, ${restaurantName}` : ''}!`,
+            '',
+            `Confirm your email address to activate your account (link valid for ${VERIFY_TOKEN_TTL_HOURS} hours):`,
+            verifyUrl,
+            '',
+            'If you did not sign up, you can ignore this email.'
+        ].join('\n')
+    });
+};
+
+// Mock mode (no Supabase) signs in one demo owner of restaurant 1, and only when
+// MOCK_LOGIN_PASSWORD is set: a failed Supabase connection at startup must not
+// leave a server that lets anyone in.
+const MOCK_LOGIN_USERNAME = (process.env.MOCK_LOGIN_USERNAME || 'demo').toLowerCase();
+const MOCK_LOGIN_PASSWORD = process.env.MOCK_LOGIN_PASSWORD || '';
+
+const isMockLogin = (username, password) => {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return Boolean(MOCK_LOGIN_PASSWORD) &&
+        username.toLowerCase().trim() === MOCK_LOGIN_USERNAME &&
+        crypto.timingSafeEqual(digest(password), digest(MOCK_LOGIN_PASSWORD));
+};
+
+const mockSignInPayload = () => {
+    const identity = { authId: 0, restaurantId: 1, username: MOCK_LOGIN_USERNAME, role: 'owner', sessionId: null };
+    return {
+        restaurantId: identity.restaurantId,
+        restaurantName: 'Mock Restaurant',
+        username: identity.username,
+        displayName: identity.username,
+        role: identity.role,
+        outlets: [{ restaurantId: identity.restaurantId, name: 'Mock Restaurant', city: null, role: identity.role }],
+        ...issueTokens(identity)
+    };
+};
+
+// Compared against when the username doesn't exist, so the response takes as
+// long as a wrong password and doesn't reveal which usernames are taken
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
 
 // Restaurant Login
 app.post('/api/auth/login', async (req, res) => {
@@ -105,86 +630,161 @@ app.post('/api/auth/login', async (req, res) => {
             });
         }
 
+        const blocked = checkLoginAllowed({ username, ip: req.ip });
+        if (blocked) {
+            logLoginAttempt(req, username, blocked.code === 'ACCOUNT_LOCKED' ? 'locked' : 'rate_limited');
+            return sendLoginBlocked(res, blocked);
+        }
+
         if (useMockData) {
-            return res.status(503).json({ 
-                success: false, 
-                error: 'Authentication requires Supabase connection' 
-            });
+            if (!MOCK_LOGIN_PASSWORD) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Authentication requires Supabase connection (or MOCK_LOGIN_PASSWORD for mock mode)'
+                });
+            }
+            if (!isMockLogin(username, password)) {
+                return sendInvalidCredentials(req, res, username, 'bad_password');
+            }
+            recordLoginSuccess({ username });
+            return res.json({ success: true, data: mockSignInPayload() });
         }
 
         // Find user by username
         const { data: authRecord, error } = await supabase
             .from('restaurant_auth')
-            .select('id, restaurant_id, username, password_hash')
+            .select('id, restaurant_id, username, password_hash, role, display_name, is_active, email_verified, totp_enabled, totp_secret, totp_last_step')
             .eq('username', username.toLowerCase().trim())
             .single();
 
         if (error || !authRecord) {
-            return res.status(401).json({ 
-                success: false, 
-                error: 'Invalid username or password' 
-            });
+            await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+            return sendInvalidCredentials(req, res, username, 'unknown_user');
         }
 
         // Compare password with hash
         const isValidPassword = await bcrypt.compare(password, authRecord.password_hash);
 
         if (!isValidPassword) {
-            return res.status(401).json({ 
-                success: false, 
-                error: 'Invalid username or password' 
+            recordAudit(req, {
+                action: 'auth.login_failed',
+                entityType: 'staff',
+                entityId: authRecord.id,
+                after: { reason: 'bad_password' },
+                restaurantId: authRecord.restaurant_id,
+                actor: auditActor(authRecord)
             });
+            return sendInvalidCredentials(req, res, username, 'bad_password');
         }
 
-        // Fetch restaurant details
-        const { data: restaurant } = await supabase
-            .from('restaurants')
-            .select('id, name')
-            .eq('id', authRecord.restaurant_id)
-            .single();
+        if (authRecord.is_active === false) {
+            return res.status(403).json({
+                success: false,
+                code: 'ACCOUNT_DISABLED',
+                error: 'This account has been disabled. Contact your restaurant owner.'
+            });
+        }
 
-        console.log(`✅ Login successful: ${restaurant?.name || authRecord.restaurant_id}`);
+        if (authRecord.email_verified === false) {
+            return res.status(403).json({
+                success: false,
+                code: 'EMAIL_NOT_VERIFIED',
+                error: `Confirm your email first — we sent a link to ${authRecord.username}`
+            });
+        }
 
-        res.json({
-            success: true,
-            data: {
-                restaurantId: authRecord.restaurant_id,
-                restaurantName: restaurant?.name || 'Restaurant',
-                username: authRecord.username
+        // Second step for accounts with 2FA: the client re-sends the credentials
+        // together with { totpCode } or { recoveryCode }
+        if (authRecord.totp_enabled) {
+            if (!req.body.totpCode && !req.body.recoveryCode) {
+                return res.status(401).json({
+                    success: false,
+                    code: 'TOTP_REQUIRED',
+                    error: 'Enter the 6-digit code from your authenticator app'
+                });
+            }
+
+            if (!(await verifySecondFactor(req.body, authRecord))) {
+                recordAudit(req, {
+                    action: 'auth.login_failed',
+                    entityType: 'staff',
+                    entityId: authRecord.id,
+                    after: { reason: 'bad_totp' },
+                    restaurantId: authRecord.restaurant_id,
+                    actor: auditActor(authRecord)
+                });
+                return sendInvalidCredentials(req, res, username, 'bad_totp');
             }
+        }
+
+        recordLoginSuccess({ username });
+
+        const data = await buildSignInPayload(req, authRecord);
+        console.log(`✅ Login successful: ${data.restaurantName} (ID: ${data.restaurantId})`);
+
+        recordAudit(req, {
+            action: 'auth.login',
+            entityType: 'staff',
+            entityId: authRecord.id,
+            after: { twoFactor: Boolean(authRecord.totp_enabled) },
+            restaurantId: authRecord.restaurant_id,
+            actor: auditActor(authRecord)
         });
 
+        res.json({ success: true, data });
+
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ success: false, error: 'Login failed' });
     }
 });
 
-// Restaurant Signup
+// Restaurant Signup (onboarding wizard).
+// Creates the restaurant and its owner account, then emails a verification link.
+// Nothing is signed in and the restaurant stays offline until the email is confirmed.
 app.post('/api/auth/signup', async (req, res) => {
     try {
         const { restaurantName, ownerName, mobile, email, password, city, businessType } = req.body;
 
         // Validate required fields
-        if (!restaurantName || !ownerName || !mobile || !email || !password) {
+        if (!restaurantName || !ownerName || !mobile || !email || !password || !city) {
             return res.status(400).json({ 
                 success: false, 
                 error: 'All fields are required' 
             });
         }
 
+        if (!EMAIL_PATTERN.test(email.trim())) {
+            return res.status(400).json({ success: false, error: 'Enter a valid email address' });
+        }
+
+        if (!MOBILE_PATTERN.test(mobile.replace(/[\s-]/g, ''))) {
+            return res.status(400).json({ success: false, error: 'Enter a valid 10-digit mobile number' });
+        }
+
+        if (businessType && !BUSINESS_TYPES.includes(businessType)) {
+            return res.status(400).json({ success: false, error: `Business type must be one of: ${BUSINESS_TYPES.join(', ')}` });
+        }
+
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ success: false, error: passwordError });
+        }
+
         if (useMockData) {
             return res.status(503).json({ 
                 success: false, 
-                error: 'Signup requires Supabase connection' 
+                error: 'Signup requires Supabase connection; in mock mode sign in with MOCK_LOGIN_USERNAME / MOCK_LOGIN_PASSWORD'
             });
         }
 
+        const username = email.toLowerCase().trim();
+
         // Check if username/email already exists
         const { data: existingUser } = await supabase
             .from('restaurant_auth')
             .select('id')
-            .eq('username', email.toLowerCase().trim())
+            .eq('username', username)
             .single();
 
         if (existingUser) {
@@ -194,11 +794,17 @@ app.post('/api/auth/signup', async (req, res) => {
             });
         }
 
-        // 1. Create restaurant entry (only using columns that exist in schema)
+        // 1. Create the restaurant with everything captured by the wizard
         const { data: restaurant, error: restaurantError } = await supabase
             .from('restaurants')
             .insert({
-                name: restaurantName
+                name: restaurantName.trim(),
+                owner_name: ownerName.trim(),
+                phone: mobile.replace(/[\s-]/g, ''),
+                email: username,
+                city: city.trim(),
+                business_type: businessType || 'Restaurant',
+                is_live: false
             })
             .select()
             .single();
@@ -214,13 +820,18 @@ app.post('/api/auth/signup', async (req, res) => {
         // 2. Hash password and create auth credentials
         const passwordHash = await bcrypt.hash(password, 10);
         
-        const { error: authError } = await supabase
+        const { data: authRecord, error: authError } = await supabase
             .from('restaurant_auth')
             .insert({
                 restaurant_id: restaurant.id,
-                username: email.toLowerCase().trim(),
-                password_hash: passwordHash
-            });
+                username,
+                password_hash: passwordHash,
+                role: 'owner',
+                display_name: ownerName.trim(),
+                email_verified: false
+            })
+            .select('id, username, role')
+            .single();
 
         if (authError) {
             console.error('Auth creation error:', authError);
@@ -232,15 +843,24 @@ app.post('/api/auth/signup', async (req, res) => {
             });
         }
 
-        console.log(`✅ Signup successful: ${restaurantName} (ID: ${restaurant.id})`);
+        // 3. Verification email — the account can sign in once it's confirmed
+        await sendVerificationEmail(authRecord, restaurant.name);
 
-        res.json({
+        recordAudit(req, {
+            action: 'auth.signup',
+            entityType: 'restaurant',
+            entityId: restaurant.id,
+            after: { name: restaurant.name, city: restaurant.city, businessType: restaurant.business_type },
+            restaurantId: restaurant.id,
+            actor: auditActor(authRecord)
+        });
+
+        console.log(`✅ Signup successful: ${restaurant.name} (ID: ${restaurant.id}), awaiting email verification`);
+
+        res.status(201).json({
             success: true,
-            data: {
-                restaurantId: restaurant.id,
-                restaurantName: restaurant.name,
-                username: email.toLowerCase().trim()
-            }
+            data: { email: username, verificationRequired: true },
+            message: `We sent a confirmation link to ${username}`
         });
 
     } catch (error) {
@@ -249,494 +869,3300 @@ app.post('/api/auth/signup', async (req, res) => {
     }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        message: 'MyEzz Restaurant API is running',
-        mode: useMockData ? 'MOCK - No Supabase required' : 'PRODUCTION - Connected to Supabase'
-    });
-});
+// Confirm an email address from the verification link: the account goes live and is signed in
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
 
-// --- MOCK DATA TRUTH STORE (For Reports Fallback) ---
-// This ensures all charts and metrics are mathematically consistent
+        if (!token) {
+            return res.status(400).json({ success: false, error: 'Verification token is required' });
+        }
 
-const generateHourlyData = (hours) => {
-    return Array.from({ length: hours }, (_, i) => ({
-        time: `${i + 9}:00`, // 9 AM start
-        sales: Math.floor(Math.random() * 4000) + 500,
-        orders: Math.floor(Math.random() * 12) + 2
-    }));
-};
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Email verification requires Supabase connection' });
+        }
 
-const generateDailyData = (days) => {
-    const dates = [];
-    for (let i = days - 1; i >= 0; i--) {
-        const d = new Date();
-        d.setDate(d.getDate() - i);
-        dates.push(d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-    }
-    return dates.map(date => ({
-        date,
-        sales: Math.floor(Math.random() * 25000) + 8000,
-        orders: Math.floor(Math.random() * 70) + 20
-    }));
-};
+        const invalidToken = {
+            success: false,
+            code: 'VERIFY_TOKEN_INVALID',
+            error: 'This confirmation link is invalid or has expired'
+        };
 
-// Initialize the Truth Store
-const mockStore = {
-    today: generateHourlyData(13), // 9 AM to 9 PM
-    yesterday: generateHourlyData(13),
-    week: generateDailyData(7)
-};
+        const { data: verifyRecord } = await supabase
+            .from('email_verification_tokens')
+            .select('id, auth_id, expires_at, used_at')
+            .eq('token_hash', hashToken(token))
+            .single();
 
-const mockMenuItems = [
-    { id: 101, name: 'Paneer Butter Masala', category: 'Main Course', price: 250, isVeg: true, inStock: true },
-    { id: 102, name: 'Chicken Biryani', category: 'Main Course', price: 300, isVeg: false, inStock: true },
-    { id: 103, name: 'Veg Hakka Noodles', category: 'Main Course', price: 180, isVeg: true, inStock: true },
-    { id: 104, name: 'Mango Juice', category: 'Beverages', price: 120, isVeg: true, inStock: true },
-    { id: 105, name: 'Garlic Naan', category: 'Breads', price: 50, isVeg: true, inStock: true },
-];
+        if (!verifyRecord || verifyRecord.used_at || new Date(verifyRecord.expires_at) < new Date()) {
+            return res.status(400).json(invalidToken);
+        }
 
-// Helper: Get Date Range for Supabase Queries
-const getDateRange = (range) => {
-    const now = new Date();
-    const end = new Date(now);
-    end.setHours(23, 59, 59, 999); // End of today (or relative range end)
+        const { data: claimed } = await supabase
+            .from('email_verification_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('id', verifyRecord.id)
+            .is('used_at', null)
+            .select('id');
 
-    const start = new Date(now);
+        if (!claimed?.length) {
+            return res.status(400).json(invalidToken);
+        }
 
-    if (range === 'today') {
-        start.setHours(0, 0, 0, 0);
-    } else if (range === 'yesterday') {
-        start.setDate(start.getDate() - 1);
-        start.setHours(0, 0, 0, 0);
-        end.setDate(end.getDate() - 1);
-        end.setHours(23, 59, 59, 999);
-    } else if (range === '7days') {
-        start.setDate(start.getDate() - 7);
-        start.setHours(0, 0, 0, 0);
-    } else if (range === '30days') {
-        start.setDate(start.getDate() - 30);
-        start.setHours(0, 0, 0, 0);
-    }
+        const { data: authRecord, error } = await supabase
+            .from('restaurant_auth')
+            .update({ email_verified: true })
+            .eq('id', verifyRecord.auth_id)
+            .select('id, restaurant_id, username, role, display_name')
+            .single();
 
-    return { start: start.toISOString(), end: end.toISOString() };
-};
+        if (error) throw error;
 
-// Helper: Check if we should use mock for reports.
-// Orders live in MongoDB (Central Backend), not Supabase,
-// so Supabase-based report queries always use mock data.
-const checkReportMockStatus = async () => {
-    return true;
-};
+        const { error: restaurantError } = await supabase
+            .from('restaurants')
+            .update({ is_live: true })
+            .eq('id', authRecord.restaurant_id);
+
+        if (restaurantError) throw restaurantError;
+
+        recordAudit(req, {
+            action: 'auth.email_verified',
+            entityType: 'staff',
+            entityId: authRecord.id,
+            before: { emailVerified: false, isLive: false },
+            after: { emailVerified: true, isLive: true },
+            restaurantId: authRecord.restaurant_id,
+            actor: auditActor(authRecord)
+        });
 
-app.get('/api/metrics/today', async (req, res) => {
-    try {
-        // Fallback to mock if orders table is missing
-        const isReportsMock = await checkReportMockStatus();
+        const data = await buildSignInPayload(req, authRecord);
+        console.log(`✅ Email verified, restaurant live: ${data.restaurantName} (ID: ${data.restaurantId})`);
 
-        if (isReportsMock) {
-            // Calculate Today's Totals from mockStore
-            const todaySales = mockStore.today.reduce((acc, curr) => acc + curr.sales, 0);
-            const todayOrders = mockStore.today.reduce((acc, curr) => acc + curr.orders, 0);
-            const todayAOV = todayOrders > 0 ? (todaySales / todayOrders) : 0;
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ success: false, error: 'Failed to verify email' });
+    }
+});
 
-            // Calculate Yesterday's Totals (for comparison)
-            const yestSales = mockStore.yesterday.reduce((acc, curr) => acc + curr.sales, 0);
-            const yestOrders = mockStore.yesterday.reduce((acc, curr) => acc + curr.orders, 0);
-            const yestAOV = yestOrders > 0 ? (yestSales / yestOrders) : 0;
+// Send a fresh verification link. Same answer whether or not the account exists.
+app.post('/api/auth/resend-verification', async (req, res) => {
+    const genericResponse = {
+        success: true,
+        message: 'If that account is waiting for confirmation, a new link has been sent'
+    };
 
-            // Calculate Percent Changes
-            const calcChange = (current, previous) => {
-                if (previous === 0) return 100;
-                return +(((current - previous) / previous) * 100).toFixed(1);
-            };
+    try {
+        const { email } = req.body;
 
-            res.json({
-                success: true,
-                data: {
-                    gmv: todaySales,
-                    totalOrders: todayOrders,
-                    averageOrderValue: +todayAOV.toFixed(0),
-                    date: new Date().toISOString().split('T')[0],
-                    hourlyTrend: mockStore.today.map(d => d.sales),
-                    percentChange: {
-                        gmv: calcChange(todaySales, yestSales),
-                        orders: calcChange(todayOrders, yestOrders),
-                        aov: calcChange(todayAOV, yestAOV)
-                    }
-                }
-            });
-            return;
+        if (!email) {
+            return res.status(400).json({ success: false, error: 'Email is required' });
         }
 
-        // ... Existing Supabase Logic from User's Branch + Reports additions ...
-        const now = new Date();
-        const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-
-        const startOfYesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
-        const endOfYesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-        // Fetch Today's Orders
-        const { data: orders, error } = await supabase
-            .from('orders')
-            .select('total, created_at')
-            .gte('created_at', startOfDay.toISOString())
-            .lt('created_at', endOfDay.toISOString());
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Email verification requires Supabase connection' });
+        }
 
-        if (error) throw error;
+        const { data: authRecord } = await supabase
+            .from('restaurant_auth')
+            .select('id, username, email_verified, restaurants(name)')
+            .eq('username', email.toLowerCase().trim())
+            .single();
 
-        // Fetch Yesterday's Orders (for comparison)
-        const { data: yesterdayOrders, error: yestError } = await supabase
-            .from('orders')
-            .select('total')
-            .gte('created_at', startOfYesterday.toISOString())
-            .lt('created_at', endOfYesterday.toISOString());
+        if (authRecord && authRecord.email_verified === false) {
+            await sendVerificationEmail(authRecord, authRecord.restaurants?.name);
+        }
 
-        if (yestError) throw yestError;
+        res.json(genericResponse);
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ success: false, error: 'Failed to send confirmation link' });
+    }
+});
 
-        // Calculate Today's metrics
-        const totalOrders = orders.length;
-        const gmv = orders.reduce((sum, order) => sum + parseFloat(order.total), 0);
-        const averageOrderValue = totalOrders > 0 ? gmv / totalOrders : 0;
+// Exchange a refresh token for a new token pair
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
 
-        // Calculate Yesterday's metrics
-        const yestTotalOrders = yesterdayOrders.length;
-        const yestGmv = yesterdayOrders.reduce((sum, order) => sum + parseFloat(order.total), 0);
-        const yestAov = yestTotalOrders > 0 ? yestGmv / yestTotalOrders : 0;
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'Refresh token is required'
+            });
+        }
 
-        // Helper for percent change
-        const calcChange = (current, previous) => {
-            if (previous === 0) return current > 0 ? 100 : 0;
-            return +(((current - previous) / previous) * 100).toFixed(1);
-        };
+        let identity;
+        try {
+            identity = verifyRefreshToken(refreshToken);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'UNAUTHORIZED',
+                error: 'Invalid or expired refresh token'
+            });
+        }
 
-        // Calculate Hourly Trend (9 AM to 9 PM window)
-        const hourlyBuckets = Array(13).fill(0);
-        orders.forEach(o => {
-            const h = new Date(o.created_at).getHours();
-            const index = h - 9; // 9 = index 0
-            if (index >= 0 && index < 13) {
-                hourlyBuckets[index] += parseFloat(o.total);
+        if (!useMockData) {
+            // Make sure the credentials still exist, are active and still have access to this outlet
+            const { data: authRecord } = await supabase
+                .from('restaurant_auth')
+                .select('id, restaurant_id, role, is_active')
+                .eq('id', identity.authId)
+                .single();
+
+            const outletRole = authRecord && authRecord.is_active !== false
+                ? await resolveOutletRole(authRecord, identity.restaurantId)
+                : null;
+
+            if (!outletRole) {
+                return res.status(401).json({
+                    success: false,
+                    code: 'UNAUTHORIZED',
+                    error: 'Account no longer active'
+                });
             }
-        });
 
-        res.json({
-            success: true,
-            data: {
-                gmv: parseFloat(gmv.toFixed(2)),
-                totalOrders,
-                averageOrderValue: parseFloat(averageOrderValue.toFixed(2)),
-                date: startOfDay.toISOString().split('T')[0],
-                hourlyTrend: hourlyBuckets,
-                percentChange: {
-                    gmv: calcChange(gmv, yestGmv),
-                    orders: calcChange(totalOrders, yestTotalOrders),
-                    aov: calcChange(averageOrderValue, yestAov)
-                }
+            if (!(await touchSession(req, identity))) {
+                return res.status(401).json(sessionRevokedResponse);
             }
-        });
 
+            // Pick up role changes made since the last token was issued
+            identity.role = outletRole;
+        }
+
+        res.json({ success: true, data: { role: identity.role, ...issueTokens(identity) } });
     } catch (error) {
-        console.error('Error fetching metrics:', error);
-        res.status(500).json({ success: false, error: 'Failed' });
+        console.error('Token refresh error:', error);
+        res.status(500).json({ success: false, error: 'Token refresh failed' });
     }
 });
 
-// Update Restaurant Details
-app.put('/api/restaurant', async (req, res) => {
+// Request a password reset link.
+// Always answers the same way so the endpoint can't be used to probe usernames.
+app.post('/api/auth/forgot-password', async (req, res) => {
+    const genericResponse = {
+        success: true,
+        message: 'If that account exists, a reset link has been sent to its email'
+    };
+
     try {
-        const id = getRestaurantId(req);
-        const { name, business_name, gstin } = req.body;
+        const { username } = req.body;
+
+        if (!username) {
+            return res.status(400).json({ success: false, error: 'Username is required' });
+        }
 
         if (useMockData) {
-            // Mock update
-            return res.json({ success: true, data: { ...req.body, id } });
+            return res.status(503).json({ success: false, error: 'Password reset requires Supabase connection' });
         }
 
-        const { data, error } = await supabase
-            .from('restaurants')
-            .update({ name, business_name, gstin })
-            .eq('id', id)
-            .select()
+        const { data: authRecord } = await supabase
+            .from('restaurant_auth')
+            .select('id, username, is_active')
+            .eq('username', username.toLowerCase().trim())
             .single();
 
+        if (!authRecord || authRecord.is_active === false) {
+            return res.json(genericResponse);
+        }
+
+        // Usernames are email addresses for owners; staff invited with a plain username can't self-serve
+        if (!authRecord.username.includes('@')) {
+            console.warn(`⚠️  Password reset requested for ${authRecord.username}, which has no email`);
+            return res.json(genericResponse);
+        }
+
+        // Only the newest link should work
+        await supabase
+            .from('password_reset_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('auth_id', authRecord.id)
+            .is('used_at', null);
+
+        const { token, tokenHash } = createOpaqueToken();
+        const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+        const { error } = await supabase
+            .from('password_reset_tokens')
+            .insert({
+                auth_id: authRecord.id,
+                token_hash: tokenHash,
+                expires_at: expiresAt.toISOString()
+            });
+
         if (error) throw error;
-        res.json({ success: true, data });
+
+        const resetUrl = `${APP_URL}/login?resetToken=${token}`;
+        await sendMail({
+            to: authRecord.username,
+            subject: 'Reset your MyEzz Partner password',
+            text: [
+                'We received a request to reset your MyEzz Partner password.',
+                '',
+                `Reset it here (valid for ${RESET_TOKEN_TTL_MINUTES} minutes, single use):`,
+                resetUrl,
+                '',
+                'If you did not ask for this, you can ignore this email.'
+            ].join('\n')
+        });
+
+        res.json(genericResponse);
     } catch (error) {
-        console.error('Error updating restaurant:', error);
-        res.status(500).json({ success: false, error: 'Failed to update restaurant details' });
+        console.error('Forgot password error:', error);
+        res.status(500).json({ success: false, error: 'Failed to send reset link' });
     }
 });
 
-// Get Restaurant Details
-app.get('/api/restaurant', async (req, res) => {
+// Set a new password using a reset token
+app.post('/api/auth/reset-password', async (req, res) => {
     try {
-        const id = getRestaurantId(req);
-        if (useMockData) return res.json({ success: true, data: { name: 'Mock Restaurant' } });
+        const { token, password } = req.body;
 
-        const { data, error } = await supabase
-            .from('restaurants')
-            .select('*')
-            .eq('id', id)
+        if (!token || !password) {
+            return res.status(400).json({ success: false, error: 'Token and new password are required' });
+        }
+
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ success: false, error: passwordError });
+        }
+
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Password reset requires Supabase connection' });
+        }
+
+        const invalidToken = {
+            success: false,
+            code: 'RESET_TOKEN_INVALID',
+            error: 'This reset link is invalid or has expired'
+        };
+
+        const { data: resetRecord } = await supabase
+            .from('password_reset_tokens')
+            .select('id, auth_id, expires_at, used_at')
+            .eq('token_hash', hashToken(token))
+            .single();
+
+        if (!resetRecord || resetRecord.used_at || new Date(resetRecord.expires_at) < new Date()) {
+            return res.status(400).json(invalidToken);
+        }
+
+        // Claim the token before changing anything so two requests can't both use it
+        const { data: claimed } = await supabase
+            .from('password_reset_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('id', resetRecord.id)
+            .is('used_at', null)
+            .select('id');
+
+        if (!claimed?.length) {
+            return res.status(400).json(invalidToken);
+        }
+
+        const passwordHash = await bcrypt.hash(password, 10);
+        const { data: authRecord, error } = await supabase
+            .from('restaurant_auth')
+            .update({ password_hash: passwordHash })
+            .eq('id', resetRecord.auth_id)
+            .select('id, restaurant_id, username, role')
             .single();
 
         if (error) throw error;
-        res.json({ success: true, data });
+
+        // Whoever knew the old password is signed out everywhere
+        await revokeSessions({ auth_id: resetRecord.auth_id });
+
+        recordAudit(req, {
+            action: 'auth.password_reset',
+            entityType: 'staff',
+            entityId: authRecord.id,
+            restaurantId: authRecord.restaurant_id,
+            actor: auditActor(authRecord)
+        });
+
+        console.log(`✅ Password reset for auth ${resetRecord.auth_id}`);
+        res.json({ success: true, message: 'Password updated. You can now sign in.' });
     } catch (error) {
-        console.error('Error fetching restaurant:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch restaurant details' });
+        console.error('Reset password error:', error);
+        res.status(500).json({ success: false, error: 'Failed to reset password' });
     }
 });
 
-// ============================================
-// Menu Items API Endpoints
-// ============================================
-
-// Get all menu items
-app.get('/api/menu', async (req, res) => {
+// Change password for the signed-in user
+app.post('/api/auth/change-password', requireAuth, requireLiveSession, async (req, res) => {
     try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ success: false, error: 'Current and new password are required' });
+        }
+
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ success: false, error: passwordError });
+        }
+
         if (useMockData) {
-            console.log('DEBUG: Serving Mock Menu Items');
-            return res.json({ success: true, data: mockMenuItems }); 
+            return res.status(503).json({ success: false, error: 'Changing password requires Supabase connection' });
         }
 
-        const restaurantId = getRestaurantId(req);
+        // Guesses at the current password count towards the same lockout as logins
+        const { username } = req.auth;
+        const blocked = checkLoginAllowed({ username, ip: req.ip });
+        if (blocked) {
+            logLoginAttempt(req, username, blocked.code === 'ACCOUNT_LOCKED' ? 'locked' : 'rate_limited');
+            return sendLoginBlocked(res, blocked);
+        }
 
-        // Fetch items joined with categories
-        const { data, error } = await supabase
-            .from('menu_items')
-            .select('*, categories(name)')
-            .eq('restaurant_id', restaurantId)
-            .order('name');
+        const { data: authRecord } = await supabase
+            .from('restaurant_auth')
+            .select('id, password_hash')
+            .eq('id', req.auth.authId)
+            .single();
+
+        if (!authRecord || !(await bcrypt.compare(currentPassword, authRecord.password_hash))) {
+            logLoginAttempt(req, username, 'bad_password');
+            const { attemptsRemaining, retryAfter } = recordLoginFailure({ username });
+            if (retryAfter) {
+                return sendLoginBlocked(res, { code: 'ACCOUNT_LOCKED', retryAfter });
+            }
+            // 400, not 401: the session itself is fine
+            return res.status(400).json({ success: false, error: 'Current password is incorrect', attemptsRemaining });
+        }
+        recordLoginSuccess({ username });
+
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+        const { error } = await supabase
+            .from('restaurant_auth')
+            .update({ password_hash: passwordHash })
+            .eq('id', authRecord.id);
 
         if (error) throw error;
 
-        // Transform to frontend format
-        const transformedItems = data.map(item => ({
-            id: item.id,
-            name: item.name,
-            category: item.categories?.name || 'Uncategorized',
-            price: parseFloat(item.price),
-            inStock: true, 
-            isVeg: item.is_veg,
-            imageUrl: null 
-        }));
+        // Keep this device signed in, sign out every other one
+        await revokeSessions({ auth_id: authRecord.id }, req.auth.sessionId);
 
-        res.json({
-            success: true,
-            data: transformedItems
-        });
+        recordAudit(req, { action: 'auth.password_changed', entityType: 'staff', entityId: authRecord.id });
+
+        res.json({ success: true, message: 'Password changed. Other devices have been signed out.' });
     } catch (error) {
-        console.error('Error fetching menu items:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch menu items' });
+        console.error('Change password error:', error);
+        res.status(500).json({ success: false, error: 'Failed to change password' });
     }
 });
 
-// Get all categories
-app.get('/api/categories', async (req, res) => {
+// Sign out the current device
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
     try {
-        if (useMockData) return res.json({ success: true, data: [] });
+        if (req.auth.sessionId) {
+            await revokeSessions({ id: req.auth.sessionId, auth_id: req.auth.authId });
+        }
+        recordAudit(req, { action: 'auth.logout', entityType: 'session', entityId: req.auth.sessionId });
+        res.json({ success: true, message: 'Signed out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, error: 'Failed to sign out' });
+    }
+});
 
-        const { data, error } = await supabase
-            .from('categories')
-            .select('id, name')
-            .order('name');
+// List active sessions. Owners see every session in their restaurant (plus their own
+// from other outlets), everyone else just their own.
+app.get('/api/auth/sessions', requireAuth, requireLiveSession, async (req, res) => {
+    try {
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Sessions require Supabase connection' });
+        }
+
+        let query = supabase
+            .from('auth_sessions')
+            .select('id, auth_id, device, ip_address, created_at, last_seen_at, restaurant_auth(username, display_name)')
+            .is('revoked_at', null)
+            .order('last_seen_at', { ascending: false });
 
+        query = req.auth.role === 'owner'
+            ? query.or(`auth_id.eq.${req.auth.authId},restaurant_id.eq.${req.auth.restaurantId}`)
+            : query.eq('auth_id', req.auth.authId);
+
+        const { data, error } = await query;
         if (error) throw error;
 
         res.json({
             success: true,
-            data: data
+            data: data.map(session => ({
+                id: session.id,
+                device: session.device,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastSeenAt: session.last_seen_at,
+                username: session.restaurant_auth?.username,
+                displayName: session.restaurant_auth?.display_name || session.restaurant_auth?.username,
+                isOwn: session.auth_id === req.auth.authId,
+                isCurrent: session.id === req.auth.sessionId
+            }))
         });
     } catch (error) {
-        console.error('Error fetching categories:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch categories' });
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch sessions' });
     }
 });
 
-// Add menu item
-app.post('/api/menu', async (req, res) => {
+// Revoke one session (your own, or — for owners — any in the restaurant)
+app.delete('/api/auth/sessions/:id', requireAuth, requireLiveSession, async (req, res) => {
     try {
-        const { name, category, price, isVeg } = req.body;
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Sessions require Supabase connection' });
+        }
 
-        if (useMockData) return res.status(500).json({ error: 'Supabase not connected' });
+        const { data: session } = await supabase
+            .from('auth_sessions')
+            .select('id, auth_id, restaurant_id')
+            .eq('id', req.params.id)
+            .maybeSingle();
 
-        // 1. Find category ID from name
-        const { data: catData, error: catError } = await supabase
-            .from('categories')
-            .select('id')
-            .eq('name', category)
+        const isAllowed = session && (
+            session.auth_id === req.auth.authId ||
+            (req.auth.role === 'owner' && session.restaurant_id === req.auth.restaurantId)
+        );
+
+        if (!isAllowed) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
+        }
+
+        await revokeSessions({ id: session.id });
+        recordAudit(req, {
+            action: 'auth.session_revoked',
+            entityType: 'session',
+            entityId: session.id,
+            before: { authId: session.auth_id }
+        });
+        res.json({ success: true, message: 'Session signed out' });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ success: false, error: 'Failed to sign out session' });
+    }
+});
+
+// Log out everywhere: revoke every session of the signed-in user, this one included
+app.post('/api/auth/sessions/revoke-all', requireAuth, requireLiveSession, async (req, res) => {
+    try {
+        await revokeSessions({ auth_id: req.auth.authId });
+        recordAudit(req, { action: 'auth.logout_everywhere', entityType: 'staff', entityId: req.auth.authId });
+        res.json({ success: true, message: 'Signed out on all devices' });
+    } catch (error) {
+        console.error('Error revoking all sessions:', error);
+        res.status(500).json({ success: false, error: 'Failed to sign out everywhere' });
+    }
+});
+
+// Outlets this login can switch between
+app.get('/api/auth/outlets', requireAuth, requireLiveSession, async (req, res) => {
+    try {
+        if (useMockData) {
+            return res.json({
+                success: true,
+                data: [{ restaurantId: req.auth.restaurantId, name: 'Mock Restaurant', city: null, role: req.auth.role }]
+            });
+        }
+
+        const { data: authRecord, error } = await supabase
+            .from('restaurant_auth')
+            .select('id, restaurant_id, role')
+            .eq('id', req.auth.authId)
             .single();
-        
-        if (catError) {
-             console.error('Category lookup failed:', catError);
-             return res.status(400).json({ error: 'Invalid category' });
+        if (error) throw error;
+
+        res.json({ success: true, data: await listOutlets(authRecord) });
+    } catch (error) {
+        console.error('Error fetching outlets:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch outlets' });
+    }
+});
+
+// Re-scope this session to another linked outlet: same session, new token pair
+app.post('/api/auth/switch-outlet', requireAuth, requireLiveSession, async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.body.restaurantId);
+
+        if (!restaurantId) {
+            return res.status(400).json({ success: false, error: 'restaurantId is required' });
         }
 
-        // 2. Insert item
-        const { data, error } = await supabase
-            .from('menu_items')
-            .insert([{
-                name,
-                category_id: catData.id,
-                price,
-                is_veg: isVeg,
-                restaurant_id: getRestaurantId(req),
-            }])
-            .select();
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Switching outlets requires Supabase connection' });
+        }
+
+        const { data: authRecord } = await supabase
+            .from('restaurant_auth')
+            .select('id, restaurant_id, username, role, is_active')
+            .eq('id', req.auth.authId)
+            .single();
+
+        if (authRecord?.is_active === false) {
+            return res.status(403).json({
+                success: false,
+                code: 'ACCOUNT_DISABLED',
+                error: 'This account has been disabled. Contact your restaurant owner.'
+            });
+        }
+
+        const role = authRecord ? await resolveOutletRole(authRecord, restaurantId) : null;
+        if (!role) {
+            return res.status(403).json({ success: false, code: 'FORBIDDEN', error: "You don't have access to that outlet" });
+        }
+
+        const { data: restaurant } = await supabase
+            .from('restaurants')
+            .select('id, name')
+            .eq('id', restaurantId)
+            .single();
+
+        const tokens = issueTokens({
+            authId: authRecord.id,
+            restaurantId,
+            username: authRecord.username,
+            role,
+            sessionId: req.auth.sessionId
+        });
 
+        recordAudit(req, {
+            action: 'auth.outlet_switched',
+            entityType: 'session',
+            entityId: req.auth.sessionId,
+            before: { restaurantId: req.auth.restaurantId },
+            after: { restaurantId },
+            restaurantId,
+            actor: { ...req.auth, role }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                restaurantId,
+                restaurantName: restaurant?.name || 'Restaurant',
+                role,
+                ...tokens
+            }
+        });
+    } catch (error) {
+        console.error('Error switching outlet:', error);
+        res.status(500).json({ success: false, error: 'Failed to switch outlet' });
+    }
+});
+
+// ---- Two-factor authentication (owner accounts) ----
+const requireOwnerSession = [requireAuth, requireLiveSession, requireRole('owner')];
+
+const twoFactorUnavailable = (res) => res.status(503).json({
+    success: false,
+    error: 'Two-factor authentication requires Supabase connection'
+});
+
+// Current 2FA status
+app.get('/api/auth/2fa', requireOwnerSession, async (req, res) => {
+    try {
+        if (useMockData) return twoFactorUnavailable(res);
+
+        const { data: authRecord, error } = await supabase
+            .from('restaurant_auth')
+            .select('totp_enabled')
+            .eq('id', req.auth.authId)
+            .single();
         if (error) throw error;
 
-        res.json({ success: true, data: data[0] });
+        const { count } = await supabase
+            .from('auth_recovery_codes')
+            .select('id', { count: 'exact', head: true })
+            .eq('auth_id', req.auth.authId)
+            .is('used_at', null);
+
+        res.json({
+            success: true,
+            data: {
+                enabled: Boolean(authRecord.totp_enabled),
+                recoveryCodesRemaining: authRecord.totp_enabled ? count || 0 : 0
+            }
+        });
     } catch (error) {
-        console.error('Error adding item:', error);
-        res.status(500).json({ success: false, error: error.message });
+        console.error('Error fetching 2FA status:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch two-factor status' });
     }
 });
 
-// Delete menu item
-app.delete('/api/menu/:id', async (req, res) => {
+// Start enrolment: new secret + QR code. 2FA stays off until /enable confirms a code.
+app.post('/api/auth/2fa/setup', requireOwnerSession, async (req, res) => {
     try {
-        const { id } = req.params;
-        if (useMockData) return res.status(500).json({ error: 'Supabase not connected' });
+        if (useMockData) return twoFactorUnavailable(res);
 
+        const { data: authRecord } = await supabase
+            .from('restaurant_auth')
+            .select('id, totp_enabled')
+            .eq('id', req.auth.authId)
+            .single();
+
+        if (authRecord?.totp_enabled) {
+            return res.status(409).json({ success: false, error: 'Two-factor authentication is already on' });
+        }
+
+        const secret = generateTotpSecret();
         const { error } = await supabase
-            .from('menu_items')
-            .delete()
-            .eq('id', id);
+            .from('restaurant_auth')
+            .update({ totp_secret: secret, totp_last_step: null })
+            .eq('id', req.auth.authId);
+        if (error) throw error;
+
+        const otpauthUrl = buildOtpauthUrl(secret, req.auth.username);
+        res.json({
+            success: true,
+            data: {
+                secret,
+                otpauthUrl,
+                qrCode: await QRCode.toDataURL(otpauthUrl)
+            }
+        });
+    } catch (error) {
+        console.error('Error starting 2FA setup:', error);
+        res.status(500).json({ success: false, error: 'Failed to start two-factor setup' });
+    }
+});
+
+// Finish enrolment with a code from the app; returns the recovery codes (shown once)
+app.post('/api/auth/2fa/enable', requireOwnerSession, async (req, res) => {
+    try {
+        if (useMockData) return twoFactorUnavailable(res);
+
+        const { data: authRecord } = await supabase
+            .from('restaurant_auth')
+            .select('id, totp_enabled, totp_secret, totp_last_step')
+            .eq('id', req.auth.authId)
+            .single();
 
+        if (!authRecord?.totp_secret || authRecord.totp_enabled) {
+            return res.status(400).json({ success: false, error: 'Start two-factor setup first' });
+        }
+
+        if (!(await consumeTotpCode(authRecord, req.body.code))) {
+            return res.status(400).json({ success: false, code: 'TOTP_INVALID', error: 'Invalid verification code' });
+        }
+
+        const { error } = await supabase
+            .from('restaurant_auth')
+            .update({ totp_enabled: true })
+            .eq('id', authRecord.id);
         if (error) throw error;
-        res.json({ success: true });
+
+        const recoveryCodes = await issueRecoveryCodes(authRecord.id);
+
+        recordAudit(req, {
+            action: 'auth.2fa_enabled',
+            entityType: 'staff',
+            entityId: authRecord.id,
+            before: { twoFactor: false },
+            after: { twoFactor: true }
+        });
+
+        console.log(`🔐 2FA enabled for auth ${authRecord.id}`);
+        res.json({ success: true, data: { recoveryCodes } });
+    } catch (error) {
+        console.error('Error enabling 2FA:', error);
+        res.status(500).json({ success: false, error: 'Failed to turn on two-factor authentication' });
+    }
+});
+
+// Replace the recovery codes (needs a current authenticator code)
+app.post('/api/auth/2fa/recovery-codes', requireOwnerSession, async (req, res) => {
+    try {
+        if (useMockData) return twoFactorUnavailable(res);
+
+        const { data: authRecord } = await supabase
+            .from('restaurant_auth')
+            .select('id, totp_enabled, totp_secret, totp_last_step')
+            .eq('id', req.auth.authId)
+            .single();
+
+        if (!authRecord?.totp_enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is off' });
+        }
+
+        if (!(await consumeTotpCode(authRecord, req.body.code))) {
+            return res.status(400).json({ success: false, code: 'TOTP_INVALID', error: 'Invalid verification code' });
+        }
+
+        const recoveryCodes = await issueRecoveryCodes(authRecord.id);
+        recordAudit(req, { action: 'auth.recovery_codes_regenerated', entityType: 'staff', entityId: authRecord.id });
+
+        res.json({ success: true, data: { recoveryCodes } });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate recovery codes' });
+    }
+});
+
+// Turn 2FA off: needs the password and a second factor
+app.post('/api/auth/2fa/disable', requireOwnerSession, async (req, res) => {
+    try {
+        if (useMockData) return twoFactorUnavailable(res);
+
+        const { password } = req.body;
+        if (!password) {
+            return res.status(400).json({ success: false, error: 'Password is required' });
+        }
+
+        const { data: authRecord } = await supabase
+            .from('restaurant_auth')
+            .select('id, password_hash, totp_enabled, totp_secret, totp_last_step')
+            .eq('id', req.auth.authId)
+            .single();
+
+        if (!authRecord?.totp_enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is off' });
+        }
+
+        if (!(await bcrypt.compare(password, authRecord.password_hash))) {
+            return res.status(400).json({ success: false, error: 'Password is incorrect' });
+        }
+
+        if (!(await verifySecondFactor(req.body, authRecord))) {
+            return res.status(400).json({ success: false, code: 'TOTP_INVALID', error: 'Invalid verification code' });
+        }
+
+        const { error } = await supabase
+            .from('restaurant_auth')
+            .update({ totp_enabled: false, totp_secret: null, totp_last_step: null })
+            .eq('id', authRecord.id);
+        if (error) throw error;
+
+        await supabase.from('auth_recovery_codes').delete().eq('auth_id', authRecord.id);
+
+        recordAudit(req, {
+            action: 'auth.2fa_disabled',
+            entityType: 'staff',
+            entityId: authRecord.id,
+            before: { twoFactor: true },
+            after: { twoFactor: false }
+        });
+
+        console.log(`🔓 2FA disabled for auth ${authRecord.id}`);
+        res.json({ success: true, message: 'Two-factor authentication turned off' });
+    } catch (error) {
+        console.error('Error disabling 2FA:', error);
+        res.status(500).json({ success: false, error: 'Failed to turn off two-factor authentication' });
+    }
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'ok',
+        message: 'MyEzz Restaurant API is running',
+        mode: useMockData ? 'MOCK - No Supabase required' : 'PRODUCTION - Connected to Supabase'
+    });
+});
+
+// ============================================
+// PROTECTED ROUTES
+// ============================================
+// Every /api/* route registered below requires a valid access token from a
+// session that hasn't been revoked, and is scoped to the restaurant inside that token.
+app.use('/api', requireAuth, requireLiveSession, resolveTenant);
+
+// --- MOCK DATA TRUTH STORE (For Reports Fallback) ---
+// This ensures all charts and metrics are mathematically consistent
+
+const generateHourlyData = (hours) => {
+    return Array.from({ length: hours }, (_, i) => ({
+        time: `${i + 9}:00`, // 9 AM start
+        sales: Math.floor(Math.random() * 4000) + 500,
+        orders: Math.floor(Math.random() * 12) + 2
+    }));
+};
+
+const generateDailyData = (days) => {
+    const dates = [];
+    for (let i = days - 1; i >= 0; i--) {
+        const d = new Date();
+        d.setDate(d.getDate() - i);
+        dates.push(d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+    }
+    return dates.map(date => ({
+        date,
+        sales: Math.floor(Math.random() * 25000) + 8000,
+        orders: Math.floor(Math.random() * 70) + 20
+    }));
+};
+
+// Initialize the Truth Store
+const mockStore = {
+    today: generateHourlyData(13), // 9 AM to 9 PM
+    yesterday: generateHourlyData(13),
+    week: generateDailyData(7)
+};
+
+const mockMenuItems = [
+    { id: 101, name: 'Paneer Butter Masala', category: 'Main Course', price: 250, isVeg: true, inStock: true },
+    { id: 102, name: 'Chicken Biryani', category: 'Main Course', price: 300, isVeg: false, inStock: true },
+    { id: 103, name: 'Veg Hakka Noodles', category: 'Main Course', price: 180, isVeg: true, inStock: true },
+    { id: 104, name: 'Mango Juice', category: 'Beverages', price: 120, isVeg: true, inStock: true },
+    { id: 105, name: 'Garlic Naan', category: 'Breads', price: 50, isVeg: true, inStock: true },
+];
+
+// Helper: Get Date Range for Supabase Queries
+const getDateRange = (range) => {
+    const now = new Date();
+    const end = new Date(now);
+    end.setHours(23, 59, 59, 999); // End of today (or relative range end)
+
+    const start = new Date(now);
+
+    if (range === 'today') {
+        start.setHours(0, 0, 0, 0);
+    } else if (range === 'yesterday') {
+        start.setDate(start.getDate() - 1);
+        start.setHours(0, 0, 0, 0);
+        end.setDate(end.getDate() - 1);
+        end.setHours(23, 59, 59, 999);
+    } else if (range === '7days') {
+        start.setDate(start.getDate() - 7);
+        start.setHours(0, 0, 0, 0);
+    } else if (range === '30days') {
+        start.setDate(start.getDate() - 30);
+        start.setHours(0, 0, 0, 0);
+    }
+
+    return { start: start.toISOString(), end: end.toISOString() };
+};
+
+// Helper: Check if we should use mock for reports.
+// Orders live in MongoDB (Central Backend), not Supabase,
+// so Supabase-based report queries always use mock data.
+const checkReportMockStatus = async () => {
+    return true;
+};
+
+app.get('/api/metrics/today', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        // Fallback to mock if orders table is missing
+        const isReportsMock = await checkReportMockStatus();
+
+        if (isReportsMock) {
+            // Calculate Today's Totals from mockStore
+            const todaySales = mockStore.today.reduce((acc, curr) => acc + curr.sales, 0);
+            const todayOrders = mockStore.today.reduce((acc, curr) => acc + curr.orders, 0);
+            const todayAOV = todayOrders > 0 ? (todaySales / todayOrders) : 0;
+
+            // Calculate Yesterday's Totals (for comparison)
+            const yestSales = mockStore.yesterday.reduce((acc, curr) => acc + curr.sales, 0);
+            const yestOrders = mockStore.yesterday.reduce((acc, curr) => acc + curr.orders, 0);
+            const yestAOV = yestOrders > 0 ? (yestSales / yestOrders) : 0;
+
+            // Calculate Percent Changes
+            const calcChange = (current, previous) => {
+                if (previous === 0) return 100;
+                return +(((current - previous) / previous) * 100).toFixed(1);
+            };
+
+            res.json({
+                success: true,
+                data: {
+                    gmv: todaySales,
+                    totalOrders: todayOrders,
+                    averageOrderValue: +todayAOV.toFixed(0),
+                    date: new Date().toISOString().split('T')[0],
+                    hourlyTrend: mockStore.today.map(d => d.sales),
+                    percentChange: {
+                        gmv: calcChange(todaySales, yestSales),
+                        orders: calcChange(todayOrders, yestOrders),
+                        aov: calcChange(todayAOV, yestAOV)
+                    }
+                }
+            });
+            return;
+        }
+
+        // ... Existing Supabase Logic from User's Branch + Reports additions ...
+        const now = new Date();
+        const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+
+        const startOfYesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+        const endOfYesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+        // Fetch Today's Orders
+        const { data: orders, error } = await supabase
+            .from('orders')
+            .select('total, created_at')
+            .gte('created_at', startOfDay.toISOString())
+            .lt('created_at', endOfDay.toISOString());
+
+        if (error) throw error;
+
+        // Fetch Yesterday's Orders (for comparison)
+        const { data: yesterdayOrders, error: yestError } = await supabase
+            .from('orders')
+            .select('total')
+            .gte('created_at', startOfYesterday.toISOString())
+            .lt('created_at', endOfYesterday.toISOString());
+
+        if (yestError) throw yestError;
+
+        // Calculate Today's metrics
+        const totalOrders = orders.length;
+        const gmv = orders.reduce((sum, order) => sum + parseFloat(order.total), 0);
+        const averageOrderValue = totalOrders > 0 ? gmv / totalOrders : 0;
+
+        // Calculate Yesterday's metrics
+        const yestTotalOrders = yesterdayOrders.length;
+        const yestGmv = yesterdayOrders.reduce((sum, order) => sum + parseFloat(order.total), 0);
+        const yestAov = yestTotalOrders > 0 ? yestGmv / yestTotalOrders : 0;
+
+        // Helper for percent change
+        const calcChange = (current, previous) => {
+            if (previous === 0) return current > 0 ? 100 : 0;
+            return +(((current - previous) / previous) * 100).toFixed(1);
+        };
+
+        // Calculate Hourly Trend (9 AM to 9 PM window)
+        const hourlyBuckets = Array(13).fill(0);
+        orders.forEach(o => {
+            const h = new Date(o.created_at).getHours();
+            const index = h - 9; // 9 = index 0
+            if (index >= 0 && index < 13) {
+                hourlyBuckets[index] += parseFloat(o.total);
+            }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                gmv: parseFloat(gmv.toFixed(2)),
+                totalOrders,
+                averageOrderValue: parseFloat(averageOrderValue.toFixed(2)),
+                date: startOfDay.toISOString().split('T')[0],
+                hourlyTrend: hourlyBuckets,
+                percentChange: {
+                    gmv: calcChange(gmv, yestGmv),
+                    orders: calcChange(totalOrders, yestTotalOrders),
+                    aov: calcChange(averageOrderValue, yestAov)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching metrics:', error);
+        res.status(500).json({ success: false, error: 'Failed' });
+    }
+});
+
+// Update Restaurant Details
+app.put('/api/restaurant', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        const id = getRestaurantId(req);
+        const { name, business_name, gstin } = req.body;
+
+        if (useMockData) {
+            // Mock update
+            return res.json({ success: true, data: { ...req.body, id } });
+        }
+
+        const { data: before } = await supabase
+            .from('restaurants')
+            .select('name, business_name, gstin')
+            .eq('id', id)
+            .single();
+
+        const { data, error } = await supabase
+            .from('restaurants')
+            .update({ name, business_name, gstin })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        recordAudit(req, {
+            action: 'restaurant.update',
+            entityType: 'restaurant',
+            entityId: id,
+            before,
+            after: { name: data.name, business_name: data.business_name, gstin: data.gstin }
+        });
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Error updating restaurant:', error);
+        res.status(500).json({ success: false, error: 'Failed to update restaurant details' });
+    }
+});
+
+// Get Restaurant Details
+app.get('/api/restaurant', async (req, res) => {
+    try {
+        const id = getRestaurantId(req);
+        if (useMockData) return res.json({ success: true, data: { name: 'Mock Restaurant' } });
+
+        const { data, error } = await supabase
+            .from('restaurants')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error) throw error;
+
+        // Bank and payout details are owner-only
+        if (req.auth.role !== 'owner') {
+            delete data.bank_account;
+            delete data.ifsc_code;
+            delete data.bank_name;
+        }
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Error fetching restaurant:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch restaurant details' });
+    }
+});
+
+// Auto-accept rules (see autoAccept.js for the format)
+app.get('/api/restaurant/auto-accept', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await getAutoAcceptRules(getRestaurantId(req)) });
+    } catch (error) {
+        console.error('Error fetching auto-accept rules:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch auto-accept rules' });
+    }
+});
+
+app.put('/api/restaurant/auto-accept', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Auto-accept rules require Supabase connection' });
+        }
+
+        const { error: validationError, rules } = normalizeAutoAcceptRules(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const id = getRestaurantId(req);
+        const before = await getAutoAcceptRules(id);
+        const { error } = await supabase
+            .from('restaurants')
+            .update({ auto_accept_rules: rules })
+            .eq('id', id);
+        if (error) throw error;
+
+        resetAutoAccept(id);
+        recordAudit(req, {
+            action: 'restaurant.auto_accept_updated',
+            entityType: 'restaurant',
+            entityId: id,
+            before,
+            after: rules
+        });
+
+        res.json({ success: true, data: rules });
+    } catch (error) {
+        console.error('Error updating auto-accept rules:', error);
+        res.status(500).json({ success: false, error: 'Failed to update auto-accept rules' });
+    }
+});
+
+// Acceptance SLA: minutes a new order may wait before it's rejected automatically
+app.get('/api/restaurant/acceptance-sla', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        const { acceptanceSlaMinutes } = await getOrderSettings(getRestaurantId(req));
+        res.json({ success: true, data: { minutes: acceptanceSlaMinutes } });
+    } catch (error) {
+        console.error('Error fetching acceptance SLA:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch acceptance time limit' });
+    }
+});
+
+app.put('/api/restaurant/acceptance-sla', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Acceptance time limit requires Supabase connection' });
+        }
+
+        const minutes = Number(req.body.minutes);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_ACCEPTANCE_SLA_MINUTES) {
+            return res.status(400).json({
+                success: false,
+                error: `minutes must be a whole number between 1 and ${MAX_ACCEPTANCE_SLA_MINUTES}`
+            });
+        }
+
+        const id = getRestaurantId(req);
+        const { acceptanceSlaMinutes: before } = await getOrderSettings(id);
+        const { error } = await supabase
+            .from('restaurants')
+            .update({ acceptance_sla_minutes: minutes })
+            .eq('id', id);
+        if (error) throw error;
+
+        orderSettingsCache.delete(id);
+        refreshOrderStream(id);
+        recordAudit(req, {
+            action: 'restaurant.acceptance_sla_updated',
+            entityType: 'restaurant',
+            entityId: id,
+            before: { minutes: before },
+            after: { minutes }
+        });
+
+        res.json({ success: true, data: { minutes } });
+    } catch (error) {
+        console.error('Error updating acceptance SLA:', error);
+        res.status(500).json({ success: false, error: 'Failed to update acceptance time limit' });
+    }
+});
+
+// Kitchen stations and item routing for the KDS (see kitchenStations.js for the format).
+// Kitchen screens read it to offer the station picker.
+app.get('/api/restaurant/kitchen-stations', requireRole('owner', 'manager', 'kitchen'), async (req, res) => {
+    try {
+        const { kitchenStations } = await getOrderSettings(getRestaurantId(req));
+        res.json({ success: true, data: kitchenStations });
+    } catch (error) {
+        console.error('Error fetching kitchen stations:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch kitchen stations' });
+    }
+});
+
+app.put('/api/restaurant/kitchen-stations', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Kitchen stations require Supabase connection' });
+        }
+
+        const { error: validationError, config } = normalizeKitchenStations(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const id = getRestaurantId(req);
+        const { kitchenStations: before } = await getOrderSettings(id);
+        const { error } = await supabase
+            .from('restaurants')
+            .update({ kitchen_stations: config })
+            .eq('id', id);
+        if (error) throw error;
+
+        orderSettingsCache.delete(id);
+        refreshOrderStream(id);
+        recordAudit(req, {
+            action: 'restaurant.kitchen_stations_updated',
+            entityType: 'restaurant',
+            entityId: id,
+            before,
+            after: config
+        });
+
+        res.json({ success: true, data: config });
+    } catch (error) {
+        console.error('Error updating kitchen stations:', error);
+        res.status(500).json({ success: false, error: 'Failed to update kitchen stations' });
+    }
+});
+
+// Printers and auto-print rules (see printers.js for the format). Every tablet
+// reads them: the one that accepts an order prints its kitchen tickets.
+app.get('/api/restaurant/printers', async (req, res) => {
+    try {
+        const { printerSettings } = await getOrderSettings(getRestaurantId(req));
+        res.json({ success: true, data: printerSettings });
+    } catch (error) {
+        console.error('Error fetching printers:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch printers' });
+    }
+});
+
+app.put('/api/restaurant/printers', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Printer settings require Supabase connection' });
+        }
+
+        const id = getRestaurantId(req);
+        const { kitchenStations, printerSettings: before } = await getOrderSettings(id);
+        const { error: validationError, config } = normalizePrinterSettings(req.body, kitchenStations.stations);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const { error } = await supabase
+            .from('restaurants')
+            .update({ printer_settings: config })
+            .eq('id', id);
+        if (error) throw error;
+
+        orderSettingsCache.delete(id);
+        recordAudit(req, {
+            action: 'restaurant.printers_updated',
+            entityType: 'restaurant',
+            entityId: id,
+            before,
+            after: config
+        });
+
+        res.json({ success: true, data: config });
+    } catch (error) {
+        console.error('Error updating printers:', error);
+        res.status(500).json({ success: false, error: 'Failed to update printers' });
+    }
+});
+
+// ============================================
+// Menu Items API Endpoints
+// ============================================
+
+// Get all menu items
+app.get('/api/menu', async (req, res) => {
+    try {
+        if (useMockData) {
+            console.log('DEBUG: Serving Mock Menu Items');
+            return res.json({ success: true, data: mockMenuItems }); 
+        }
+
+        const restaurantId = getRestaurantId(req);
+
+        // Fetch items joined with categories
+        const { data, error } = await supabase
+            .from('menu_items')
+            .select('*, categories(name)')
+            .eq('restaurant_id', restaurantId)
+            .order('name');
+
+        if (error) throw error;
+
+        // Transform to frontend format
+        const transformedItems = data.map(item => ({
+            id: item.id,
+            name: item.name,
+            category: item.categories?.name || 'Uncategorized',
+            price: parseFloat(item.price),
+            inStock: true, 
+            isVeg: item.is_veg,
+            imageUrl: null 
+        }));
+
+        res.json({
+            success: true,
+            data: transformedItems
+        });
+    } catch (error) {
+        console.error('Error fetching menu items:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch menu items' });
+    }
+});
+
+// Get all categories
+app.get('/api/categories', async (req, res) => {
+    try {
+        if (useMockData) return res.json({ success: true, data: [] });
+
+        const { data, error } = await supabase
+            .from('categories')
+            .select('id, name')
+            .order('name');
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            data: data
+        });
+    } catch (error) {
+        console.error('Error fetching categories:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch categories' });
+    }
+});
+
+// Add menu item
+app.post('/api/menu', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        const { name, category, price, isVeg } = req.body;
+
+        if (useMockData) return res.status(500).json({ error: 'Supabase not connected' });
+
+        // 1. Find category ID from name
+        const { data: catData, error: catError } = await supabase
+            .from('categories')
+            .select('id')
+            .eq('name', category)
+            .single();
+        
+        if (catError) {
+             console.error('Category lookup failed:', catError);
+             return res.status(400).json({ error: 'Invalid category' });
+        }
+
+        // 2. Insert item
+        const { data, error } = await supabase
+            .from('menu_items')
+            .insert([{
+                name,
+                category_id: catData.id,
+                price,
+                is_veg: isVeg,
+                restaurant_id: getRestaurantId(req),
+            }])
+            .select();
+
+        if (error) throw error;
+
+        recordAudit(req, {
+            action: 'menu.create',
+            entityType: 'menu_item',
+            entityId: data[0].id,
+            after: { ...data[0], category }
+        });
+
+        res.json({ success: true, data: data[0] });
+    } catch (error) {
+        console.error('Error adding item:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete menu item
+app.delete('/api/menu/:id', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (useMockData) return res.status(500).json({ error: 'Supabase not connected' });
+
+        const { data: deleted, error } = await supabase
+            .from('menu_items')
+            .delete()
+            .eq('id', id)
+            .eq('restaurant_id', getRestaurantId(req))
+            .select('*, categories(name)');
+
+        if (error) throw error;
+
+        if (deleted?.length) {
+            recordAudit(req, {
+                action: 'menu.delete',
+                entityType: 'menu_item',
+                entityId: id,
+                before: deleted[0]
+            });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// STAFF MANAGEMENT (restaurant_auth rows per restaurant)
+// ============================================
+
+// Roles an owner can hand out — there is exactly one owner per restaurant
+const ASSIGNABLE_ROLES = ROLES.filter(role => role !== 'owner');
+
+const toStaffMember = (row) => ({
+    id: row.id,
+    username: row.username,
+    displayName: row.display_name || row.username,
+    role: row.role || 'owner',
+    isActive: row.is_active !== false,
+    createdAt: row.created_at
+});
+
+// Fetch a staff row and make sure it belongs to the caller's restaurant
+const findStaffMember = async (req, staffId) => {
+    const { data } = await supabase
+        .from('restaurant_auth')
+        .select('id, restaurant_id, username, display_name, role, is_active, created_at')
+        .eq('id', staffId)
+        .eq('restaurant_id', getRestaurantId(req))
+        .single();
+    return data;
+};
+
+// List staff accounts
+app.get('/api/staff', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        if (useMockData) return res.json({ success: true, data: [] });
+
+        const { data, error } = await supabase
+            .from('restaurant_auth')
+            .select('id, username, display_name, role, is_active, created_at')
+            .eq('restaurant_id', getRestaurantId(req))
+            .order('created_at');
+
+        if (error) throw error;
+        res.json({ success: true, data: data.map(toStaffMember) });
+    } catch (error) {
+        console.error('Error fetching staff:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch staff' });
+    }
+});
+
+// Invite a staff member — returns a one-time temporary password for the owner to hand over
+app.post('/api/staff/invite', requireRole('owner'), async (req, res) => {
+    try {
+        const { username, displayName, role } = req.body;
+
+        if (!username || !ASSIGNABLE_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `Username and a role (${ASSIGNABLE_ROLES.join(', ')}) are required`
+            });
+        }
+
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Staff management requires Supabase connection' });
+        }
+
+        const normalizedUsername = username.toLowerCase().trim();
+
+        const { data: existingUser } = await supabase
+            .from('restaurant_auth')
+            .select('id')
+            .eq('username', normalizedUsername)
+            .single();
+
+        if (existingUser) {
+            return res.status(409).json({ success: false, error: 'Username already taken' });
+        }
+
+        const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+        const passwordHash = await bcrypt.hash(temporaryPassword, 10);
+
+        const { data, error } = await supabase
+            .from('restaurant_auth')
+            .insert({
+                restaurant_id: getRestaurantId(req),
+                username: normalizedUsername,
+                password_hash: passwordHash,
+                role,
+                display_name: displayName || normalizedUsername,
+                invited_by: req.auth.authId
+            })
+            .select('id, username, display_name, role, is_active, created_at')
+            .single();
+
+        if (error) throw error;
+
+        recordAudit(req, { action: 'staff.invite', entityType: 'staff', entityId: data.id, after: toStaffMember(data) });
+
+        console.log(`✅ Staff invited: ${normalizedUsername} (${role}) for restaurant ${getRestaurantId(req)}`);
+        res.json({ success: true, data: { ...toStaffMember(data), temporaryPassword } });
+    } catch (error) {
+        console.error('Error inviting staff:', error);
+        res.status(500).json({ success: false, error: 'Failed to invite staff member' });
+    }
+});
+
+// Change a staff member's role
+app.patch('/api/staff/:id/role', requireRole('owner'), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!ASSIGNABLE_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`
+            });
+        }
+
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Staff management requires Supabase connection' });
+        }
+
+        const member = await findStaffMember(req, req.params.id);
+        if (!member) return res.status(404).json({ success: false, error: 'Staff member not found' });
+        if (member.role === 'owner') {
+            return res.status(400).json({ success: false, error: 'The owner account cannot be changed' });
+        }
+
+        const { data, error } = await supabase
+            .from('restaurant_auth')
+            .update({ role })
+            .eq('id', member.id)
+            .select('id, username, display_name, role, is_active, created_at')
+            .single();
+
+        if (error) throw error;
+
+        recordAudit(req, {
+            action: 'staff.role_changed',
+            entityType: 'staff',
+            entityId: member.id,
+            before: { role: member.role },
+            after: { role: data.role }
+        });
+
+        res.json({ success: true, data: toStaffMember(data) });
+    } catch (error) {
+        console.error('Error changing staff role:', error);
+        res.status(500).json({ success: false, error: 'Failed to change role' });
+    }
+});
+
+// Disable or re-enable a staff account
+app.patch('/api/staff/:id/status', requireRole('owner'), async (req, res) => {
+    try {
+        const { isActive } = req.body;
+
+        if (typeof isActive !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'isActive must be true or false' });
+        }
+
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Staff management requires Supabase connection' });
+        }
+
+        const member = await findStaffMember(req, req.params.id);
+        if (!member) return res.status(404).json({ success: false, error: 'Staff member not found' });
+        if (member.role === 'owner') {
+            return res.status(400).json({ success: false, error: 'The owner account cannot be disabled' });
+        }
+
+        const { data, error } = await supabase
+            .from('restaurant_auth')
+            .update({ is_active: isActive })
+            .eq('id', member.id)
+            .select('id, username, display_name, role, is_active, created_at')
+            .single();
+
+        if (error) throw error;
+
+        // A disabled account is signed out of every device right away
+        if (!isActive) {
+            await revokeSessions({ auth_id: member.id });
+        }
+
+        recordAudit(req, {
+            action: isActive ? 'staff.enabled' : 'staff.disabled',
+            entityType: 'staff',
+            entityId: member.id,
+            before: { isActive: member.is_active !== false },
+            after: { isActive }
+        });
+
+        res.json({ success: true, data: toStaffMember(data) });
+    } catch (error) {
+        console.error('Error updating staff status:', error);
+        res.status(500).json({ success: false, error: 'Failed to update staff status' });
+    }
+});
+
+// ============================================
+// OUTLETS
+// ============================================
+
+// Open another outlet under the signed-in owner's login
+app.post('/api/outlets', requireRole('owner'), async (req, res) => {
+    try {
+        const { name, city, businessType } = req.body;
+
+        if (!name || !city) {
+            return res.status(400).json({ success: false, error: 'Outlet name and city are required' });
+        }
+
+        if (businessType && !BUSINESS_TYPES.includes(businessType)) {
+            return res.status(400).json({ success: false, error: `Business type must be one of: ${BUSINESS_TYPES.join(', ')}` });
+        }
+
+        if (useMockData) {
+            return res.status(503).json({ success: false, error: 'Adding outlets requires Supabase connection' });
+        }
+
+        // Contact details carry over from the outlet the owner is working in
+        const { data: current } = await supabase
+            .from('restaurants')
+            .select('owner_name, phone, email, business_type')
+            .eq('id', getRestaurantId(req))
+            .single();
+
+        const { data: restaurant, error } = await supabase
+            .from('restaurants')
+            .insert({
+                name: name.trim(),
+                city: city.trim(),
+                business_type: businessType || current?.business_type || 'Restaurant',
+                owner_name: current?.owner_name,
+                phone: current?.phone,
+                email: current?.email,
+                is_live: true
+            })
+            .select('id, name, city')
+            .single();
+
+        if (error) throw error;
+
+        const { error: membershipError } = await supabase
+            .from('restaurant_memberships')
+            .insert({ auth_id: req.auth.authId, restaurant_id: restaurant.id, role: 'owner' });
+
+        if (membershipError) {
+            await supabase.from('restaurants').delete().eq('id', restaurant.id);
+            throw membershipError;
+        }
+
+        recordAudit(req, {
+            action: 'outlet.create',
+            entityType: 'restaurant',
+            entityId: restaurant.id,
+            after: { name: restaurant.name, city: restaurant.city }
+        });
+
+        console.log(`✅ Outlet added: ${restaurant.name} (ID: ${restaurant.id}) for auth ${req.auth.authId}`);
+        res.status(201).json({
+            success: true,
+            data: { restaurantId: restaurant.id, name: restaurant.name, city: restaurant.city, role: 'owner' }
+        });
+    } catch (error) {
+        console.error('Error adding outlet:', error);
+        res.status(500).json({ success: false, error: 'Failed to add outlet' });
+    }
+});
+
+// ============================================
+// AUDIT LOG VIEWER
+// ============================================
+
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 200;
+
+const toAuditEntry = (row) => ({
+    id: row.id,
+    action: row.action,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    actor: {
+        authId: row.actor_auth_id,
+        username: row.actor_username,
+        role: row.actor_role
+    },
+    before: row.before,
+    after: row.after,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at
+});
+
+// List audit entries for the current restaurant, newest first.
+// Filters: action (exact, or a prefix like "menu" for every menu.* event),
+// entityType, entityId, actor (username substring), from / to (ISO dates), limit / offset.
+app.get('/api/audit', requireRole('owner', 'manager'), async (req, res) => {
+    try {
+        if (useMockData) return res.json({ success: true, data: { entries: [], total: 0 } });
+
+        const { action, entityType, entityId, actor, from, to } = req.query;
+        if ([from, to].some(date => date && Number.isNaN(Date.parse(date)))) {
+            return res.status(400).json({ success: false, error: 'from / to must be valid dates' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || AUDIT_PAGE_SIZE, AUDIT_MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        let query = supabase
+            .from('audit_log')
+            .select('*', { count: 'exact' })
+            .eq('restaurant_id', getRestaurantId(req))
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (action) {
+            query = action.includes('.') ? query.eq('action', action) : query.like('action', `${action}.%`);
+        }
+        if (entityType) query = query.eq('entity_type', entityType);
+        if (entityId) query = query.eq('entity_id', String(entityId));
+        if (actor) query = query.ilike('actor_username', `%${actor}%`);
+        if (from) query = query.gte('created_at', new Date(from).toISOString());
+        if (to) {
+            // A bare date means "through the end of that day"
+            const end = new Date(to);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setDate(end.getDate() + 1);
+            query = query.lt('created_at', end.toISOString());
+        }
+
+        const { data, error, count } = await query;
+        if (error) throw error;
+
+        res.json({ success: true, data: { entries: data.map(toAuditEntry), total: count ?? data.length } });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch audit log' });
+    }
+});
+
+// ============================================
+// ORDER MANAGEMENT — PROXY TO CENTRAL BACKEND
+// ============================================
+
+/**
+ * Forward a request to the Central Backend (MongoDB).
+ * Returns { data, status } or throws on network failure.
+ */
+async function proxyCentralBackend(endpoint, method = 'GET', body = null, queryParams = {}) {
+    const url = new URL(endpoint, CENTRAL_BACKEND_URL);
+    Object.keys(queryParams).forEach(key => {
+        if (queryParams[key] !== undefined && queryParams[key] !== null) {
+            url.searchParams.append(key, queryParams[key]);
+        }
+    });
+
+    const options = {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Source': 'MyEzz-Restaurant-Backend'
+        }
+    };
+
+    if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
+        options.body = JSON.stringify(body);
+    }
+
+    console.log(`📡 Proxy ${method} ${url.toString()}`);
+
+    const response = await fetch(url.toString(), options);
+    const data = await response.json();
+
+    if (!response.ok) {
+        console.error(`❌ Central Backend ${response.status}:`, data);
+    }
+
+    return { data, status: response.status };
+}
+
+// ---- Restaurant ID mapping ----
+// The Central Backend keys orders by its own restaurant key (historically the
+// restaurant's name), stored per restaurant in restaurants.central_restaurant_key.
+// Restaurants without one are keyed by their Supabase id. Renaming a restaurant
+// never changes its key.
+const CENTRAL_KEY_TTL_MS = 5 * 60 * 1000;
+const centralKeyCache = new Map(); // restaurantId -> { key, fetchedAt }
+
+/**
+ * Central Backend restaurant key for a Supabase restaurant id
+ * @param {number} restaurantId
+ * @returns {Promise<string>}
+ */
+async function getCentralRestaurantKey(restaurantId) {
+    if (useMockData) return String(restaurantId);
+
+    const cached = centralKeyCache.get(restaurantId);
+    if (cached && Date.now() - cached.fetchedAt < CENTRAL_KEY_TTL_MS) {
+        return cached.key;
+    }
+
+    const { data, error } = await supabase
+        .from('restaurants')
+        .select('central_restaurant_key')
+        .eq('id', restaurantId)
+        .single();
+    if (error) throw error;
+
+    const key = data?.central_restaurant_key || String(restaurantId);
+    centralKeyCache.set(restaurantId, { key, fetchedAt: Date.now() });
+    return key;
+}
+
+/**
+ * Keep only the orders that belong to a restaurant (exact key match).
+ * The Central Backend is asked to filter too; this makes the restaurant backend
+ * the authority either way.
+ */
+const ordersForRestaurant = (orders, centralKey) =>
+    Array.isArray(orders)
+        ? orders.filter(order => String(order.restaurant_id) === centralKey).map(withoutHandoffCode)
+        : orders;
+
+// The pickup code is for the rider; tablets only ever check it (POST /api/orders/:id/handoff)
+const HANDOFF_CODE_FIELDS = ['verificationCode', 'verification_code'];
+
+/**
+ * Copy of an order (or a { data: order } response) without its pickup code
+ */
+function withoutHandoffCode(order) {
+    if (!order || typeof order !== 'object' || Array.isArray(order)) return order;
+    const copy = { ...order };
+    HANDOFF_CODE_FIELDS.forEach(field => delete copy[field]);
+    if (copy.data && typeof copy.data === 'object') copy.data = withoutHandoffCode(copy.data);
+    return copy;
+}
+
+// Single order responses ({ data } or bare): does the order belong to the restaurant?
+const orderBelongsTo = (order, centralKey) => String((order?.data ?? order)?.restaurant_id) === centralKey;
+
+/**
+ * Fetch one order from the Central Backend
+ * @returns {Promise<Object|null>} - null when the Central Backend doesn't have the order;
+ *          throws when it can't be reached
+ */
+async function fetchCentralOrder(orderId, centralKey) {
+    const { data, status } = await proxyCentralBackend(
+        `/api/orders/${orderId}`, 'GET', null,
+        { restaurant_id: centralKey }
+    );
+    if (status === 404) return null;
+    if (status >= 400) {
+        throw new Error(`Central Backend responded ${status}`);
+    }
+    return data?.data ?? data;
+}
+
+// GET /api/orders/active — used by RestaurantContext polling
+app.get('/api/orders/active', async (req, res) => {
+    try {
+        const restaurantId = getRestaurantId(req);
+        const centralKey = await getCentralRestaurantKey(restaurantId);
+        const { data, status } = await proxyCentralBackend(
+            '/api/orders/active', 'GET', null,
+            { restaurant_id: centralKey }
+        );
+        if (status >= 400) return res.status(status).json(data);
+
+        res.json(await applyOrderAutomation(restaurantId, centralKey, ordersForRestaurant(data, centralKey)));
+    } catch (error) {
+        console.error('❌ /api/orders/active:', error.message);
+        res.status(500).json({ success: false, error: 'Order service unavailable' });
+    }
+});
+
+// The order stream polls the same endpoint once per restaurant and fans it out
+configureOrderStream(async (restaurantId) => {
+    const centralKey = await getCentralRestaurantKey(restaurantId);
+    const { data, status } = await proxyCentralBackend(
+        '/api/orders/active', 'GET', null,
+        { restaurant_id: centralKey }
+    );
+    if (status >= 400) {
+        throw new Error(`Central Backend responded ${status}`);
+    }
+    return applyOrderAutomation(restaurantId, centralKey, ordersForRestaurant(data, centralKey));
+});
+
+// GET /api/orders/stream — Server-Sent Events feed of active orders.
+// Sends `event: orders` with the full active list on connect and on every change.
+// The stream ends when the access token expires; the client reconnects with a fresh one.
+// The session is checked again on every heartbeat so a signed-out device stops getting orders.
+app.get('/api/orders/stream', (req, res) => {
+    const restaurantId = getRestaurantId(req);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    let closed = false;
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearTimeout(expiry);
+        unsubscribe();
+        res.end();
+    };
+
+    const unsubscribe = subscribeToOrders(restaurantId, (event, data) => {
+        if (event) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            return;
+        }
+        res.write(': ping\n\n');
+        if (useMockData) return;
+        // On reconnect requireLiveSession answers SESSION_REVOKED and the client signs out
+        touchSession(req, req.auth)
+            .then(live => { if (!live) close(); })
+            .catch(error => console.error('Order stream session check failed:', error.message));
+    });
+
+    // setTimeout fires at once for delays past 2^31-1 ms; a longer token just reconnects early
+    const expiry = setTimeout(close, Math.min(Math.max(req.auth.expiresAt - Date.now(), 0), 2 ** 31 - 1));
+
+    req.on('close', close);
+});
+
+// GET /api/orders — order history with optional filters
+app.get('/api/orders', requireRole('owner', 'manager', 'cashier'), async (req, res) => {
+    try {
+        const centralKey = await getCentralRestaurantKey(getRestaurantId(req));
+        const { status: filterStatus, date, limit } = req.query;
+        const { data, status } = await proxyCentralBackend(
+            '/api/orders', 'GET', null,
+            {
+                restaurant_id: centralKey,
+                ...(filterStatus && { status: filterStatus }),
+                ...(date && { date }),
+                ...(limit && { limit })
+            }
+        );
+        res.status(status).json(status < 400 ? await withAdjustments(ordersForRestaurant(data, centralKey)) : data);
+    } catch (error) {
+        console.error('❌ /api/orders:', error.message);
+        res.status(500).json({ success: false, error: 'Order service unavailable' });
+    }
+});
+
+/**
+ * Acceptance details forwarded with a status change.
+ * Accepting (status 'preparing') records the quoted prep time and when the order
+ * was accepted; acceptedAt defaults to now and may not be in the future.
+ * @returns {{ error: string } | { fields: Object }}
+ */
+function buildAcceptanceFields(body, newStatus, actor) {
+    if (newStatus !== 'preparing') return { fields: {} };
+
+    const { prepTime, acceptedAt } = body;
+    const fields = { acceptedBy: actor };
+
+    if (prepTime !== undefined && prepTime !== null) {
+        const minutes = Number(prepTime);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_PREP_TIME_MINUTES) {
+            return { error: `prepTime must be a whole number of minutes between 1 and ${MAX_PREP_TIME_MINUTES}` };
+        }
+        fields.prepTime = minutes;
+    }
+
+    const acceptedTime = acceptedAt ? new Date(acceptedAt) : new Date();
+    if (Number.isNaN(acceptedTime.getTime()) || acceptedTime.getTime() > Date.now() + 60 * 1000) {
+        return { error: 'acceptedAt must be a valid time, not in the future' };
+    }
+    fields.acceptedAt = acceptedTime.toISOString();
+
+    return { fields };
+}
+
+// ---- Order status state machine ----
+// Statuses the restaurant may move an order to, keyed by its current status.
+// Everything after handed_over belongs to the rider app. An order awaiting the
+// customer's answer to an adjustment goes back to preparing (or is cancelled)
+// from the Central Backend once the customer replies; the restaurant can only
+// cancel it.
+const ORDER_TRANSITIONS = {
+    pending: ['accepted', 'preparing', 'cancelled'],
+    accepted: ['preparing', 'awaiting_customer', 'cancelled'],
+    preparing: ['ready', 'awaiting_customer'],
+    awaiting_customer: ['cancelled'],
+    ready: ['handed_over'],
+    handed_over: [],
+    cancelled: []
+};
+
+// Statuses only reachable through their own endpoint, which checks more than the transition
+const DEDICATED_STATUS_ENDPOINTS = {
+    handed_over: 'POST /api/orders/:id/handoff',
+    awaiting_customer: 'POST /api/orders/:id/adjustment'
+};
+
+const orderTimestamp = (order) => order?.updatedAt ?? order?.updated_at ?? null;
+
+// True when the client's view of the order (expectedStatus / expectedUpdatedAt) is out of date
+function isStaleOrder(current, { expectedStatus, expectedUpdatedAt }) {
+    const currentUpdatedAt = orderTimestamp(current);
+    return Boolean((expectedStatus && expectedStatus !== current.status) ||
+        (expectedUpdatedAt && currentUpdatedAt &&
+            new Date(expectedUpdatedAt).getTime() !== new Date(currentUpdatedAt).getTime()));
+}
+
+/**
+ * Check a status change against the transition table and the caller's precondition.
+ * The precondition is what the caller last saw: expectedStatus and/or
+ * expectedUpdatedAt. Either differing from the current order makes the update stale.
+ * @returns {null | { code: 'STALE_ORDER'|'INVALID_TRANSITION', error: string }}
+ */
+function checkStatusTransition(current, newStatus, precondition) {
+    if (isStaleOrder(current, precondition)) {
+        return { code: 'STALE_ORDER', error: 'This order was updated on another device' };
+    }
+
+    if (!(ORDER_TRANSITIONS[current.status] || []).includes(newStatus)) {
+        return { code: 'INVALID_TRANSITION', error: `Cannot change an order from ${current.status} to ${newStatus}` };
+    }
+    return null;
+}
+
+// Status updates to the same order run one at a time, so two tablets can't both
+// pass the precondition check before either reaches the Central Backend
+const orderLocks = new Map(); // orderId -> promise of the update in flight
+
+async function withOrderLock(orderId, task) {
+    const previous = orderLocks.get(orderId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    orderLocks.set(orderId, run);
+    try {
+        return await run;
+    } finally {
+        if (orderLocks.get(orderId) === run) orderLocks.delete(orderId);
+    }
+}
+
+// ---- Rider handoff codes ----
+// Each order gets a random 4-digit pickup code when it's marked ready (unless the
+// Central Backend already issued one). The code goes to the Central Backend for
+// the rider app; the rider reads it out and the tablet checks it before handing
+// the order over. Wrong guesses are limited per order.
+const HANDOFF_CODE_DIGITS = 4;
+const HANDOFF_MAX_ATTEMPTS = 5;
+const HANDOFF_LOCKOUT_MS = 5 * 60 * 1000;
+const mockHandoffs = new Map(); // orderId -> handoff row, mock mode only
+
+const centralHandoffCode = (order) => order?.verificationCode ?? order?.verification_code ?? null;
+
+const generateHandoffCode = () =>
+    String(crypto.randomInt(0, 10 ** HANDOFF_CODE_DIGITS)).padStart(HANDOFF_CODE_DIGITS, '0');
+
+async function getHandoff(orderId) {
+    if (useMockData) return mockHandoffs.get(String(orderId)) || null;
+
+    const { data, error } = await supabase
+        .from('order_handoffs')
+        .select('*')
+        .eq('order_id', String(orderId))
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+async function saveHandoff(handoff) {
+    if (useMockData) {
+        mockHandoffs.set(handoff.order_id, handoff);
+        return;
+    }
+
+    const { error } = await supabase.from('order_handoffs').upsert(handoff, { onConflict: 'order_id' });
+    if (error) throw error;
+}
+
+/**
+ * Pickup code for an order, issuing one the first time
+ * @param {Object} order - Current order from the Central Backend
+ * @returns {Promise<string>}
+ */
+async function issueHandoffCode(orderId, restaurantId, order) {
+    const existing = await getHandoff(orderId);
+    if (existing?.code) return existing.code;
+
+    const code = centralHandoffCode(order) || generateHandoffCode();
+    await saveHandoff({
+        order_id: String(orderId),
+        restaurant_id: restaurantId,
+        code,
+        attempts: 0,
+        locked_until: null,
+        issued_at: new Date().toISOString()
+    });
+    return code;
+}
+
+const codesMatch = (expected, given) =>
+    expected.length === given.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given));
+
+// Why an order was rejected. Codes are stored and sent to the Central Backend;
+// labels are what customers and reports see.
+const REJECTION_REASONS = {
+    OUT_OF_STOCK: 'Out of Stock',
+    KITCHEN_BUSY: 'Kitchen Too Busy',
+    CLOSING_SOON: 'Closing Soon',
+    SPECIAL_REQUEST: 'Cannot Fulfill Special Request',
+    OTHER: 'Other',
+    TIMEOUT: 'Not accepted in time'
+};
+// Set by the backend itself, never chosen by staff
+const SYSTEM_REJECTION_CODES = ['TIMEOUT'];
+const MAX_REJECTION_TEXT_LENGTH = 500;
+
+/**
+ * Rejection reason forwarded with a cancellation: { code, text? }.
+ * The code must be one of REJECTION_REASONS; OTHER needs the free text.
+ * @returns {{ error: string } | { rejection: Object|null }}
+ */
+function buildRejection(body, newStatus, actor) {
+    if (newStatus !== 'cancelled' || !body.rejectionReason) return { rejection: null };
+
+    const { code, text } = body.rejectionReason;
+    if (!REJECTION_REASONS[code] || SYSTEM_REJECTION_CODES.includes(code)) {
+        const codes = Object.keys(REJECTION_REASONS).filter(reason => !SYSTEM_REJECTION_CODES.includes(reason));
+        return { error: `rejectionReason.code must be one of ${codes.join(', ')}` };
+    }
+    const note = typeof text === 'string' ? text.trim() : '';
+    if (code === 'OTHER' && !note) {
+        return { error: 'rejectionReason.text is required for OTHER' };
+    }
+    if (note.length > MAX_REJECTION_TEXT_LENGTH) {
+        return { error: `rejectionReason.text must be at most ${MAX_REJECTION_TEXT_LENGTH} characters` };
+    }
+
+    return {
+        rejection: {
+            code,
+            label: REJECTION_REASONS[code],
+            text: note || null,
+            rejectedAt: new Date().toISOString(),
+            rejectedBy: actor
+        }
+    };
+}
+
+/**
+ * Keep the rejection reason for reports (one row per order; a repeat replaces it).
+ * Best effort: the Central Backend already has the cancellation.
+ */
+async function storeRejection(orderId, restaurantId, rejection) {
+    if (useMockData) return;
+
+    const { error } = await supabase
+        .from('order_rejections')
+        .upsert({
+            order_id: String(orderId),
+            restaurant_id: restaurantId,
+            reason_code: rejection.code,
+            reason_text: rejection.text,
+            rejected_by_auth_id: rejection.rejectedBy.authId ?? null,
+            rejected_by_username: rejection.rejectedBy.username ?? null,
+            created_at: rejection.rejectedAt
+        }, { onConflict: 'order_id' });
+    if (error) console.error(`Failed to store rejection reason for order ${orderId}:`, error.message);
+}
+
+// PATCH /api/orders/:id/status — frontend uses PATCH via centralOrderService.
+// PUT is accepted as an alternate verb; both share this handler.
+// Body: { status, expectedStatus?, expectedUpdatedAt?, prepTime?, acceptedAt?,
+// rejectionReason?: { code, text? } }. The change must be allowed by
+// ORDER_TRANSITIONS; a stale precondition or a disallowed change gets a 409 with
+// the order's current status. The acting user is taken from the session and
+// forwarded as updatedBy (and acceptedBy when accepting).
+const updateOrderStatus = (method) => async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status: newStatus, expectedStatus, expectedUpdatedAt } = req.body;
+        if (!Object.values(ORDER_TRANSITIONS).some(targets => targets.includes(newStatus))) {
+            return res.status(400).json({ success: false, error: `Unknown order status "${newStatus}"` });
+        }
+        if (DEDICATED_STATUS_ENDPOINTS[newStatus]) {
+            return res.status(400).json({
+                success: false,
+                error: `Use ${DEDICATED_STATUS_ENDPOINTS[newStatus]} to move an order to ${newStatus}`
+            });
+        }
+        if (expectedUpdatedAt && Number.isNaN(Date.parse(expectedUpdatedAt))) {
+            return res.status(400).json({ success: false, error: 'expectedUpdatedAt must be a valid time' });
+        }
+        const actor = { authId: req.auth.authId, username: req.auth.username, role: req.auth.role };
+        const acceptance = buildAcceptanceFields(req.body, newStatus, actor);
+        const { error: rejectionError, rejection } = buildRejection(req.body, newStatus, actor);
+        if (acceptance.error || rejectionError) {
+            return res.status(400).json({ success: false, error: acceptance.error || rejectionError });
+        }
+        const restaurantId = getRestaurantId(req);
+        const centralKey = await getCentralRestaurantKey(restaurantId);
+
+        const { data, status, current } = await withOrderLock(id, async () => {
+            const current = await fetchCentralOrder(id, centralKey);
+            if (!current || !orderBelongsTo(current, centralKey)) {
+                return { status: 404, data: { success: false, error: 'Order not found' } };
+            }
+
+            const conflict = checkStatusTransition(current, newStatus, { expectedStatus, expectedUpdatedAt });
+            if (conflict) {
+                return {
+                    status: 409,
+                    data: {
+                        success: false,
+                        ...conflict,
+                        data: { status: current.status, updatedAt: orderTimestamp(current) }
+                    }
+                };
+            }
+
+            const verificationCode = newStatus === 'ready'
+                ? await issueHandoffCode(id, restaurantId, current)
+                : null;
+
+            // The Central Backend gets the precondition too, for its own compare-and-set
+            const { data, status } = await proxyCentralBackend(
+                `/api/orders/${id}/status`, method,
+                {
+                    status: newStatus,
+                    expectedStatus: current.status,
+                    restaurant_id: centralKey,
+                    ...acceptance.fields,
+                    ...(rejection && { rejection }),
+                    ...(verificationCode && { verificationCode }),
+                    updatedBy: actor
+                }
+            );
+            return { data: withoutHandoffCode(data), status, current };
+        });
+
+        if (status < 400 && current) {
+            if (rejection) {
+                await storeRejection(id, restaurantId, rejection);
+            }
+            const printKind = autoPrintKind(current.status, newStatus);
+            if (printKind) {
+                autoPrintOrder(restaurantId, { ...current, _id: id, status: newStatus, ...acceptance.fields }, printKind);
+            }
+            recordAudit(req, {
+                action: 'order.status',
+                entityType: 'order',
+                entityId: id,
+                before: { status: current.status },
+                after: {
+                    status: newStatus,
+                    ...(acceptance.fields.prepTime && { prepTime: acceptance.fields.prepTime }),
+                    ...(acceptance.fields.acceptedAt && { acceptedAt: acceptance.fields.acceptedAt }),
+                    ...(rejection && { rejectionReason: { code: rejection.code, text: rejection.text } })
+                }
+            });
+            refreshOrderStream(restaurantId);
+        }
+        res.status(status).json(data);
+    } catch (error) {
+        console.error(`❌ ${method} /api/orders/:id/status:`, error.message);
+        res.status(500).json({ success: false, error: 'Order service unavailable' });
+    }
+};
+
+app.patch('/api/orders/:id/status', updateOrderStatus('PATCH'));
+app.put('/api/orders/:id/status', updateOrderStatus('PUT'));
+
+// POST /api/orders/:id/handoff — hand a ready order to its rider.
+// Body: { code } — the pickup code the rider reads out. A match moves the order
+// to handed_over; a wrong code counts towards the per-order lockout.
+app.post('/api/orders/:id/handoff', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const code = String(req.body.code ?? '').trim();
+        if (!new RegExp(`^\\d{${HANDOFF_CODE_DIGITS}}$`).test(code)) {
+            return res.status(400).json({ success: false, error: `Enter the rider's ${HANDOFF_CODE_DIGITS}-digit code` });
+        }
+        const actor = { authId: req.auth.authId, username: req.auth.username, role: req.auth.role };
+        const restaurantId = getRestaurantId(req);
+        const centralKey = await getCentralRestaurantKey(restaurantId);
+
+        const { data, status } = await withOrderLock(id, async () => {
+            const current = await fetchCentralOrder(id, centralKey);
+            if (!current || !orderBelongsTo(current, centralKey)) {
+                return { status: 404, data: { success: false, error: 'Order not found' } };
+            }
+
+            const conflict = checkStatusTransition(current, 'handed_over', {});
+            if (conflict) {
+                return {
+                    status: 409,
+                    data: { success: false, ...conflict, data: { status: current.status, updatedAt: orderTimestamp(current) } }
+                };
+            }
+
+            const handoff = await getHandoff(id);
+            const expected = handoff?.code || centralHandoffCode(current);
+            if (!expected) {
+                return {
+                    status: 409,
+                    data: { success: false, code: 'NO_HANDOFF_CODE', error: 'No pickup code was issued for this order' }
+                };
+            }
+
+            const now = Date.now();
+            const record = handoff || {
+                order_id: String(id),
+                restaurant_id: restaurantId,
+                code: expected,
+                attempts: 0,
+                locked_until: null,
+                issued_at: new Date(now).toISOString()
+            };
+            if (record.locked_until && new Date(record.locked_until).getTime() > now) {
+                const retryAfter = Math.ceil((new Date(record.locked_until).getTime() - now) / 1000);
+                return {
+                    status: 429,
+                    data: {
+                        success: false,
+                        code: 'HANDOFF_LOCKED',
+                        error: `Too many wrong codes. Try again in ${formatRetryAfter(retryAfter)}.`,
+                        retryAfter
+                    }
+                };
+            }
+
+            if (!codesMatch(expected, code)) {
+                const attempts = (record.attempts || 0) + 1;
+                const locked = attempts >= HANDOFF_MAX_ATTEMPTS;
+                await saveHandoff({
+                    ...record,
+                    attempts: locked ? 0 : attempts,
+                    locked_until: locked ? new Date(now + HANDOFF_LOCKOUT_MS).toISOString() : null
+                });
+                recordAudit(req, { action: 'order.handoff_failed', entityType: 'order', entityId: id });
+                return {
+                    status: 400,
+                    data: {
+                        success: false,
+                        code: 'INVALID_HANDOFF_CODE',
+                        error: 'Wrong pickup code',
+                        attemptsRemaining: locked ? 0 : HANDOFF_MAX_ATTEMPTS - attempts
+                    }
+                };
+            }
+
+            const handedOverAt = new Date(now).toISOString();
+            const result = await proxyCentralBackend(
+                `/api/orders/${id}/status`, 'PATCH',
+                {
+                    status: 'handed_over',
+                    expectedStatus: current.status,
+                    restaurant_id: centralKey,
+                    handedOverAt,
+                    handedOverBy: actor,
+                    updatedBy: actor
+                }
+            );
+            if (result.status < 400) {
+                await saveHandoff({ ...record, attempts: 0, locked_until: null, verified_at: handedOverAt, verified_by: actor.username });
+                recordAudit(req, {
+                    action: 'order.handoff',
+                    entityType: 'order',
+                    entityId: id,
+                    before: { status: current.status },
+                    after: { status: 'handed_over', handedOverAt }
+                });
+                refreshOrderStream(restaurantId);
+            }
+            return { data: withoutHandoffCode(result.data), status: result.status };
+        });
+
+        res.status(status).json(data);
+    } catch (error) {
+        console.error('❌ POST /api/orders/:id/handoff:', error.message);
+        res.status(500).json({ success: false, error: 'Order service unavailable' });
+    }
+});
+
+// PUT /api/orders/:id/bumps — KDS bump or recall, and the prep checklist on
+// order cards. Body: { items: [itemIndex], bumped }.
+// Only orders in the kitchen (accepted or preparing) can be bumped.
+app.put('/api/orders/:id/bumps', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { items, bumped } = req.body;
+        if (!Array.isArray(items) || items.length === 0 || !items.every(Number.isInteger) || typeof bumped !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'items must be a list of item indexes and bumped a boolean' });
+        }
+        const actor = { authId: req.auth.authId, username: req.auth.username, role: req.auth.role };
+        const restaurantId = getRestaurantId(req);
+        const centralKey = await getCentralRestaurantKey(restaurantId);
+
+        const order = await fetchCentralOrder(id, centralKey);
+        if (!order || !orderBelongsTo(order, centralKey)) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+        if (!['accepted', 'preparing'].includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                code: 'INVALID_TRANSITION',
+                error: `Items can't be marked prepared while the order is ${order.status}`,
+                data: { status: order.status, updatedAt: orderTimestamp(order) }
+            });
+        }
+        const itemCount = (order.items || []).length;
+        if (items.some(index => index < 0 || index >= itemCount)) {
+            return res.status(400).json({ success: false, error: `Item indexes must be between 0 and ${itemCount - 1}` });
+        }
+
+        const itemIndexes = [...new Set(items)];
+        await saveItemBumps({ ...order, _id: id }, restaurantId, itemIndexes, bumped, actor);
+        refreshOrderStream(restaurantId);
+
+        res.json({ success: true, data: { items: itemIndexes, bumped } });
+    } catch (error) {
+        console.error('❌ PUT /api/orders/:id/bumps:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to update kitchen display' });
+    }
+});
+
+// ---- Partial fulfilment ----
+// Staff mark lines of an accepted order unavailable (refunded) or substituted.
+// The proposal goes to the Central Backend, which moves the order to
+// awaiting_customer and asks the customer; it comes back to preparing with the
+// adjusted items and total, or cancelled if the customer declines.
+const ADJUSTMENT_ACTIONS = ['unavailable', 'substitute'];
+const MAX_SUBSTITUTE_NAME_LENGTH = 100;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validate adjusted lines against the order and work out the refund.
+ * A substitute costs at most what it replaces; the difference is refunded.
+ * @param {Object} order - Current order from the Central Backend
+ * @param {Object} body - { lines: [{ index, action, substitute?, substitutePrice? }], note? }
+ * @returns {{ error: string } | { adjustment: Object }}
+ */
+function buildAdjustment(order, body, actor) {
+    const items = order.items || [];
+    const { lines, note } = body;
+    if (!Array.isArray(lines) || lines.length === 0) {
+        return { error: 'lines must list at least one adjusted item' };
+    }
+    if (new Set(lines.map(line => line?.index)).size !== lines.length) {
+        return { error: 'Each item can be adjusted once' };
+    }
+
+    const adjusted = [];
+    for (const line of lines) {
+        const item = items[line?.index];
+        if (!Number.isInteger(line?.index) || !item) {
+            return { error: `Item indexes must be between 0 and ${items.length - 1}` };
+        }
+        if (!ADJUSTMENT_ACTIONS.includes(line.action)) {
+            return { error: `action must be one of ${ADJUSTMENT_ACTIONS.join(', ')}` };
+        }
+
+        const quantity = item.qty || 1;
+        const price = Number(item.price) || 0;
+        if (line.action === 'unavailable') {
+            adjusted.push({ index: line.index, name: item.name, quantity, action: 'unavailable', refund: roundMoney(price * quantity) });
+            continue;
+        }
+
+        const substitute = typeof line.substitute === 'string' ? line.substitute.trim() : '';
+        if (!substitute || substitute.length > MAX_SUBSTITUTE_NAME_LENGTH) {
+            return { error: `Name the substitute for ${item.name} (at most ${MAX_SUBSTITUTE_NAME_LENGTH} characters)` };
+        }
+        const substitutePrice = line.substitutePrice === undefined || line.substitutePrice === null
+            ? price
+            : Number(line.substitutePrice);
+        if (!(substitutePrice >= 0) || substitutePrice > price) {
+            return { error: `The substitute for ${item.name} can cost at most ₹${price}` };
+        }
+        adjusted.push({
+            index: line.index,
+            name: item.name,
+            quantity,
+            action: 'substitute',
+            substitute,
+            substitutePrice,
+            refund: roundMoney((price - substitutePrice) * quantity)
+        });
+    }
+
+    if (adjusted.filter(line => line.action === 'unavailable').length === items.length) {
+        return { error: 'Every item is unavailable — reject the order instead' };
+    }
+    const text = typeof note === 'string' ? note.trim() : '';
+    if (text.length > MAX_REJECTION_TEXT_LENGTH) {
+        return { error: `note must be at most ${MAX_REJECTION_TEXT_LENGTH} characters` };
+    }
+
+    const originalTotal = roundMoney(orderTotal(order));
+    const refundAmount = roundMoney(adjusted.reduce((sum, line) => sum + line.refund, 0));
+    return {
+        adjustment: {
+            lines: adjusted,
+            note: text || null,
+            originalTotal,
+            refundAmount,
+            adjustedTotal: roundMoney(Math.max(0, originalTotal - refundAmount)),
+            proposedAt: new Date().toISOString(),
+            proposedBy: actor
+        }
+    };
+}
+
+/**
+ * Keep the proposal for order history (one row per order; a repeat replaces it).
+ * Best effort: the Central Backend already has it.
+ */
+async function storeAdjustment(orderId, restaurantId, adjustment) {
+    if (useMockData) return;
+
+    const { error } = await supabase
+        .from('order_adjustments')
+        .upsert({
+            order_id: String(orderId),
+            restaurant_id: restaurantId,
+            lines: adjustment.lines,
+            note: adjustment.note,
+            original_total: adjustment.originalTotal,
+            refund_amount: adjustment.refundAmount,
+            adjusted_total: adjustment.adjustedTotal,
+            proposed_by_auth_id: adjustment.proposedBy.authId ?? null,
+            proposed_by_username: adjustment.proposedBy.username ?? null,
+            created_at: adjustment.proposedAt
+        }, { onConflict: 'order_id' });
+    if (error) console.error(`Failed to store adjustment for order ${orderId}:`, error.message);
+}
+
+// Row in order_adjustments -> the adjustment object the Central Backend stores
+const toAdjustment = (row) => ({
+    lines: row.lines,
+    note: row.note,
+    originalTotal: Number(row.original_total),
+    refundAmount: Number(row.refund_amount),
+    adjustedTotal: Number(row.adjusted_total),
+    proposedAt: row.created_at,
+    proposedBy: { authId: row.proposed_by_auth_id, username: row.proposed_by_username }
+});
+
+/**
+ * Fill in the adjustment of history orders the Central Backend returns without one.
+ * Never throws: on failure the orders are returned as they were.
+ */
+async function withAdjustments(orders) {
+    const missing = orders.filter(order => !order.adjustment).map(order => String(order._id));
+    if (useMockData || missing.length === 0) return orders;
+
+    try {
+        const { data, error } = await supabase
+            .from('order_adjustments')
+            .select('*')
+            .in('order_id', missing);
+        if (error) throw error;
+        const adjustmentOf = new Map(data.map(row => [row.order_id, toAdjustment(row)]));
+        return orders.map(order => (order.adjustment || !adjustmentOf.has(String(order._id))
+            ? order
+            : { ...order, adjustment: adjustmentOf.get(String(order._id)) }));
+    } catch (error) {
+        console.error('Failed to load order adjustments:', error.message);
+        return orders;
+    }
+}
+
+// POST /api/orders/:id/adjustment — propose a partial fulfilment.
+// Body: { lines: [{ index, action: 'unavailable'|'substitute', substitute?, substitutePrice? }],
+// note?, expectedStatus?, expectedUpdatedAt? }. Moves the order to awaiting_customer.
+app.post('/api/orders/:id/adjustment', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { expectedStatus, expectedUpdatedAt } = req.body;
+        const actor = { authId: req.auth.authId, username: req.auth.username, role: req.auth.role };
+        const restaurantId = getRestaurantId(req);
+        const centralKey = await getCentralRestaurantKey(restaurantId);
+
+        const { data, status, current, adjustment } = await withOrderLock(id, async () => {
+            const current = await fetchCentralOrder(id, centralKey);
+            if (!current || !orderBelongsTo(current, centralKey)) {
+                return { status: 404, data: { success: false, error: 'Order not found' } };
+            }
+
+            const conflict = checkStatusTransition(current, 'awaiting_customer', { expectedStatus, expectedUpdatedAt });
+            if (conflict) {
+                return {
+                    status: 409,
+                    data: { success: false, ...conflict, data: { status: current.status, updatedAt: orderTimestamp(current) } }
+                };
+            }
+
+            const { error: validationError, adjustment } = buildAdjustment(current, req.body, actor);
+            if (validationError) {
+                return { status: 400, data: { success: false, error: validationError } };
+            }
+
+            const result = await proxyCentralBackend(
+                `/api/orders/${id}/status`, 'PATCH',
+                {
+                    status: 'awaiting_customer',
+                    expectedStatus: current.status,
+                    restaurant_id: centralKey,
+                    adjustment,
+                    updatedBy: actor
+                }
+            );
+            return { data: withoutHandoffCode(result.data), status: result.status, current, adjustment };
+        });
+
+        if (status < 400 && adjustment) {
+            await storeAdjustment(id, restaurantId, adjustment);
+            recordAudit(req, {
+                action: 'order.adjustment_proposed',
+                entityType: 'order',
+                entityId: id,
+                before: { status: current.status, total: adjustment.originalTotal },
+                after: {
+                    status: 'awaiting_customer',
+                    total: adjustment.adjustedTotal,
+                    refundAmount: adjustment.refundAmount,
+                    lines: adjustment.lines
+                }
+            });
+            refreshOrderStream(restaurantId);
+        }
+        res.status(status).json(data);
+    } catch (error) {
+        console.error('❌ POST /api/orders/:id/adjustment:', error.message);
+        res.status(500).json({ success: false, error: 'Order service unavailable' });
+    }
+});
+
+// ---- Prep time extensions ----
+// Once an order is preparing the kitchen can push its promised ready time back
+// by a few minutes, saying why. The new prep time and ETA go to the Central
+// Backend so every screen and the customer and rider apps show them; every
+// extension is also kept here for the orders report.
+const PREP_EXTENSION_MINUTES = [5, 10];
+const PREP_EXTENSION_REASONS = {
+    KITCHEN_BUSY: 'Kitchen is busy',
+    LARGE_ORDER: 'Large order',
+    INGREDIENT_DELAY: 'Waiting on ingredients',
+    EQUIPMENT: 'Equipment issue',
+    OTHER: 'Other'
+};
+
+/**
+ * Validate an extension and work out the new prep time and ready time.
+ * @param {Object} order - Current order from the Central Backend (preparing)
+ * @param {Object} body - { minutes, reason: { code, text? } }
+ * @returns {{ error: string } | { extension: Object }}
+ */
+function buildPrepExtension(order, body, actor) {
+    const minutes = Number(body.minutes);
+    if (!PREP_EXTENSION_MINUTES.includes(minutes)) {
+        return { error: `minutes must be one of ${PREP_EXTENSION_MINUTES.join(', ')}` };
+    }
+    const { code, text } = body.reason || {};
+    if (!PREP_EXTENSION_REASONS[code]) {
+        return { error: `reason.code must be one of ${Object.keys(PREP_EXTENSION_REASONS).join(', ')}` };
+    }
+    const note = typeof text === 'string' ? text.trim() : '';
+    if (code === 'OTHER' && !note) {
+        return { error: 'reason.text is required for OTHER' };
+    }
+    if (note.length > MAX_REJECTION_TEXT_LENGTH) {
+        return { error: `reason.text must be at most ${MAX_REJECTION_TEXT_LENGTH} characters` };
+    }
+
+    const previousPrepTime = Number(order.prepTime);
+    if (!previousPrepTime || !order.acceptedAt) {
+        return { error: 'This order has no promised ready time to extend' };
+    }
+    const prepTime = previousPrepTime + minutes;
+    if (prepTime > MAX_PREP_TIME_MINUTES) {
+        return { error: `Prep time can't go past ${MAX_PREP_TIME_MINUTES} minutes` };
+    }
+
+    return {
+        extension: {
+            minutes,
+            previousPrepTime,
+            prepTime,
+            estimatedReadyAt: new Date(new Date(order.acceptedAt).getTime() + prepTime * 60 * 1000).toISOString(),
+            reason: { code, label: PREP_EXTENSION_REASONS[code], text: note || null },
+            extendedAt: new Date().toISOString(),
+            extendedBy: actor
+        }
+    };
+}
+
+// Keep the extension for reports. Best effort: the Central Backend already has the new ETA.
+async function storePrepExtension(orderId, restaurantId, extension) {
+    if (useMockData) return;
+
+    const { error } = await supabase.from('order_prep_extensions').insert({
+        order_id: String(orderId),
+        restaurant_id: restaurantId,
+        minutes: extension.minutes,
+        prep_time: extension.prepTime,
+        reason_code: extension.reason.code,
+        reason_text: extension.reason.text,
+        extended_by_auth_id: extension.extendedBy.authId ?? null,
+        extended_by_username: extension.extendedBy.username ?? null,
+        created_at: extension.extendedAt
+    });
+    if (error) console.error(`Failed to store prep extension for order ${orderId}:`, error.message);
+}
+
+// POST /api/orders/:id/prep-time — extend the promised ready time of a preparing order.
+// Body: { minutes: 5|10, reason: { code, text? }, expectedStatus?, expectedUpdatedAt?, expectedPrepTime? }.
+// The status stays preparing; the Central Backend gets the new prepTime and estimatedReadyAt.
+// An ETA change may leave the order's updatedAt as it was, so a double tap from two
+// tablets is caught by expectedPrepTime: the second one no longer matches Central's prepTime.
+app.post('/api/orders/:id/prep-time', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { expectedStatus, expectedUpdatedAt, expectedPrepTime } = req.body;
+        const actor = { authId: req.auth.authId, username: req.auth.username, role: req.auth.role };
+        const restaurantId = getRestaurantId(req);
+        const centralKey = await getCentralRestaurantKey(restaurantId);
+
+        const { data, status, extension } = await withOrderLock(id, async () => {
+            const current = await fetchCentralOrder(id, centralKey);
+            if (!current || !orderBelongsTo(current, centralKey)) {
+                return { status: 404, data: { success: false, error: 'Order not found' } };
+            }
+
+            let conflict = null;
+            if (isStaleOrder(current, { expectedStatus, expectedUpdatedAt }) ||
+                (expectedPrepTime != null && Number(expectedPrepTime) !== Number(current.prepTime))) {
+                conflict = { code: 'STALE_ORDER', error: 'This order was updated on another device' };
+            } else if (current.status !== 'preparing') {
+                conflict = { code: 'INVALID_TRANSITION', error: `Prep time can't be extended while the order is ${current.status}` };
+            }
+            if (conflict) {
+                return {
+                    status: 409,
+                    data: {
+                        success: false,
+                        ...conflict,
+                        data: { status: current.status, updatedAt: orderTimestamp(current), prepTime: current.prepTime }
+                    }
+                };
+            }
+
+            const { error: validationError, extension } = buildPrepExtension(current, req.body, actor);
+            if (validationError) {
+                return { status: 400, data: { success: false, error: validationError } };
+            }
+
+            const result = await proxyCentralBackend(
+                `/api/orders/${id}/eta`, 'PATCH',
+                {
+                    restaurant_id: centralKey,
+                    expectedStatus: current.status,
+                    prepTime: extension.prepTime,
+                    estimatedReadyAt: extension.estimatedReadyAt,
+                    extension: { minutes: extension.minutes, reason: extension.reason },
+                    updatedBy: actor
+                }
+            );
+            // Only an extension the Central Backend took is kept for reports
+            if (result.status < 400) await storePrepExtension(id, restaurantId, extension);
+            return { data: withoutHandoffCode(result.data), status: result.status, extension };
+        });
+
+        if (status < 400 && extension) {
+            recordAudit(req, {
+                action: 'order.prep_extended',
+                entityType: 'order',
+                entityId: id,
+                before: { prepTime: extension.previousPrepTime },
+                after: {
+                    prepTime: extension.prepTime,
+                    estimatedReadyAt: extension.estimatedReadyAt,
+                    reason: { code: extension.reason.code, text: extension.reason.text }
+                }
+            });
+            refreshOrderStream(restaurantId);
+        }
+        res.status(status).json(data);
+    } catch (error) {
+        console.error('❌ POST /api/orders/:id/prep-time:', error.message);
+        res.status(500).json({ success: false, error: 'Order service unavailable' });
+    }
+});
+
+// ---- Printing ----
+// Kitchen tickets (KOT) print when an order is accepted and bills when it's
+// ready, following the restaurant's auto-print rules (see printers.js); staff
+// can reprint either from the order card. Network printers are printed to from
+// here; for agent and browser printers the tablet gets the rendered ticket and
+// delivers it itself (for auto-accepted orders, the first tablet that sees them).
+
+// Bill header: trading name, legal name, GSTIN and contact
+async function getReceiptHeader(restaurantId) {
+    if (useMockData) return { name: 'Mock Restaurant' };
+
+    const { data, error } = await supabase
+        .from('restaurants')
+        .select('name, business_name, gstin, phone, city')
+        .eq('id', restaurantId)
+        .single();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Render an order's kitchen ticket or bill for one paper width
+ * @param {Object} order - Central Backend order
+ * @param {'kot'|'bill'} kind
+ * @param {{ restaurantId: number, paperWidth: number, station?: string|null }} options
+ * @returns {Promise<{ lines: Array, bytes: Buffer } | null>} - null when a station's KOT would be empty
+ */
+async function renderTicket(order, kind, { restaurantId, paperWidth, station = null }) {
+    let lines;
+    if (kind === 'kot') {
+        const { kitchenStations } = await getOrderSettings(restaurantId);
+        const categoryOf = kitchenStations.stations.length > 0 ? await getMenuCategories(restaurantId) : new Map();
+        const items = (order.items || []).map(item => ({ ...item, station: stationFor(kitchenStations, item.name, categoryOf) }));
+        // Unrouted items go on every station's ticket, as on the kitchen display
+        if (station && !items.some(item => !item.station || item.station === station)) return null;
+        lines = kitchenTicketLines({ ...order, items }, { station });
+    } else {
+        lines = billLines(order, await getReceiptHeader(restaurantId));
+    }
+    return { lines, bytes: encodeEscPos(lines, paperWidth) };
+}
+
+// Ticket a status change prints: the KOT when the order is accepted, the bill when it's ready
+function autoPrintKind(previousStatus, newStatus) {
+    if (previousStatus === 'pending' && ['accepted', 'preparing'].includes(newStatus)) return 'kot';
+    if (newStatus === 'ready') return 'bill';
+    return null;
+}
+
+/**
+ * Print an order on the restaurant's network printers, per its auto-print rules.
+ * Runs after the status change without holding it up; failures are only logged.
+ */
+async function autoPrintOrder(restaurantId, order, kind) {
+    let printerSettings;
+    try {
+        ({ printerSettings } = await getOrderSettings(restaurantId));
+    } catch (error) {
+        console.error(`Auto-print skipped for order ${order._id}:`, error.message);
+        return;
+    }
+
+    for (const rule of printerSettings.rules.filter(r => r.kind === kind)) {
+        const printer = printerSettings.printers.find(p => p.id === rule.printerId);
+        if (printer?.connection !== 'network') continue;
+        try {
+            const ticket = await renderTicket(order, kind, { restaurantId, paperWidth: printer.paperWidth, station: rule.station });
+            if (!ticket) continue;
+            await sendToNetworkPrinter(printer, Buffer.concat(Array(rule.copies).fill(ticket.bytes)));
+        } catch (error) {
+            console.error(`Auto-print ${kind} of order ${order._id} on ${printer.name} failed:`, error.message);
+        }
+    }
+}
+
+// Auto-prints claimed by a tablet: `${orderId}:${kind}:${printerId}:${station}` -> claimedAt.
+// Every open tablet sees an auto-accepted order; only the first to ask prints it.
+const autoPrintClaims = new Map();
+const printClaimKey = (orderId, kind, printerId, station) => `${orderId}:${kind}:${printerId ?? ''}:${station ?? ''}`;
+
+// POST /api/orders/:id/print — print or reprint an order's kitchen ticket or bill.
+// Body: { kind: 'kot'|'bill', printerId?, station?, once?, release? }. With once (auto-prints
+// of auto-accepted orders) only the first request per printer and station gets the
+// ticket; later ones get { claimed: true }. The claim is dropped again when nothing
+// printed, and release drops it when the tablet couldn't deliver the ticket, so another
+// tablet can print it. A network printer is printed
+// to from here ({ delivered: true }). Otherwise, or without a printer, the
+// response carries the rendered ticket for the tablet to deliver: escpos (base64)
+// for a print agent and rows for the browser. An unreachable network printer
+// gets a 502 with the rows, so the tablet can fall back to the browser.
+app.post('/api/orders/:id/print', async (req, res) => {
+    let claimKey = null;
+    try {
+        const { id } = req.params;
+        const { kind, printerId, station = null, once = false, release = false } = req.body;
+        if (!PRINT_KINDS.includes(kind)) {
+            return res.status(400).json({ success: false, error: `kind must be one of ${PRINT_KINDS.join(', ')}` });
+        }
+        const restaurantId = getRestaurantId(req);
+        const { printerSettings } = await getOrderSettings(restaurantId);
+        const printer = printerId ? printerSettings.printers.find(p => p.id === printerId) : null;
+        if (printerId && !printer) {
+            return res.status(400).json({ success: false, error: 'Unknown printer' });
+        }
+
+        const centralKey = await getCentralRestaurantKey(restaurantId);
+        const order = await fetchCentralOrder(id, centralKey);
+        if (!order || !orderBelongsTo(order, centralKey)) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+
+        if (release) {
+            autoPrintClaims.delete(printClaimKey(id, kind, printerId, station));
+            return res.json({ success: true, data: { released: true } });
+        }
+        if (once) {
+            const key = printClaimKey(id, kind, printerId, station);
+            if (autoPrintClaims.has(key)) {
+                return res.json({ success: true, data: { delivered: false, claimed: true } });
+            }
+            claimKey = key;
+            autoPrintClaims.set(claimKey, Date.now());
+        }
+
+        const paperWidth = printer?.paperWidth ?? 80;
+        const ticket = await renderTicket({ ...order, _id: order._id ?? id }, kind, { restaurantId, paperWidth, station });
+        if (!ticket) {
+            if (claimKey) autoPrintClaims.delete(claimKey);
+            return res.json({ success: true, data: { delivered: false, empty: true } });
+        }
+        const rendered = { paperWidth, rows: toRows(ticket.lines, paperWidth) };
+
+        if (printer?.connection === 'network') {
+            try {
+                await sendToNetworkPrinter(printer, ticket.bytes);
+            } catch (error) {
+                console.error(`Printing order ${id} on ${printer.name} failed:`, error.message);
+                if (claimKey) autoPrintClaims.delete(claimKey);
+                return res.status(502).json({
+                    success: false,
+                    code: 'PRINTER_UNREACHABLE',
+                    error: `Couldn't reach the printer "${printer.name}"`,
+                    data: rendered
+                });
+            }
+            return res.json({ success: true, data: { delivered: true, printer: printer.name } });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                delivered: false,
+                connection: printer?.connection ?? 'browser',
+                ...(printer?.agentUrl && { agentUrl: printer.agentUrl }),
+                escpos: ticket.bytes.toString('base64'),
+                ...rendered
+            }
+        });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        console.error('❌ POST /api/orders/:id/print:', error.message);
+        if (claimKey) autoPrintClaims.delete(claimKey);
+        res.status(500).json({ success: false, error: 'Failed to print order' });
     }
 });
 
-// ============================================
-// ORDER MANAGEMENT — PROXY TO CENTRAL BACKEND
-// ============================================
+// ---- Order automation settings ----
+// Per-restaurant auto-accept rules, acceptance SLA, kitchen stations and
+// printers, cached briefly because every active-order fetch consults them.
+const ORDER_SETTINGS_TTL_MS = 30 * 1000;
+const orderSettingsCache = new Map(); // restaurantId -> { settings, fetchedAt }
+// Minutes a new order may wait for a decision before it's rejected automatically
+const DEFAULT_ACCEPTANCE_SLA_MINUTES = parseInt(process.env.ACCEPTANCE_SLA_MINUTES || '5');
+const MAX_ACCEPTANCE_SLA_MINUTES = 60;
 
 /**
- * Forward a request to the Central Backend (MongoDB).
- * Returns { data, status } or throws on network failure.
+ * @returns {Promise<{ autoAcceptRules: Object, acceptanceSlaMinutes: number, kitchenStations: Object, printerSettings: Object }>}
  */
-async function proxyCentralBackend(endpoint, method = 'GET', body = null, queryParams = {}) {
-    const url = new URL(endpoint, CENTRAL_BACKEND_URL);
-    Object.keys(queryParams).forEach(key => {
-        if (queryParams[key] !== undefined && queryParams[key] !== null) {
-            url.searchParams.append(key, queryParams[key]);
-        }
-    });
-
-    const options = {
-        method,
-        headers: {
-            'Content-Type': 'application/json',
-            'X-Source': 'MyEzz-Restaurant-Backend'
-        }
-    };
+async function getOrderSettings(restaurantId) {
+    if (useMockData) {
+        return {
+            autoAcceptRules: DEFAULT_AUTO_ACCEPT_RULES,
+            acceptanceSlaMinutes: DEFAULT_ACCEPTANCE_SLA_MINUTES,
+            kitchenStations: DEFAULT_KITCHEN_STATIONS,
+            printerSettings: DEFAULT_PRINTER_SETTINGS
+        };
+    }
 
-    if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-        options.body = JSON.stringify(body);
+    const cached = orderSettingsCache.get(restaurantId);
+    if (cached && Date.now() - cached.fetchedAt < ORDER_SETTINGS_TTL_MS) {
+        return cached.settings;
     }
 
-    console.log(`📡 Proxy ${method} ${url.toString()}`);
+    const { data, error } = await supabase
+        .from('restaurants')
+        .select('auto_accept_rules, acceptance_sla_minutes, kitchen_stations, printer_settings')
+        .eq('id', restaurantId)
+        .single();
+    if (error) throw error;
+
+    const settings = {
+        autoAcceptRules: { ...DEFAULT_AUTO_ACCEPT_RULES, ...data?.auto_accept_rules },
+        acceptanceSlaMinutes: data?.acceptance_sla_minutes || DEFAULT_ACCEPTANCE_SLA_MINUTES,
+        kitchenStations: { ...DEFAULT_KITCHEN_STATIONS, ...data?.kitchen_stations },
+        printerSettings: { ...DEFAULT_PRINTER_SETTINGS, ...data?.printer_settings }
+    };
+    orderSettingsCache.set(restaurantId, { settings, fetchedAt: Date.now() });
+    return settings;
+}
 
-    const response = await fetch(url.toString(), options);
-    const data = await response.json();
+const getAutoAcceptRules = async (restaurantId) => (await getOrderSettings(restaurantId)).autoAcceptRules;
+
+// ---- Auto-accept ----
+// Pending orders are checked against the restaurant's auto-accept rules (see
+// autoAccept.js) whenever the active list is fetched — by the order stream or a
+// polling dashboard — and matching ones move straight to preparing.
+const AUTO_ACCEPT_ACTOR = { authId: null, username: 'auto-accept', role: 'system' };
+// Orders already checked, so each is decided once: orderId -> { restaurantId, checkedAt }
+const autoAcceptChecked = new Map();
+
+// Forget cached rules and decisions, e.g. after the rules change
+function resetAutoAccept(restaurantId) {
+    orderSettingsCache.delete(restaurantId);
+    for (const [orderId, entry] of autoAcceptChecked) {
+        if (entry.restaurantId === restaurantId) autoAcceptChecked.delete(orderId);
+    }
+}
 
-    if (!response.ok) {
-        console.error(`❌ Central Backend ${response.status}:`, data);
+// Menu item name (lower case) -> category name, for category prep times and stations
+async function getMenuCategories(restaurantId) {
+    if (useMockData) {
+        return new Map(mockMenuItems.map(item => [item.name.toLowerCase(), item.category]));
     }
 
-    return { data, status: response.status };
+    const { data, error } = await supabase
+        .from('menu_items')
+        .select('name, categories(name)')
+        .eq('restaurant_id', restaurantId);
+    if (error) throw error;
+    return new Map(data.map(item => [item.name.toLowerCase(), item.categories?.name]));
 }
 
-// GET /api/orders/active — used by RestaurantContext polling
-app.get('/api/orders/active', async (req, res) => {
+/**
+ * Accept the pending orders that match the restaurant's rules.
+ * Never throws: on any failure the orders are returned as they were and wait
+ * for a manual decision.
+ * @returns {Promise<Array>} - The orders, with accepted ones updated in place of the originals
+ */
+async function applyAutoAccept(restaurantId, centralKey, orders) {
+    const candidates = orders.filter(order => order.status === 'pending' && !autoAcceptChecked.has(String(order._id)));
+    if (candidates.length === 0) return orders;
+
     try {
-        const restaurantId = getRestaurantId(req);
-        const { data, status } = await proxyCentralBackend(
-            '/api/orders/active', 'GET', null,
-            { restaurant_id: restaurantId }
-        );
-        res.status(status).json(data);
+        const rules = await getAutoAcceptRules(restaurantId);
+        if (!rules.enabled) return orders;
+
+        const categoryOf = await getMenuCategories(restaurantId);
+        const accepted = new Map();
+
+        for (const order of candidates) {
+            const orderId = String(order._id);
+            autoAcceptChecked.set(orderId, { restaurantId, checkedAt: Date.now() });
+
+            const match = matchAutoAccept(rules, order, categoryOf);
+            if (!match) continue;
+
+            const acceptedAt = new Date().toISOString();
+            const { status } = await withOrderLock(orderId, () => proxyCentralBackend(
+                `/api/orders/${orderId}/status`, 'PATCH',
+                {
+                    status: 'preparing',
+                    expectedStatus: 'pending',
+                    restaurant_id: centralKey,
+                    prepTime: match.prepTime,
+                    acceptedAt,
+                    acceptedBy: AUTO_ACCEPT_ACTOR,
+                    autoAccepted: true,
+                    updatedBy: AUTO_ACCEPT_ACTOR
+                }
+            ));
+            if (status >= 400) continue;
+
+            accepted.set(orderId, { status: 'preparing', prepTime: match.prepTime, acceptedAt, autoAccepted: true });
+            recordAudit(null, {
+                action: 'order.auto_accepted',
+                entityType: 'order',
+                entityId: orderId,
+                before: { status: 'pending' },
+                after: { status: 'preparing', prepTime: match.prepTime, acceptedAt },
+                restaurantId,
+                actor: AUTO_ACCEPT_ACTOR
+            });
+            autoPrintOrder(restaurantId, { ...order, ...accepted.get(orderId), acceptedBy: AUTO_ACCEPT_ACTOR }, 'kot');
+        }
+
+        return orders.map(order => (accepted.has(String(order._id)) ? { ...order, ...accepted.get(String(order._id)) } : order));
     } catch (error) {
-        console.error('❌ /api/orders/active:', error.message);
-        res.status(500).json({ success: false, error: 'Order service unavailable' });
+        console.error(`Auto-accept failed for restaurant ${restaurantId}:`, error.message);
+        return orders;
     }
-});
+}
 
-// GET /api/orders — order history with optional filters
-app.get('/api/orders', async (req, res) => {
-    try {
-        const restaurantId = getRestaurantId(req);
-        const { status: filterStatus, date, limit } = req.query;
-        const { data, status } = await proxyCentralBackend(
-            '/api/orders', 'GET', null,
+// ---- Acceptance SLA ----
+// Pending orders past the restaurant's SLA are rejected as TIMEOUT (see
+// acceptanceSla.js); the rejection is stored with the other rejection reasons
+// for reports. The active list runs the check on every poll; a sweep here
+// catches restaurants with no tablet open.
+const TIMEOUT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+configureAcceptanceSla({
+    getSlaMinutes: async (restaurantId) => (await getOrderSettings(restaurantId)).acceptanceSlaMinutes,
+    cancelIfPending: (orderId, centralKey, rejection) => withOrderLock(orderId, async () => {
+        // A tablet may have accepted it a moment ago
+        const current = await fetchCentralOrder(orderId, centralKey);
+        if (!current || current.status !== 'pending') return false;
+
+        const { status } = await proxyCentralBackend(
+            `/api/orders/${orderId}/status`, 'PATCH',
             {
-                restaurant_id: restaurantId,
-                ...(filterStatus && { status: filterStatus }),
-                ...(date && { date }),
-                ...(limit && { limit })
+                status: 'cancelled',
+                expectedStatus: 'pending',
+                restaurant_id: centralKey,
+                rejection,
+                updatedBy: TIMEOUT_ACTOR
             }
         );
-        res.status(status).json(data);
-    } catch (error) {
-        console.error('❌ /api/orders:', error.message);
-        res.status(500).json({ success: false, error: 'Order service unavailable' });
-    }
+        return status < 400;
+    }),
+    onTimedOut: async (restaurantId, order, rejection) => {
+        const orderId = String(order._id);
+        await storeRejection(orderId, restaurantId, rejection);
+        recordAudit(null, {
+            action: 'order.timed_out',
+            entityType: 'order',
+            entityId: orderId,
+            before: { status: order.status },
+            after: { status: 'cancelled', rejectionReason: { code: rejection.code, text: rejection.text } },
+            restaurantId,
+            actor: TIMEOUT_ACTOR
+        });
+    },
+    rejectionLabel: REJECTION_REASONS.TIMEOUT
 });
 
-// PATCH /api/orders/:id/status — frontend uses PATCH via centralOrderService
-app.patch('/api/orders/:id/status', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { status: newStatus } = req.body;
-        const restaurantId = getRestaurantId(req);
+// Restaurants taking orders; without Supabase there's only the mock one
+async function listLiveRestaurantIds() {
+    if (useMockData) return [1];
 
-        const { data, status } = await proxyCentralBackend(
-            `/api/orders/${id}/status`, 'PATCH',
-            { status: newStatus, restaurant_id: restaurantId }
-        );
-        res.status(status).json(data);
+    const { data, error } = await supabase.from('restaurants').select('id').eq('is_live', true);
+    if (error) throw error;
+    return data.map(row => row.id);
+}
+
+// Time out overdue orders of live restaurants with no dashboard open, one at a
+// time; an open order stream already runs the check on every poll
+let timeoutSweepRunning = false;
+setInterval(async () => {
+    if (timeoutSweepRunning) return;
+    timeoutSweepRunning = true;
+    try {
+        for (const restaurantId of await listLiveRestaurantIds()) {
+            if (hasOrderStream(restaurantId)) continue;
+            try {
+                const centralKey = await getCentralRestaurantKey(restaurantId);
+                const { data, status } = await proxyCentralBackend(
+                    '/api/orders/active', 'GET', null,
+                    { restaurant_id: centralKey }
+                );
+                if (status >= 400) continue;
+                const orders = ordersForRestaurant(data, centralKey);
+                // Auto-accept first, as on a poll, so an order the rules take isn't timed out instead
+                const afterAutoAccept = await applyAutoAccept(restaurantId, centralKey, orders);
+                const remaining = await expireUnacceptedOrders(restaurantId, centralKey, afterAutoAccept);
+                if (remaining.length < orders.length || afterAutoAccept.some((order, i) => order.status !== orders[i].status)) {
+                    refreshOrderStream(restaurantId);
+                }
+            } catch (error) {
+                console.error(`Acceptance timeout sweep failed for restaurant ${restaurantId}:`, error.message);
+            }
+        }
     } catch (error) {
-        console.error('❌ PATCH /api/orders/:id/status:', error.message);
-        res.status(500).json({ success: false, error: 'Order service unavailable' });
+        console.error('Acceptance timeout sweep failed:', error.message);
+    } finally {
+        timeoutSweepRunning = false;
+    }
+}, TIMEOUT_SWEEP_INTERVAL_MS).unref();
+
+// ---- Kitchen display (KDS) and prep checklist ----
+// Each item of an active order carries its kitchen station and, once a cook
+// bumps it (ticks it as prepared on a tablet, or bumps it on a kitchen
+// display), when and by whom. Bumps are stored here rather than at the Central
+// Backend and pushed to every screen through the order stream. Each row keeps
+// how long the item took since the order was accepted, for prep time analysis.
+const mockItemBumps = new Map(); // `${orderId}:${itemIndex}` -> bump row, mock mode only
+
+async function getItemBumps(orderIds) {
+    if (orderIds.length === 0) return [];
+    if (useMockData) {
+        return [...mockItemBumps.values()].filter(bump => orderIds.includes(bump.order_id));
     }
-});
 
-// PUT /api/orders/:id/status — alternate verb accepted
-app.put('/api/orders/:id/status', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { status: newStatus } = req.body;
-        const restaurantId = getRestaurantId(req);
+    const { data, error } = await supabase
+        .from('order_item_bumps')
+        .select('order_id, item_index, bumped_at, bumped_by_username')
+        .in('order_id', orderIds);
+    if (error) throw error;
+    return data;
+}
 
-        const { data, status } = await proxyCentralBackend(
-            `/api/orders/${id}/status`, 'PUT',
-            { status: newStatus, restaurant_id: restaurantId }
-        );
-        res.status(status).json(data);
+/**
+ * Store or clear bumps
+ * @param {Object} order - Current order from the Central Backend
+ */
+async function saveItemBumps(order, restaurantId, itemIndexes, bumped, actor) {
+    const orderId = order._id;
+    const now = Date.now();
+    const acceptedAt = order.acceptedAt ? new Date(order.acceptedAt).getTime() : NaN;
+    const rows = itemIndexes.map(itemIndex => ({
+        order_id: String(orderId),
+        item_index: itemIndex,
+        restaurant_id: restaurantId,
+        item_name: order.items[itemIndex].name,
+        quantity: order.items[itemIndex].qty ?? 1,
+        bumped_at: new Date(now).toISOString(),
+        bumped_by_auth_id: actor.authId,
+        bumped_by_username: actor.username,
+        prep_seconds: Number.isNaN(acceptedAt) ? null : Math.max(0, Math.round((now - acceptedAt) / 1000))
+    }));
+
+    if (useMockData) {
+        for (const row of rows) {
+            const key = `${row.order_id}:${row.item_index}`;
+            if (bumped) mockItemBumps.set(key, row);
+            else mockItemBumps.delete(key);
+        }
+        return;
+    }
+
+    const { error } = bumped
+        ? await supabase.from('order_item_bumps').upsert(rows, { onConflict: 'order_id,item_index' })
+        : await supabase
+            .from('order_item_bumps')
+            .delete()
+            .eq('order_id', String(orderId))
+            .in('item_index', itemIndexes);
+    if (error) throw error;
+}
+
+/**
+ * Add station and bump state to every item of the active orders.
+ * Never throws: on failure the orders go out without them.
+ */
+async function withKitchenState(restaurantId, orders) {
+    try {
+        const { kitchenStations } = await getOrderSettings(restaurantId);
+        const categoryOf = kitchenStations.stations.length > 0 ? await getMenuCategories(restaurantId) : new Map();
+        const bumps = await getItemBumps(orders.map(order => String(order._id)));
+        const bumpOf = new Map(bumps.map(bump => [`${bump.order_id}:${bump.item_index}`, bump]));
+
+        return orders.map(order => ({
+            ...order,
+            items: (order.items || []).map((item, index) => {
+                const bump = bumpOf.get(`${order._id}:${index}`);
+                return {
+                    ...item,
+                    station: stationFor(kitchenStations, item.name, categoryOf),
+                    bumpedAt: bump?.bumped_at ?? null,
+                    bumpedBy: bump?.bumped_by_username ?? null
+                };
+            })
+        }));
     } catch (error) {
-        console.error('❌ PUT /api/orders/:id/status:', error.message);
-        res.status(500).json({ success: false, error: 'Order service unavailable' });
+        console.error(`Kitchen state failed for restaurant ${restaurantId}:`, error.message);
+        return orders;
     }
-});
+}
+
+/**
+ * Everything the backend does to the active list on its own: auto-accept first,
+ * then acceptance timeouts for whatever is still pending, then prep time
+ * extensions and kitchen state
+ */
+async function applyOrderAutomation(restaurantId, centralKey, orders) {
+    const afterAutoAccept = await applyAutoAccept(restaurantId, centralKey, orders);
+    const afterTimeouts = await expireUnacceptedOrders(restaurantId, centralKey, afterAutoAccept);
+    return withKitchenState(restaurantId, afterTimeouts);
+}
+
+// Drop decisions about orders old enough to have left the active list
+setInterval(() => {
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    for (const [orderId, entry] of autoAcceptChecked) {
+        if (entry.checkedAt < cutoff) autoAcceptChecked.delete(orderId);
+    }
+    pruneTimeoutAttempts(cutoff);
+    for (const [claimKey, claimedAt] of autoPrintClaims) {
+        if (claimedAt < cutoff) autoPrintClaims.delete(claimKey);
+    }
+}, 60 * 60 * 1000).unref();
 
 // GET /api/orders/:id — single order detail
 app.get('/api/orders/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const restaurantId = getRestaurantId(req);
+        const centralKey = await getCentralRestaurantKey(getRestaurantId(req));
         const { data, status } = await proxyCentralBackend(
             `/api/orders/${id}`, 'GET', null,
-            { restaurant_id: restaurantId }
+            { restaurant_id: centralKey }
         );
-        res.status(status).json(data);
+        if (status < 400 && !orderBelongsTo(data, centralKey)) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+        res.status(status).json(withoutHandoffCode(data));
     } catch (error) {
         console.error('❌ /api/orders/:id:', error.message);
         res.status(500).json({ success: false, error: 'Order service unavailable' });
@@ -744,6 +4170,253 @@ app.get('/api/orders/:id', async (req, res) => {
 });
 
 // --- REPORTS API ENDPOINTS ---
+// Reports are for owners and managers only
+app.use('/api/reports', requireRole('owner', 'manager'));
+
+// Report scope: ?scope=all widens a report from the signed-in outlet to every
+// outlet where the user is an owner or manager. The aggregate keeps the usual
+// response shape in `data`; chain reports add a per-outlet `outlets` array.
+const REPORT_ROLES = ['owner', 'manager'];
+
+const resolveReportScope = async (req) => {
+    if (req.query.scope !== 'all' || useMockData) {
+        return { isChain: false, restaurantIds: [req.restaurantId], outlets: [] };
+    }
+
+    const { data: authRecord, error } = await supabase
+        .from('restaurant_auth')
+        .select('id, restaurant_id, role')
+        .eq('id', req.auth.authId)
+        .single();
+    if (error) throw error;
+
+    const outlets = (await listOutlets(authRecord)).filter(outlet => REPORT_ROLES.includes(outlet.role));
+    return { isChain: true, restaurantIds: outlets.map(outlet => outlet.restaurantId), outlets };
+};
+
+// One row of the per-outlet comparison table
+const outletRow = (outlet, metrics) => ({
+    restaurantId: outlet.restaurantId,
+    name: outlet.name,
+    city: outlet.city,
+    ...metrics
+});
+
+const ordersOfOutlet = (orders, restaurantId) => orders.filter(o => o.restaurant_id === restaurantId);
+
+// Mock reports: every outlet gets a stable slice of the mock store (the
+// signed-in one exactly 1x), so chain rows differ but add up to the aggregate
+const mockOutletShare = (req, restaurantId) =>
+    restaurantId === req.restaurantId ? 1 : 0.5 + ((restaurantId * 37) % 10) / 10;
+
+const scaleMock = (value, share) => Math.round(value * share);
+
+const sumBy = (rows, key) => rows.reduce((acc, row) => acc + (row[key] || 0), 0);
+
+// Hourly (today/yesterday) or daily sales series from order rows
+const buildSalesSeries = (orders, range) => {
+    const buckets = {};
+    orders.forEach(o => {
+        const created = new Date(o.created_at);
+        const isHourly = range === 'today' || range === 'yesterday';
+        const key = isHourly
+            ? `${created.getHours()}:00`
+            : created.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        if (!buckets[key]) buckets[key] = isHourly ? { time: key, sales: 0, orders: 0 } : { date: key, sales: 0, orders: 0 };
+        buckets[key].sales += parseFloat(o.total);
+        buckets[key].orders += 1;
+    });
+    return Object.values(buckets);
+};
+
+const summarizeOrderStats = (orders) => {
+    const stats = {
+        received: 0,
+        accepted: 0,
+        rejected: 0,
+        cancelled: 0,
+        totalPrepTime: 0,
+        prepCount: 0
+    };
+
+    orders.forEach(o => {
+        stats.received++;
+        if (['preparing', 'ready', 'completed', 'delivered'].includes(o.status)) stats.accepted++;
+        if (o.status === 'rejected') stats.rejected++;
+        if (o.status === 'cancelled') stats.cancelled++;
+
+        if (o.prep_time) {
+            stats.totalPrepTime += o.prep_time;
+            stats.prepCount++;
+        }
+    });
+
+    const avgPrepTime = stats.prepCount > 0 ? Math.round(stats.totalPrepTime / stats.prepCount) + ' min' : '0 min';
+    const completionRate = stats.received > 0 ? Math.round((stats.accepted / stats.received) * 100) : 0;
+
+    return {
+        received: stats.received,
+        accepted: stats.accepted,
+        rejected: stats.rejected,
+        cancelled: stats.cancelled,
+        avgPrepTime,
+        completionRate
+    };
+};
+
+// Rejections per reason, most frequent first: [{ code, label, count, share }]
+const summarizeRejections = (rejections) => {
+    const counts = {};
+    rejections.forEach(r => {
+        counts[r.reason_code] = (counts[r.reason_code] || 0) + 1;
+    });
+    return Object.entries(counts)
+        .map(([code, count]) => ({
+            code,
+            label: REJECTION_REASONS[code] || code,
+            count,
+            share: Math.round((count / rejections.length) * 100)
+        }))
+        .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Rows this server recorded about orders (rejections, prep extensions) for a
+ * report range. They live in Supabase, unlike the orders themselves, so reports
+ * show them even while order counts are mocked.
+ * @returns {Promise<Array|null>} - null without a Supabase connection
+ */
+async function fetchOrderEvents(table, columns, restaurantIds, range) {
+    if (useMockData) return null;
+
+    const { start, end } = getDateRange(range);
+    const { data, error } = await supabase
+        .from(table)
+        .select(columns)
+        .in('restaurant_id', restaurantIds)
+        .gte('created_at', start)
+        .lte('created_at', end);
+    if (error) throw error;
+    return data;
+}
+
+// Mock reason mix for a given number of rejections
+const mockRejectionReasons = (rejected) =>
+    summarizeRejections([
+        ['KITCHEN_BUSY', 0.35], ['OUT_OF_STOCK', 0.3], ['TIMEOUT', 0.15], ['CLOSING_SOON', 0.1], ['OTHER', 0.1]
+    ].flatMap(([code, share]) => Array(Math.round(rejected * share)).fill({ reason_code: code })));
+
+/**
+ * How often promised ready times were pushed back:
+ * { count, ordersExtended, extensionRate (% of accepted orders), reasons: [{ code, label, count, share }] }
+ */
+const summarizePrepExtensions = (extensions, accepted) => {
+    const counts = {};
+    extensions.forEach(e => {
+        counts[e.reason_code] = (counts[e.reason_code] || 0) + 1;
+    });
+    const ordersExtended = new Set(extensions.map(e => e.order_id)).size;
+    return {
+        count: extensions.length,
+        ordersExtended,
+        extensionRate: accepted > 0 ? Math.round((ordersExtended / accepted) * 100) : 0,
+        reasons: Object.entries(counts)
+            .map(([code, count]) => ({
+                code,
+                label: PREP_EXTENSION_REASONS[code] || code,
+                count,
+                share: Math.round((count / extensions.length) * 100)
+            }))
+            .sort((a, b) => b.count - a.count)
+    };
+};
+
+// Mock extensions for a given number of accepted orders: about one in eight, a few twice
+const mockPrepExtensions = (accepted) => {
+    const ordersExtended = Math.round(accepted * 0.12);
+    return summarizePrepExtensions(
+        [['KITCHEN_BUSY', 0.5], ['LARGE_ORDER', 0.25], ['INGREDIENT_DELAY', 0.15], ['OTHER', 0.1]]
+            .flatMap(([code, share]) => Array(Math.round(ordersExtended * share)).fill(code))
+            .map((code, index) => ({ order_id: index % 5 === 4 ? index - 1 : index, reason_code: code })),
+        accepted
+    );
+};
+
+const rankMenuItems = (orders) => {
+    const itemStats = {};
+    orders.forEach(order => {
+        if (Array.isArray(order.items)) {
+            order.items.forEach(item => {
+                const name = item.name;
+                if (!itemStats[name]) itemStats[name] = { name, orders: 0, revenue: 0 };
+                itemStats[name].orders += (item.quantity || 1);
+                if (item.price) itemStats[name].revenue += (item.price * (item.quantity || 1));
+            });
+        }
+    });
+
+    const allItems = Object.values(itemStats);
+    allItems.sort((a, b) => b.orders - a.orders);
+    return {
+        topItems: allItems.slice(0, 5),
+        leastItems: allItems.slice(-5).reverse(),
+        itemsSold: sumBy(allItems, 'orders')
+    };
+};
+
+const countOrdersByHour = (orders) => {
+    const hoursMap = {};
+    orders.forEach(o => {
+        const h = new Date(o.created_at).getHours();
+        const ampm = h >= 12 ? 'PM' : 'AM';
+        const hour12 = h % 12 || 12;
+        const label = `${hour12} ${ampm}`;
+        if (!hoursMap[label]) hoursMap[label] = 0;
+        hoursMap[label]++;
+    });
+
+    return Object.keys(hoursMap).map(key => ({
+        name: key,
+        value: hoursMap[key]
+    }));
+};
+
+const peakHour = (hours) =>
+    hours.reduce((peak, hour) => (!peak || hour.value > peak.value ? hour : peak), null)?.name || null;
+
+// Customers are matched by name, so across a chain a guest seen at two outlets counts as returning
+const summarizeCustomers = (orders) => {
+    const customerCounts = {};
+    orders.forEach(o => {
+        const name = o.customer_name;
+        if (!customerCounts[name]) customerCounts[name] = 0;
+        customerCounts[name]++;
+    });
+
+    const uniqueCustomers = Object.keys(customerCounts).length;
+    const totalOrders = orders.length;
+    const avgOrdersPerCustomer = uniqueCustomers ? (totalOrders / uniqueCustomers).toFixed(1) : 0;
+
+    let returning = 0;
+    let newCust = 0;
+    Object.values(customerCounts).forEach(count => {
+        if (count > 1) returning++;
+        else newCust++;
+    });
+    const repeatRate = uniqueCustomers ? Math.round((returning / uniqueCustomers) * 100) : 0;
+
+    return { newCustomers: newCust, returningCustomers: returning, repeatRate, avgOrdersPerCustomer };
+};
+
+// Sum mock series point by point (same labels in every outlet's slice)
+const sumSeries = (seriesList, keys) =>
+    seriesList[0].map((point, i) => {
+        const merged = { ...point };
+        keys.forEach(key => {
+            merged[key] = seriesList.reduce((acc, series) => acc + series[i][key], 0);
+        });
+        return merged;
+    });
 
 // 1. Sales Trend Data
 app.get('/api/reports/sales', async (req, res) => {
@@ -751,6 +4424,7 @@ app.get('/api/reports/sales', async (req, res) => {
     console.log(`DEBUG: GET /api/reports/sales - Mode: ${isMock ? 'MOCK' : 'REAL'}`);
     try {
         const { range } = req.query; // 'today', 'yesterday', '7days'
+        const scope = await resolveReportScope(req);
 
         if (isMock) {
             let data = [];
@@ -758,7 +4432,23 @@ app.get('/api/reports/sales', async (req, res) => {
             else if (range === 'yesterday') data = mockStore.yesterday;
             else data = mockStore.week;
 
-            res.json({ success: true, data });
+            if (!scope.isChain) {
+                return res.json({ success: true, data });
+            }
+
+            const slices = scope.outlets.map(outlet => {
+                const share = mockOutletShare(req, outlet.restaurantId);
+                return data.map(point => ({ ...point, sales: scaleMock(point.sales, share), orders: scaleMock(point.orders, share) }));
+            });
+
+            res.json({
+                success: true,
+                data: sumSeries(slices, ['sales', 'orders']),
+                outlets: scope.outlets.map((outlet, i) => outletRow(outlet, {
+                    sales: sumBy(slices[i], 'sales'),
+                    orders: sumBy(slices[i], 'orders')
+                }))
+            });
         } else {
             const { start, end } = getDateRange(range);
             console.log(`DEBUG: Date Range: ${start} to ${end}`);
@@ -766,7 +4456,8 @@ app.get('/api/reports/sales', async (req, res) => {
             // Fetch orders for the range (hourly aggregation fallback logic applied)
             const { data: orders, error } = await supabase
                 .from('orders')
-                .select('total, created_at')
+                .select('restaurant_id, total, created_at')
+                .in('restaurant_id', scope.restaurantIds)
                 .gte('created_at', start)
                 .lte('created_at', end)
                 .order('created_at', { ascending: true });
@@ -776,26 +4467,17 @@ app.get('/api/reports/sales', async (req, res) => {
                 throw error;
             }
 
-            if (range === 'today' || range === 'yesterday') {
-                const hourlyMap = {};
-                orders.forEach(o => {
-                    const h = new Date(o.created_at).getHours();
-                    const label = `${h}:00`; 
-                    if (!hourlyMap[label]) hourlyMap[label] = { time: label, sales: 0, orders: 0 };
-                    hourlyMap[label].sales += parseFloat(o.total);
-                    hourlyMap[label].orders += 1;
-                });
-                res.json({ success: true, data: Object.values(hourlyMap) });
-            } else {
-                const dailyMap = {};
-                orders.forEach(o => {
-                    const d = new Date(o.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-                    if (!dailyMap[d]) dailyMap[d] = { date: d, sales: 0, orders: 0 };
-                    dailyMap[d].sales += parseFloat(o.total);
-                    dailyMap[d].orders += 1;
+            const response = { success: true, data: buildSalesSeries(orders, range) };
+            if (scope.isChain) {
+                response.outlets = scope.outlets.map(outlet => {
+                    const outletOrders = ordersOfOutlet(orders, outlet.restaurantId);
+                    return outletRow(outlet, {
+                        sales: outletOrders.reduce((acc, o) => acc + parseFloat(o.total), 0),
+                        orders: outletOrders.length
+                    });
                 });
-                res.json({ success: true, data: Object.values(dailyMap) });
             }
+            res.json(response);
         }
     } catch (err) {
         console.error('DEBUG: Sales Report Handler Error:', err);
@@ -808,6 +4490,9 @@ app.get('/api/reports/orders', async (req, res) => {
     try {
         const { range } = req.query;
         const isMock = await checkReportMockStatus();
+        const scope = await resolveReportScope(req);
+        const rejections = await fetchOrderEvents('order_rejections', 'reason_code', scope.restaurantIds, range);
+        const extensions = await fetchOrderEvents('order_prep_extensions', 'order_id, reason_code', scope.restaurantIds, range);
 
         if (isMock) {
             let factor = 1;
@@ -816,63 +4501,85 @@ app.get('/api/reports/orders', async (req, res) => {
             else if (range === '7days') factor = 1;
             else if (range === '30days') factor = 4.2;
 
+            const mockStats = (share) => {
+                const received = Math.floor(154 * factor * share);
+                const accepted = Math.floor(142 * factor * share);
+                return {
+                    received,
+                    accepted,
+                    rejected: Math.floor(8 * factor * share),
+                    cancelled: Math.floor(4 * factor * share),
+                    avgPrepTime: '18 min',
+                    completionRate: received > 0 ? Math.round((accepted / received) * 100) : 0
+                };
+            };
+
+            if (!scope.isChain) {
+                return res.json({
+                    success: true,
+                    data: {
+                        received: Math.floor(154 * factor),
+                        accepted: Math.floor(142 * factor),
+                        rejected: Math.floor(8 * factor),
+                        cancelled: Math.floor(4 * factor),
+                        avgPrepTime: '18 min',
+                        completionRate: 92,
+                        rejectionReasons: rejections
+                            ? summarizeRejections(rejections)
+                            : mockRejectionReasons(Math.floor(8 * factor)),
+                        prepExtensions: extensions
+                            ? summarizePrepExtensions(extensions, Math.floor(142 * factor))
+                            : mockPrepExtensions(Math.floor(142 * factor))
+                    }
+                });
+            }
+
+            const rows = scope.outlets.map(outlet => outletRow(outlet, mockStats(mockOutletShare(req, outlet.restaurantId))));
+            const received = sumBy(rows, 'received');
+            const accepted = sumBy(rows, 'accepted');
+            const rejected = sumBy(rows, 'rejected');
+
             res.json({
                 success: true,
                 data: {
-                    received: Math.floor(154 * factor),
-                    accepted: Math.floor(142 * factor),
-                    rejected: Math.floor(8 * factor),
-                    cancelled: Math.floor(4 * factor),
+                    received,
+                    accepted,
+                    rejected,
+                    cancelled: sumBy(rows, 'cancelled'),
                     avgPrepTime: '18 min',
-                    completionRate: 92
-                }
+                    completionRate: received > 0 ? Math.round((accepted / received) * 100) : 0,
+                    rejectionReasons: rejections ? summarizeRejections(rejections) : mockRejectionReasons(rejected),
+                    prepExtensions: extensions ? summarizePrepExtensions(extensions, accepted) : mockPrepExtensions(accepted)
+                },
+                outlets: rows
             });
         } else {
             const { start, end } = getDateRange(range);
 
             const { data: orders, error } = await supabase
                 .from('orders')
-                .select('status, prep_time')
+                .select('restaurant_id, status, prep_time')
+                .in('restaurant_id', scope.restaurantIds)
                 .gte('created_at', start)
                 .lte('created_at', end);
 
             if (error) throw error;
 
-            const stats = {
-                received: 0,
-                accepted: 0,
-                rejected: 0,
-                cancelled: 0,
-                totalPrepTime: 0,
-                prepCount: 0
-            };
-
-            orders.forEach(o => {
-                stats.received++;
-                if (['preparing', 'ready', 'completed', 'delivered'].includes(o.status)) stats.accepted++;
-                if (o.status === 'rejected') stats.rejected++;
-                if (o.status === 'cancelled') stats.cancelled++;
-
-                if (o.prep_time) {
-                    stats.totalPrepTime += o.prep_time;
-                    stats.prepCount++;
-                }
-            });
-
-            const avgPrepTime = stats.prepCount > 0 ? Math.round(stats.totalPrepTime / stats.prepCount) + ' min' : '0 min';
-            const completionRate = stats.received > 0 ? Math.round((stats.accepted / stats.received) * 100) : 0;
-
-            res.json({
+            const stats = summarizeOrderStats(orders);
+            const response = {
                 success: true,
                 data: {
-                    received: stats.received,
-                    accepted: stats.accepted,
-                    rejected: stats.rejected,
-                    cancelled: stats.cancelled,
-                    avgPrepTime,
-                    completionRate
+                    ...stats,
+                    rejectionReasons: summarizeRejections(rejections),
+                    prepExtensions: summarizePrepExtensions(extensions, stats.accepted)
                 }
-            });
+            };
+            if (scope.isChain) {
+                response.outlets = scope.outlets.map(outlet =>
+                    outletRow(outlet, summarizeOrderStats(ordersOfOutlet(orders, outlet.restaurantId)))
+                );
+            }
+            res.json(response);
         }
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
@@ -884,17 +4591,17 @@ app.get('/api/reports/menu', async (req, res) => {
     try {
         const { range } = req.query;
         const isMock = await checkReportMockStatus();
+        const scope = await resolveReportScope(req);
 
         if (isMock) {
             let factor = 1;
             if (range === 'today') factor = 0.2;
             else if (range === 'yesterday') factor = 0.18;
             else if (range === '30days') factor = 4;
-            const scale = (val) => Math.floor(val * factor);
 
-            res.json({
-                success: true,
-                data: {
+            const mockMenu = (share) => {
+                const scale = (val) => Math.floor(val * factor * share);
+                return {
                     topItems: [
                         { name: 'Paneer Butter Masala', orders: scale(145), revenue: scale(36250) },
                         { name: 'Chicken Biryani', orders: scale(132), revenue: scale(39600) },
@@ -907,39 +4614,44 @@ app.get('/api/reports/menu', async (req, res) => {
                         { name: 'Green Salad', orders: scale(8), revenue: scale(960) },
                         { name: 'Raita', orders: scale(5), revenue: scale(250) }
                     ]
-                }
+                };
+            };
+
+            if (!scope.isChain) {
+                return res.json({ success: true, data: mockMenu(1) });
+            }
+
+            const menus = scope.outlets.map(outlet => mockMenu(mockOutletShare(req, outlet.restaurantId)));
+            const mergeItems = (key) => sumSeries(menus.map(menu => menu[key]), ['orders', 'revenue']);
+
+            res.json({
+                success: true,
+                data: { topItems: mergeItems('topItems'), leastItems: mergeItems('leastItems') },
+                outlets: scope.outlets.map((outlet, i) => outletRow(outlet, {
+                    topItem: menus[i].topItems[0].name,
+                    itemsSold: sumBy(menus[i].topItems, 'orders') + sumBy(menus[i].leastItems, 'orders')
+                }))
             });
         } else {
             const { start, end } = getDateRange(range);
             const { data: orders, error } = await supabase
                 .from('orders')
-                .select('items, total')
+                .select('restaurant_id, items, total')
+                .in('restaurant_id', scope.restaurantIds)
                 .gte('created_at', start)
                 .lte('created_at', end);
 
             if (error) throw error;
 
-            const itemStats = {};
-            orders.forEach(order => {
-                if (Array.isArray(order.items)) {
-                    order.items.forEach(item => {
-                        const name = item.name;
-                        if (!itemStats[name]) itemStats[name] = { name, orders: 0, revenue: 0 };
-                        itemStats[name].orders += (item.quantity || 1);
-                        if (item.price) itemStats[name].revenue += (item.price * (item.quantity || 1));
-                    });
-                }
-            });
-
-            const allItems = Object.values(itemStats);
-            allItems.sort((a, b) => b.orders - a.orders);
-            const topItems = allItems.slice(0, 5);
-            const leastItems = allItems.slice(-5).reverse();
-
-            res.json({
-                success: true,
-                data: { topItems, leastItems }
-            });
+            const { topItems, leastItems } = rankMenuItems(orders);
+            const response = { success: true, data: { topItems, leastItems } };
+            if (scope.isChain) {
+                response.outlets = scope.outlets.map(outlet => {
+                    const ranked = rankMenuItems(ordersOfOutlet(orders, outlet.restaurantId));
+                    return outletRow(outlet, { topItem: ranked.topItems[0]?.name || null, itemsSold: ranked.itemsSold });
+                });
+            }
+            res.json(response);
         }
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
@@ -951,47 +4663,53 @@ app.get('/api/reports/heatmap', async (req, res) => {
     try {
         const { range } = req.query;
         const isMock = await checkReportMockStatus();
+        const scope = await resolveReportScope(req);
 
         if (isMock) {
             // Mock data...
-             res.json({
+            const hours = [
+                { name: '12 PM', value: 40 },
+                { name: '1 PM', value: 85 },
+                { name: '2 PM', value: 60 },
+                { name: '3 PM', value: 20 },
+                { name: '7 PM', value: 50 },
+                { name: '8 PM', value: 100 },
+                { name: '9 PM', value: 90 },
+                { name: '10 PM', value: 45 },
+            ];
+
+            if (!scope.isChain) {
+                return res.json({ success: true, data: hours });
+            }
+
+            const slices = scope.outlets.map(outlet => {
+                const share = mockOutletShare(req, outlet.restaurantId);
+                return hours.map(hour => ({ ...hour, value: scaleMock(hour.value, share) }));
+            });
+
+            res.json({
                 success: true,
-                data: [
-                    { name: '12 PM', value: 40 },
-                    { name: '1 PM', value: 85 },
-                    { name: '2 PM', value: 60 },
-                    { name: '3 PM', value: 20 },
-                    { name: '7 PM', value: 50 },
-                    { name: '8 PM', value: 100 },
-                    { name: '9 PM', value: 90 },
-                    { name: '10 PM', value: 45 },
-                ]
+                data: sumSeries(slices, ['value']),
+                outlets: scope.outlets.map((outlet, i) => outletRow(outlet, { peakHour: peakHour(slices[i]) }))
             });
         } else {
             const { start, end } = getDateRange(range);
             const { data: orders, error } = await supabase
                 .from('orders')
-                .select('created_at')
+                .select('restaurant_id, created_at')
+                .in('restaurant_id', scope.restaurantIds)
                 .gte('created_at', start)
                 .lte('created_at', end);
 
             if (error) throw error;
 
-            const hoursMap = {};
-            orders.forEach(o => {
-                const h = new Date(o.created_at).getHours();
-                const ampm = h >= 12 ? 'PM' : 'AM';
-                const hour12 = h % 12 || 12;
-                const label = `${hour12} ${ampm}`;
-                if (!hoursMap[label]) hoursMap[label] = 0;
-                hoursMap[label]++;
-            });
-
-            const data = Object.keys(hoursMap).map(key => ({
-                name: key,
-                value: hoursMap[key]
-            }));
-            res.json({ success: true, data });
+            const response = { success: true, data: countOrdersByHour(orders) };
+            if (scope.isChain) {
+                response.outlets = scope.outlets.map(outlet =>
+                    outletRow(outlet, { peakHour: peakHour(countOrdersByHour(ordersOfOutlet(orders, outlet.restaurantId))) })
+                );
+            }
+            res.json(response);
         }
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
@@ -1003,49 +4721,63 @@ app.get('/api/reports/customers', async (req, res) => {
     try {
         const { range } = req.query;
         const isMock = await checkReportMockStatus();
+        const scope = await resolveReportScope(req);
+
         if (isMock) {
+            if (!scope.isChain) {
+                return res.json({
+                    success: true,
+                    data: {
+                        newCustomers: 45,
+                        returningCustomers: 83,
+                        repeatRate: 65,
+                        avgOrdersPerCustomer: 2.4
+                    }
+                });
+            }
+
+            const rows = scope.outlets.map(outlet => {
+                const share = mockOutletShare(req, outlet.restaurantId);
+                const newCustomers = scaleMock(45, share);
+                const returningCustomers = scaleMock(83, share);
+                return outletRow(outlet, {
+                    newCustomers,
+                    returningCustomers,
+                    repeatRate: Math.round((returningCustomers / (newCustomers + returningCustomers)) * 100),
+                    avgOrdersPerCustomer: 2.4
+                });
+            });
+            const newCustomers = sumBy(rows, 'newCustomers');
+            const returningCustomers = sumBy(rows, 'returningCustomers');
+
             res.json({
                 success: true,
                 data: {
-                    newCustomers: 45,
-                    returningCustomers: 83,
-                    repeatRate: 65,
+                    newCustomers,
+                    returningCustomers,
+                    repeatRate: Math.round((returningCustomers / (newCustomers + returningCustomers)) * 100),
                     avgOrdersPerCustomer: 2.4
-                }
+                },
+                outlets: rows
             });
         } else {
             const { start, end } = getDateRange(range);
             const { data: orders, error } = await supabase
                 .from('orders')
-                .select('customer_name, created_at')
+                .select('restaurant_id, customer_name, created_at')
+                .in('restaurant_id', scope.restaurantIds)
                 .gte('created_at', start)
                 .lte('created_at', end);
 
             if (error) throw error;
 
-            const customerCounts = {};
-            orders.forEach(o => {
-                const name = o.customer_name;
-                if (!customerCounts[name]) customerCounts[name] = 0;
-                customerCounts[name]++;
-            });
-
-            const uniqueCustomers = Object.keys(customerCounts).length;
-            const totalOrders = orders.length;
-            const avgOrdersPerCustomer = uniqueCustomers ? (totalOrders / uniqueCustomers).toFixed(1) : 0;
-            
-            let returning = 0;
-            let newCust = 0;
-            Object.values(customerCounts).forEach(count => {
-                if (count > 1) returning++;
-                else newCust++;
-            });
-            const repeatRate = uniqueCustomers ? Math.round((returning / uniqueCustomers) * 100) : 0;
-
-            res.json({
-                success: true,
-                data: { newCustomers: newCust, returningCustomers: returning, repeatRate, avgOrdersPerCustomer }
-            });
+            const response = { success: true, data: summarizeCustomers(orders) };
+            if (scope.isChain) {
+                response.outlets = scope.outlets.map(outlet =>
+                    outletRow(outlet, summarizeCustomers(ordersOfOutlet(orders, outlet.restaurantId)))
+                );
+            }
+            res.json(response);
         }
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
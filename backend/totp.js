@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+
+// ============================================
+// TOTP (RFC 6238) — authenticator app codes
+// ============================================
+// 6 digits, 30-second steps, HMAC-SHA1: the defaults every authenticator app
+// (Google Authenticator, Authy, 1Password, ...) expects.
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept the previous and next step too, to absorb clock drift on the phone
+const DRIFT_STEPS = 1;
+const ISSUER = 'MyEzz Partner';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * New random base32 secret (160 bits, as RFC 4226 recommends)
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * otpauth:// URL for the enrolment QR code
+ * @param {string} secret - base32 secret
+ * @param {string} accountName - Shown in the authenticator app, e.g. the username
+ */
+export function buildOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Check a 6-digit code against the secret.
+ * @param {string} secret - base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} [lastUsedStep] - Step of the last accepted code; it and anything earlier are rejected (no replays)
+ * @returns {number|null} - The matched time step (store it as the new lastUsedStep), or null
+ */
+export function verifyTotp(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const now = currentStep();
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * One-time recovery codes, formatted xxxxx-xxxxx
+ * @param {number} [count]
+ * @returns {string[]}
+ */
+export function generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+}
+
+// Recovery codes are compared case- and dash-insensitively
+export const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
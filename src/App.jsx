@@ -1,3 +1,4 @@
+import { useEffect, useState } from 'react';
 import { BrowserRouter as Router, Routes, Route, useLocation, useParams, Navigate } from 'react-router-dom';
 import { AnimatePresence } from 'framer-motion';
 import { RestaurantProvider, useRestaurant } from './context/RestaurantContext';
@@ -10,9 +11,12 @@ import Report from './pages/Report/Report';
 import Profile from './pages/Profile/Profile';
 import Landing from './pages/Landing/Landing';
 import OrderHistory from './pages/OrderHistory/OrderHistory';
-import RestaurantSignup from './pages/RestaurantSignup';
+import AuditLog from './pages/AuditLog/AuditLog';
+import Kds from './pages/Kds/Kds';
 import RestaurantLogin from './pages/RestaurantLogin';
-import OrderNotificationToast from './components/Toast/OrderNotificationToast';
+import OrderNotificationStack from './components/Toast/OrderNotificationStack';
+import { getSession, clearSession, can } from './services/authService';
+import { switchOutlet } from './services/outletService';
 
 import './App.css';
 
@@ -26,42 +30,80 @@ function RestaurantLayout() {
     return <Navigate to="/login" replace />;
   }
 
-  // Check if user is authenticated
-  const session = localStorage.getItem('myezz_session');
-  if (!session) {
-    // Not logged in - redirect to login
+  // Check if user is authenticated (sessions from before signed tokens have no accessToken)
+  const session = getSession();
+  if (!session?.accessToken) {
+    // Not logged in or invalid session - clear and redirect to login
+    clearSession();
     return <Navigate to="/login" replace />;
   }
 
-  try {
-    const { restaurantId: sessionRestaurantId } = JSON.parse(session);
-    // Verify user is accessing their own restaurant
-    if (sessionRestaurantId !== numericId) {
-      // User trying to access different restaurant - redirect to their own
-      return <Navigate to={`/${sessionRestaurantId}/orders`} replace />;
+  // Keyed by outlet so switching outlets starts a fresh provider (state, polling, notifications)
+  const layout = (
+    <RestaurantProvider key={numericId} restaurantId={numericId}>
+      <RestaurantLayoutContent />
+    </RestaurantProvider>
+  );
+
+  // Verify user is accessing their own restaurant (the backend enforces this too)
+  if (session.restaurantId !== numericId) {
+    // A deep link into another outlet of the same account: re-scope the session first
+    if (session.outlets?.some(outlet => outlet.restaurantId === numericId)) {
+      return (
+        <OutletSwitch restaurantId={numericId} fallbackId={session.restaurantId}>
+          {layout}
+        </OutletSwitch>
+      );
     }
-  } catch (e) {
-    // Invalid session - clear and redirect to login
-    localStorage.removeItem('myezz_session');
-    return <Navigate to="/login" replace />;
+    // User trying to access different restaurant - redirect to their own
+    return <Navigate to={`/${session.restaurantId}/orders`} replace />;
+  }
+
+  return layout;
+}
+
+// Swaps the session to a linked outlet before rendering its layout
+function OutletSwitch({ restaurantId, fallbackId, children }) {
+  const [status, setStatus] = useState('switching');
+
+  useEffect(() => {
+    switchOutlet(restaurantId)
+      .then(() => setStatus('done'))
+      .catch(() => setStatus('failed'));
+  }, [restaurantId]);
+
+  if (status === 'failed') {
+    return <Navigate to={`/${fallbackId}/orders`} replace />;
   }
+  return status === 'done' ? children : null;
+}
+
+// Route guard: staff roles without the permission land on the orders board
+function RoleRoute({ permission, children }) {
+  const { restaurantId } = useRestaurant();
+  return can(permission) ? children : <Navigate to={`/${restaurantId}/orders`} replace />;
+}
 
+function RestaurantLayoutContent() {
   return (
-    <RestaurantProvider restaurantId={numericId}>
-      <RestaurantLayoutContent />
-    </RestaurantProvider>
+    <Routes>
+      {/* Kitchen display runs full screen, without the staff chrome */}
+      <Route path="kds" element={<RoleRoute permission="page:kds"><Kds /></RoleRoute>} />
+      <Route path="*" element={<StaffLayout />} />
+    </Routes>
   );
 }
 
-function RestaurantLayoutContent() {
-  const { isProfileOpen, notification, dismissNotification, restaurantId } = useRestaurant();
+function StaffLayout() {
+  const { isProfileOpen, notifications, dismissNotification, dismissAllNotifications, restaurantId } = useRestaurant();
 
   return (
     <>
-      <OrderNotificationToast 
-        order={notification} 
-        onClose={dismissNotification} 
-        restaurantId={restaurantId} 
+      <OrderNotificationStack
+        notifications={notifications}
+        onClose={dismissNotification}
+        onCloseAll={dismissAllNotifications}
+        restaurantId={restaurantId}
       />
       <div className="app">
         <Header />
@@ -69,11 +111,12 @@ function RestaurantLayoutContent() {
         <main className="main-content">
           <Routes>
             <Route path="orders" element={<Dashboard />} />
-            <Route path="menu" element={<Menu />} />
-            <Route path="report" element={<Report />} />
-            <Route path="history" element={<OrderHistory />} />
+            <Route path="menu" element={<RoleRoute permission="page:menu"><Menu /></RoleRoute>} />
+            <Route path="report" element={<RoleRoute permission="page:report"><Report /></RoleRoute>} />
+            <Route path="history" element={<RoleRoute permission="page:history"><OrderHistory /></RoleRoute>} />
+            <Route path="audit" element={<RoleRoute permission="page:audit"><AuditLog /></RoleRoute>} />
 
-            <Route path="" element={<Navigate to="menu" replace />} />
+            <Route path="" element={<Navigate to={can('page:menu') ? 'menu' : 'orders'} replace />} />
           </Routes>
           <Footer />
         </main>
@@ -91,7 +134,7 @@ export default function App() {
       <Routes>
         {/* Public Routes */}
         <Route path="/" element={<Landing />} />
-        <Route path="/signup" element={<RestaurantSignup />} />
+        <Route path="/signup" element={<Navigate to="/login?signup=1" replace />} />
         <Route path="/login" element={<RestaurantLogin />} />
 
         {/* Restaurant Specific Routes */}
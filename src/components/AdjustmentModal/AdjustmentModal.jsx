@@ -0,0 +1,185 @@
+import { useState } from 'react';
+import { X, PackageX } from 'lucide-react';
+import useKeyboard from '../../hooks/useKeyboard';
+import styles from './AdjustmentModal.module.css';
+
+// What can happen to a line; codes match ADJUSTMENT_ACTIONS in the backend
+const LINE_ACTIONS = [
+    { value: 'available', label: 'Available' },
+    { value: 'unavailable', label: 'Unavailable' },
+    { value: 'substitute', label: 'Substitute' }
+];
+
+const formatMoney = (amount) => `₹${amount.toFixed(2)}`;
+
+/**
+ * Mark lines of an accepted order unavailable or substituted. The customer is
+ * asked to agree before the order continues with the adjusted total.
+ * onConfirm receives { lines: [{ index, action, substitute?, substitutePrice? }], note }.
+ */
+const AdjustmentModal = ({ isOpen, onClose, onConfirm, orderDetails }) => {
+    const [lines, setLines] = useState({}); // item index -> { action, substitute, substitutePrice }
+    const [note, setNote] = useState('');
+
+    const items = orderDetails?.items || [];
+    const lineOf = (index) => lines[index] || { action: 'available', substitute: '', substitutePrice: '' };
+
+    const updateLine = (index, changes) => {
+        setLines(prev => ({ ...prev, [index]: { ...lineOf(index), ...changes } }));
+    };
+
+    // Same arithmetic as the backend; it has the final say
+    const refundFor = (item, line) => {
+        const price = item.price ?? 0;
+        if (line.action === 'unavailable') return price * item.quantity;
+        if (line.action === 'substitute' && line.substitutePrice !== '') {
+            return Math.max(0, price - Number(line.substitutePrice)) * item.quantity;
+        }
+        return 0;
+    };
+
+    const adjusted = items
+        .map((item, index) => ({ item, index, line: lineOf(index) }))
+        .filter(({ line }) => line.action !== 'available');
+    const refund = adjusted.reduce((sum, { item, line }) => sum + refundFor(item, line), 0);
+    const total = orderDetails?.total ?? 0;
+
+    const allUnavailable = items.length > 0 && items.every((_, index) => lineOf(index).action === 'unavailable');
+    const isConfirmDisabled = adjusted.length === 0 || allUnavailable ||
+        adjusted.some(({ item, line }) => line.action === 'substitute' && (
+            !line.substitute.trim() ||
+            (line.substitutePrice !== '' && (Number(line.substitutePrice) < 0 || Number(line.substitutePrice) > (item.price ?? 0)))
+        ));
+
+    const handleConfirm = () => {
+        if (isConfirmDisabled) return;
+        onConfirm({
+            lines: adjusted.map(({ index, line }) => ({
+                index,
+                action: line.action,
+                ...(line.action === 'substitute' && {
+                    substitute: line.substitute.trim(),
+                    ...(line.substitutePrice !== '' && { substitutePrice: Number(line.substitutePrice) })
+                })
+            })),
+            note: note.trim() || undefined
+        });
+        onClose();
+        setLines({});
+        setNote('');
+    };
+
+    useKeyboard({
+        onEscape: onClose
+    }, [], isOpen);
+
+    if (!isOpen) return null;
+
+    return (
+        <div className={styles.modalOverlay} onClick={onClose}>
+            <div className={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+                <div className={styles.modalHeader}>
+                    <h2 className={styles.modalTitle}>
+                        <PackageX size={20} className={styles.titleIcon} />
+                        Items Unavailable
+                    </h2>
+                    <button className={styles.closeBtn} onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {orderDetails && (
+                    <div className={styles.orderSummary}>
+                        <h3>Order #{orderDetails.id}</h3>
+                        <p>Mark what you can't serve. The customer is asked before you continue.</p>
+                    </div>
+                )}
+
+                <div className={styles.linesList}>
+                    {items.map((item, index) => {
+                        const line = lineOf(index);
+                        return (
+                            <div key={index} className={`${styles.line} ${line.action !== 'available' ? styles.lineAdjusted : ''}`}>
+                                <div className={styles.lineHeader}>
+                                    <span className={styles.lineName}>{item.quantity}x {item.name}</span>
+                                    {item.price != null && (
+                                        <span className={styles.linePrice}>{formatMoney(item.price * item.quantity)}</span>
+                                    )}
+                                </div>
+                                <div className={styles.actionToggle} role="radiogroup" aria-label={`${item.name} availability`}>
+                                    {LINE_ACTIONS.map(action => (
+                                        <button
+                                            key={action.value}
+                                            role="radio"
+                                            aria-checked={line.action === action.value}
+                                            className={`${styles.actionBtn} ${line.action === action.value ? styles.actionActive : ''}`}
+                                            onClick={() => updateLine(index, { action: action.value })}
+                                        >
+                                            {action.label}
+                                        </button>
+                                    ))}
+                                </div>
+                                {line.action === 'substitute' && (
+                                    <div className={styles.substituteRow}>
+                                        <input
+                                            className={styles.input}
+                                            value={line.substitute}
+                                            onChange={(e) => updateLine(index, { substitute: e.target.value })}
+                                            placeholder="Substitute item"
+                                            maxLength={100}
+                                            aria-label="Substitute item"
+                                        />
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max={item.price ?? undefined}
+                                            className={`${styles.input} ${styles.priceInput}`}
+                                            value={line.substitutePrice}
+                                            onChange={(e) => updateLine(index, { substitutePrice: e.target.value })}
+                                            placeholder={item.price != null ? `₹${item.price}` : 'Price'}
+                                            aria-label="Substitute price per item"
+                                        />
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div className={styles.noteInput}>
+                    <textarea
+                        placeholder="Message for the customer (optional)"
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        className={styles.textarea}
+                        rows={2}
+                        maxLength={500}
+                    />
+                </div>
+
+                <div className={styles.totals}>
+                    <span>Refund <strong>{formatMoney(refund)}</strong></span>
+                    <span>New total <strong>{formatMoney(Math.max(0, total - refund))}</strong></span>
+                </div>
+                {allUnavailable && (
+                    <p className={styles.hint}>Nothing left to serve — reject the order instead.</p>
+                )}
+
+                <div className={styles.modalActions}>
+                    <button className={styles.cancelBtn} onClick={onClose}>
+                        Cancel
+                    </button>
+                    <button
+                        className={styles.confirmBtn}
+                        onClick={handleConfirm}
+                        disabled={isConfirmDisabled}
+                    >
+                        Ask Customer
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AdjustmentModal;
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { X, TimerReset } from 'lucide-react';
+import useKeyboard from '../../hooks/useKeyboard';
+import styles from './ExtendPrepModal.module.css';
+
+// Minutes and reason codes match PREP_EXTENSION_MINUTES / PREP_EXTENSION_REASONS in the backend
+const EXTENSION_MINUTES = [5, 10];
+const EXTENSION_REASONS = [
+    { code: 'KITCHEN_BUSY', label: 'Kitchen is busy' },
+    { code: 'LARGE_ORDER', label: 'Large order' },
+    { code: 'INGREDIENT_DELAY', label: 'Waiting on ingredients' },
+    { code: 'EQUIPMENT', label: 'Equipment issue' }
+];
+
+/**
+ * Push a preparing order's promised ready time back, with a reason.
+ * initialMinutes is the button tapped on the card (+5 or +10); it can be changed here.
+ * onConfirm receives { minutes, reason: { code, text? } }.
+ */
+const ExtendPrepModal = ({ isOpen, onClose, onConfirm, orderDetails, initialMinutes = 5 }) => {
+    const [minutes, setMinutes] = useState(initialMinutes);
+    const [selectedReason, setSelectedReason] = useState('');
+    const [otherReason, setOtherReason] = useState('');
+
+    const isConfirmDisabled = !selectedReason || (selectedReason === 'OTHER' && !otherReason.trim());
+
+    const handleConfirm = () => {
+        if (isConfirmDisabled) return;
+        onConfirm({
+            minutes,
+            reason: {
+                code: selectedReason,
+                text: selectedReason === 'OTHER' ? otherReason.trim() : undefined
+            }
+        });
+        onClose();
+    };
+
+    useKeyboard({
+        onEscape: onClose,
+        onEnter: () => {
+            if (!isConfirmDisabled) {
+                handleConfirm();
+            }
+        }
+    }, [isConfirmDisabled, minutes, selectedReason, otherReason], isOpen);
+
+    if (!isOpen) return null;
+
+    const newReadyAt = orderDetails?.acceptedAt && orderDetails?.prepTime
+        ? new Date(orderDetails.acceptedAt.getTime() + (orderDetails.prepTime + minutes) * 60000)
+        : null;
+
+    return (
+        <div className={styles.modalOverlay} onClick={onClose}>
+            <div className={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+                <div className={styles.modalHeader}>
+                    <h2 className={styles.modalTitle}>
+                        <TimerReset size={20} className={styles.titleIcon} />
+                        Need More Time
+                    </h2>
+                    <button className={styles.closeBtn} onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {orderDetails && (
+                    <div className={styles.orderSummary}>
+                        <h3>Order #{orderDetails.id}</h3>
+                        <p>The customer and rider will see the new ready time.</p>
+                    </div>
+                )}
+
+                <div className={styles.minutesToggle} role="radiogroup" aria-label="Extra minutes">
+                    {EXTENSION_MINUTES.map(value => (
+                        <button
+                            key={value}
+                            role="radio"
+                            aria-checked={minutes === value}
+                            className={`${styles.minutesBtn} ${minutes === value ? styles.minutesActive : ''}`}
+                            onClick={() => setMinutes(value)}
+                        >
+                            +{value} min
+                        </button>
+                    ))}
+                </div>
+                {newReadyAt && (
+                    <p className={styles.readyBy}>
+                        Ready by {newReadyAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </p>
+                )}
+
+                <div className={styles.reasonsList}>
+                    {[...EXTENSION_REASONS, { code: 'OTHER', label: 'Other' }].map((reason) => (
+                        <label key={reason.code} className={styles.reasonOption}>
+                            <input
+                                type="radio"
+                                name="extensionReason"
+                                value={reason.code}
+                                checked={selectedReason === reason.code}
+                                onChange={(e) => setSelectedReason(e.target.value)}
+                                className={styles.radioInput}
+                            />
+                            <span className={styles.reasonText}>{reason.label}</span>
+                        </label>
+                    ))}
+                </div>
+
+                {selectedReason === 'OTHER' && (
+                    <div className={styles.otherReasonInput}>
+                        <textarea
+                            placeholder="Please specify the reason..."
+                            value={otherReason}
+                            onChange={(e) => setOtherReason(e.target.value)}
+                            className={styles.textarea}
+                            rows={3}
+                            maxLength={500}
+                        />
+                    </div>
+                )}
+
+                <div className={styles.modalActions}>
+                    <button className={styles.cancelBtn} onClick={onClose}>
+                        Cancel
+                    </button>
+                    <button
+                        className={styles.confirmBtn}
+                        onClick={handleConfirm}
+                        disabled={isConfirmDisabled}
+                    >
+                        Extend by {minutes} min
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ExtendPrepModal;
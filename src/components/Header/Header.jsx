@@ -1,9 +1,10 @@
 import { useRestaurant } from '../../context/RestaurantContext';
 import { Menu } from 'lucide-react';
+import OutletSwitcher from '../OutletSwitcher/OutletSwitcher';
 import styles from './Header.module.css';
 
 const Header = () => {
-  const { restaurantName, isOnline, setOnlineStatus, isMobileMenuOpen, toggleMobileMenu } = useRestaurant();
+  const { restaurantId, restaurantName, isOnline, setOnlineStatus, isMobileMenuOpen, toggleMobileMenu } = useRestaurant();
 
   const handleToggle = () => {
     setOnlineStatus(!isOnline);
@@ -20,9 +21,7 @@ const Header = () => {
         <Menu size={24} />
       </button>
 
-      <div className={styles.restaurantName}>
-        {restaurantName}
-      </div>
+      <OutletSwitcher restaurantId={restaurantId} restaurantName={restaurantName} />
       <div className={styles.toggleContainer}>
         <span className={styles.statusLabel}>
           {isOnline ? 'Online' : 'Offline'}
@@ -37,13 +37,15 @@ const MenuItemCard = ({ item, onToggleStock, onDelete }) => {
       </div>
       
       <div className={styles.toggleSection}>
-        <button
-          className={styles.deleteBtn}
-          onClick={handleDelete}
-          aria-label={`Delete ${item.name}`}
-        >
-          <Trash2 size={18} />
-        </button>
+        {onDelete && (
+          <button
+            className={styles.deleteBtn}
+            onClick={handleDelete}
+            aria-label={`Delete ${item.name}`}
+          >
+            <Trash2 size={18} />
+          </button>
+        )}
         <button
           className={`${styles.toggle} ${item.inStock ? styles.toggleOn : styles.toggleOff} ${isToggling ? styles.toggling : ''}`}
           onClick={handleToggle}
@@ -1,7 +1,8 @@
 import { Link, useLocation, useParams } from 'react-router-dom';
-import { Home, UtensilsCrossed, BarChart3, Clock, X } from 'lucide-react';
+import { Home, UtensilsCrossed, BarChart3, Clock, ScrollText, ChefHat, X } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useRestaurant } from '../../context/RestaurantContext';
+import { can } from '../../services/authService';
 import SettingsPanel from './SettingsPanel';
 import styles from './Navbar.module.css';
 
@@ -18,27 +19,45 @@ const Navbar = () => {
       path: `/${currentId}/orders`,
       name: 'Orders',
       icon: Home,
-      ariaLabel: 'Navigate to Orders'
+      ariaLabel: 'Navigate to Orders',
+      permission: 'page:orders'
     },
     {
       path: `/${currentId}/history`,
       name: 'History',
       icon: Clock,
-      ariaLabel: 'View Order History'
+      ariaLabel: 'View Order History',
+      permission: 'page:history'
     },
     {
       path: `/${currentId}/menu`,
       name: 'Menu',
       icon: UtensilsCrossed,
-      ariaLabel: 'Navigate to Menu'
+      ariaLabel: 'Navigate to Menu',
+      permission: 'page:menu'
     },
     {
       path: `/${currentId}/report`,
       name: 'Dashboard',
       icon: BarChart3,
-      ariaLabel: 'Navigate to Dashboard'
+      ariaLabel: 'Navigate to Dashboard',
+      permission: 'page:report'
+    },
+    {
+      path: `/${currentId}/audit`,
+      name: 'Audit Log',
+      icon: ScrollText,
+      ariaLabel: 'View Audit Log',
+      permission: 'page:audit'
+    },
+    {
+      path: `/${currentId}/kds`,
+      name: 'Kitchen',
+      icon: ChefHat,
+      ariaLabel: 'Open Kitchen Display',
+      permission: 'page:kds'
     }
-  ];
+  ].filter(item => can(item.permission)); // Hide pages the staff role can't open
 
   // Close drawer when navigating (mobile only)
   const handleNavClick = () => {
@@ -1,14 +1,16 @@
 import { useState, useEffect, useRef } from 'react';
-import { Clock, CheckCircle, User, Check, Eye, EyeOff, MoreVertical } from 'lucide-react';
+import { Clock, CheckCircle, User, Check, MoreVertical, Zap, Hourglass } from 'lucide-react';
+import useAcceptanceCountdown from '../../hooks/useAcceptanceCountdown';
+import OrderNotes, { ItemExtras } from '../OrderNotes/OrderNotes';
 import styles from './OrderCard.module.css';
 
-const OrderCard = ({ order, onAccept, onReject, onMarkReady, onHandToRider, onValidationFail }) => {
+const OrderCard = ({ order, onAccept, onReject, onAdjust, onExtendPrep, onPrint, onMarkReady, onHandToRider, onValidationFail, onToggleItem }) => {
   const [timeRemaining, setTimeRemaining] = useState(null);
-  const [elapsedTime, setElapsedTime] = useState(0);
-  const [checkedItems, setCheckedItems] = useState(new Set());
-  const [codeRevealed, setCodeRevealed] = useState(false);
+  const [pickupCode, setPickupCode] = useState('');
+  const [isHandingOver, setIsHandingOver] = useState(false);
   const [menuOpen, setMenuOpen] = useState(false);
   const menuRef = useRef(null);
+  const acceptance = useAcceptanceCountdown(order);
 
   useEffect(() => {
     if (order.status === 'preparing' && order.prepTime && order.acceptedAt) {
@@ -16,10 +18,8 @@ const OrderCard = ({ order, onAccept, onReject, onMarkReady, onHandToRider, onVa
         const now = new Date().getTime();
         const startTime = new Date(order.acceptedAt).getTime();
         const endTime = startTime + (order.prepTime * 60 * 1000);
-        const elapsed = now - startTime;
         const remaining = Math.max(0, endTime - now);
         
-        setElapsedTime(elapsed);
         setTimeRemaining(remaining);
       }, 1000);
 
@@ -53,31 +53,49 @@ const OrderCard = ({ order, onAccept, onReject, onMarkReady, onHandToRider, onVa
         return styles.preparing;
       case 'ready':
         return styles.ready;
+      case 'awaiting':
+        return styles.awaiting;
       default:
         return '';
     }
   };
 
-  const isDelayed = order.status === 'preparing' && elapsedTime > 15 * 60 * 1000;
+  // Past the promised ready time; extending the prep time clears it
+  const isDelayed = order.status === 'preparing' && timeRemaining === 0;
 
-  const toggleItemCheck = (index) => {
-    const newChecked = new Set(checkedItems);
-    if (newChecked.has(index)) {
-      newChecked.delete(index);
-    } else {
-      newChecked.add(index);
-    }
-    setCheckedItems(newChecked);
-  };
+  // Ticks are stored on the backend, shared with other tablets and the kitchen display
+  const isPrepared = (item) => Boolean(item.bumpedAt);
+
+  // Three-dot menu entries for the current status
+  const menuActions = [
+    order.status === 'new' && onReject && { label: 'Reject Order', run: onReject },
+    order.status === 'preparing' && onAdjust && { label: 'Items unavailable…', run: onAdjust },
+    order.status === 'awaiting' && onReject && { label: 'Cancel Order', run: onReject },
+    order.status === 'preparing' && onPrint && { label: 'Print Kitchen Ticket', run: (id) => onPrint(id, 'kot') },
+    ['preparing', 'ready'].includes(order.status) && onPrint && { label: 'Print Bill', run: (id) => onPrint(id, 'bill') }
+  ].filter(Boolean);
+
+  // Proposed changes the customer hasn't answered yet, by item index
+  const adjustment = order.status === 'awaiting' ? order.adjustment : null;
+  const adjustedLines = new Map((adjustment?.lines || []).map(line => [line.index, line]));
 
   const handleMarkReady = () => {
-     if (checkedItems.size !== order.items.length) {
+     if (!order.items.every(isPrepared)) {
        if (onValidationFail) onValidationFail();
        return;
      }
      onMarkReady(order.id);
   };
 
+  const handleHandToRider = async () => {
+    setIsHandingOver(true);
+    const handedOver = await onHandToRider(order.id, pickupCode);
+    if (!handedOver) {
+      setPickupCode('');
+      setIsHandingOver(false);
+    }
+  };
+
   return (
     <div className={`${styles.orderCard} ${getCardClass()}`}>
       <div className={styles.cardHeader}>
@@ -90,16 +108,48 @@ const OrderCard = ({ order, onAccept, onReject, onMarkReady, onHandToRider, onVa
             <span>{formatTime(timeRemaining)}</span>
           </div>
         )}
+        {order.status === 'preparing' && order.prepTime && onExtendPrep && (
+          <div className={styles.extendBtns} role="group" aria-label="Need more time">
+            {[5, 10].map(minutes => (
+              <button
+                key={minutes}
+                className={styles.extendBtn}
+                onClick={() => onExtendPrep(order.id, minutes)}
+                title={`Push the ready time back ${minutes} minutes`}
+              >
+                +{minutes}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Acceptance countdown — the order is rejected automatically at zero */}
+        {acceptance.remaining !== null && (
+          <div
+            className={`${styles.timer} ${styles.acceptTimer} ${acceptance.urgency ? styles[`accept_${acceptance.urgency}`] : ''}`}
+            title="Not accepted in time, the order is rejected automatically"
+          >
+            <Hourglass size={16} />
+            <span>{acceptance.remaining > 0 ? `Accept in ${formatTime(acceptance.remaining)}` : 'Expired'}</span>
+          </div>
+        )}
 
         <div className={styles.headerRight}>
           <span className={styles.statusBadge}>
             {order.status === 'new' && 'New Order'}
             {order.status === 'preparing' && 'Preparing'}
             {order.status === 'ready' && 'Ready'}
+            {order.status === 'awaiting' && 'Awaiting Customer'}
           </span>
+          {order.autoAccepted && order.status !== 'new' && (
+            <span className={styles.autoBadge} title={`Accepted automatically (${order.prepTime} min)`}>
+              <Zap size={12} />
+              Auto-accepted
+            </span>
+          )}
 
           {/* Three-dot menu */}
-          {order.status === 'new' && onReject && (
+          {menuActions.length > 0 && (
             <div className={styles.moreMenu} ref={menuRef}>
               <button
                 className={styles.moreMenuBtn}
@@ -110,15 +160,18 @@ const OrderCard = ({ order, onAccept, onReject, onMarkReady, onHandToRider, onVa
               </button>
               {menuOpen && (
                 <div className={styles.menuDropdown}>
-                  <button
-                    className={styles.menuItem}
-                    onClick={() => {
-                      setMenuOpen(false);
-                      onReject(order.id);
-                    }}
-                  >
-                    Reject Order
-                  </button>
+                  {menuActions.map(action => (
+                    <button
+                      key={action.label}
+                      className={styles.menuItem}
+                      onClick={() => {
+                        setMenuOpen(false);
+                        action.run(order.id);
+                      }}
+                    >
+                      {action.label}
+                    </button>
+                  ))}
                 </div>
               )}
             </div>
@@ -132,49 +185,76 @@ const OrderCard = ({ order, onAccept, onReject, onMarkReady, onHandToRider, onVa
         <span className={styles.customerName}>{order.customerName}</span>
       </div>
 
+      <OrderNotes instructions={order.instructions} />
+
+      {adjustment && (
+        <div className={styles.awaitingNotice}>
+          Waiting for the customer to accept the changes{adjustment.note ? `: “${adjustment.note}”` : ''}
+        </div>
+      )}
+
       {/* Order Items with Checkboxes */}
       <div className={styles.orderItems}>
         {order.items.map((item, index) => (
           <div 
             key={index} 
-            className={`${styles.orderItem} ${checkedItems.has(index) ? styles.itemChecked : ''}`}
+            className={`${styles.orderItem} ${isPrepared(item) ? styles.itemChecked : ''}`}
+            title={isPrepared(item)
+              ? `Prepared at ${item.bumpedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}${item.bumpedBy ? ` by ${item.bumpedBy}` : ''}`
+              : undefined}
           >
             {order.status === 'preparing' && (
               <button
-                className={`${styles.itemCheckbox} ${checkedItems.has(index) ? styles.checked : ''}`}
-                onClick={() => toggleItemCheck(index)}
-                aria-label={`Mark ${item.name} as prepared`}
+                className={`${styles.itemCheckbox} ${isPrepared(item) ? styles.checked : ''}`}
+                onClick={() => onToggleItem(order.id, index, !isPrepared(item))}
+                aria-label={isPrepared(item) ? `Mark ${item.name} as not prepared` : `Mark ${item.name} as prepared`}
+                aria-pressed={isPrepared(item)}
               >
-                {checkedItems.has(index) && <Check size={12} />}
+                {isPrepared(item) && <Check size={12} />}
               </button>
             )}
             <span className={styles.quantity}>{item.quantity}x</span>
-            <span className={`${styles.itemName} ${checkedItems.has(index) ? styles.strikethrough : ''}`}>
-              {item.name}
-            </span>
+            <div className={styles.itemDetails}>
+              <span className={`${styles.itemName} ${isPrepared(item) || adjustedLines.has(index) ? styles.strikethrough : ''}`}>
+                {item.name}
+              </span>
+              <ItemExtras item={item} />
+              {adjustedLines.get(index)?.action === 'unavailable' && (
+                <span className={styles.adjustTag}>Unavailable</span>
+              )}
+              {adjustedLines.get(index)?.action === 'substitute' && (
+                <span className={styles.adjustTag}>→ {adjustedLines.get(index).substitute}</span>
+              )}
+            </div>
           </div>
         ))}
       </div>
 
       <div className={styles.orderTotal}>
-        Total: <strong>₹{order.total.toFixed(2)}</strong>
+        Total:{' '}
+        {adjustment ? (
+          <>
+            <s className={styles.originalTotal}>₹{adjustment.originalTotal.toFixed(2)}</s>{' '}
+            <strong>₹{adjustment.adjustedTotal.toFixed(2)}</strong>
+          </>
+        ) : (
+          <strong>₹{order.total.toFixed(2)}</strong>
+        )}
       </div>
 
       {order.status === 'ready' && (
         <div className={styles.verificationCode}>
-          <div className={styles.codeLabel}>Verification Code</div>
-          <div className={styles.codeRow}>
-            <div className={styles.code}>
-              {codeRevealed ? order.verificationCode : '••••'}
-            </div>
-            <button
-              className={styles.codeToggle}
-              onClick={() => setCodeRevealed(!codeRevealed)}
-              aria-label={codeRevealed ? 'Hide code' : 'Reveal code'}
-            >
-              {codeRevealed ? <EyeOff size={18} /> : <Eye size={18} />}
-            </button>
-          </div>
+          <label className={styles.codeLabel} htmlFor={`pickup-code-${order.id}`}>Rider's Pickup Code</label>
+          <input
+            id={`pickup-code-${order.id}`}
+            className={styles.codeInput}
+            value={pickupCode}
+            onChange={(e) => setPickupCode(e.target.value.replace(/\D/g, '').slice(0, 4))}
+            inputMode="numeric"
+            autoComplete="off"
+            placeholder="••••"
+            maxLength={4}
+          />
         </div>
       )}
 
@@ -202,7 +282,8 @@ const OrderCard = ({ order, onAccept, onReject, onMarkReady, onHandToRider, onVa
         {order.status === 'ready' && (
           <button 
             className={styles.handToRiderBtn}
-            onClick={() => onHandToRider(order.id)}
+            onClick={handleHandToRider}
+            disabled={pickupCode.length !== 4 || isHandingOver}
           >
             Handed to Rider
           </button>
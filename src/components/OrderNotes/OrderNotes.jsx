@@ -0,0 +1,69 @@
+import { MessageSquareWarning } from 'lucide-react';
+import styles from './OrderNotes.module.css';
+
+// Words in customer notes that may signal an allergy or dietary restriction
+const ALLERGY_KEYWORDS = [
+  'allergy', 'allergic', 'allergies', 'anaphylaxis',
+  'nut', 'nuts', 'peanut', 'peanuts', 'cashew', 'cashews', 'almond', 'almonds', 'walnut', 'pistachio',
+  'gluten', 'wheat', 'celiac', 'coeliac',
+  'dairy', 'lactose', 'milk',
+  'egg', 'eggs', 'soy', 'soya', 'sesame', 'mustard',
+  'fish', 'shellfish', 'prawn', 'prawns', 'shrimp', 'crab', 'seafood',
+  'vegan', 'jain'
+];
+const ALLERGY_PATTERN = new RegExp(`\\b(${ALLERGY_KEYWORDS.join('|')})\\b`, 'gi');
+
+/**
+ * Customer text with allergy keywords highlighted
+ * @param {{ text: string }} props
+ */
+export const AllergenText = ({ text }) => (
+  <>
+    {text.split(ALLERGY_PATTERN).map((part, index) =>
+      // split() with a capture group puts the matches at odd indexes
+      (index % 2 === 1
+        ? <mark key={index} className={styles.allergen}>{part}</mark>
+        : part)
+    )}
+  </>
+);
+
+/**
+ * Variant, add-ons and instructions under an order line
+ * @param {{ item: Object }} props - Item from RestaurantContext (see normalizeOrderItem)
+ */
+export const ItemExtras = ({ item }) => {
+  if (!item.variant && item.addOns.length === 0 && !item.instructions) return null;
+
+  return (
+    // A span so it can sit inside buttons (kitchen display lines)
+    <span className={styles.itemExtras}>
+      {item.variant && <span className={styles.variant}>{item.variant}</span>}
+      {item.addOns.map((addOn, index) => (
+        <span key={index} className={styles.addOn}>+ {addOn.name}</span>
+      ))}
+      {item.instructions && (
+        <span className={styles.itemNote}>
+          “<AllergenText text={item.instructions} />”
+        </span>
+      )}
+    </span>
+  );
+};
+
+/**
+ * Order-level customer instructions, shown as a banner above the items
+ * @param {{ instructions: string|null, compact?: boolean }} props
+ */
+const OrderNotes = ({ instructions, compact = false }) => {
+  if (!instructions) return null;
+
+  return (
+    <div className={`${styles.orderNotes} ${compact ? styles.compact : ''}`}>
+      <MessageSquareWarning size={compact ? 14 : 16} className={styles.notesIcon} />
+      <span><AllergenText text={instructions} /></span>
+    </div>
+  );
+};
+
+export default OrderNotes;
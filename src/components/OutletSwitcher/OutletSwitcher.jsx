@@ -0,0 +1,152 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Check, ChevronDown, Plus } from 'lucide-react';
+import { can, getSession } from '../../services/authService';
+import { getOutlets, switchOutlet, createOutlet } from '../../services/outletService';
+import styles from './OutletSwitcher.module.css';
+
+/**
+ * Header title for chain accounts: the current outlet's name, opening a list of
+ * the other outlets this login is linked to. Switching re-issues the session
+ * for that outlet and navigates there, which remounts RestaurantProvider.
+ */
+const OutletSwitcher = ({ restaurantId, restaurantName }) => {
+  const navigate = useNavigate();
+  const containerRef = useRef(null);
+  const [outlets, setOutlets] = useState(() => getSession()?.outlets || []);
+  const [isOpen, setIsOpen] = useState(false);
+  const [switchingTo, setSwitchingTo] = useState(null);
+  const [isAdding, setIsAdding] = useState(false);
+  const [newOutlet, setNewOutlet] = useState({ name: '', city: '' });
+  const [error, setError] = useState('');
+
+  const canManage = can('outlets:manage');
+
+  useEffect(() => {
+    getOutlets()
+      .then(setOutlets)
+      .catch(() => { /* keep the cached list */ });
+  }, []);
+
+  // Close when clicking anywhere outside the dropdown
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) {
+        setIsOpen(false);
+        setIsAdding(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const handleSwitch = async (outletId) => {
+    if (outletId === restaurantId) {
+      setIsOpen(false);
+      return;
+    }
+    setSwitchingTo(outletId);
+    setError('');
+    try {
+      await switchOutlet(outletId);
+      setIsOpen(false);
+      navigate(`/${outletId}/orders`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSwitchingTo(null);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newOutlet.name.trim() || !newOutlet.city.trim()) {
+      setError('Outlet name and city are required');
+      return;
+    }
+    setError('');
+    try {
+      const outlet = await createOutlet({ name: newOutlet.name.trim(), city: newOutlet.city.trim() });
+      setOutlets(prev => [...prev, outlet]);
+      setNewOutlet({ name: '', city: '' });
+      setIsAdding(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Single-outlet staff have nothing to switch to
+  if (outlets.length <= 1 && !canManage) {
+    return <div className={styles.title}>{restaurantName}</div>;
+  }
+
+  return (
+    <div className={styles.switcher} ref={containerRef}>
+      <button
+        className={styles.trigger}
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="listbox"
+        aria-expanded={isOpen}
+      >
+        <span className={styles.title}>{restaurantName}</span>
+        <ChevronDown size={18} className={isOpen ? styles.chevronOpen : styles.chevron} />
+      </button>
+
+      {isOpen && (
+        <div className={styles.dropdown} role="listbox">
+          <span className={styles.dropdownLabel}>Outlets</span>
+          {outlets.map(outlet => (
+            <button
+              key={outlet.restaurantId}
+              className={styles.option}
+              onClick={() => handleSwitch(outlet.restaurantId)}
+              disabled={switchingTo !== null}
+              role="option"
+              aria-selected={outlet.restaurantId === restaurantId}
+            >
+              <span className={styles.optionInfo}>
+                <span className={styles.optionName}>{outlet.name}</span>
+                <span className={styles.optionMeta}>
+                  {[outlet.city, outlet.role].filter(Boolean).join(' · ')}
+                </span>
+              </span>
+              {switchingTo === outlet.restaurantId && <span className={styles.optionMeta}>Switching…</span>}
+              {outlet.restaurantId === restaurantId && <Check size={16} className={styles.check} />}
+            </button>
+          ))}
+
+          {canManage && (isAdding ? (
+            <form className={styles.addForm} onSubmit={handleAdd}>
+              <input
+                className={styles.input}
+                placeholder="Outlet name"
+                value={newOutlet.name}
+                onChange={(e) => setNewOutlet({ ...newOutlet, name: e.target.value })}
+                autoFocus
+              />
+              <input
+                className={styles.input}
+                placeholder="City"
+                value={newOutlet.city}
+                onChange={(e) => setNewOutlet({ ...newOutlet, city: e.target.value })}
+              />
+              <div className={styles.addActions}>
+                <button type="button" className={styles.secondaryBtn} onClick={() => setIsAdding(false)}>Cancel</button>
+                <button type="submit" className={styles.primaryBtn}>Add</button>
+              </div>
+            </form>
+          ) : (
+            <button className={styles.addBtn} onClick={() => setIsAdding(true)}>
+              <Plus size={16} /> Add Outlet
+            </button>
+          ))}
+
+          {error && <p className={styles.error}>{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OutletSwitcher;
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { X, Clock } from 'lucide-react';
 import useKeyboard from '../../hooks/useKeyboard';
+import OrderNotes, { ItemExtras } from '../OrderNotes/OrderNotes';
 import styles from './PrepTimeModal.module.css';
 
 const PrepTimeModal = ({ isOpen, onClose, onConfirm, orderDetails }) => {
@@ -42,11 +43,13 @@ const PrepTimeModal = ({ isOpen, onClose, onConfirm, orderDetails }) => {
           <div className={styles.orderSummary}>
             <h3>Order #{orderDetails.id}</h3>
             <p>{orderDetails.customerName}</p>
+            <OrderNotes instructions={orderDetails.instructions} compact />
             <div className={styles.itemsList}>
               {orderDetails.items.map((item, index) => (
-                <span key={index} className={styles.item}>
+                <div key={index} className={styles.item}>
                   {item.quantity}x {item.name}
-                </span>
+                  <ItemExtras item={item} />
+                </div>
               ))}
             </div>
           </div>
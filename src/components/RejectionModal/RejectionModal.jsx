@@ -7,17 +7,20 @@ const RejectionModal = ({ isOpen, onClose, onConfirm, orderDetails }) => {
     const [selectedReason, setSelectedReason] = useState('');
     const [otherReason, setOtherReason] = useState('');
 
+    // Codes match REJECTION_REASONS in the backend
     const rejectionReasons = [
-        'Out of Stock',
-        'Kitchen Too Busy',
-        'Closing Soon',
-        'Cannot Fulfill Special Request'
+        { code: 'OUT_OF_STOCK', label: 'Out of Stock' },
+        { code: 'KITCHEN_BUSY', label: 'Kitchen Too Busy' },
+        { code: 'CLOSING_SOON', label: 'Closing Soon' },
+        { code: 'SPECIAL_REQUEST', label: 'Cannot Fulfill Special Request' }
     ];
 
     const handleConfirm = () => {
-        const finalReason = selectedReason === 'Other' ? otherReason : selectedReason;
-        if (finalReason) {
-            onConfirm(finalReason);
+        if (selectedReason === 'OTHER' ? otherReason.trim() : selectedReason) {
+            onConfirm({
+                code: selectedReason,
+                text: selectedReason === 'OTHER' ? otherReason.trim() : undefined
+            });
             onClose();
             // Reset state
             setSelectedReason('');
@@ -25,7 +28,7 @@ const RejectionModal = ({ isOpen, onClose, onConfirm, orderDetails }) => {
         }
     };
 
-    const isConfirmDisabled = !selectedReason || (selectedReason === 'Other' && !otherReason.trim());
+    const isConfirmDisabled = !selectedReason || (selectedReason === 'OTHER' && !otherReason.trim());
 
     useKeyboard({
         onEscape: onClose,
@@ -60,24 +63,24 @@ const RejectionModal = ({ isOpen, onClose, onConfirm, orderDetails }) => {
 
                 <div className={styles.reasonsList}>
                     {rejectionReasons.map((reason) => (
-                        <label key={reason} className={styles.reasonOption}>
+                        <label key={reason.code} className={styles.reasonOption}>
                             <input
                                 type="radio"
                                 name="rejectionReason"
-                                value={reason}
-                                checked={selectedReason === reason}
+                                value={reason.code}
+                                checked={selectedReason === reason.code}
                                 onChange={(e) => setSelectedReason(e.target.value)}
                                 className={styles.radioInput}
                             />
-                            <span className={styles.reasonText}>{reason}</span>
+                            <span className={styles.reasonText}>{reason.label}</span>
                         </label>
                     ))}
                     <label className={styles.reasonOption}>
                         <input
                             type="radio"
                             name="rejectionReason"
-                            value="Other"
-                            checked={selectedReason === 'Other'}
+                            value="OTHER"
+                            checked={selectedReason === 'OTHER'}
                             onChange={(e) => setSelectedReason(e.target.value)}
                             className={styles.radioInput}
                         />
@@ -85,7 +88,7 @@ const RejectionModal = ({ isOpen, onClose, onConfirm, orderDetails }) => {
                     </label>
                 </div>
 
-                {selectedReason === 'Other' && (
+                {selectedReason === 'OTHER' && (
                     <div className={styles.otherReasonInput}>
                         <textarea
                             placeholder="Please specify the reason..."
@@ -104,7 +107,7 @@ const RejectionModal = ({ isOpen, onClose, onConfirm, orderDetails }) => {
                     <button
                         className={styles.rejectBtn}
                         onClick={handleConfirm}
-                        disabled={!selectedReason || (selectedReason === 'Other' && !otherReason.trim())}
+                        disabled={isConfirmDisabled}
                     >
                         Confirm Reject
                     </button>
@@ -42,6 +42,45 @@ function OrderStats({ stats }) {
                     <span className={styles.metaValue}>{stats.avgPrepTime}</span>
                 </div>
             </div>
+            {stats.rejectionReasons?.length > 0 && (
+                <>
+                    <div className={styles.divider} />
+                    <div className={styles.reasons}>
+                        <span className={styles.metaLabel}>Rejection Reasons</span>
+                        {stats.rejectionReasons.map((reason) => (
+                            <div key={reason.code} className={styles.reasonRow}>
+                                <span className={styles.label}>{reason.label}</span>
+                                <span className={styles.value}>
+                                    {reason.count} <span className={styles.reasonShare}>({reason.share}%)</span>
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+            {stats.prepExtensions?.count > 0 && (
+                <>
+                    <div className={styles.divider} />
+                    <div className={styles.reasons}>
+                        <span className={styles.metaLabel}>Prep Time Extended</span>
+                        <div className={styles.reasonRow}>
+                            <span className={styles.label}>Orders</span>
+                            <span className={styles.value}>
+                                {stats.prepExtensions.ordersExtended}{' '}
+                                <span className={styles.reasonShare}>({stats.prepExtensions.extensionRate}% of accepted)</span>
+                            </span>
+                        </div>
+                        {stats.prepExtensions.reasons.map((reason) => (
+                            <div key={reason.code} className={styles.reasonRow}>
+                                <span className={styles.label}>{reason.label}</span>
+                                <span className={styles.value}>
+                                    {reason.count} <span className={styles.reasonShare}>({reason.share}%)</span>
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
         </div>
     );
 }
@@ -0,0 +1,61 @@
+import styles from './OutletComparison.module.css';
+
+const formatValue = (value, format) => {
+    if (value === undefined || value === null) return '—';
+    if (format === 'currency') return `₹${Math.round(value).toLocaleString()}`;
+    if (format === 'percent') return `${value}%`;
+    return value.toLocaleString();
+};
+
+const columns = [
+    { key: 'sales', label: 'Sales', format: 'currency' },
+    { key: 'orders', label: 'Orders' },
+    { key: 'aov', label: 'Avg Order', format: 'currency' },
+    { key: 'completionRate', label: 'Completion', format: 'percent' },
+    { key: 'rejected', label: 'Rejected' },
+    { key: 'topItem', label: 'Top Item' },
+    { key: 'peakHour', label: 'Peak Hour' },
+    { key: 'repeatRate', label: 'Repeat Rate', format: 'percent' },
+];
+
+function OutletComparison({ rows }) {
+    if (!rows || rows.length === 0) return null;
+
+    const sorted = [...rows]
+        .map(row => ({ ...row, aov: row.orders ? row.sales / row.orders : null }))
+        .sort((a, b) => (b.sales || 0) - (a.sales || 0));
+    const bestSales = sorted[0]?.sales;
+
+    return (
+        <div className={styles.container}>
+            <table className={styles.table}>
+                <thead>
+                    <tr>
+                        <th>Outlet</th>
+                        {columns.map(column => <th key={column.key}>{column.label}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {sorted.map(row => (
+                        <tr key={row.restaurantId}>
+                            <td>
+                                <span className={styles.outletName}>{row.name}</span>
+                                {row.city && <span className={styles.outletCity}>{row.city}</span>}
+                            </td>
+                            {columns.map(column => (
+                                <td
+                                    key={column.key}
+                                    className={column.key === 'sales' && row.sales === bestSales ? styles.best : ''}
+                                >
+                                    {formatValue(row[column.key], column.format)}
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default OutletComparison;
@@ -0,0 +1,35 @@
+import OrderNotificationToast from './OrderNotificationToast';
+import styles from './OrderNotificationToast.module.css';
+
+// Toasts shown at once; the rest wait in the queue and slide in as these close
+const MAX_VISIBLE = 3;
+
+function OrderNotificationStack({ notifications, onClose, onCloseAll, restaurantId }) {
+  if (notifications.length === 0) return null;
+
+  const visible = notifications.slice(0, MAX_VISIBLE);
+  const queued = notifications.length - visible.length;
+
+  return (
+    <div className={styles.stack}>
+      {visible.map(order => (
+        <OrderNotificationToast
+          key={order.id}
+          order={order}
+          onClose={onClose}
+          restaurantId={restaurantId}
+        />
+      ))}
+      {notifications.length > 1 && (
+        <div className={styles.stackFooter}>
+          {queued > 0 && <span>+{queued} more new order{queued === 1 ? '' : 's'}</span>}
+          <button className={styles.dismissAllBtn} onClick={onCloseAll}>
+            Dismiss all
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OrderNotificationStack;
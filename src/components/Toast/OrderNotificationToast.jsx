@@ -1,48 +1,69 @@
 import { useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Bell, X } from 'lucide-react';
+import { Bell, AlertTriangle, X } from 'lucide-react';
+import OrderNotes from '../OrderNotes/OrderNotes';
 import styles from './OrderNotificationToast.module.css';
 
 function OrderNotificationToast({ order, onClose, restaurantId }) {
   const navigate = useNavigate();
 
+  const orderId = order?.id;
+  // Set when the order is close to its acceptance deadline (see RestaurantContext)
+  const urgency = order?.urgency;
+
   useEffect(() => {
+    // Deadline alerts stay until dismissed
+    if (urgency) return;
     // Auto-dismiss after 10 seconds if not interacted with
     const timer = setTimeout(() => {
-      onClose();
+      onClose(orderId);
     }, 10000);
     return () => clearTimeout(timer);
-  }, [onClose]);
+  }, [onClose, orderId, urgency]);
 
   if (!order) return null;
 
   const handleViewOrder = () => {
     navigate(`/${restaurantId}/orders`);
-    onClose();
+    onClose(orderId);
   };
 
   const itemCount = order.items.reduce((sum, item) => sum + item.quantity, 0);
-  const itemsText = order.items.map(i => `${i.quantity}x ${i.name}`).join(', ');
+  const itemsText = order.items
+    .map(i => [
+      `${i.quantity}x ${i.name}`,
+      i.variant && ` (${i.variant})`,
+      ...i.addOns.map(addOn => ` + ${addOn.name}`),
+      i.instructions && ` “${i.instructions}”`
+    ].filter(Boolean).join(''))
+    .join(', ');
 
   return (
-    <div className={styles.toast}>
+    <div className={`${styles.toast} ${urgency ? styles[urgency] : ''}`}>
       <div className={styles.iconContainer}>
-        <Bell size={24} className={styles.bellIcon} />
+        {urgency
+          ? <AlertTriangle size={24} className={styles.bellIcon} />
+          : <Bell size={24} className={styles.bellIcon} />}
         <div className={styles.ping}></div>
       </div>
       
       <div className={styles.content}>
-        <h4 className={styles.title}>New Order from {order.customerName}</h4>
+        <h4 className={styles.title}>
+          {urgency
+            ? `Accept soon: #${order.id} from ${order.customerName}`
+            : `New Order from ${order.customerName}`}
+        </h4>
         <p className={styles.items} title={itemsText}>
           {itemCount} Items: {itemsText}
         </p>
+        <OrderNotes instructions={order.instructions} compact />
       </div>
 
       <div className={styles.actions}>
         <button className={styles.viewBtn} onClick={handleViewOrder}>
           View
         </button>
-        <button className={styles.closeBtn} onClick={onClose}>
+        <button className={styles.closeBtn} onClick={() => onClose(orderId)}>
           <X size={16} />
         </button>
       </div>
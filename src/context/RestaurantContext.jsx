@@ -1,18 +1,18 @@
-import { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
 import { getRestaurantDetails } from '../services/menuService';
+import { fetchActiveOrders, normalizeOrderItem, orderInstructions } from '../services/centralOrderService';
+import { subscribeToOrderStream } from '../services/orderStreamService';
+import { autoPrintOrder } from '../services/printService';
+import { acceptanceUrgency } from '../hooks/useAcceptanceCountdown';
 
 const RestaurantContext = createContext();
 
-// Deterministic 4-digit code from order ID — same ID always yields same code
-const generateVerificationCode = (orderId) => {
-  const str = String(orderId);
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    hash = ((hash << 5) - hash) + str.charCodeAt(i);
-    hash |= 0;
-  }
-  return String(Math.abs(hash) % 10000).padStart(4, '0');
-};
+// Fallback polling interval, only used while the live order stream is down
+const POLL_INTERVAL_MS = 5000;
+// How often the alarm repeats while an order is close to timing out unaccepted
+const CRITICAL_ALARM_INTERVAL_MS = 5000;
+// Auto-accepted orders older than this when a tablet first sees them were printed already
+const AUTO_PRINT_WINDOW_MS = 2 * 60 * 1000;
 
 export const useRestaurant = () => {
   const context = useContext(RestaurantContext);
@@ -32,23 +32,27 @@ export const RestaurantProvider = ({ children, restaurantId }) => {
   
   // Orders & Notifications
   const [orders, setOrders] = useState([]);
-  const [notification, setNotification] = useState(null); // { message, order }
+  const [notifications, setNotifications] = useState([]); // queued new-order alerts, oldest first
   const [isSoundBlocked, setIsSoundBlocked] = useState(false);
-  const lastOrderCountRef = useRef(0);
+  // IDs of every order already seen, so each arrival is announced exactly once
+  const seenOrderIdsRef = useRef(new Set());
+  const reloadOrdersRef = useRef(null);
+  const ordersRef = useRef([]);
+  // Urgency each order's alert was last raised at, so each level is announced once
+  const escalationsRef = useRef(new Map());
+  // Auto-accepted orders whose kitchen ticket this tablet already sent to its printers
+  const autoPrintedIdsRef = useRef(new Set());
 
   // Import locally to avoid circular dependency issues if any, but standard import is fine
   // keeping the valid imports
   useEffect(() => {
     if (restaurantId) {
-      if (restaurantData) {
-        // Start polling only after we have restaurant data (to filter by name)
-        const stopPolling = startOrderPolling(restaurantData.name);
-        return () => stopPolling();
-      } else {
-         fetchRestaurantData();
-      }
+      fetchRestaurantData();
+      // The backend scopes orders to the signed-in restaurant by ID
+      const stopUpdates = startOrderUpdates();
+      return () => stopUpdates();
     }
-  }, [restaurantId, restaurantData]); // Re-run if restaurantData loads
+  }, [restaurantId]);
 
   // Initial Data Fetch
   const fetchRestaurantData = async () => {
@@ -80,23 +84,12 @@ export const RestaurantProvider = ({ children, restaurantId }) => {
     }
   };
 
-  const startOrderPolling = (restaurantName) => {
-    const loadOrders = async () => {
-      try {
-        const { fetchActiveOrders } = await import('../services/centralOrderService'); // Dynamic import to be safe or just standard
-        const data = await fetchActiveOrders();
-        
-        // Filter for THIS restaurant
-        let ordersForThisRestaurant = data;
-        if (restaurantName) {
-            ordersForThisRestaurant = data.filter(order => 
-                order.restaurant_id?.toLowerCase().includes(restaurantName.toLowerCase())
-            );
-        }
-        
+  // Live updates come from the order stream; polling only runs while it's disconnected
+  const startOrderUpdates = () => {
+    const applyOrders = (data) => {
         // Filter active only (not rider managed)
-        const relevantOrders = ordersForThisRestaurant.filter(order => {
-            const riderManagedStatuses = ['pickup_completed', 'delivery_started', 'out_for_delivery', 'delivered'];
+        const relevantOrders = data.filter(order => {
+            const riderManagedStatuses = ['handed_over', 'pickup_completed', 'delivery_started', 'out_for_delivery', 'delivered'];
             return !riderManagedStatuses.includes(order.status);
         });
 
@@ -104,45 +97,130 @@ export const RestaurantProvider = ({ children, restaurantId }) => {
         const transformedOrders = relevantOrders.map(order => ({
             id: order._id,
             customerName: order.customer_id,
+            instructions: orderInstructions(order),
             items: order.items.map(item => ({
-                name: item.name,
-                quantity: item.qty
+                ...normalizeOrderItem(item),
+                // Kitchen display routing and bump state (see Kds)
+                station: item.station || null,
+                bumpedAt: item.bumpedAt ? new Date(item.bumpedAt) : null,
+                bumpedBy: item.bumpedBy || null
             })),
             total: order.total_amount || order.items.reduce((sum, item) => sum + (item.price * item.qty), 0),
             status: mapBackendStatus(order.status),
-            verificationCode: generateVerificationCode(order._id),
-            prepTime: order.prepTime,
+            // Stored with the order when it's accepted (see updateOrderStatus)
+            prepTime: order.prepTime ? Number(order.prepTime) : null,
             acceptedAt: order.acceptedAt ? new Date(order.acceptedAt) : null,
-            originalStatus: order.status
+            acceptedBy: order.acceptedBy || null,
+            autoAccepted: Boolean(order.autoAccepted),
+            // Partial fulfilment proposed to the customer: { lines, note, originalTotal, refundAmount, adjustedTotal }
+            adjustment: order.adjustment || null,
+            createdAt: order.createdAt || order.created_at ? new Date(order.createdAt || order.created_at) : null,
+            // Deadline to accept or reject before the backend rejects it as not accepted in time
+            acceptBy: order.acceptBy ? new Date(order.acceptBy) : null,
+            originalStatus: order.status,
+            // Sent back as the precondition of the next status update
+            updatedAt: order.updatedAt || order.updated_at || null
         }));
         
         setOrders(transformedOrders);
+        ordersRef.current = transformedOrders;
 
-        // Check for NEW orders for notification
-        const currentNewOrders = transformedOrders.filter(o => o.status === 'new');
-        if (currentNewOrders.length > lastOrderCountRef.current) {
-            // Find the newest order to show in notification
-            // For simplicity, just show generic or the last one. 
-            // In a real generic polling, distinguishing "which" is new requires diffing IDs.
-            // Here, if count increased, we assume the latest one in the list is the new one or just notify.
-            const newOrder = currentNewOrders[currentNewOrders.length - 1];
-            if (newOrder) {
-                setNotification(newOrder); // Sets the order object to display
-                playSound();
-            }
+        // New orders are the ones whose ID we haven't seen before, however many
+        // arrive in one update; each is queued so none is missed
+        const seen = seenOrderIdsRef.current;
+        const arrivals = transformedOrders.filter(o => o.status === 'new' && !seen.has(o.id));
+        transformedOrders.forEach(o => seen.add(o.id));
+
+        const stillNewIds = new Set(transformedOrders.filter(o => o.status === 'new').map(o => o.id));
+        for (const orderId of escalationsRef.current.keys()) {
+            if (!stillNewIds.has(orderId)) escalationsRef.current.delete(orderId);
+        }
+        setNotifications(prev => [
+            // Drop alerts for orders already handled (e.g. accepted on another screen)
+            ...prev.filter(o => stillNewIds.has(o.id)),
+            ...arrivals
+        ]);
+        if (arrivals.length > 0) {
+            playSound();
         }
-        lastOrderCountRef.current = currentNewOrders.length;
 
+        // No tablet accepted these, so the agent and browser printers' KOT rules run here;
+        // the backend makes sure only one tablet prints each
+        const autoPrinted = autoPrintedIdsRef.current;
+        transformedOrders
+            .filter(o => o.autoAccepted && o.acceptedAt && !autoPrinted.has(o.id) &&
+                Date.now() - o.acceptedAt.getTime() < AUTO_PRINT_WINDOW_MS)
+            .forEach(o => {
+                autoPrinted.add(o.id);
+                autoPrintOrder(o.id, 'kot', { once: true })
+                    .then(problems => problems.forEach(problem => console.error('Auto-print:', problem)))
+                    .catch(err => console.error('Auto-print failed:', err));
+            });
+    };
+
+    const loadOrders = async () => {
+      try {
+        applyOrders(await fetchActiveOrders());
       } catch (err) {
         console.error('Global Polling Error:', err);
       }
     };
 
-    // Initial load
-    loadOrders();
-    // Poll
-    const interval = setInterval(loadOrders, 5000);
-    return () => clearInterval(interval);
+    reloadOrdersRef.current = loadOrders;
+
+    let pollInterval = null;
+    const startPolling = () => {
+      if (pollInterval) return;
+      loadOrders();
+      pollInterval = setInterval(loadOrders, POLL_INTERVAL_MS);
+    };
+    const stopPolling = () => {
+      clearInterval(pollInterval);
+      pollInterval = null;
+    };
+
+    // Raise the alert again as a new order nears its acceptance deadline: once at
+    // 'warning', then at 'critical' with the sound repeating until someone decides
+    let lastAlarmAt = 0;
+    const checkAcceptanceDeadlines = () => {
+      const now = Date.now();
+      const escalated = [];
+      let isCritical = false;
+      for (const order of ordersRef.current) {
+        const urgency = acceptanceUrgency(order, now);
+        if (!urgency) continue;
+        if (urgency === 'critical') isCritical = true;
+        if (escalationsRef.current.get(order.id) !== urgency) {
+          escalationsRef.current.set(order.id, urgency);
+          escalated.push({ ...order, urgency });
+        }
+      }
+
+      if (escalated.length > 0) {
+        const escalatedIds = new Set(escalated.map(o => o.id));
+        // Urgent alerts go to the front, replacing the order's earlier toast
+        setNotifications(prev => [...escalated, ...prev.filter(o => !escalatedIds.has(o.id))]);
+      }
+      if (escalated.length > 0 || (isCritical && now - lastAlarmAt >= CRITICAL_ALARM_INTERVAL_MS)) {
+        lastAlarmAt = now;
+        playSound();
+      }
+    };
+    const deadlineTimer = setInterval(checkAcceptanceDeadlines, 1000);
+
+    // Poll until the stream connects (it sends the current list on connect)
+    startPolling();
+    const unsubscribe = subscribeToOrderStream({
+      onOrders: applyOrders,
+      onConnectionChange: (isConnected) => (isConnected ? stopPolling() : startPolling())
+    });
+
+    return () => {
+      unsubscribe();
+      stopPolling();
+      clearInterval(deadlineTimer);
+      reloadOrdersRef.current = null;
+    };
   };
 
   function mapBackendStatus(backendStatus) {
@@ -151,14 +229,23 @@ export const RestaurantProvider = ({ children, restaurantId }) => {
       'preparing': 'preparing',
       'ready': 'ready',
       'accepted': 'new',
+      'awaiting_customer': 'awaiting',
       'cancelled': 'rejected'
     };
     return statusMap[backendStatus] || 'new';
   }
 
-  const dismissNotification = () => {
-    setNotification(null);
-  };
+  // Stable identities: each toast's auto-dismiss timer depends on them
+  const dismissNotification = useCallback((orderId) => {
+    setNotifications(prev => prev.filter(o => o.id !== orderId));
+  }, []);
+
+  const dismissAllNotifications = useCallback(() => {
+    setNotifications([]);
+  }, []);
+
+  // Fetch the active orders now, e.g. after another device changed one
+  const refreshOrders = () => reloadOrdersRef.current?.();
     
   const setOnlineStatus = (status) => {
     setIsOnline(status);
@@ -187,8 +274,10 @@ export const RestaurantProvider = ({ children, restaurantId }) => {
     // New Global Exports
     orders,
     setOrders, // Exposed so Dashboard can update active state immediately (optimistic UI)
-    notification,
+    refreshOrders,
+    notifications,
     dismissNotification,
+    dismissAllNotifications,
     isSoundBlocked,
     enableSound: playSound
   };
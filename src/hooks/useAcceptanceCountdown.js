@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+
+// Share of the acceptance window left when the alert escalates
+const WARNING_SHARE = 0.5;
+const CRITICAL_SHARE = 0.2;
+
+/**
+ * How urgent a new order's decision is
+ * @param {Object} order - Order from RestaurantContext ({ status, createdAt, acceptBy })
+ * @param {number} [now] - Epoch ms
+ * @returns {null | 'warning' | 'critical'} - null when there's no deadline, it's still far off, or it has passed
+ */
+export const acceptanceUrgency = (order, now = Date.now()) => {
+  if (order.status !== 'new' || !order.acceptBy || !order.createdAt) return null;
+  const span = order.acceptBy - order.createdAt;
+  const left = order.acceptBy - now;
+  if (span <= 0 || left <= 0) return null;
+  if (left <= span * CRITICAL_SHARE) return 'critical';
+  if (left <= span * WARNING_SHARE) return 'warning';
+  return null;
+};
+
+/**
+ * Time left to accept a new order, ticking every second
+ * @param {Object} order - Order from RestaurantContext
+ * @returns {{ remaining: number|null, urgency: null | 'warning' | 'critical' }} - remaining is ms (0 once expired), null without a deadline
+ */
+const useAcceptanceCountdown = (order) => {
+  const [now, setNow] = useState(() => Date.now());
+  const hasDeadline = order.status === 'new' && Boolean(order.acceptBy);
+
+  useEffect(() => {
+    if (!hasDeadline) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [hasDeadline]);
+
+  if (!hasDeadline) return { remaining: null, urgency: null };
+  return {
+    remaining: Math.max(0, order.acceptBy - now),
+    urgency: acceptanceUrgency(order, now)
+  };
+};
+
+export default useAcceptanceCountdown;
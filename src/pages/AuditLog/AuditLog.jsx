@@ -0,0 +1,227 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { Search, ChevronDown, ChevronRight } from 'lucide-react';
+import { getAuditLog } from '../../services/auditService';
+import styles from './AuditLog.module.css';
+
+const PAGE_SIZE = 50;
+
+// Filter groups match the action prefixes the backend records
+const ACTION_GROUPS = [
+  { value: '', label: 'All Actions' },
+  { value: 'menu', label: 'Menu' },
+  { value: 'restaurant', label: 'Restaurant Details' },
+  { value: 'order', label: 'Order Status' },
+  { value: 'staff', label: 'Staff' },
+  { value: 'outlet', label: 'Outlets' },
+  { value: 'auth', label: 'Sign-in & Security' },
+];
+
+const ACTION_LABELS = {
+  'menu.create': 'Added menu item',
+  'menu.delete': 'Deleted menu item',
+  'restaurant.update': 'Updated restaurant details',
+  'order.status': 'Changed order status',
+  'staff.invite': 'Invited staff member',
+  'staff.role_changed': 'Changed staff role',
+  'staff.enabled': 'Enabled staff account',
+  'staff.disabled': 'Disabled staff account',
+  'outlet.create': 'Added outlet',
+  'auth.login': 'Signed in',
+  'auth.login_failed': 'Failed sign-in',
+  'auth.logout': 'Signed out',
+  'auth.logout_everywhere': 'Signed out everywhere',
+  'auth.session_revoked': 'Signed out a session',
+  'auth.outlet_switched': 'Switched outlet',
+  'auth.signup': 'Created account',
+  'auth.email_verified': 'Verified email',
+  'auth.password_changed': 'Changed password',
+  'auth.password_reset': 'Reset password',
+  'auth.2fa_enabled': 'Turned on 2FA',
+  'auth.2fa_disabled': 'Turned off 2FA',
+  'auth.recovery_codes_regenerated': 'Regenerated recovery codes',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Fields that differ between before and after (or every field when one side is missing)
+const diffFields = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]))
+    .map(key => ({ key, before: before?.[key], after: after?.[key] }));
+};
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [filters, setFilters] = useState({ action: '', actor: '', from: '', to: '' });
+
+  const load = useCallback(async (offset = 0) => {
+    setLoading(true);
+    setError('');
+    try {
+      const page = await getAuditLog({ ...filters, limit: PAGE_SIZE, offset });
+      setEntries(prev => (offset === 0 ? page.entries : [...prev, ...page.entries]));
+      setTotal(page.total);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  // Refetch from the first page whenever a filter changes (debounced for typing)
+  useEffect(() => {
+    const timer = setTimeout(() => load(0), 300);
+    return () => clearTimeout(timer);
+  }, [load]);
+
+  const setFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+
+  return (
+    <div className={styles.auditLog}>
+      <div className={styles.pageHeader}>
+        <div>
+          <h1 className={styles.title}>Audit Log</h1>
+          <p className={styles.subtitle}>Every change to your menu, orders, staff and account.</p>
+        </div>
+      </div>
+
+      <div className={styles.filtersBar}>
+        <div className={styles.searchWrapper}>
+          <Search className={styles.searchIcon} size={18} />
+          <input
+            type="text"
+            placeholder="Search by user..."
+            className={styles.searchInput}
+            value={filters.actor}
+            onChange={setFilter('actor')}
+          />
+        </div>
+
+        <select className={styles.filterSelect} value={filters.action} onChange={setFilter('action')}>
+          {ACTION_GROUPS.map(group => (
+            <option key={group.value} value={group.value}>{group.label}</option>
+          ))}
+        </select>
+
+        <label className={styles.dateField}>
+          <span>From</span>
+          <input type="date" className={styles.dateInput} value={filters.from} onChange={setFilter('from')} />
+        </label>
+        <label className={styles.dateField}>
+          <span>To</span>
+          <input type="date" className={styles.dateInput} value={filters.to} onChange={setFilter('to')} />
+        </label>
+      </div>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      <div className={styles.tableContainer}>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th aria-label="Expand" />
+              <th>Date & Time</th>
+              <th>User</th>
+              <th>Action</th>
+              <th>Target</th>
+              <th>IP Address</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => {
+              const isExpanded = expandedId === entry.id;
+              const changes = diffFields(entry.before, entry.after);
+              return (
+                <Fragment key={entry.id}>
+                  <tr
+                    className={changes.length ? styles.expandable : ''}
+                    onClick={() => changes.length && setExpandedId(isExpanded ? null : entry.id)}
+                  >
+                    <td className={styles.chevronCell}>
+                      {changes.length > 0 && (isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />)}
+                    </td>
+                    <td>
+                      {new Date(entry.createdAt).toLocaleDateString()}
+                      <span className={styles.time}>
+                        {new Date(entry.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                      </span>
+                    </td>
+                    <td>
+                      <span className={styles.actorName}>{entry.actor.username || 'System'}</span>
+                      {entry.actor.role && <span className={styles.roleBadge}>{entry.actor.role}</span>}
+                    </td>
+                    <td>
+                      <span className={`${styles.actionBadge} ${styles[entry.action.split('.')[0]] || ''}`}>
+                        {ACTION_LABELS[entry.action] || entry.action}
+                      </span>
+                    </td>
+                    <td className={styles.target}>
+                      {entry.entityType ? `${entry.entityType.replace('_', ' ')} #${entry.entityId}` : '—'}
+                    </td>
+                    <td className={styles.ip}>{entry.ipAddress || '—'}</td>
+                  </tr>
+                  {isExpanded && (
+                    <tr className={styles.changesRow}>
+                      <td />
+                      <td colSpan="5">
+                        <table className={styles.changesTable}>
+                          <thead>
+                            <tr>
+                              <th>Field</th>
+                              <th>Before</th>
+                              <th>After</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {changes.map(change => (
+                              <tr key={change.key}>
+                                <td>{change.key}</td>
+                                <td className={styles.before}>{formatValue(change.before)}</td>
+                                <td className={styles.after}>{formatValue(change.after)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+
+            {!loading && entries.length === 0 && (
+              <tr>
+                <td colSpan="6" className={styles.emptyState}>
+                  No activity found matching your filters.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className={styles.footer}>
+        {loading ? (
+          <span className={styles.muted}>Loading activity...</span>
+        ) : entries.length < total ? (
+          <button className={styles.loadMoreBtn} onClick={() => load(entries.length)}>
+            Load more ({total - entries.length} remaining)
+          </button>
+        ) : entries.length > 0 && (
+          <span className={styles.muted}>Showing all {total} entries</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -4,16 +4,20 @@ import { useRestaurant } from '../../context/RestaurantContext'; // Import conte
 import OrderCard from '../../components/OrderCard/OrderCard';
 import PrepTimeModal from '../../components/PrepTimeModal/PrepTimeModal';
 import RejectionModal from '../../components/RejectionModal/RejectionModal';
+import AdjustmentModal from '../../components/AdjustmentModal/AdjustmentModal';
+import ExtendPrepModal from '../../components/ExtendPrepModal/ExtendPrepModal';
 import RingSpinner from '../../components/Spinner/Spinner';
 import WarningToast from '../../components/ui/WarningToast';
 import styles from './Dashboard.module.css';
-import { updateOrderStatus } from '../../services/centralOrderService';
+import { updateOrderStatus, handOffOrder, bumpOrderItems, proposeAdjustment, extendPrepTime } from '../../services/centralOrderService';
+import { autoPrintOrder, reprintOrder } from '../../services/printService';
 
 function Dashboard() {
   // Use global orders from context
   const { 
     orders, 
     setOrders, 
+    refreshOrders,
     isLoading: loading, 
     isSoundBlocked, 
     enableSound 
@@ -23,12 +27,45 @@ function Dashboard() {
   const [rejectionModalOpen, setRejectionModalOpen] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [orderToReject, setOrderToReject] = useState(null);
+  const [orderToAdjust, setOrderToAdjust] = useState(null);
+  const [extension, setExtension] = useState(null); // { order, minutes } while asking for a reason
   const [error, setError] = useState(null); // Keep error state if needed, though context handles loading errors
   const [activeTab, setActiveTab] = useState('new');
-  const [warningId, setWarningId] = useState(0);
+  const [warning, setWarning] = useState(null); // { id, message }
+
+  const showWarning = (message) => {
+    setWarning({ id: Date.now(), message });
+  };
 
   const handleValidationFail = () => {
-    setWarningId(Date.now());
+    showWarning('Please tick all items as done before marking ready');
+  };
+
+  // What this tablet last saw of the order; the backend answers 409 if it has moved on since
+  const preconditionOf = (order) => ({
+    expectedStatus: order.originalStatus,
+    ...(order.updatedAt && { expectedUpdatedAt: order.updatedAt })
+  });
+
+  // The local copy after a successful update. The new updatedAt isn't known
+  // until the next refresh, so only the status is sent as precondition meanwhile.
+  const withStatus = (order, status, originalStatus, fields = {}) => ({
+    ...order,
+    ...fields,
+    status,
+    originalStatus,
+    updatedAt: null
+  });
+
+  // Another device changed the order first: show what happened and reload
+  // the board instead of overwriting it
+  const handleUpdateError = (err, fallbackMessage) => {
+    if (err.response?.status === 409) {
+      showWarning(err.response.data?.error || 'This order was updated on another device');
+      refreshOrders();
+      return;
+    }
+    console.error(fallbackMessage, err);
   };
 
   // Removed local polling, sound logic, and backend mapping
@@ -49,32 +86,101 @@ function Dashboard() {
   const handleConfirmReject = async (reason) => {
     if (orderToReject) {
       try {
-        await updateOrderStatus(orderToReject.id, 'cancelled');
-        console.log(`Rejecting order ${orderToReject.id} for reason: ${reason}`);
+        // reason: { code, text? } — stored for reports and passed on to the customer
+        await updateOrderStatus(orderToReject.id, 'cancelled', {
+          ...preconditionOf(orderToReject),
+          rejectionReason: reason
+        });
         setOrders(orders.filter(order => order.id !== orderToReject.id));
       } catch (err) {
-        console.error('Failed to reject order:', err);
+        handleUpdateError(err, 'Failed to reject order:');
       }
       setOrderToReject(null);
     }
   };
 
+  const handleAdjustOrder = (orderId) => {
+    setOrderToAdjust(orders.find(o => o.id === orderId));
+  };
+
+  // Partial fulfilment: the order waits for the customer to agree to the adjusted total
+  const handleConfirmAdjustment = async (adjustment) => {
+    const target = orderToAdjust;
+    setOrderToAdjust(null);
+    try {
+      await proposeAdjustment(target.id, adjustment, preconditionOf(target));
+      setOrders(orders.map(order =>
+        order.id === target.id
+          ? withStatus(order, 'awaiting', 'awaiting_customer')
+          : order
+      ));
+    } catch (err) {
+      if (err.response?.status === 400) {
+        showWarning(err.response.data?.error || 'Could not send the changes to the customer');
+      } else {
+        handleUpdateError(err, 'Failed to propose adjustment:');
+      }
+    }
+  };
+
+  const handleExtendPrep = (orderId, minutes) => {
+    setExtension({ order: orders.find(o => o.id === orderId), minutes });
+  };
+
+  const handleConfirmExtension = async ({ minutes, reason }) => {
+    const target = extension.order;
+    try {
+      await extendPrepTime(target.id, minutes, reason, { ...preconditionOf(target), expectedPrepTime: target.prepTime });
+      setOrders(prev => prev.map(order =>
+        order.id === target.id
+          ? { ...order, prepTime: order.prepTime + minutes }
+          : order
+      ));
+    } catch (err) {
+      if (err.response?.status === 400) {
+        showWarning(err.response.data?.error || 'Could not extend the prep time');
+      } else {
+        handleUpdateError(err, 'Failed to extend prep time:');
+      }
+    }
+  };
+
+  // Auto-print rules for the printers next to this tablet; a failed print never blocks the order
+  const runAutoPrint = (orderId, kind) => {
+    autoPrintOrder(orderId, kind)
+      .then(problems => {
+        if (problems.length > 0) showWarning(problems[0]);
+      })
+      .catch(err => console.error('Auto-print failed:', err));
+  };
+
+  const handlePrint = async (orderId, kind) => {
+    try {
+      const { problem } = await reprintOrder(orderId, kind);
+      if (problem) showWarning(problem);
+    } catch (err) {
+      showWarning(err.message);
+    }
+  };
+
   const handleConfirmPrepTime = async (prepTime) => {
     if (selectedOrder) {
       try {
-        await updateOrderStatus(selectedOrder.id, 'preparing');
+        // Persisted with the order so the countdown survives a refresh and shows on every tablet
+        const acceptedAt = new Date();
+        await updateOrderStatus(selectedOrder.id, 'preparing', {
+          ...preconditionOf(selectedOrder),
+          prepTime,
+          acceptedAt
+        });
         setOrders(orders.map(order =>
           order.id === selectedOrder.id
-            ? {
-              ...order,
-              status: 'preparing',
-              prepTime,
-              acceptedAt: new Date()
-            }
+            ? withStatus(order, 'preparing', 'preparing', { prepTime, acceptedAt })
             : order
         ));
+        runAutoPrint(selectedOrder.id, 'kot');
       } catch (err) {
-        console.error('Failed to update order status:', err);
+        handleUpdateError(err, 'Failed to update order status:');
       }
     }
     setSelectedOrder(null);
@@ -82,29 +188,57 @@ function Dashboard() {
 
   const handleMarkReady = async (orderId) => {
     try {
-      await updateOrderStatus(orderId, 'ready');
+      const target = orders.find(order => order.id === orderId);
+      await updateOrderStatus(orderId, 'ready', preconditionOf(target));
       setOrders(orders.map(order =>
         order.id === orderId
-          ? { ...order, status: 'ready' }
+          ? withStatus(order, 'ready', 'ready')
           : order
       ));
+      runAutoPrint(orderId, 'bill');
     } catch (err) {
-      console.error('Failed to mark order as ready:', err);
+      handleUpdateError(err, 'Failed to mark order as ready:');
     }
   };
 
-  const handleHandToRider = async (orderId) => {
+  // Prep checklist: a tick is the same item bump the kitchen display shows
+  const handleToggleItem = async (orderId, index, prepared) => {
+    const markItem = (bumpedAt) => setOrders(prev => prev.map(order =>
+      order.id === orderId
+        ? { ...order, items: order.items.map((item, i) => (i === index ? { ...item, bumpedAt } : item)) }
+        : order
+    ));
+    const previous = orders.find(order => order.id === orderId)?.items[index]?.bumpedAt ?? null;
+    markItem(prepared ? new Date() : null);
     try {
-      // Just remove from local view - Rider app handles pickup status
+      await bumpOrderItems(orderId, [index], prepared);
+    } catch (err) {
+      markItem(previous);
+      handleUpdateError(err, 'Failed to update prep checklist:');
+    }
+  };
+
+  // Resolves true when the rider's code matched and the order left the board
+  const handleHandToRider = async (orderId, code) => {
+    try {
+      await handOffOrder(orderId, code);
       setOrders(orders.filter(order => order.id !== orderId));
-      console.log(`Order ${orderId} handed to rider`);
+      return true;
     } catch (err) {
-      console.error('Failed to hand order to rider:', err);
+      const { status, data } = err.response || {};
+      if (status === 400 || status === 429) {
+        const attemptsLeft = data?.attemptsRemaining > 0 ? ` (${data.attemptsRemaining} attempts left)` : '';
+        showWarning(`${data?.error || 'Wrong pickup code'}${attemptsLeft}`);
+      } else {
+        handleUpdateError(err, 'Failed to hand order to rider:');
+      }
+      return false;
     }
   };
 
   const newOrders = orders.filter(order => order.status === 'new');
-  const preparingOrders = orders.filter(order => order.status === 'preparing');
+  // Orders waiting on the customer's answer to an adjustment stay in the kitchen column
+  const preparingOrders = orders.filter(order => order.status === 'preparing' || order.status === 'awaiting');
   const readyOrders = orders.filter(order => order.status === 'ready');
 
   const cardVariants = {
@@ -256,6 +390,11 @@ function Dashboard() {
                     order={order}
                     onMarkReady={handleMarkReady}
                     onValidationFail={handleValidationFail}
+                    onToggleItem={handleToggleItem}
+                    onAdjust={handleAdjustOrder}
+                    onExtendPrep={handleExtendPrep}
+                    onReject={handleRejectOrder}
+                    onPrint={handlePrint}
                   />
                 </motion.div>
               ))}
@@ -290,6 +429,7 @@ function Dashboard() {
                   <OrderCard
                     order={order}
                     onHandToRider={handleHandToRider}
+                    onPrint={handlePrint}
                   />
                 </motion.div>
               ))}
@@ -317,12 +457,29 @@ function Dashboard() {
         orderDetails={orderToReject}
       />
 
-      {warningId > 0 && (
+      <AdjustmentModal
+        key={orderToAdjust?.id}
+        isOpen={Boolean(orderToAdjust)}
+        onClose={() => setOrderToAdjust(null)}
+        onConfirm={handleConfirmAdjustment}
+        orderDetails={orderToAdjust}
+      />
+
+      <ExtendPrepModal
+        key={extension ? `${extension.order.id}-${extension.minutes}` : 'closed'}
+        isOpen={Boolean(extension)}
+        onClose={() => setExtension(null)}
+        onConfirm={handleConfirmExtension}
+        orderDetails={extension?.order}
+        initialMinutes={extension?.minutes}
+      />
+
+      {warning && (
         <WarningToast 
-            key={warningId}
-            message="Please tick all items as done before marking ready" 
+            key={warning.id}
+            message={warning.message} 
             isVisible={true}
-            onClose={() => setWarningId(0)}
+            onClose={() => setWarning(null)}
             duration={3000}
         />
       )}
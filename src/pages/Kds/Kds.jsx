@@ -0,0 +1,230 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Maximize, Minimize, RotateCcw, CheckCheck } from 'lucide-react';
+import { useRestaurant } from '../../context/RestaurantContext';
+import { getKitchenStations } from '../../services/kitchenStationService';
+import { bumpOrderItems } from '../../services/centralOrderService';
+import OrderNotes, { ItemExtras } from '../../components/OrderNotes/OrderNotes';
+import styles from './Kds.module.css';
+
+// Which station this screen shows, remembered per device
+const stationKey = (restaurantId) => `myezz_kds_station_${restaurantId}`;
+const ALL_STATIONS = '';
+
+const bumpKey = (orderId, index) => `${orderId}:${index}`;
+// How long a saved tap overrides the order list, covering the stream's next push
+const PENDING_BUMP_MS = 5000;
+
+const minutesSince = (date, now) => Math.max(0, Math.floor((now - date) / 60000));
+
+/**
+ * Full-screen kitchen display: one large ticket per order being prepared,
+ * showing only this screen's station. Cooks tap an item to bump it (tap again
+ * to recall); a ticket leaves the screen once all its items are bumped. Bumps
+ * are shared with every other screen through the order stream.
+ */
+const Kds = () => {
+  const { orders, restaurantId, restaurantName } = useRestaurant();
+  const [stations, setStations] = useState([]);
+  const [savedStation, setStation] = useState(() => localStorage.getItem(stationKey(restaurantId)) || ALL_STATIONS);
+  // Taps not yet reflected in the order list: bumpKey -> bumped
+  const [pendingBumps, setPendingBumps] = useState({});
+  const [recallable, setRecallable] = useState(null); // last ticket this screen completed
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(() => Date.now());
+  const [isFullscreen, setIsFullscreen] = useState(Boolean(document.fullscreenElement));
+  const errorTimerRef = useRef(null);
+
+  useEffect(() => {
+    getKitchenStations()
+      .then(data => setStations(data.stations))
+      .catch(err => console.error('Failed to load kitchen stations:', err));
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 15000);
+    const handleFullscreen = () => setIsFullscreen(Boolean(document.fullscreenElement));
+    document.addEventListener('fullscreenchange', handleFullscreen);
+    return () => {
+      clearInterval(timer);
+      clearTimeout(errorTimerRef.current);
+      document.removeEventListener('fullscreenchange', handleFullscreen);
+    };
+  }, []);
+
+  const chooseStation = (value) => {
+    setStation(value);
+    localStorage.setItem(stationKey(restaurantId), value);
+  };
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else {
+      document.documentElement.requestFullscreen?.().catch(() => {});
+    }
+  };
+
+  const showError = (message) => {
+    setError(message);
+    clearTimeout(errorTimerRef.current);
+    errorTimerRef.current = setTimeout(() => setError(''), 4000);
+  };
+
+  // A station removed from the settings falls back to showing everything
+  const station = stations.includes(savedStation) ? savedStation : ALL_STATIONS;
+
+  const isBumped = (orderId, index, item) => pendingBumps[bumpKey(orderId, index)] ?? Boolean(item.bumpedAt);
+
+  // Orders being cooked, each with the items routed to this screen's station
+  const tickets = orders
+    .filter(order => order.status === 'preparing')
+    .map(order => ({
+      order,
+      lines: order.items
+        .map((item, index) => ({ item, index, bumped: isBumped(order.id, index, item) }))
+        .filter(({ item }) => station === ALL_STATIONS || !item.station || item.station === station)
+    }))
+    .filter(ticket => ticket.lines.length > 0 && ticket.lines.some(line => !line.bumped))
+    .sort((a, b) => (a.order.acceptedAt || 0) - (b.order.acceptedAt || 0));
+
+  const setBumped = async (order, indexes, bumped) => {
+    setPendingBumps(prev => ({
+      ...prev,
+      ...Object.fromEntries(indexes.map(index => [bumpKey(order.id, index), bumped]))
+    }));
+    const clearPending = () => setPendingBumps(prev => {
+      const next = { ...prev };
+      indexes.forEach(index => delete next[bumpKey(order.id, index)]);
+      return next;
+    });
+    try {
+      await bumpOrderItems(order.id, indexes, bumped);
+      setTimeout(clearPending, PENDING_BUMP_MS);
+    } catch (err) {
+      console.error('Bump failed:', err);
+      clearPending();
+      showError(err.response?.status === 409
+        ? `Order #${order.id} is no longer in the kitchen`
+        : `Couldn't update order #${order.id}. Try again.`);
+    }
+  };
+
+  const bumpLine = (ticket, line) => {
+    const completes = !line.bumped && ticket.lines.every(other => other === line || other.bumped);
+    if (completes) {
+      setRecallable({ order: ticket.order, indexes: ticket.lines.map(other => other.index) });
+    }
+    setBumped(ticket.order, [line.index], !line.bumped);
+  };
+
+  const bumpTicket = (ticket) => {
+    const indexes = ticket.lines.filter(line => !line.bumped).map(line => line.index);
+    setRecallable({ order: ticket.order, indexes: ticket.lines.map(line => line.index) });
+    setBumped(ticket.order, indexes, true);
+  };
+
+  const recall = () => {
+    setBumped(recallable.order, recallable.indexes, false);
+    setRecallable(null);
+  };
+
+  return (
+    <div className={styles.kds}>
+      <header className={styles.topBar}>
+        <Link to={`/${restaurantId}/orders`} className={styles.iconBtn} aria-label="Back to orders">
+          <ArrowLeft size={24} />
+        </Link>
+        <h1 className={styles.title}>{restaurantName}</h1>
+
+        <div className={styles.stationTabs} role="tablist" aria-label="Station">
+          {[ALL_STATIONS, ...stations].map(name => (
+            <button
+              key={name || 'all'}
+              role="tab"
+              aria-selected={station === name}
+              className={`${styles.stationTab} ${station === name ? styles.stationTabActive : ''}`}
+              onClick={() => chooseStation(name)}
+            >
+              {name || 'All stations'}
+            </button>
+          ))}
+        </div>
+
+        {recallable && (
+          <button className={styles.recallBtn} onClick={recall}>
+            <RotateCcw size={20} />
+            Recall #{recallable.order.id}
+          </button>
+        )}
+        <button
+          className={styles.iconBtn}
+          onClick={toggleFullscreen}
+          aria-label={isFullscreen ? 'Exit full screen' : 'Full screen'}
+        >
+          {isFullscreen ? <Minimize size={24} /> : <Maximize size={24} />}
+        </button>
+      </header>
+
+      {error && <div className={styles.error} role="alert">{error}</div>}
+
+      {tickets.length === 0 ? (
+        <div className={styles.empty}>No tickets{station ? ` for ${station}` : ''}</div>
+      ) : (
+        <div className={styles.tickets}>
+          {tickets.map(ticket => {
+            const { order } = ticket;
+            const elapsed = order.acceptedAt ? minutesSince(order.acceptedAt, now) : null;
+            const isLate = elapsed !== null && order.prepTime && elapsed >= order.prepTime;
+            return (
+              <article key={order.id} className={`${styles.ticket} ${isLate ? styles.ticketLate : ''}`}>
+                <div className={styles.ticketHeader}>
+                  <span className={styles.ticketId}>#{order.id}</span>
+                  {elapsed !== null && (
+                    <span className={styles.elapsed}>
+                      {elapsed} min{order.prepTime ? ` / ${order.prepTime}` : ''}
+                    </span>
+                  )}
+                </div>
+
+                {order.instructions && (
+                  <div className={styles.ticketNotes}>
+                    <OrderNotes instructions={order.instructions} />
+                  </div>
+                )}
+
+                <ul className={styles.lines}>
+                  {ticket.lines.map(line => (
+                    <li key={line.index}>
+                      <button
+                        className={`${styles.line} ${line.bumped ? styles.lineBumped : ''}`}
+                        onClick={() => bumpLine(ticket, line)}
+                        aria-pressed={line.bumped}
+                      >
+                        <span className={styles.qty}>{line.item.quantity}×</span>
+                        <span className={styles.itemName}>
+                          {line.item.name}
+                          <ItemExtras item={line.item} />
+                        </span>
+                        {station === ALL_STATIONS && line.item.station && (
+                          <span className={styles.stationTag}>{line.item.station}</span>
+                        )}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+
+                <button className={styles.bumpAllBtn} onClick={() => bumpTicket(ticket)}>
+                  <CheckCheck size={22} />
+                  Bump
+                </button>
+              </article>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Kds;
@@ -6,6 +6,7 @@ import AddItemModal from '../../components/AddItemModal/AddItemModal';
 import SuccessToast from '../../components/ui/SuccessToast';
 import Spinner from '../../components/Spinner/Spinner';
 import { useRestaurant } from '../../context/RestaurantContext';
+import { can } from '../../services/authService';
 import { getMenuItems, getCategories, addMenuItem, toggleStock, deleteMenuItem } from '../../services/menuService';
 import { STATUS_TABS } from '../../types/menu';
 import styles from './Menu.module.css';
@@ -23,6 +24,7 @@ function Menu() {
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
   const [isFilterDrawerOpen, setIsFilterDrawerOpen] = useState(false);
   const [toast, setToast] = useState({ isVisible: false, message: '' });
+  const canEditMenu = can('menu:edit');
 
   // Fetch initial data
   useEffect(() => {
@@ -145,13 +147,15 @@ function Menu() {
           <div className={styles.headerLeft}>
             <h1 className={styles.title}>Menu & Inventory Management</h1>
           </div>
-          <button
-            className={styles.addButton}
-            onClick={() => setIsAddModalOpen(true)}
-          >
-            <Plus size={20} />
-            Add Item
-          </button>
+          {canEditMenu && (
+            <button
+              className={styles.addButton}
+              onClick={() => setIsAddModalOpen(true)}
+            >
+              <Plus size={20} />
+              Add Item
+            </button>
+          )}
         </div>
       </div>
 
@@ -319,7 +323,7 @@ function Menu() {
               key={item.id}
               item={item}
               onToggleStock={handleToggleStock}
-              onDelete={handleDeleteItem}
+              onDelete={canEditMenu ? handleDeleteItem : undefined}
             />
           ))
         ) : (
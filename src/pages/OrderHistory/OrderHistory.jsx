@@ -18,6 +18,7 @@ const OrderHistory = () => {
       const mockData = Array.from({ length: 25 }, (_, i) => {
         const date = new Date();
         date.setDate(date.getDate() - Math.floor(Math.random() * 30));
+        const total = Math.floor(Math.random() * 500) + 150;
 
         return {
           id: `ORD${2000 + i}`,
@@ -27,7 +28,11 @@ const OrderHistory = () => {
             { name: 'Cold Coffee', quantity: Math.floor(Math.random() * 2) + 1 },
             { name: 'French Fries', quantity: Math.floor(Math.random() * 2) }
           ].filter(item => item.quantity > 0),
-          total: Math.floor(Math.random() * 500) + 150,
+          total,
+          // A few orders went out without an unavailable item
+          adjustment: i % 6 === 2
+            ? { originalTotal: total, refundAmount: 80, adjustedTotal: total - 80 }
+            : null,
           status: statuses[Math.floor(Math.random() * statuses.length)],
           paymentMethod: ['Credit Card', 'UPI', 'Cash', 'Debit Card'][Math.floor(Math.random() * 4)],
           date: date.toISOString()
@@ -76,7 +81,7 @@ const OrderHistory = () => {
       order.customerName,
       order.items.map(item => `${item.quantity}x ${item.name}`).join(', '),
       order.status.toUpperCase(),
-      `$${order.total.toFixed(2)}`
+      `$${(order.adjustment?.adjustedTotal ?? order.total).toFixed(2)}`
     ]);
 
     // Generate Table
@@ -158,7 +163,14 @@ const OrderHistory = () => {
     // Total
     doc.setFontSize(14);
     doc.setFont('helvetica', 'bold');
-    doc.text(`Total Amount: $${order.total.toFixed(2)}`, pageWidth - 15, finalY + 15, { align: 'right' });
+    if (order.adjustment) {
+      doc.text(`Total Amount: $${order.adjustment.adjustedTotal.toFixed(2)}`, pageWidth - 15, finalY + 15, { align: 'right' });
+      doc.setFontSize(10);
+      doc.setFont('helvetica', 'normal');
+      doc.text(`Refunded for unavailable items: $${order.adjustment.refundAmount.toFixed(2)}`, pageWidth - 15, finalY + 22, { align: 'right' });
+    } else {
+      doc.text(`Total Amount: $${order.total.toFixed(2)}`, pageWidth - 15, finalY + 15, { align: 'right' });
+    }
 
     // Footer
     doc.setFontSize(10);
@@ -273,7 +285,16 @@ const OrderHistory = () => {
                       {order.status}
                     </span>
                   </td>
-                  <td className={styles.amount}>₹{order.total.toFixed(2)}</td>
+                  <td className={styles.amount}>
+                    {order.adjustment ? (
+                      <>
+                        <s className={styles.originalAmount}>₹{order.adjustment.originalTotal.toFixed(2)}</s>
+                        ₹{order.adjustment.adjustedTotal.toFixed(2)}
+                      </>
+                    ) : (
+                      `₹${order.total.toFixed(2)}`
+                    )}
+                  </td>
                   <td>
                     <button
                       onClick={() => downloadReceipt(order)}
@@ -0,0 +1,273 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Zap, Plus, X } from 'lucide-react';
+import { getAutoAcceptRules, saveAutoAcceptRules, getAcceptanceSla, saveAcceptanceSla } from '../../services/autoAcceptService';
+import { getMenuItems } from '../../services/menuService';
+import { useRestaurant } from '../../context/RestaurantContext';
+import profileStyles from './Profile.module.css';
+import styles from './AutoAcceptSection.module.css';
+
+const NEW_WINDOW = { start: '12:00', end: '15:00' };
+
+// { categoryPrepTimes, itemPrepTimes } <-> [{ type, name, minutes }] for editing as one list
+const toOverrides = (rules) => [
+  ...Object.entries(rules.categoryPrepTimes || {}).map(([name, minutes]) => ({ type: 'category', name, minutes })),
+  ...Object.entries(rules.itemPrepTimes || {}).map(([name, minutes]) => ({ type: 'item', name, minutes }))
+];
+
+const fromOverrides = (overrides, type) => Object.fromEntries(
+  overrides
+    .filter(override => override.type === type && override.name)
+    .map(override => [override.name, Number(override.minutes)])
+);
+
+const AutoAcceptSection = () => {
+  const { restaurantId } = useRestaurant();
+  const [rules, setRules] = useState(null);
+  const [overrides, setOverrides] = useState([]);
+  const [slaMinutes, setSlaMinutes] = useState('');
+  const [menuItems, setMenuItems] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([getAutoAcceptRules(), getAcceptanceSla()])
+      .then(([data, minutes]) => {
+        if (cancelled) return;
+        setRules(data);
+        setOverrides(toOverrides(data));
+        setSlaMinutes(minutes);
+      })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    // Only used to offer names for prep time overrides
+    getMenuItems(restaurantId)
+      .then(data => { if (!cancelled) setMenuItems(data); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [restaurantId]);
+
+  const categories = [...new Set(menuItems.map(item => item.category))].sort();
+  const itemNames = menuItems.map(item => item.name);
+
+  const update = (changes) => {
+    setRules(prev => ({ ...prev, ...changes }));
+    setMessage('');
+  };
+
+  const updateWindow = (index, changes) => {
+    update({ windows: rules.windows.map((w, i) => (i === index ? { ...w, ...changes } : w)) });
+  };
+
+  const updateOverride = (index, changes) => {
+    setOverrides(prev => prev.map((o, i) => (i === index ? { ...o, ...changes } : o)));
+    setMessage('');
+  };
+
+  const handleSave = async () => {
+    setError('');
+    setMessage('');
+    setIsSaving(true);
+    try {
+      const [saved, savedMinutes] = await Promise.all([
+        saveAutoAcceptRules({
+          ...rules,
+          categoryPrepTimes: fromOverrides(overrides, 'category'),
+          itemPrepTimes: fromOverrides(overrides, 'item')
+        }),
+        saveAcceptanceSla(Number(slaMinutes))
+      ]);
+      setRules(saved);
+      setOverrides(toOverrides(saved));
+      setSlaMinutes(savedMinutes);
+      setMessage('Order acceptance settings saved');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <motion.section
+      className={profileStyles.section}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.15 }}
+    >
+      <h2 className={profileStyles.sectionTitle}>
+        <Zap className={profileStyles.sectionIcon} />
+        Order Acceptance
+      </h2>
+
+      <div className={profileStyles.card}>
+        {!rules && !error && <p className={styles.muted}>Loading rules...</p>}
+
+        {rules && (
+          <>
+            <div className={styles.group}>
+              <label className={styles.row}>
+                <span className={styles.groupLabel}>Accept within (min)</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="60"
+                  className={`${styles.input} ${styles.numberInput}`}
+                  value={slaMinutes}
+                  onChange={(e) => { setSlaMinutes(e.target.value); setMessage(''); }}
+                />
+              </label>
+              <span className={styles.hint}>Orders nobody accepts in time are rejected automatically</span>
+            </div>
+
+            <div className={profileStyles.divider} />
+
+            <div className={profileStyles.settingRow}>
+              <div className={profileStyles.settingInfo}>
+                <span>Accept matching orders automatically</span>
+              </div>
+              <button
+                className={`${profileStyles.miniToggle} ${rules.enabled ? profileStyles.miniToggleOn : ''}`}
+                onClick={() => update({ enabled: !rules.enabled })}
+                aria-label={rules.enabled ? 'Turn auto-accept off' : 'Turn auto-accept on'}
+              >
+                <div className={profileStyles.miniToggleKnob} />
+              </button>
+            </div>
+
+            <div className={profileStyles.divider} />
+
+            <div className={styles.group}>
+              <span className={styles.groupLabel}>Time windows</span>
+              {rules.windows.length === 0 && <span className={styles.hint}>Any time of day</span>}
+              {rules.windows.map((timeWindow, index) => (
+                <div key={index} className={styles.row}>
+                  <input
+                    type="time"
+                    className={styles.input}
+                    value={timeWindow.start}
+                    onChange={(e) => updateWindow(index, { start: e.target.value })}
+                    aria-label="Window start"
+                  />
+                  <span className={styles.hint}>to</span>
+                  <input
+                    type="time"
+                    className={styles.input}
+                    value={timeWindow.end}
+                    onChange={(e) => updateWindow(index, { end: e.target.value })}
+                    aria-label="Window end"
+                  />
+                  <button
+                    className={styles.iconBtn}
+                    onClick={() => update({ windows: rules.windows.filter((_, i) => i !== index) })}
+                    aria-label="Remove window"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              <button className={styles.linkBtn} onClick={() => update({ windows: [...rules.windows, NEW_WINDOW] })}>
+                <Plus size={14} /> Add window
+              </button>
+            </div>
+
+            <div className={profileStyles.divider} />
+
+            <div className={styles.group}>
+              <label className={styles.row}>
+                <span className={styles.groupLabel}>Max order value (₹)</span>
+                <input
+                  type="number"
+                  min="1"
+                  className={`${styles.input} ${styles.numberInput}`}
+                  value={rules.maxOrderValue ?? ''}
+                  placeholder="No limit"
+                  onChange={(e) => update({ maxOrderValue: e.target.value === '' ? null : Number(e.target.value) })}
+                />
+              </label>
+              <label className={styles.row}>
+                <span className={styles.groupLabel}>Default prep time (min)</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="240"
+                  className={`${styles.input} ${styles.numberInput}`}
+                  value={rules.defaultPrepTime}
+                  onChange={(e) => update({ defaultPrepTime: Number(e.target.value) })}
+                />
+              </label>
+            </div>
+
+            <div className={profileStyles.divider} />
+
+            <div className={styles.group}>
+              <span className={styles.groupLabel}>Prep time by category or item</span>
+              <span className={styles.hint}>An order takes as long as its slowest item</span>
+              {overrides.map((override, index) => (
+                <div key={index} className={styles.row}>
+                  <select
+                    className={styles.input}
+                    value={override.type}
+                    onChange={(e) => updateOverride(index, { type: e.target.value, name: '' })}
+                    aria-label="Override type"
+                  >
+                    <option value="category">Category</option>
+                    <option value="item">Item</option>
+                  </select>
+                  <select
+                    className={`${styles.input} ${styles.nameSelect}`}
+                    value={override.name}
+                    onChange={(e) => updateOverride(index, { name: e.target.value })}
+                    aria-label={override.type === 'category' ? 'Category' : 'Menu item'}
+                  >
+                    <option value="">Choose...</option>
+                    {/* Keep a saved name selectable even if it's no longer on the menu */}
+                    {[...new Set([...(override.type === 'category' ? categories : itemNames), override.name])]
+                      .filter(Boolean)
+                      .map(name => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    max="240"
+                    className={`${styles.input} ${styles.numberInput}`}
+                    value={override.minutes}
+                    onChange={(e) => updateOverride(index, { minutes: e.target.value })}
+                    aria-label="Minutes"
+                  />
+                  <button
+                    className={styles.iconBtn}
+                    onClick={() => setOverrides(prev => prev.filter((_, i) => i !== index))}
+                    aria-label="Remove override"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              <button
+                className={styles.linkBtn}
+                onClick={() => setOverrides(prev => [...prev, { type: 'category', name: '', minutes: rules.defaultPrepTime }])}
+              >
+                <Plus size={14} /> Add prep time
+              </button>
+            </div>
+
+            <div className={profileStyles.divider} />
+
+            <div className={styles.actions}>
+              {message && <span className={styles.success}>{message}</span>}
+              <button className={styles.primaryBtn} onClick={handleSave} disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Save Settings'}
+              </button>
+            </div>
+          </>
+        )}
+
+        {error && <p className={styles.error}>{error}</p>}
+      </div>
+    </motion.section>
+  );
+};
+
+export default AutoAcceptSection;
@@ -0,0 +1,206 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { ChefHat, Plus, X } from 'lucide-react';
+import { getKitchenStations, saveKitchenStations } from '../../services/kitchenStationService';
+import { getMenuItems } from '../../services/menuService';
+import { useRestaurant } from '../../context/RestaurantContext';
+import profileStyles from './Profile.module.css';
+import styles from './KitchenStationsSection.module.css';
+
+// { categoryStations, itemStations } <-> [{ type, name, station }] for editing as one list
+const toRoutes = (config) => [
+  ...Object.entries(config.categoryStations || {}).map(([name, station]) => ({ type: 'category', name, station })),
+  ...Object.entries(config.itemStations || {}).map(([name, station]) => ({ type: 'item', name, station }))
+];
+
+const fromRoutes = (routes, type) => Object.fromEntries(
+  routes
+    .filter(route => route.type === type && route.name && route.station)
+    .map(route => [route.name, route.station])
+);
+
+const KitchenStationsSection = () => {
+  const { restaurantId } = useRestaurant();
+  const [stations, setStations] = useState(null);
+  const [routes, setRoutes] = useState([]);
+  const [menuItems, setMenuItems] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getKitchenStations()
+      .then(data => {
+        if (cancelled) return;
+        setStations(data.stations);
+        setRoutes(toRoutes(data));
+      })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    // Only used to offer names for routing
+    getMenuItems(restaurantId)
+      .then(data => { if (!cancelled) setMenuItems(data); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [restaurantId]);
+
+  const categories = [...new Set(menuItems.map(item => item.category))].sort();
+  const itemNames = menuItems.map(item => item.name);
+  const stationNames = (stations || []).map(name => name.trim()).filter(Boolean);
+
+  const updateStation = (index, name) => {
+    const previous = stations[index];
+    setStations(prev => prev.map((s, i) => (i === index ? name : s)));
+    // Keep routes pointing at the renamed station
+    setRoutes(prev => prev.map(route => (route.station === previous ? { ...route, station: name } : route)));
+    setMessage('');
+  };
+
+  const removeStation = (index) => {
+    const removed = stations[index];
+    setStations(prev => prev.filter((_, i) => i !== index));
+    setRoutes(prev => prev.filter(route => route.station !== removed));
+    setMessage('');
+  };
+
+  const updateRoute = (index, changes) => {
+    setRoutes(prev => prev.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+    setMessage('');
+  };
+
+  const handleSave = async () => {
+    setError('');
+    setMessage('');
+    setIsSaving(true);
+    try {
+      const trimmed = routes.map(route => ({ ...route, station: route.station.trim() }));
+      const saved = await saveKitchenStations({
+        stations: stationNames,
+        categoryStations: fromRoutes(trimmed, 'category'),
+        itemStations: fromRoutes(trimmed, 'item')
+      });
+      setStations(saved.stations);
+      setRoutes(toRoutes(saved));
+      setMessage('Kitchen stations saved');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <motion.section
+      className={profileStyles.section}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.15 }}
+    >
+      <h2 className={profileStyles.sectionTitle}>
+        <ChefHat className={profileStyles.sectionIcon} />
+        Kitchen Stations
+      </h2>
+
+      <div className={profileStyles.card}>
+        {!stations && !error && <p className={styles.muted}>Loading stations...</p>}
+
+        {stations && (
+          <>
+            <div className={styles.group}>
+              <span className={styles.groupLabel}>Stations</span>
+              <span className={styles.hint}>Each kitchen display picks one station and shows only its items</span>
+              {stations.map((station, index) => (
+                <div key={index} className={styles.row}>
+                  <input
+                    type="text"
+                    className={`${styles.input} ${styles.nameInput}`}
+                    value={station}
+                    placeholder="e.g. Tandoor"
+                    maxLength={40}
+                    onChange={(e) => updateStation(index, e.target.value)}
+                    aria-label="Station name"
+                  />
+                  <button className={styles.iconBtn} onClick={() => removeStation(index)} aria-label="Remove station">
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              <button className={styles.linkBtn} onClick={() => setStations(prev => [...prev, ''])}>
+                <Plus size={14} /> Add station
+              </button>
+            </div>
+
+            <div className={profileStyles.divider} />
+
+            <div className={styles.group}>
+              <span className={styles.groupLabel}>Routing</span>
+              <span className={styles.hint}>Items that aren't routed show on every station</span>
+              {routes.map((route, index) => (
+                <div key={index} className={styles.row}>
+                  <select
+                    className={styles.input}
+                    value={route.type}
+                    onChange={(e) => updateRoute(index, { type: e.target.value, name: '' })}
+                    aria-label="Route type"
+                  >
+                    <option value="category">Category</option>
+                    <option value="item">Item</option>
+                  </select>
+                  <select
+                    className={`${styles.input} ${styles.nameInput}`}
+                    value={route.name}
+                    onChange={(e) => updateRoute(index, { name: e.target.value })}
+                    aria-label={route.type === 'category' ? 'Category' : 'Menu item'}
+                  >
+                    <option value="">Choose...</option>
+                    {/* Keep a saved name selectable even if it's no longer on the menu */}
+                    {[...new Set([...(route.type === 'category' ? categories : itemNames), route.name])]
+                      .filter(Boolean)
+                      .map(name => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                  <select
+                    className={styles.input}
+                    value={route.station}
+                    onChange={(e) => updateRoute(index, { station: e.target.value })}
+                    aria-label="Station"
+                  >
+                    <option value="">Station...</option>
+                    {stationNames.map(name => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                  <button
+                    className={styles.iconBtn}
+                    onClick={() => setRoutes(prev => prev.filter((_, i) => i !== index))}
+                    aria-label="Remove route"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              {stationNames.length > 0 && (
+                <button
+                  className={styles.linkBtn}
+                  onClick={() => setRoutes(prev => [...prev, { type: 'category', name: '', station: stationNames[0] }])}
+                >
+                  <Plus size={14} /> Route a category or item
+                </button>
+              )}
+            </div>
+
+            <div className={profileStyles.divider} />
+
+            <div className={styles.actions}>
+              {message && <span className={styles.success}>{message}</span>}
+              <button className={styles.primaryBtn} onClick={handleSave} disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Save Stations'}
+              </button>
+            </div>
+          </>
+        )}
+
+        {error && <p className={styles.error}>{error}</p>}
+      </div>
+    </motion.section>
+  );
+};
+
+export default KitchenStationsSection;
@@ -0,0 +1,265 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Printer, Plus, X } from 'lucide-react';
+import { getPrinterSettings, savePrinterSettings } from '../../services/printService';
+import { getKitchenStations } from '../../services/kitchenStationService';
+import profileStyles from './Profile.module.css';
+import styles from './PrintersSection.module.css';
+
+const CONNECTIONS = [
+  { value: 'network', label: 'Network (TCP 9100)' },
+  { value: 'agent', label: 'Print agent' },
+  { value: 'browser', label: 'Browser print' }
+];
+
+const RULE_KINDS = [
+  { value: 'kot', label: 'Kitchen ticket when accepted' },
+  { value: 'bill', label: 'Bill when ready' }
+];
+
+// Ids only need to be unique within the restaurant; rules point at them before the first save
+const newPrinterId = () => `printer-${Date.now().toString(36)}`;
+
+const PrintersSection = () => {
+  const [printers, setPrinters] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [stations, setStations] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getPrinterSettings({ fresh: true })
+      .then(data => {
+        if (cancelled) return;
+        setPrinters(data.printers);
+        setRules(data.rules);
+      })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    // Only used to limit kitchen tickets to a station
+    getKitchenStations()
+      .then(data => { if (!cancelled) setStations(data.stations); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  const updatePrinter = (index, changes) => {
+    setPrinters(prev => prev.map((p, i) => (i === index ? { ...p, ...changes } : p)));
+    setMessage('');
+  };
+
+  const addPrinter = () => {
+    setPrinters(prev => [...prev, { id: newPrinterId(), name: '', connection: 'network', host: '', port: 9100, paperWidth: 80 }]);
+    setMessage('');
+  };
+
+  const removePrinter = (index) => {
+    const removed = printers[index];
+    setPrinters(prev => prev.filter((_, i) => i !== index));
+    setRules(prev => prev.filter(rule => rule.printerId !== removed.id));
+    setMessage('');
+  };
+
+  const updateRule = (index, changes) => {
+    setRules(prev => prev.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+    setMessage('');
+  };
+
+  const handleSave = async () => {
+    setError('');
+    setMessage('');
+    setIsSaving(true);
+    try {
+      const saved = await savePrinterSettings({
+        printers: printers.map(printer => ({ ...printer, name: printer.name.trim() })),
+        rules
+      });
+      setPrinters(saved.printers);
+      setRules(saved.rules);
+      setMessage('Printers saved');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <motion.section
+      className={profileStyles.section}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.15 }}
+    >
+      <h2 className={profileStyles.sectionTitle}>
+        <Printer className={profileStyles.sectionIcon} />
+        Printers
+      </h2>
+
+      <div className={profileStyles.card}>
+        {!printers && !error && <p className={styles.muted}>Loading printers...</p>}
+
+        {printers && (
+          <>
+            <div className={styles.group}>
+              <span className={styles.groupLabel}>Thermal printers</span>
+              <span className={styles.hint}>
+                Network printers are printed to by the server. Print agent and browser printers print from
+                the tablet that accepts the order or marks it ready; auto-accepted orders print from the first open tablet.
+              </span>
+              {printers.map((printer, index) => (
+                <div key={printer.id} className={styles.printer}>
+                  <div className={styles.row}>
+                    <input
+                      type="text"
+                      className={`${styles.input} ${styles.nameInput}`}
+                      value={printer.name}
+                      placeholder="e.g. Kitchen"
+                      maxLength={40}
+                      onChange={(e) => updatePrinter(index, { name: e.target.value })}
+                      aria-label="Printer name"
+                    />
+                    <select
+                      className={styles.input}
+                      value={printer.paperWidth}
+                      onChange={(e) => updatePrinter(index, { paperWidth: Number(e.target.value) })}
+                      aria-label="Paper width"
+                    >
+                      <option value={80}>80 mm</option>
+                      <option value={58}>58 mm</option>
+                    </select>
+                    <button className={styles.iconBtn} onClick={() => removePrinter(index)} aria-label="Remove printer">
+                      <X size={14} />
+                    </button>
+                  </div>
+                  <div className={styles.row}>
+                    <select
+                      className={styles.input}
+                      value={printer.connection}
+                      onChange={(e) => updatePrinter(index, { connection: e.target.value })}
+                      aria-label="Connection"
+                    >
+                      {CONNECTIONS.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                    </select>
+                    {printer.connection === 'network' && (
+                      <>
+                        <input
+                          type="text"
+                          className={`${styles.input} ${styles.nameInput}`}
+                          value={printer.host || ''}
+                          placeholder="192.168.1.50"
+                          onChange={(e) => updatePrinter(index, { host: e.target.value.trim() })}
+                          aria-label="Printer IP address"
+                        />
+                        <input
+                          type="number"
+                          className={styles.input}
+                          value={printer.port ?? 9100}
+                          min={9100}
+                          max={9109}
+                          onChange={(e) => updatePrinter(index, { port: Number(e.target.value) })}
+                          aria-label="Port"
+                        />
+                      </>
+                    )}
+                    {printer.connection === 'agent' && (
+                      <input
+                        type="url"
+                        className={`${styles.input} ${styles.nameInput}`}
+                        value={printer.agentUrl || ''}
+                        placeholder="http://localhost:9101/print"
+                        onChange={(e) => updatePrinter(index, { agentUrl: e.target.value.trim() })}
+                        aria-label="Print agent URL"
+                      />
+                    )}
+                  </div>
+                </div>
+              ))}
+              <button className={styles.linkBtn} onClick={addPrinter}>
+                <Plus size={14} /> Add printer
+              </button>
+            </div>
+
+            <div className={profileStyles.divider} />
+
+            <div className={styles.group}>
+              <span className={styles.groupLabel}>Auto-print</span>
+              <span className={styles.hint}>Without a rule nothing prints by itself; tickets can still be printed from the order card</span>
+              {rules.map((rule, index) => (
+                <div key={index} className={styles.row}>
+                  <select
+                    className={`${styles.input} ${styles.nameInput}`}
+                    value={rule.kind}
+                    onChange={(e) => updateRule(index, { kind: e.target.value, station: null })}
+                    aria-label="What to print"
+                  >
+                    {RULE_KINDS.map(kind => <option key={kind.value} value={kind.value}>{kind.label}</option>)}
+                  </select>
+                  <span className={styles.rowLabel}>on</span>
+                  <select
+                    className={styles.input}
+                    value={rule.printerId}
+                    onChange={(e) => updateRule(index, { printerId: e.target.value })}
+                    aria-label="Printer"
+                  >
+                    {printers.map(printer => (
+                      <option key={printer.id} value={printer.id}>{printer.name || 'Unnamed printer'}</option>
+                    ))}
+                  </select>
+                  {rule.kind === 'kot' && stations.length > 0 && (
+                    <select
+                      className={styles.input}
+                      value={rule.station || ''}
+                      onChange={(e) => updateRule(index, { station: e.target.value || null })}
+                      aria-label="Station"
+                    >
+                      <option value="">All stations</option>
+                      {stations.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                  )}
+                  <select
+                    className={styles.input}
+                    value={rule.copies}
+                    onChange={(e) => updateRule(index, { copies: Number(e.target.value) })}
+                    aria-label="Copies"
+                  >
+                    {[1, 2, 3].map(n => <option key={n} value={n}>{n}x</option>)}
+                  </select>
+                  <button
+                    className={styles.iconBtn}
+                    onClick={() => setRules(prev => prev.filter((_, i) => i !== index))}
+                    aria-label="Remove rule"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              {printers.length > 0 && (
+                <button
+                  className={styles.linkBtn}
+                  onClick={() => setRules(prev => [...prev, { kind: 'kot', printerId: printers[0].id, station: null, copies: 1 }])}
+                >
+                  <Plus size={14} /> Add auto-print rule
+                </button>
+              )}
+            </div>
+
+            <div className={profileStyles.divider} />
+
+            <div className={styles.actions}>
+              {message && <span className={styles.success}>{message}</span>}
+              <button className={styles.primaryBtn} onClick={handleSave} disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Save Printers'}
+              </button>
+            </div>
+          </>
+        )}
+
+        {error && <p className={styles.error}>{error}</p>}
+      </div>
+    </motion.section>
+  );
+};
+
+export default PrintersSection;
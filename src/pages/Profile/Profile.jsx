@@ -2,6 +2,7 @@ import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useRestaurant } from '../../context/RestaurantContext';
 import { updateRestaurant } from '../../services/menuService';
+import { logout, can } from '../../services/authService';
 import { 
   UtensilsCrossed,
   Copy,
@@ -15,9 +16,7 @@ import {
   Volume2,
   Bike,
   Phone,
-  Lock,
   LogOut,
-  ChevronRight,
   Eye,
   EyeOff,
   X,
@@ -30,6 +29,11 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import useKeyboard from '../../hooks/useKeyboard';
 import ToastSave from '../../components/ui/ToastSave';
 import SuccessToast from '../../components/ui/SuccessToast';
+import StaffSection from './StaffSection';
+import AutoAcceptSection from './AutoAcceptSection';
+import KitchenStationsSection from './KitchenStationsSection';
+import PrintersSection from './PrintersSection';
+import SecuritySection from './SecuritySection';
 import styles from './Profile.module.css';
 
 const Profile = () => {
@@ -194,9 +198,9 @@ const Profile = () => {
     toggleProfile(false);
   };
 
-  const handleLogout = () => {
-    // Clear the session from localStorage
-    localStorage.removeItem('myezz_session');
+  const handleLogout = async () => {
+    // Revoke this device's session on the server and clear its tokens locally
+    await logout();
     // Navigate to landing page with a state flag to show toast
     navigate('/', { state: { showLogoutToast: true } });
   };
@@ -233,24 +237,26 @@ const Profile = () => {
         <div className={styles.cardHeader}>
           <h2 className={styles.cardTitle}>Profile</h2>
           <div className={styles.headerActions}>
-            {!isEditing ? (
-              <button 
-                className={styles.editBtn}
-                onClick={handleEditClick}
-                aria-label="Edit profile"
-              >
-                <Pencil />
-                <span>Edit</span>
-              </button>
-            ) : (
-              <button 
-                className={styles.saveEditBtn}
-                onClick={handleSave}
-                aria-label="Save changes"
-              >
-                <CheckCircle />
-                <span>Done</span>
-              </button>
+            {can('profile:edit') && (
+              !isEditing ? (
+                <button 
+                  className={styles.editBtn}
+                  onClick={handleEditClick}
+                  aria-label="Edit profile"
+                >
+                  <Pencil />
+                  <span>Edit</span>
+                </button>
+              ) : (
+                <button 
+                  className={styles.saveEditBtn}
+                  onClick={handleSave}
+                  aria-label="Save changes"
+                >
+                  <CheckCircle />
+                  <span>Done</span>
+                </button>
+              )
             )}
             <button 
               className={styles.closeBtn}
@@ -396,64 +402,78 @@ const Profile = () => {
             </div>
           </motion.section>
 
-          {/* Financial & Payout Hub */}
-          <motion.section 
-            className={styles.section}
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            transition={{ duration: 0.15 }}
-          >
-            <h2 className={styles.sectionTitle}>
-              <Landmark className={styles.sectionIcon} />
-              Financial & Payouts
-            </h2>
-            
-            <div className={styles.card}>
-              <div className={styles.cardRow}>
-                <div className={styles.cardRowIcon}>
-                  <CreditCard />
-                </div>
-                <div className={styles.cardRowContent}>
-                  <span className={styles.cardLabel}>Bank Account</span>
-                  <div className={styles.bankRow}>
-                  <span className={styles.cardValue}>
-                      {showBankDetails ? '1234567894521' : restaurantDataMerged.bankAccount}
-                    </span>
-                    <button 
-                      className={styles.eyeBtn}
-                      onClick={() => setShowBankDetails(!showBankDetails)}
-                      aria-label={showBankDetails ? 'Hide details' : 'Show details'}
-                    >
-                      {showBankDetails ? <EyeOff /> : <Eye />}
-                    </button>
+          {/* Financial & Payout Hub — owner only */}
+          {can('profile:bank') && (
+            <motion.section 
+              className={styles.section}
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              transition={{ duration: 0.15 }}
+            >
+              <h2 className={styles.sectionTitle}>
+                <Landmark className={styles.sectionIcon} />
+                Financial & Payouts
+              </h2>
+              
+              <div className={styles.card}>
+                <div className={styles.cardRow}>
+                  <div className={styles.cardRowIcon}>
+                    <CreditCard />
+                  </div>
+                  <div className={styles.cardRowContent}>
+                    <span className={styles.cardLabel}>Bank Account</span>
+                    <div className={styles.bankRow}>
+                    <span className={styles.cardValue}>
+                        {showBankDetails ? '1234567894521' : restaurantDataMerged.bankAccount}
+                      </span>
+                      <button 
+                        className={styles.eyeBtn}
+                        onClick={() => setShowBankDetails(!showBankDetails)}
+                        aria-label={showBankDetails ? 'Hide details' : 'Show details'}
+                      >
+                        {showBankDetails ? <EyeOff /> : <Eye />}
+                      </button>
+                    </div>
+                    <span className={styles.cardMeta}>{restaurantDataMerged.bankName}</span>
                   </div>
-                  <span className={styles.cardMeta}>{restaurantDataMerged.bankName}</span>
                 </div>
-              </div>
 
-              <div className={styles.divider} />
+                <div className={styles.divider} />
 
-              <div className={styles.cardRow}>
-                <div className={styles.cardRowIcon}>
-                  <Calendar />
-                </div>
-                <div className={styles.cardRowContent}>
-                  <span className={styles.cardLabel}>Payout Cycle</span>
-                  <span className={styles.cardValueHighlight}>{restaurantDataMerged.payoutCycle}</span>
+                <div className={styles.cardRow}>
+                  <div className={styles.cardRowIcon}>
+                    <Calendar />
+                  </div>
+                  <div className={styles.cardRowContent}>
+                    <span className={styles.cardLabel}>Payout Cycle</span>
+                    <span className={styles.cardValueHighlight}>{restaurantDataMerged.payoutCycle}</span>
+                  </div>
                 </div>
-              </div>
 
-              <div className={styles.divider} />
+                <div className={styles.divider} />
 
-              <div className={styles.earningsBox}>
-                <span className={styles.earningsLabel}>Total Earnings This Week</span>
-                <div className={styles.earningsValue}>
-                  <IndianRupee className={styles.rupeeIcon} />
-                  <span>{restaurantDataMerged.weeklyEarnings.toLocaleString('en-IN')}</span>
+                <div className={styles.earningsBox}>
+                  <span className={styles.earningsLabel}>Total Earnings This Week</span>
+                  <div className={styles.earningsValue}>
+                    <IndianRupee className={styles.rupeeIcon} />
+                    <span>{restaurantDataMerged.weeklyEarnings.toLocaleString('en-IN')}</span>
+                  </div>
                 </div>
               </div>
-            </div>
-          </motion.section>
+            </motion.section>
+          )}
+
+          {/* Staff Accounts */}
+          {can('staff:view') && <StaffSection />}
+
+          {/* Auto-Accept Rules */}
+          {can('orders:auto-accept') && <AutoAcceptSection />}
+
+          {/* Kitchen Display Stations */}
+          {can('kitchen:stations') && <KitchenStationsSection />}
+
+          {/* Thermal Printers */}
+          {can('printers:manage') && <PrintersSection />}
 
 
 
@@ -521,28 +541,7 @@ const Profile = () => {
             </button>
           </motion.section>
 
-          {/* Security */}
-          <motion.section 
-            className={styles.section}
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            transition={{ duration: 0.15 }}
-          >
-            <h2 className={styles.sectionTitle}>
-              <Lock className={styles.sectionIcon} />
-              Security
-            </h2>
-            
-            <div className={styles.card}>
-              <button className={styles.menuRow}>
-                <div className={styles.menuRowLeft}>
-                  <Lock className={styles.menuIcon} />
-                  <span>Change Password</span>
-                </div>
-                <ChevronRight className={styles.menuArrow} />
-              </button>
-            </div>
-          </motion.section>
+          <SecuritySection />
 
           {/* Logout */}
           <motion.div
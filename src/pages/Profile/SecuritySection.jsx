@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Lock, ChevronRight, Smartphone, Monitor, LogOut } from 'lucide-react';
+import { changePassword, getSessions, revokeSession, logoutEverywhere, can } from '../../services/authService';
+import TwoFactorCard from './TwoFactorCard';
+import profileStyles from './Profile.module.css';
+import styles from './SecuritySection.module.css';
+
+const EMPTY_PASSWORDS = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+// "Active now", "5 min ago", "3 h ago", else a date
+const formatLastSeen = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 2) return 'Active now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+const isMobileDevice = (device = '') => /Android|iOS/.test(device);
+
+const SecuritySection = () => {
+  const navigate = useNavigate();
+  const [showPasswordForm, setShowPasswordForm] = useState(false);
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [sessionsError, setSessionsError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getSessions()
+      .then(data => { if (!cancelled) setSessions(data); })
+      .catch(err => { if (!cancelled) setSessionsError(err.message); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const closePasswordForm = () => {
+    setShowPasswordForm(false);
+    setPasswords(EMPTY_PASSWORDS);
+    setError('');
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      setMessage(await changePassword(passwords.currentPassword, passwords.newPassword));
+      closePasswordForm();
+      // Other devices were signed out server-side
+      setSessions(prev => prev.filter(session => !session.isOwn || session.isCurrent));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    setSessionsError('');
+    try {
+      await revokeSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) {
+      setSessionsError(err.message);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Sign out of MyEzz on every device, including this one?')) return;
+    setSessionsError('');
+    try {
+      await logoutEverywhere();
+      navigate('/login');
+    } catch (err) {
+      setSessionsError(err.message);
+    }
+  };
+
+  return (
+    <motion.section
+      className={profileStyles.section}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.15 }}
+    >
+      <h2 className={profileStyles.sectionTitle}>
+        <Lock className={profileStyles.sectionIcon} />
+        Security
+      </h2>
+
+      <div className={profileStyles.card}>
+        {showPasswordForm ? (
+          <form className={styles.passwordForm} onSubmit={handleChangePassword}>
+            <input
+              type="password"
+              className={profileStyles.editInputSmall}
+              placeholder="Current password"
+              value={passwords.currentPassword}
+              onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+              autoComplete="current-password"
+              required
+            />
+            <input
+              type="password"
+              className={profileStyles.editInputSmall}
+              placeholder="New password (min. 8 characters)"
+              value={passwords.newPassword}
+              onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+              autoComplete="new-password"
+              minLength={8}
+              required
+            />
+            <input
+              type="password"
+              className={profileStyles.editInputSmall}
+              placeholder="Confirm new password"
+              value={passwords.confirmPassword}
+              onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+              autoComplete="new-password"
+              required
+            />
+            {error && <p className={styles.error}>{error}</p>}
+            <div className={styles.formActions}>
+              <button type="button" className={styles.secondaryBtn} onClick={closePasswordForm}>
+                Cancel
+              </button>
+              <button type="submit" className={styles.primaryBtn} disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Update Password'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            className={profileStyles.menuRow}
+            onClick={() => { setMessage(''); setShowPasswordForm(true); }}
+          >
+            <div className={profileStyles.menuRowLeft}>
+              <Lock className={profileStyles.menuIcon} />
+              <span>Change Password</span>
+            </div>
+            <ChevronRight className={profileStyles.menuArrow} />
+          </button>
+        )}
+
+        {message && <p className={styles.success}>{message}</p>}
+      </div>
+
+      {can('security:2fa') && (
+        <>
+          <h3 className={styles.subTitle}>Two-Factor Authentication</h3>
+          <TwoFactorCard />
+        </>
+      )}
+
+      <h3 className={styles.subTitle}>Active Sessions</h3>
+      <div className={profileStyles.card}>
+        {sessions.map((session, index) => {
+          const DeviceIcon = isMobileDevice(session.device) ? Smartphone : Monitor;
+          return (
+            <div key={session.id}>
+              {index > 0 && <div className={profileStyles.divider} />}
+              <div className={styles.sessionRow}>
+                <DeviceIcon className={profileStyles.menuIcon} />
+                <div className={styles.sessionInfo}>
+                  <span className={styles.sessionDevice}>
+                    {session.device}
+                    {session.isCurrent && <span className={styles.currentBadge}>This device</span>}
+                  </span>
+                  <span className={styles.sessionMeta}>
+                    {!session.isOwn && `${session.displayName} · `}
+                    {session.ipAddress} · {formatLastSeen(session.lastSeenAt)}
+                  </span>
+                </div>
+                {!session.isCurrent && (
+                  <button
+                    className={styles.revokeBtn}
+                    onClick={() => handleRevoke(session)}
+                    aria-label={`Sign out ${session.device}`}
+                    title="Sign out this device"
+                  >
+                    <LogOut size={16} />
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+
+        {sessionsError && <p className={styles.listError}>{sessionsError}</p>}
+
+        <div className={profileStyles.divider} />
+        <button className={profileStyles.menuRow} onClick={handleLogoutEverywhere}>
+          <div className={`${profileStyles.menuRowLeft} ${styles.danger}`}>
+            <LogOut className={profileStyles.menuIcon} />
+            <span>Log Out Everywhere</span>
+          </div>
+        </button>
+      </div>
+    </motion.section>
+  );
+};
+
+export default SecuritySection;
@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Users, UserPlus, Copy } from 'lucide-react';
+import { getStaff, inviteStaff, changeStaffRole, setStaffActive } from '../../services/staffService';
+import { can } from '../../services/authService';
+import profileStyles from './Profile.module.css';
+import styles from './StaffSection.module.css';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  manager: 'Manager',
+  kitchen: 'Kitchen',
+  cashier: 'Cashier'
+};
+
+// The owner role can't be handed out — one owner per restaurant
+const ASSIGNABLE_ROLES = ['manager', 'kitchen', 'cashier'];
+
+const EMPTY_INVITE = { username: '', displayName: '', role: 'kitchen' };
+
+const StaffSection = () => {
+  const canManage = can('staff:manage');
+  const [staff, setStaff] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showInviteForm, setShowInviteForm] = useState(false);
+  const [inviteData, setInviteData] = useState(EMPTY_INVITE);
+  const [isInviting, setIsInviting] = useState(false);
+  // { username, temporaryPassword } — shown once after a successful invite
+  const [invitedCredentials, setInvitedCredentials] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getStaff()
+      .then(data => { if (!cancelled) setStaff(data); })
+      .catch(err => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setIsLoading(false); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const replaceMember = (member) => {
+    setStaff(prev => prev.map(s => (s.id === member.id ? member : s)));
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsInviting(true);
+    try {
+      const { temporaryPassword, ...member } = await inviteStaff(inviteData);
+      setStaff(prev => [...prev, member]);
+      setInvitedCredentials({ username: member.username, temporaryPassword });
+      setInviteData(EMPTY_INVITE);
+      setShowInviteForm(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsInviting(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    setError('');
+    try {
+      replaceMember(await changeStaffRole(member.id, role));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleToggleActive = async (member) => {
+    setError('');
+    try {
+      replaceMember(await setStaffActive(member.id, !member.isActive));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <motion.section
+      className={profileStyles.section}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.15 }}
+    >
+      <h2 className={profileStyles.sectionTitle}>
+        <Users className={profileStyles.sectionIcon} />
+        Staff
+      </h2>
+
+      <div className={profileStyles.card}>
+        {isLoading && <p className={styles.muted}>Loading staff...</p>}
+
+        {staff.map((member, index) => {
+          const isEditable = canManage && member.role !== 'owner';
+          return (
+            <div key={member.id}>
+              {index > 0 && <div className={profileStyles.divider} />}
+              <div className={`${styles.staffRow} ${!member.isActive ? styles.staffDisabled : ''}`}>
+                <div className={styles.staffInfo}>
+                  <span className={styles.staffName}>{member.displayName}</span>
+                  <span className={styles.staffUsername}>{member.username}</span>
+                </div>
+
+                {isEditable ? (
+                  <select
+                    className={styles.roleSelect}
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    aria-label={`Role for ${member.displayName}`}
+                  >
+                    {ASSIGNABLE_ROLES.map(role => (
+                      <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className={styles.roleBadge}>{ROLE_LABELS[member.role]}</span>
+                )}
+
+                {isEditable && (
+                  <button
+                    className={`${profileStyles.miniToggle} ${member.isActive ? profileStyles.miniToggleOn : ''}`}
+                    onClick={() => handleToggleActive(member)}
+                    aria-label={`${member.isActive ? 'Disable' : 'Enable'} ${member.displayName}`}
+                    title={member.isActive ? 'Active' : 'Disabled'}
+                  >
+                    <div className={profileStyles.miniToggleKnob} />
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+
+        {error && <p className={styles.error}>{error}</p>}
+
+        {invitedCredentials && (
+          <div className={styles.credentialsBox}>
+            <span className={styles.credentialsLabel}>
+              Share these with {invitedCredentials.username} — the password is shown only once
+            </span>
+            <div className={styles.credentialsRow}>
+              <code className={styles.credentialsValue}>{invitedCredentials.temporaryPassword}</code>
+              <button
+                className={styles.iconBtn}
+                onClick={() => navigator.clipboard.writeText(invitedCredentials.temporaryPassword)}
+                aria-label="Copy temporary password"
+              >
+                <Copy size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {canManage && (
+          <>
+            <div className={profileStyles.divider} />
+            {showInviteForm ? (
+              <form className={styles.inviteForm} onSubmit={handleInvite}>
+                <input
+                  type="text"
+                  className={profileStyles.editInputSmall}
+                  placeholder="Username or email"
+                  value={inviteData.username}
+                  onChange={(e) => setInviteData({ ...inviteData, username: e.target.value })}
+                  required
+                />
+                <input
+                  type="text"
+                  className={profileStyles.editInputSmall}
+                  placeholder="Display name"
+                  value={inviteData.displayName}
+                  onChange={(e) => setInviteData({ ...inviteData, displayName: e.target.value })}
+                />
+                <select
+                  className={styles.roleSelect}
+                  value={inviteData.role}
+                  onChange={(e) => setInviteData({ ...inviteData, role: e.target.value })}
+                >
+                  {ASSIGNABLE_ROLES.map(role => (
+                    <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                  ))}
+                </select>
+                <div className={styles.inviteActions}>
+                  <button type="button" className={styles.secondaryBtn} onClick={() => setShowInviteForm(false)}>
+                    Cancel
+                  </button>
+                  <button type="submit" className={styles.primaryBtn} disabled={isInviting}>
+                    {isInviting ? 'Inviting...' : 'Send Invite'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <button className={profileStyles.menuRow} onClick={() => setShowInviteForm(true)}>
+                <div className={profileStyles.menuRowLeft}>
+                  <UserPlus className={profileStyles.menuIcon} />
+                  <span>Invite Staff</span>
+                </div>
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </motion.section>
+  );
+};
+
+export default StaffSection;
@@ -0,0 +1,236 @@
+import { useState, useEffect } from 'react';
+import { ShieldCheck, KeyRound, Copy } from 'lucide-react';
+import {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} from '../../services/twoFactorService';
+import profileStyles from './Profile.module.css';
+import styles from './SecuritySection.module.css';
+
+// Authenticator-app 2FA for owners: enrolment (QR + confirm code), recovery codes, turning it off
+const TwoFactorCard = () => {
+  const [status, setStatus] = useState(null);
+  // idle | setup | regenerate | disable
+  const [mode, setMode] = useState('idle');
+  const [setupData, setSetupData] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Shown once, right after enabling or regenerating
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getTwoFactorStatus()
+      .then(data => { if (!cancelled) setStatus(data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const reset = () => {
+    setMode('idle');
+    setSetupData(null);
+    setCode('');
+    setPassword('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
+  const run = async (action) => {
+    setError('');
+    setMessage('');
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setRecoveryCodes(null);
+    setSetupData(await startTwoFactorSetup());
+    setMode('setup');
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const codes = await enableTwoFactor(code);
+      reset();
+      setRecoveryCodes(codes);
+      setStatus({ enabled: true, recoveryCodesRemaining: codes.length });
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const codes = await regenerateRecoveryCodes(code);
+      reset();
+      setRecoveryCodes(codes);
+      setStatus({ enabled: true, recoveryCodesRemaining: codes.length });
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await disableTwoFactor(
+        useRecoveryCode ? { password, recoveryCode: code } : { password, totpCode: code }
+      );
+      reset();
+      setRecoveryCodes(null);
+      setMessage(result);
+      setStatus({ enabled: false, recoveryCodesRemaining: 0 });
+    });
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      className={profileStyles.editInputSmall}
+      placeholder={useRecoveryCode ? 'Recovery code' : '6-digit code'}
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      inputMode={useRecoveryCode ? 'text' : 'numeric'}
+      autoComplete="one-time-code"
+      maxLength={useRecoveryCode ? 11 : 6}
+      required
+    />
+  );
+
+  const formActions = (submitLabel) => (
+    <div className={styles.formActions}>
+      <button type="button" className={styles.secondaryBtn} onClick={reset}>
+        Cancel
+      </button>
+      <button type="submit" className={styles.primaryBtn} disabled={isBusy}>
+        {isBusy ? 'Please wait...' : submitLabel}
+      </button>
+    </div>
+  );
+
+  return (
+    <div className={profileStyles.card}>
+      <div className={styles.sessionRow}>
+        <ShieldCheck className={profileStyles.menuIcon} />
+        <div className={styles.sessionInfo}>
+          <span className={styles.sessionDevice}>
+            Authenticator App
+            {status?.enabled && <span className={styles.currentBadge}>On</span>}
+          </span>
+          <span className={styles.sessionMeta}>
+            {!status
+              ? 'Checking...'
+              : status.enabled
+                ? `${status.recoveryCodesRemaining} recovery codes left`
+                : 'Require a code from your phone when signing in'}
+          </span>
+        </div>
+        {status && mode === 'idle' && (
+          status.enabled ? (
+            <button className={styles.secondaryBtn} onClick={() => setMode('disable')}>Turn Off</button>
+          ) : (
+            <button className={styles.primaryBtn} onClick={handleStartSetup} disabled={isBusy}>Set Up</button>
+          )
+        )}
+      </div>
+
+      {mode === 'setup' && setupData && (
+        <form className={styles.passwordForm} onSubmit={handleEnable}>
+          <p className={styles.hint}>
+            Scan this QR code with Google Authenticator, Authy or a similar app, then enter the code it shows.
+          </p>
+          <img className={styles.qrCode} src={setupData.qrCode} alt="Two-factor authentication QR code" />
+          <p className={styles.hint}>
+            Can't scan? Enter this key manually: <code className={styles.secretKey}>{setupData.secret}</code>
+          </p>
+          {codeInput}
+          {error && <p className={styles.error}>{error}</p>}
+          {formActions('Turn On')}
+        </form>
+      )}
+
+      {mode === 'regenerate' && (
+        <form className={styles.passwordForm} onSubmit={handleRegenerate}>
+          <p className={styles.hint}>Enter a code from your authenticator app. Your old recovery codes will stop working.</p>
+          {codeInput}
+          {error && <p className={styles.error}>{error}</p>}
+          {formActions('Generate')}
+        </form>
+      )}
+
+      {mode === 'disable' && (
+        <form className={styles.passwordForm} onSubmit={handleDisable}>
+          <input
+            type="password"
+            className={profileStyles.editInputSmall}
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+          />
+          {codeInput}
+          <button
+            type="button"
+            className={styles.linkBtn}
+            onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code instead'}
+          </button>
+          {error && <p className={styles.error}>{error}</p>}
+          {formActions('Turn Off')}
+        </form>
+      )}
+
+      {recoveryCodes && (
+        <div className={styles.recoveryBox}>
+          <span className={styles.hint}>
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone — they won't be shown again.
+          </span>
+          <div className={styles.recoveryGrid}>
+            {recoveryCodes.map(recoveryCode => (
+              <code key={recoveryCode} className={styles.secretKey}>{recoveryCode}</code>
+            ))}
+          </div>
+          <div className={styles.formActions}>
+            <button
+              className={styles.secondaryBtn}
+              onClick={() => navigator.clipboard.writeText(recoveryCodes.join('\n'))}
+            >
+              <Copy size={14} /> Copy
+            </button>
+            <button className={styles.primaryBtn} onClick={() => setRecoveryCodes(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      {status?.enabled && mode === 'idle' && !recoveryCodes && (
+        <>
+          <div className={profileStyles.divider} />
+          <button className={profileStyles.menuRow} onClick={() => setMode('regenerate')}>
+            <div className={profileStyles.menuRowLeft}>
+              <KeyRound className={profileStyles.menuIcon} />
+              <span>New Recovery Codes</span>
+            </div>
+          </button>
+        </>
+      )}
+
+      {mode === 'idle' && error && <p className={styles.listError}>{error}</p>}
+      {message && <p className={styles.success}>{message}</p>}
+    </div>
+  );
+};
+
+export default TwoFactorCard;
@@ -9,21 +9,31 @@ import OrderStats from '../../components/Report/OrderStats';
 import MenuPerformance from '../../components/Report/MenuPerformance';
 import TimeHeatmap from '../../components/Report/TimeHeatmap';
 import CustomerInsights from '../../components/Report/CustomerInsights';
+import OutletComparison from '../../components/Report/OutletComparison';
 import LiveMetrics from '../../components/LiveMetrics/LiveMetrics';
 import reportsService from '../../services/reportsService';
+import { getSession } from '../../services/authService';
+
+// Outlets whose reports this login can see (mirrors the backend's report roles)
+const REPORT_ROLES = ['owner', 'manager'];
 
 function Report() {
   const [timeRange, setTimeRange] = useState('7days');
+  const [scope, setScope] = useState('outlet');
   const [data, setData] = useState({
     sales: [],
     orderStats: null,
     menuPerformance: null,
     busyHours: [],
     customerInsights: null,
-    insights: []
+    insights: [],
+    comparison: []
   });
   const [loading, setLoading] = useState(true);
 
+  const reportOutlets = (getSession()?.outlets || []).filter(outlet => REPORT_ROLES.includes(outlet.role));
+  const isChain = scope === 'all';
+
   useEffect(() => {
     const fetchData = async () => {
       setLoading(true);
@@ -37,6 +47,15 @@ function Report() {
         // Since I cannot modify service without reading it (which I haven't), 
         // I will pass timeRange as is. Use '7days' as fallback for initial load.
         
+        if (scope === 'all') {
+          const [chain, insights] = await Promise.all([
+            reportsService.fetchChainReport(timeRange),
+            reportsService.fetchAutoInsights()
+          ]);
+          setData({ ...chain, insights });
+          return;
+        }
+
         const [
           sales,
           orderStats,
@@ -59,7 +78,8 @@ function Report() {
           menuPerformance,
           busyHours,
           customerInsights,
-          insights
+          insights,
+          comparison: []
         });
       } catch (error) {
         console.error("Failed to fetch reports data:", error);
@@ -69,7 +89,7 @@ function Report() {
     };
 
     fetchData();
-  }, [timeRange]);
+  }, [timeRange, scope]);
 
   const handleExport = () => {
     const doc = new jsPDF();
@@ -85,6 +105,9 @@ function Report() {
     doc.setFontSize(10);
     doc.text(`Generated on: ${dateStr}`, 14, 30);
     doc.text(`Period: ${rangeStr}`, 14, 35);
+    if (isChain) {
+        doc.text(`Scope: All outlets (${data.comparison.length})`, 14, 40);
+    }
 
     // Section 1: Order Stats
     if (data.orderStats) {
@@ -107,6 +130,59 @@ function Report() {
         });
     }
 
+    if (data.orderStats?.rejectionReasons?.length > 0) {
+        let finalY = doc.lastAutoTable?.finalY || 45;
+        doc.setFontSize(14);
+        doc.text('Rejection Reasons', 14, finalY + 15);
+
+        autoTable(doc, {
+            startY: finalY + 20,
+            head: [['Reason', 'Orders', 'Share']],
+            body: data.orderStats.rejectionReasons.map(reason => [reason.label, reason.count, `${reason.share}%`]),
+            theme: 'striped',
+            headStyles: { fillColor: [255, 102, 0] }
+        });
+    }
+
+    const extensions = data.orderStats?.prepExtensions;
+    if (extensions?.count > 0) {
+        let finalY = doc.lastAutoTable?.finalY || 45;
+        doc.setFontSize(14);
+        doc.text('Prep Time Extensions', 14, finalY + 15);
+
+        autoTable(doc, {
+            startY: finalY + 20,
+            head: [['Reason', 'Extensions', 'Share']],
+            body: [
+                ...extensions.reasons.map(reason => [reason.label, reason.count, `${reason.share}%`]),
+                ['Orders extended', extensions.ordersExtended, `${extensions.extensionRate}% of accepted`]
+            ],
+            theme: 'striped',
+            headStyles: { fillColor: [255, 102, 0] }
+        });
+    }
+
+    // Chain scope: per-outlet comparison
+    if (isChain && data.comparison.length > 0) {
+        let finalY = doc.lastAutoTable?.finalY || 45;
+        doc.setFontSize(14);
+        doc.text('Outlet Comparison', 14, finalY + 15);
+
+        autoTable(doc, {
+            startY: finalY + 20,
+            head: [['Outlet', 'Sales', 'Orders', 'Completion', 'Top Item']],
+            body: data.comparison.map(row => [
+                row.name,
+                `Rs ${Math.round(row.sales || 0)}`,
+                row.orders ?? '-',
+                row.completionRate !== undefined ? `${row.completionRate}%` : '-',
+                row.topItem || '-'
+            ]),
+            theme: 'striped',
+            headStyles: { fillColor: [255, 102, 0] }
+        });
+    }
+
     // Section 2: Top Menu Items
     if (data.menuPerformance && data.menuPerformance.length > 0) {
         let finalY = doc.lastAutoTable.finalY || 60;
@@ -166,8 +242,28 @@ function Report() {
       <header className={styles.header}>
         <div>
           <h1>Reports & Analytics</h1>
-          <p className={styles.subtitle}>Track your restaurant's performance and growth.</p>
+          <p className={styles.subtitle}>
+            {isChain
+              ? `Combined performance across ${data.comparison.length} outlets.`
+              : "Track your restaurant's performance and growth."}
+          </p>
         </div>
+        {reportOutlets.length > 1 && (
+          <div className={styles.scopeToggle}>
+            <button
+              className={`${styles.scopeBtn} ${!isChain ? styles.scopeActive : ''}`}
+              onClick={() => setScope('outlet')}
+            >
+              This outlet
+            </button>
+            <button
+              className={`${styles.scopeBtn} ${isChain ? styles.scopeActive : ''}`}
+              onClick={() => setScope('all')}
+            >
+              All outlets
+            </button>
+          </div>
+        )}
       </header>
 
       {/* Auto Insights Banner */}
@@ -218,6 +314,15 @@ function Report() {
             <CustomerInsights data={data.customerInsights} />
           </ReportCard>
         </div>
+
+        {/* Chain scope: outlets side by side */}
+        {isChain && (
+          <div className={styles.colSpanFull}>
+            <ReportCard title="Outlet Comparison">
+              <OutletComparison rows={data.comparison} />
+            </ReportCard>
+          </div>
+        )}
       </div>
     </div>
   );
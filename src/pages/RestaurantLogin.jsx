@@ -1,18 +1,463 @@
-import { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { motion } from "framer-motion";
 import { Instagram, Phone, Mail, ExternalLink, User, Lock, Facebook, Twitter, Building2, MapPin, Loader2, Eye, EyeOff } from "lucide-react";
 import useKeyboard from "../hooks/useKeyboard";
 import { API_BASE_URL } from "../config";
+import {
+  getSession,
+  saveSession,
+  signup,
+  verifyEmail,
+  resendVerification,
+  requestPasswordReset,
+  resetPassword
+} from "../services/authService";
 import "./RestaurantLogin.css";
 
+// "45 seconds" / "5 minutes" for lockout messages
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Forgot-password (request a link) and reset-password (from the emailed link) forms,
+// shared by the desktop and mobile layouts
+const PasswordRecoveryForm = ({ resetToken, isMobile, formStyle, onBackToLogin }) => {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isReset = Boolean(resetToken);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (isReset && password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      setMessage(isReset
+        ? await resetPassword(resetToken, password)
+        : await requestPasswordReset(username));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderInput = (Icon, inputProps) => isMobile ? (
+    <div className="mobile-input-group">
+      <Icon className="mobile-input-icon" size={22} />
+      <input {...inputProps} />
+    </div>
+  ) : (
+    <input {...inputProps} />
+  );
+
+  return (
+    <form className={isMobile ? "mobile-form-section" : undefined} style={formStyle} onSubmit={handleSubmit}>
+      {!isMobile && <h1 className="title">{isReset ? "Set New Password" : "Reset Password"}</h1>}
+
+      {!message && (isReset ? (
+        <>
+          {renderInput(Lock, {
+            type: "password",
+            placeholder: "New Password",
+            value: password,
+            onChange: (e) => setPassword(e.target.value),
+            minLength: 8,
+            required: true
+          })}
+          {renderInput(Lock, {
+            type: "password",
+            placeholder: "Confirm New Password",
+            value: confirmPassword,
+            onChange: (e) => setConfirmPassword(e.target.value),
+            required: true
+          })}
+        </>
+      ) : (
+        renderInput(User, {
+          type: "text",
+          placeholder: "Username / Email",
+          value: username,
+          onChange: (e) => setUsername(e.target.value),
+          required: true
+        })
+      ))}
+
+      {error && (
+        <div style={{ color: '#ef4444', fontSize: '0.875rem', marginBottom: '0.5rem', textAlign: 'center' }}>
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div style={{ color: '#10B981', fontSize: '0.875rem', marginBottom: '0.5rem', textAlign: 'center' }}>
+          {message}
+        </div>
+      )}
+
+      {!message && (
+        <button type="submit" className={isMobile ? "mobile-cta-button" : "btn-main"} disabled={isSubmitting}>
+          {isSubmitting ? <Loader2 size={18} className="spin-animation" /> : isReset ? 'Update Password' : 'Send Reset Link'}
+        </button>
+      )}
+
+      <a
+        href="#"
+        className={isMobile ? "mobile-forgot-link" : "forgot"}
+        onClick={(e) => { e.preventDefault(); onBackToLogin(); }}
+      >
+        Back to Sign In
+      </a>
+    </form>
+  );
+};
+
+// Second sign-in step for accounts with two-factor authentication
+const TwoFactorForm = ({ isMobile, formStyle, loginError, isLoading, onSubmit, onBackToLogin }) => {
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(useRecoveryCode ? { recoveryCode: code } : { totpCode: code });
+  };
+
+  const input = (
+    <input
+      type="text"
+      placeholder={useRecoveryCode ? "Recovery code" : "6-digit code"}
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      inputMode={useRecoveryCode ? "text" : "numeric"}
+      autoComplete="one-time-code"
+      maxLength={useRecoveryCode ? 11 : 6}
+      autoFocus
+      required
+    />
+  );
+
+  return (
+    <form className={isMobile ? "mobile-form-section" : undefined} style={formStyle} onSubmit={handleSubmit}>
+      {!isMobile && <h1 className="title">Two-Step Verification</h1>}
+      <p style={{ fontSize: '0.875rem', color: '#888', textAlign: 'center', marginBottom: '0.75rem' }}>
+        {useRecoveryCode
+          ? "Enter one of the recovery codes you saved when setting up two-factor authentication."
+          : "Enter the code from your authenticator app."}
+      </p>
+
+      {isMobile ? (
+        <div className="mobile-input-group">
+          <Lock className="mobile-input-icon" size={22} />
+          {input}
+        </div>
+      ) : input}
+
+      {loginError && (
+        <div style={{ color: '#ef4444', fontSize: '0.875rem', marginBottom: '0.5rem', textAlign: 'center' }}>
+          {loginError}
+        </div>
+      )}
+
+      <button type="submit" className={isMobile ? "mobile-cta-button" : "btn-main"} disabled={isLoading}>
+        {isLoading ? <Loader2 size={18} className="spin-animation" /> : 'Verify'}
+      </button>
+
+      <a
+        href="#"
+        className={isMobile ? "mobile-forgot-link" : "forgot"}
+        onClick={(e) => { e.preventDefault(); setUseRecoveryCode(!useRecoveryCode); setCode(""); }}
+      >
+        {useRecoveryCode ? "Use authenticator code" : "Use a recovery code instead"}
+      </a>
+      <a
+        href="#"
+        className={isMobile ? "mobile-forgot-link" : "forgot"}
+        onClick={(e) => { e.preventDefault(); onBackToLogin(); }}
+      >
+        Back to Sign In
+      </a>
+    </form>
+  );
+};
+
+// Onboarding wizard: one field group per step, submitted to /api/auth/signup at the end
+const SIGNUP_STEPS = [
+  { title: "Your Restaurant", fields: ["restaurantName", "businessType", "city"] },
+  { title: "Owner Details", fields: ["ownerName", "mobile"] },
+  { title: "Create Your Login", fields: ["email", "password"] }
+];
+
+const SIGNUP_FIELDS = {
+  restaurantName: { icon: Building2, type: "text", placeholder: "Restaurant / Business Name" },
+  city: { icon: MapPin, type: "text", placeholder: "City / Location" },
+  ownerName: { icon: User, type: "text", placeholder: "Owner / Partner Name" },
+  mobile: { icon: Phone, type: "tel", placeholder: "Mobile Number" },
+  email: { icon: Mail, type: "email", placeholder: "Email Address" },
+  password: { icon: Lock, type: "password", placeholder: "Password (min. 8 characters)" }
+};
+
+const BUSINESS_TYPES = ["Restaurant", "Cafe", "Cloud Kitchen"];
+
+const EMPTY_SIGNUP = {
+  restaurantName: "",
+  businessType: "Restaurant",
+  city: "",
+  ownerName: "",
+  mobile: "",
+  email: "",
+  password: ""
+};
+
+// Mirrors the backend's checks so mistakes show up on the step where they were made
+const validateSignupField = (field, value) => {
+  if (!value.trim()) return "Please fill in every field";
+  if (field === "mobile" && !/^(\+91)?[6-9]\d{9}$/.test(value.replace(/[\s-]/g, ""))) {
+    return "Enter a valid 10-digit mobile number";
+  }
+  if (field === "email" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim())) {
+    return "Enter a valid email address";
+  }
+  if (field === "password" && value.length < 8) return "Password must be at least 8 characters";
+  return "";
+};
+
+const mobileSelectStyle = {
+  flex: 1,
+  border: 'none',
+  background: 'transparent',
+  padding: 0,
+  fontSize: '1rem',
+  color: '#333',
+  outline: 'none'
+};
+
+// "Resend confirmation email" link for accounts that haven't verified yet
+const ResendVerificationLink = ({ email, className }) => {
+  const [message, setMessage] = useState("");
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    try {
+      setMessage(await resendVerification(email));
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  return message ? (
+    <div style={{ color: '#10B981', fontSize: '0.875rem', marginBottom: '0.5rem', textAlign: 'center' }}>
+      {message}
+    </div>
+  ) : (
+    <a href="#" className={className} onClick={handleResend}>Resend confirmation email</a>
+  );
+};
+
+const OnboardingWizard = ({ isMobile, formStyle, onBackToLogin }) => {
+  const [step, setStep] = useState(0);
+  const [signupData, setSignupData] = useState(EMPTY_SIGNUP);
+  const [agreedToTerms, setAgreedToTerms] = useState(false);
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Email the confirmation link went to, once the account is created
+  const [sentTo, setSentTo] = useState(null);
+
+  const { title, fields } = SIGNUP_STEPS[step];
+  const isLastStep = step === SIGNUP_STEPS.length - 1;
+
+  const handleNext = async (e) => {
+    e.preventDefault();
+
+    const fieldError = fields.map(field => validateSignupField(field, signupData[field])).find(Boolean);
+    if (fieldError) {
+      setError(fieldError);
+      return;
+    }
+    setError("");
+
+    if (!isLastStep) {
+      setStep(step + 1);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await signup(signupData);
+      setSentTo(result.email);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderField = (field) => {
+    if (field === "businessType") {
+      const select = (
+        <select
+          key={field}
+          style={isMobile ? mobileSelectStyle : undefined}
+          value={signupData.businessType}
+          onChange={(e) => setSignupData({ ...signupData, businessType: e.target.value })}
+        >
+          {BUSINESS_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+      );
+      return isMobile ? (
+        <div key={field} className="mobile-input-group">
+          <Building2 className="mobile-input-icon" size={22} />
+          {select}
+        </div>
+      ) : select;
+    }
+
+    const { icon: Icon, type, placeholder } = SIGNUP_FIELDS[field];
+    const input = (
+      <input
+        key={field}
+        type={type}
+        placeholder={placeholder}
+        value={signupData[field]}
+        onChange={(e) => setSignupData({ ...signupData, [field]: e.target.value })}
+        required
+      />
+    );
+    return isMobile ? (
+      <div key={field} className="mobile-input-group">
+        <Icon className="mobile-input-icon" size={22} />
+        {input}
+      </div>
+    ) : input;
+  };
+
+  const formClass = isMobile ? "mobile-form-section" : undefined;
+  const linkClass = isMobile ? "mobile-forgot-link" : "forgot";
+
+  if (sentTo) {
+    return (
+      <div className={formClass} style={formStyle}>
+        {!isMobile && <h1 className="title">Check Your Inbox</h1>}
+        <Mail size={40} color="#FF6600" style={{ marginBottom: '1rem' }} />
+        <p className="wizard-hint">
+          We sent a confirmation link to <strong>{sentTo}</strong>. Open it to activate your restaurant —
+          you'll be signed in straight away.
+        </p>
+        <ResendVerificationLink email={sentTo} className={linkClass} />
+        <a href="#" className={linkClass} onClick={(e) => { e.preventDefault(); onBackToLogin(); }}>
+          Back to Sign In
+        </a>
+      </div>
+    );
+  }
+
+  return (
+    <form className={formClass} style={formStyle} onSubmit={handleNext} noValidate>
+      {!isMobile && <h1 className="title">Create Account</h1>}
+
+      <div className="wizard-progress">
+        {SIGNUP_STEPS.map((s, index) => (
+          <span key={s.title} className={`wizard-dot ${index <= step ? "wizard-dot-active" : ""}`} />
+        ))}
+      </div>
+      <p className="wizard-step-label">Step {step + 1} of {SIGNUP_STEPS.length} · {title}</p>
+
+      {fields.map(renderField)}
+
+      {isLastStep && (
+        <label className="terms-checkbox">
+          <input
+            type="checkbox"
+            checked={agreedToTerms}
+            onChange={(e) => setAgreedToTerms(e.target.checked)}
+          />
+          <span className="terms-text">I agree to the Terms and Policies</span>
+        </label>
+      )}
+
+      {error && (
+        <div style={{ color: '#ef4444', fontSize: '0.875rem', marginBottom: '0.5rem', textAlign: 'center' }}>
+          {error}
+        </div>
+      )}
+
+      <div className="wizard-actions">
+        {step > 0 && (
+          <button type="button" className="wizard-back-btn" onClick={() => { setError(""); setStep(step - 1); }}>
+            Back
+          </button>
+        )}
+        <button
+          type="submit"
+          className={isMobile ? "mobile-cta-button" : "btn-main btn-signup"}
+          disabled={isSubmitting || (isLastStep && !agreedToTerms)}
+        >
+          {isSubmitting ? <Loader2 size={18} className="spin-animation" /> : isLastStep ? 'Get Started' : 'Next'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Opened from the emailed confirmation link (/login?verifyToken=...): activates the account and signs in
+const EmailVerification = ({ token, isMobile, formStyle, onVerified, onBackToLogin }) => {
+  const [error, setError] = useState("");
+  // The token is single use; don't send it twice when effects re-run (StrictMode)
+  const startedRef = useRef(false);
+
+  useEffect(() => {
+    if (startedRef.current) return;
+    startedRef.current = true;
+    verifyEmail(token)
+      .then(onVerified)
+      .catch(err => setError(err.message));
+  }, [token, onVerified]);
+
+  return (
+    <div className={isMobile ? "mobile-form-section" : undefined} style={formStyle}>
+      {!isMobile && <h1 className="title">Confirm Email</h1>}
+      {error ? (
+        <>
+          <div style={{ color: '#ef4444', fontSize: '0.875rem', marginBottom: '0.5rem', textAlign: 'center' }}>
+            {error}
+          </div>
+          <a
+            href="#"
+            className={isMobile ? "mobile-forgot-link" : "forgot"}
+            onClick={(e) => { e.preventDefault(); onBackToLogin(); }}
+          >
+            Back to Sign In
+          </a>
+        </>
+      ) : (
+        <p className="wizard-hint">
+          <Loader2 size={18} className="spin-animation" /> Activating your restaurant...
+        </p>
+      )}
+    </div>
+  );
+};
+
 // Mobile Login Layout Component
 const MobileLoginForm = ({ 
   loginEmail, setLoginEmail, 
   loginPassword, setLoginPassword, 
   showPassword, setShowPassword, 
   loginError, isLoading, 
-  handleSignIn, setIsActive 
+  handleSignIn, setIsActive,
+  onForgotPassword, stepForm, unverifiedEmail
 }) => (
   <div className="mobile-login-fullscreen">
     {/* Image Header with Welcome Text */}
@@ -27,6 +472,7 @@ const MobileLoginForm = ({
     </div>
 
     {/* White Form Section */}
+    {stepForm || (
     <form className="mobile-form-section" onSubmit={(e) => { e.preventDefault(); handleSignIn(); }}>
       <div className="mobile-input-group">
         <User className="mobile-input-icon" size={22} />
@@ -69,16 +515,19 @@ const MobileLoginForm = ({
         </div>
       )}
 
+      {unverifiedEmail && <ResendVerificationLink email={unverifiedEmail} className="mobile-forgot-link" />}
+
       <button type="submit" className="mobile-cta-button" disabled={isLoading}>
         {isLoading ? <Loader2 size={20} className="spin-animation" /> : 'Sign In'}
       </button>
 
-      <a href="#" className="mobile-forgot-link">Forgot Password?</a>
+      <a href="#" className="mobile-forgot-link" onClick={(e) => { e.preventDefault(); onForgotPassword(); }}>Forgot Password?</a>
 
       <div className="mobile-toggle-text">
         Don't have an account? <a onClick={() => setIsActive(true)}>Create Account</a>
       </div>
     </form>
+    )}
 
     {/* Footer */}
     <div className="mobile-fullscreen-footer">
@@ -98,10 +547,7 @@ const MobileLoginForm = ({
 );
 
 // Mobile Signup Layout Component
-const MobileSignupForm = ({
-  signupData, setSignupData,
-  handleSignUp, setIsActive
-}) => (
+const MobileSignupForm = ({ setIsActive }) => (
   <motion.div
     className="mobile-login-fullscreen"
     initial={{ opacity: 0, y: 15 }}
@@ -126,94 +572,8 @@ const MobileSignupForm = ({
     </div>
 
     {/* White Form Section */}
-    <div
-      className="mobile-form-section"
-      style={{ maxHeight: '55vh', overflowY: 'auto' }}
-    >
-      <div className="mobile-input-group">
-        <Building2 className="mobile-input-icon" size={22} />
-        <input
-          type="text"
-          placeholder="Restaurant / Business Name"
-          value={signupData.restaurantName}
-          onChange={(e) => setSignupData({ ...signupData, restaurantName: e.target.value })}
-        />
-      </div>
-
-      <div className="mobile-input-group">
-        <User className="mobile-input-icon" size={22} />
-        <input
-          type="text"
-          placeholder="Owner / Partner Name"
-          value={signupData.ownerName}
-          onChange={(e) => setSignupData({ ...signupData, ownerName: e.target.value })}
-        />
-      </div>
-
-      <div className="mobile-input-group">
-        <Phone className="mobile-input-icon" size={22} />
-        <input
-          type="tel"
-          placeholder="Mobile Number"
-          value={signupData.mobile}
-          onChange={(e) => setSignupData({ ...signupData, mobile: e.target.value })}
-        />
-      </div>
-
-      <div className="mobile-input-group">
-        <Mail className="mobile-input-icon" size={22} />
-        <input
-          type="email"
-          placeholder="Email Address"
-          value={signupData.email}
-          onChange={(e) => setSignupData({ ...signupData, email: e.target.value })}
-        />
-      </div>
-
-      <div className="mobile-input-group">
-        <Lock className="mobile-input-icon" size={22} />
-        <input
-          type="password"
-          placeholder="Password"
-          value={signupData.password}
-          onChange={(e) => setSignupData({ ...signupData, password: e.target.value })}
-        />
-      </div>
-
-      <div className="mobile-input-group">
-        <MapPin className="mobile-input-icon" size={22} />
-        <input
-          type="text"
-          placeholder="City / Location"
-          value={signupData.city}
-          onChange={(e) => setSignupData({ ...signupData, city: e.target.value })}
-        />
-      </div>
-
-      <div className="mobile-input-group">
-        <Building2 className="mobile-input-icon" size={22} />
-        <select
-          style={{
-            flex: 1,
-            border: 'none',
-            background: 'transparent',
-            padding: 0,
-            fontSize: '1rem',
-            color: '#333',
-            outline: 'none'
-          }}
-          value={signupData.businessType}
-          onChange={(e) => setSignupData({ ...signupData, businessType: e.target.value })}
-        >
-          <option value="Restaurant">Restaurant</option>
-          <option value="Cafe">Cafe</option>
-          <option value="Cloud Kitchen">Cloud Kitchen</option>
-        </select>
-      </div>
-
-      <button className="mobile-cta-button" onClick={handleSignUp}>
-        Create Account
-      </button>
+    <div style={{ maxHeight: '55vh', overflowY: 'auto' }}>
+      <OnboardingWizard isMobile onBackToLogin={() => setIsActive(false)} />
 
       <div className="mobile-toggle-text">
         Already have an account? <a onClick={() => setIsActive(false)}>Sign In</a>
@@ -229,10 +589,35 @@ const MobileSignupForm = ({
 
 export default function RestaurantLogin() {
   const navigate = useNavigate();
-  const [isActive, setIsActive] = useState(false);
-  const [agreedToTerms, setAgreedToTerms] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  // /signup redirects here with ?signup=1 to open the onboarding wizard
+  const [isActive, setIsActive] = useState(searchParams.has("signup"));
   const [isMobile, setIsMobile] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  const [isRecoveryOpen, setIsRecoveryOpen] = useState(false);
+  // Epoch ms until which the server has locked sign-in (429 ACCOUNT_LOCKED / RATE_LIMITED)
+  const [lockedUntil, setLockedUntil] = useState(0);
+  // Set when sign-in is refused because the email isn't confirmed yet
+  const [unverifiedEmail, setUnverifiedEmail] = useState(null);
+
+  // Emailed links land on /login?resetToken=... and /login?verifyToken=...
+  const resetToken = searchParams.get("resetToken");
+  const verifyToken = searchParams.get("verifyToken");
+  const isRecovering = isRecoveryOpen || Boolean(resetToken);
+
+  // Password accepted, waiting for the 2FA code
+  const [isTwoFactorStep, setIsTwoFactorStep] = useState(false);
+
+  const handleBackToLogin = () => {
+    setIsRecoveryOpen(false);
+    setIsTwoFactorStep(false);
+    setLoginError("");
+    if (resetToken || verifyToken) setSearchParams({});
+  };
+
+  const handleEmailVerified = useCallback((session) => {
+    navigate(`/${session.restaurantId}/orders`, { replace: true });
+  }, [navigate]);
 
   // Keyboard navigation: Escape to go back to Sign In
   useKeyboard({
@@ -246,15 +631,6 @@ export default function RestaurantLogin() {
   const [loginPassword, setLoginPassword] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [loginError, setLoginError] = useState("");
-  const [signupData, setSignupData] = useState({
-    restaurantName: "",
-    ownerName: "",
-    mobile: "",
-    email: "",
-    password: "",
-    city: "",
-    businessType: "Restaurant"
-  });
 
   // Detect mobile viewport
   useEffect(() => {
@@ -268,10 +644,9 @@ export default function RestaurantLogin() {
 
   // Check if already logged in
   useEffect(() => {
-    const session = localStorage.getItem('myezz_session');
-    if (session) {
-      const { restaurantId } = JSON.parse(session);
-      navigate(`/${restaurantId}/orders`);
+    const session = getSession();
+    if (session?.accessToken) {
+      navigate(`/${session.restaurantId}/orders`);
     }
   }, [navigate]);
 
@@ -312,9 +687,18 @@ export default function RestaurantLogin() {
     height: "100%"
   };
 
-  const handleSignIn = async (e) => {
-    e.preventDefault();
+  // secondFactor: { totpCode } or { recoveryCode } on the two-step verification screen
+  const handleSignIn = async (e, secondFactor = {}) => {
+    e?.preventDefault();
+
+    const secondsLeft = Math.ceil((lockedUntil - Date.now()) / 1000);
+    if (secondsLeft > 0) {
+      setLoginError(`Too many failed attempts. Try again in ${formatWait(secondsLeft)}.`);
+      return;
+    }
+
     setLoginError("");
+    setUnverifiedEmail(null);
     setIsLoading(true);
 
     try {
@@ -323,68 +707,85 @@ export default function RestaurantLogin() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           username: loginEmail,
-          password: loginPassword
+          password: loginPassword,
+          ...secondFactor
         })
       });
 
       const data = await response.json();
 
-      if (!response.ok || !data.success) {
-        throw new Error(data.error || 'Login failed');
+      if (data.code === 'TOTP_REQUIRED') {
+        setIsTwoFactorStep(true);
+        return;
       }
 
-      // Save session to localStorage
-      localStorage.setItem('myezz_session', JSON.stringify({
-        restaurantId: data.data.restaurantId,
-        restaurantName: data.data.restaurantName,
-        username: data.data.username
-      }));
-
-      // Navigate to orders page
-      navigate(`/${data.data.restaurantId}/orders`);
-
-    } catch (error) {
-      setLoginError(error.message || 'Login failed. Please try again.');
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  const handleSignUp = async (e) => {
-    e.preventDefault();
-    setIsLoading(true);
-    setLoginError(''); // Clear any previous errors
-
-    try {
-      const response = await fetch(`${API_BASE_URL}/api/auth/signup`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(signupData)
-      });
+      if (data.code === 'EMAIL_NOT_VERIFIED') {
+        setUnverifiedEmail(loginEmail);
+      }
 
-      const data = await response.json();
+      if (response.status === 429 && data.retryAfter) {
+        setLockedUntil(Date.now() + data.retryAfter * 1000);
+        throw new Error(data.error || `Too many failed attempts. Try again in ${formatWait(data.retryAfter)}.`);
+      }
 
       if (!response.ok || !data.success) {
-        throw new Error(data.error || 'Signup failed');
+        const remaining = data.attemptsRemaining;
+        throw new Error(remaining > 0 && remaining <= 2
+          ? `${data.error}. ${remaining} attempt${remaining === 1 ? '' : 's'} left before sign-in is locked.`
+          : data.error || 'Login failed');
       }
 
-      // Save session to localStorage
-      localStorage.setItem('myezz_session', JSON.stringify({
-        restaurantId: data.data.restaurantId,
-        restaurantName: data.data.restaurantName,
-        username: data.data.username
-      }));
+      // Save session (including signed tokens) to localStorage
+      saveSession(data.data);
 
       // Navigate to orders page
       navigate(`/${data.data.restaurantId}/orders`);
 
     } catch (error) {
-      setLoginError(error.message || 'Signup failed. Please try again.');
+      setLoginError(error.message || 'Login failed. Please try again.');
     } finally {
       setIsLoading(false);
     }
   };
 
+  // Email confirmation, password reset or 2FA screen shown in place of the sign-in form (null = sign-in form)
+  const renderLoginStep = (mobile) => {
+    if (verifyToken) {
+      return (
+        <EmailVerification
+          token={verifyToken}
+          isMobile={mobile}
+          formStyle={mobile ? undefined : formBaseStyle}
+          onVerified={handleEmailVerified}
+          onBackToLogin={handleBackToLogin}
+        />
+      );
+    }
+    if (isRecovering) {
+      return (
+        <PasswordRecoveryForm
+          resetToken={resetToken}
+          isMobile={mobile}
+          formStyle={mobile ? undefined : formBaseStyle}
+          onBackToLogin={handleBackToLogin}
+        />
+      );
+    }
+    if (isTwoFactorStep) {
+      return (
+        <TwoFactorForm
+          isMobile={mobile}
+          formStyle={mobile ? undefined : formBaseStyle}
+          loginError={loginError}
+          isLoading={isLoading}
+          onSubmit={(secondFactor) => handleSignIn(null, secondFactor)}
+          onBackToLogin={handleBackToLogin}
+        />
+      );
+    }
+    return null;
+  };
+
   // Mobile Layout
   if (isMobile) {
     return (
@@ -407,14 +808,12 @@ export default function RestaurantLogin() {
               isLoading={isLoading}
               handleSignIn={handleSignIn}
               setIsActive={setIsActive}
+              onForgotPassword={() => setIsRecoveryOpen(true)}
+              stepForm={renderLoginStep(true)}
+              unverifiedEmail={unverifiedEmail}
             />
           ) : (
-            <MobileSignupForm 
-              signupData={signupData}
-              setSignupData={setSignupData}
-              handleSignUp={handleSignUp}
-              setIsActive={setIsActive}
-            />
+            <MobileSignupForm setIsActive={setIsActive} />
           )}
         </motion.div>
       </div>
@@ -434,110 +833,57 @@ export default function RestaurantLogin() {
 
         {/* Sign Up Form */}
         <div className="form-container sign-up">
-          <form style={formBaseStyle} onSubmit={handleSignUp}>
-            <h1 className="title">Create Account</h1>
-            <input 
-              type="text" 
-              placeholder="Restaurant Name" 
-              value={signupData.restaurantName}
-              onChange={(e) => setSignupData({...signupData, restaurantName: e.target.value})}
-              required
-            />
-            <input 
-              type="text" 
-              placeholder="Owner Name" 
-              value={signupData.ownerName}
-              onChange={(e) => setSignupData({...signupData, ownerName: e.target.value})}
-              required
-            />
-            <input 
-              type="tel" 
-              placeholder="Mobile Number" 
-              value={signupData.mobile}
-              onChange={(e) => setSignupData({...signupData, mobile: e.target.value})}
-              required
-            />
-            <input 
-              type="email" 
-              placeholder="Email" 
-              value={signupData.email}
-              onChange={(e) => setSignupData({...signupData, email: e.target.value})}
-              required
-            />
-            <input 
-              type="password" 
-              placeholder="Password" 
-              value={signupData.password}
-              onChange={(e) => setSignupData({...signupData, password: e.target.value})}
-              required
-            />
-
-            <label className="terms-checkbox">
-              <input
-                type="checkbox"
-                checked={agreedToTerms}
-                onChange={(e) => setAgreedToTerms(e.target.checked)}
-              />
-              <span className="terms-text">I agree to the Terms and Policies</span>
-            </label>
-
-            {loginError && (
-              <div style={{ color: '#ef4444', fontSize: '0.875rem', marginBottom: '0.5rem' }}>
-                {loginError}
-              </div>
-            )}
-
-            <button type="submit" className="btn-main btn-signup" disabled={!agreedToTerms || isLoading}>
-              {isLoading ? <Loader2 size={18} className="spin-animation" /> : 'Get Started'}
-            </button>
-          </form>
+          <OnboardingWizard formStyle={formBaseStyle} onBackToLogin={() => setIsActive(false)} />
         </div>
 
         {/* Login Form */}
         <div className="form-container sign-in">
-          <form style={formBaseStyle} onSubmit={handleSignIn}>
-            <h1 className="title">Welcome Back</h1>
-            <input 
-              type="text" 
-              placeholder="Username" 
-              value={loginEmail}
-              onChange={(e) => setLoginEmail(e.target.value)}
-            />
-            <div style={{ position: 'relative', width: '100%' }}>
+          {renderLoginStep(false) || (
+            <form style={formBaseStyle} onSubmit={handleSignIn}>
+              <h1 className="title">Welcome Back</h1>
               <input 
-                type={showPassword ? "text" : "password"} 
-                placeholder="Password" 
-                value={loginPassword}
-                onChange={(e) => setLoginPassword(e.target.value)}
-                style={{ width: '100%' }}
+                type="text" 
+                placeholder="Username" 
+                value={loginEmail}
+                onChange={(e) => setLoginEmail(e.target.value)}
               />
-              <button 
-                type="button"
-                onClick={() => setShowPassword(!showPassword)}
-                style={{
-                  position: 'absolute',
-                  right: '10px',
-                  top: '50%',
-                  transform: 'translateY(-50%)',
-                  background: 'none',
-                  border: 'none',
-                  color: '#666',
-                  cursor: 'pointer'
-                }}
-              >
-                {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
-              </button>
-            </div>
-            {loginError && (
-              <div style={{ color: '#ef4444', fontSize: '0.875rem', marginBottom: '0.5rem' }}>
-                {loginError}
+              <div style={{ position: 'relative', width: '100%' }}>
+                <input 
+                  type={showPassword ? "text" : "password"} 
+                  placeholder="Password" 
+                  value={loginPassword}
+                  onChange={(e) => setLoginPassword(e.target.value)}
+                  style={{ width: '100%' }}
+                />
+                <button 
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  style={{
+                    position: 'absolute',
+                    right: '10px',
+                    top: '50%',
+                    transform: 'translateY(-50%)',
+                    background: 'none',
+                    border: 'none',
+                    color: '#666',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+                </button>
               </div>
-            )}
-            <a href="#" className="forgot">Forgot Your Password?</a>
-            <button type="submit" className="btn-main" disabled={isLoading}>
-              {isLoading ? <Loader2 size={18} className="spin-animation" /> : 'Sign In'}
-            </button>
-          </form>
+              {loginError && (
+                <div style={{ color: '#ef4444', fontSize: '0.875rem', marginBottom: '0.5rem' }}>
+                  {loginError}
+                </div>
+              )}
+              {unverifiedEmail && <ResendVerificationLink email={unverifiedEmail} className="forgot" />}
+              <a href="#" className="forgot" onClick={(e) => { e.preventDefault(); setIsRecoveryOpen(true); }}>Forgot Your Password?</a>
+              <button type="submit" className="btn-main" disabled={isLoading}>
+                {isLoading ? <Loader2 size={18} className="spin-animation" /> : 'Sign In'}
+              </button>
+            </form>
+          )}
         </div>
 
         {/* Toggle Panels */}
@@ -0,0 +1,46 @@
+/**
+ * Audit Service
+ * Reads the restaurant's audit trail (who changed what, and when).
+ */
+
+import axios from 'axios';
+import { config } from '../config';
+import { attachAuth } from './authService';
+
+const api = axios.create({
+    baseURL: config.apiUrl,
+    timeout: 10000,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+});
+
+attachAuth(api);
+
+/**
+ * Fetch a page of audit entries, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.action] - Exact action ('menu.delete') or a group prefix ('menu')
+ * @param {string} [filters.actor] - Username substring
+ * @param {string} [filters.from] - YYYY-MM-DD
+ * @param {string} [filters.to] - YYYY-MM-DD (inclusive)
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<{ entries: Array, total: number }>}
+ */
+export async function getAuditLog(filters = {}) {
+    try {
+        const params = Object.fromEntries(
+            Object.entries(filters).filter(([, value]) => value !== '' && value !== undefined && value !== null)
+        );
+        const response = await api.get('/api/audit', { params });
+        return response.data.data;
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        throw new Error(error.response?.data?.error || 'Failed to fetch audit log');
+    }
+}
+
+export default {
+    getAuditLog
+};
@@ -0,0 +1,357 @@
+/**
+ * Auth Service
+ * Owns the `myezz_session` entry in localStorage and keeps every API client
+ * authenticated: attaches the access token and refreshes it when it expires.
+ */
+
+import axios from 'axios';
+import { API_BASE_URL } from '../config';
+
+const SESSION_KEY = 'myezz_session';
+
+// What each staff role may see or do. Mirrors the requireRole() gates in the backend,
+// which remain the real enforcement — this only hides UI the role can't use.
+export const PERMISSIONS = {
+    'page:orders': ['owner', 'manager', 'kitchen', 'cashier'],
+    'page:history': ['owner', 'manager', 'cashier'],
+    'page:menu': ['owner', 'manager', 'cashier'],
+    'page:report': ['owner', 'manager'],
+    'page:audit': ['owner', 'manager'],
+    'page:kds': ['owner', 'manager', 'kitchen'],
+    'menu:edit': ['owner', 'manager'],
+    'profile:edit': ['owner', 'manager'],
+    'profile:bank': ['owner'],
+    'orders:auto-accept': ['owner', 'manager'],
+    'kitchen:stations': ['owner', 'manager'],
+    'printers:manage': ['owner', 'manager'],
+    'staff:view': ['owner', 'manager'],
+    'staff:manage': ['owner'],
+    'security:2fa': ['owner'],
+    'outlets:manage': ['owner']
+};
+
+/**
+ * Read the current session
+ * @returns {Object|null} - { restaurantId, restaurantName, username, role, outlets, accessToken, refreshToken }
+ */
+export function getSession() {
+    try {
+        const raw = localStorage.getItem(SESSION_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Persist the payload returned by /api/auth/login, /signup or /refresh
+ * @param {Object} data - Session fields to store (merged with the existing session)
+ */
+export function saveSession(data) {
+    const session = { ...getSession(), ...data };
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    return session;
+}
+
+export function clearSession() {
+    localStorage.removeItem(SESSION_KEY);
+}
+
+/**
+ * Check whether the signed-in staff role has a permission
+ * @param {string} permission - Key of PERMISSIONS, e.g. 'menu:edit'
+ * @returns {boolean}
+ */
+export function can(permission) {
+    const role = getSession()?.role;
+    return Boolean(role && PERMISSIONS[permission]?.includes(role));
+}
+
+// Only one refresh request in flight, however many calls hit a 401 at once
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * @returns {Promise<Object>} - The updated session
+ */
+export function refreshSession() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const session = getSession();
+            if (!session?.refreshToken) {
+                throw new Error('No refresh token');
+            }
+            const response = await axios.post(`${API_BASE_URL}/api/auth/refresh`, {
+                refreshToken: session.refreshToken
+            });
+            return saveSession(response.data.data);
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * End the session on this device and go to the login page (the session was
+ * revoked or can't be refreshed)
+ */
+export function redirectToLogin() {
+    clearSession();
+    if (window.location.pathname !== '/login') {
+        window.location.assign('/login');
+    }
+}
+
+/**
+ * Outlet of the page this tab is on (e.g. /2/menu -> 2)
+ * @returns {number|null} - null outside an outlet's pages
+ */
+export function getRouteRestaurantId() {
+    const id = parseInt(window.location.pathname.split('/').filter(Boolean)[0], 10);
+    return id > 0 ? id : null;
+}
+
+/**
+ * Headers naming the outlet this tab is on. Every tab shares one session, so
+ * after another tab switches outlet the backend answers 403 TENANT_MISMATCH
+ * instead of quietly serving the other outlet.
+ * @returns {Object}
+ */
+export function outletHeaders() {
+    const restaurantId = getRouteRestaurantId();
+    return restaurantId ? { 'x-restaurant-id': String(restaurantId) } : {};
+}
+
+/**
+ * The session moved to another outlet (switched in another tab): reload this
+ * tab on that outlet so nothing more is read or changed under the old one
+ */
+export function followSessionOutlet() {
+    const restaurantId = getSession()?.restaurantId;
+    window.location.assign(restaurantId ? `/${restaurantId}` : '/login');
+}
+
+/**
+ * Install auth interceptors on an axios instance.
+ * Adds the Bearer token and this tab's outlet to every request; on a 401 it refreshes once and
+ * retries, and if that fails the session is cleared and the user sent to /login.
+ * A session revoked from another device (SESSION_REVOKED) goes straight to /login.
+ * @param {import('axios').AxiosInstance} client
+ * @returns {import('axios').AxiosInstance} - The same client, for chaining
+ */
+export function attachAuth(client) {
+    client.interceptors.request.use((reqConfig) => {
+        const session = getSession();
+        if (session?.accessToken) {
+            reqConfig.headers.Authorization = `Bearer ${session.accessToken}`;
+        }
+        Object.assign(reqConfig.headers, outletHeaders());
+        return reqConfig;
+    });
+
+    client.interceptors.response.use(
+        (response) => response,
+        async (error) => {
+            const original = error.config;
+
+            if (error.response?.status === 403 && error.response.data?.code === 'TENANT_MISMATCH') {
+                followSessionOutlet();
+                return Promise.reject(error);
+            }
+
+            if (error.response?.status !== 401 || !original) {
+                return Promise.reject(error);
+            }
+
+            if (original._retried || error.response.data?.code === 'SESSION_REVOKED') {
+                redirectToLogin();
+                return Promise.reject(error);
+            }
+
+            original._retried = true;
+            try {
+                const session = await refreshSession();
+                original.headers.Authorization = `Bearer ${session.accessToken}`;
+                return client(original);
+            } catch {
+                redirectToLogin();
+                return Promise.reject(error);
+            }
+        }
+    );
+
+    return client;
+}
+
+const authApi = attachAuth(axios.create({
+    baseURL: API_BASE_URL,
+    timeout: 10000,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+}));
+
+/**
+ * Create a restaurant and its owner account (onboarding wizard).
+ * The account can't sign in until the emailed confirmation link is opened.
+ * @param {{ restaurantName: string, businessType: string, city: string, ownerName: string, mobile: string, email: string, password: string }} signupData
+ * @returns {Promise<{ email: string, verificationRequired: boolean }>}
+ */
+export async function signup(signupData) {
+    try {
+        const response = await authApi.post('/api/auth/signup', signupData);
+        return response.data.data;
+    } catch (error) {
+        console.error('Error signing up:', error);
+        throw new Error(error.response?.data?.error || 'Signup failed');
+    }
+}
+
+/**
+ * Confirm an email address with the token from the confirmation link.
+ * Signs the owner in and stores the session.
+ * @param {string} token - verifyToken from the emailed link
+ * @returns {Promise<Object>} - The new session
+ */
+export async function verifyEmail(token) {
+    try {
+        const response = await authApi.post('/api/auth/verify-email', { token });
+        return saveSession(response.data.data);
+    } catch (error) {
+        console.error('Error verifying email:', error);
+        throw new Error(error.response?.data?.error || 'Failed to verify email');
+    }
+}
+
+/**
+ * Send a fresh confirmation link
+ * @param {string} email
+ * @returns {Promise<string>} - Message to show
+ */
+export async function resendVerification(email) {
+    try {
+        const response = await authApi.post('/api/auth/resend-verification', { email });
+        return response.data.message;
+    } catch (error) {
+        console.error('Error resending verification:', error);
+        throw new Error(error.response?.data?.error || 'Failed to send confirmation link');
+    }
+}
+
+/**
+ * Email a single-use password reset link
+ * @param {string} username - Login username (email)
+ * @returns {Promise<string>} - Message to show; identical whether or not the account exists
+ */
+export async function requestPasswordReset(username) {
+    try {
+        const response = await authApi.post('/api/auth/forgot-password', { username });
+        return response.data.message;
+    } catch (error) {
+        console.error('Error requesting password reset:', error);
+        throw new Error(error.response?.data?.error || 'Failed to send reset link');
+    }
+}
+
+/**
+ * Set a new password with the token from a reset link
+ * @param {string} token - resetToken from the emailed link
+ * @param {string} password - New password
+ */
+export async function resetPassword(token, password) {
+    try {
+        const response = await authApi.post('/api/auth/reset-password', { token, password });
+        return response.data.message;
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        throw new Error(error.response?.data?.error || 'Failed to reset password');
+    }
+}
+
+/**
+ * Change the signed-in user's password
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ */
+export async function changePassword(currentPassword, newPassword) {
+    try {
+        const response = await authApi.post('/api/auth/change-password', { currentPassword, newPassword });
+        return response.data.message;
+    } catch (error) {
+        console.error('Error changing password:', error);
+        throw new Error(error.response?.data?.error || 'Failed to change password');
+    }
+}
+
+/**
+ * Sign out this device: revoke its server-side session, then clear local storage
+ */
+export async function logout() {
+    try {
+        await authApi.post('/api/auth/logout');
+    } catch (error) {
+        console.error('Error signing out:', error);
+    } finally {
+        clearSession();
+    }
+}
+
+/**
+ * List active sessions (owners get every session in the restaurant)
+ * @returns {Promise<Array>} - [{ id, device, ipAddress, createdAt, lastSeenAt, username, displayName, isOwn, isCurrent }]
+ */
+export async function getSessions() {
+    try {
+        const response = await authApi.get('/api/auth/sessions');
+        return response.data.data;
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        throw new Error(error.response?.data?.error || 'Failed to fetch sessions');
+    }
+}
+
+/**
+ * Sign out one session remotely
+ * @param {string} sessionId
+ */
+export async function revokeSession(sessionId) {
+    try {
+        await authApi.delete(`/api/auth/sessions/${sessionId}`);
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        throw new Error(error.response?.data?.error || 'Failed to sign out session');
+    }
+}
+
+/**
+ * Sign out every session of the signed-in user, this one included
+ */
+export async function logoutEverywhere() {
+    try {
+        await authApi.post('/api/auth/sessions/revoke-all');
+        clearSession();
+    } catch (error) {
+        console.error('Error signing out everywhere:', error);
+        throw new Error(error.response?.data?.error || 'Failed to sign out everywhere');
+    }
+}
+
+export default {
+    getSession,
+    saveSession,
+    clearSession,
+    can,
+    refreshSession,
+    attachAuth,
+    signup,
+    verifyEmail,
+    resendVerification,
+    requestPasswordReset,
+    resetPassword,
+    changePassword,
+    logout,
+    getSessions,
+    revokeSession,
+    logoutEverywhere
+};
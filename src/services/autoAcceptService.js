@@ -0,0 +1,78 @@
+/**
+ * Auto-Accept Service
+ * Rules that accept routine orders automatically (time windows, maximum order
+ * value, default prep time per category or item), and the acceptance time limit
+ * after which undecided orders are rejected.
+ */
+
+import axios from 'axios';
+import { config } from '../config';
+import { attachAuth } from './authService';
+
+const api = axios.create({
+    baseURL: config.apiUrl,
+    timeout: 10000,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+});
+
+attachAuth(api);
+
+/**
+ * Fetch the signed-in restaurant's rules
+ * @returns {Promise<Object>} - { enabled, windows: [{ start, end }], maxOrderValue, defaultPrepTime, categoryPrepTimes, itemPrepTimes }
+ */
+export async function getAutoAcceptRules() {
+    try {
+        const response = await api.get('/api/restaurant/auto-accept');
+        return response.data.data;
+    } catch (error) {
+        console.error('Error fetching auto-accept rules:', error);
+        throw new Error(error.response?.data?.error || 'Failed to fetch auto-accept rules');
+    }
+}
+
+/**
+ * Replace the rules
+ * @param {Object} rules - Same shape as getAutoAcceptRules returns
+ * @returns {Promise<Object>} - The saved rules
+ */
+export async function saveAutoAcceptRules(rules) {
+    try {
+        const response = await api.put('/api/restaurant/auto-accept', rules);
+        return response.data.data;
+    } catch (error) {
+        console.error('Error saving auto-accept rules:', error);
+        throw new Error(error.response?.data?.error || 'Failed to save auto-accept rules');
+    }
+}
+
+/**
+ * Minutes a new order may wait for a decision before it's rejected automatically
+ * @returns {Promise<number>}
+ */
+export async function getAcceptanceSla() {
+    try {
+        const response = await api.get('/api/restaurant/acceptance-sla');
+        return response.data.data.minutes;
+    } catch (error) {
+        console.error('Error fetching acceptance time limit:', error);
+        throw new Error(error.response?.data?.error || 'Failed to fetch acceptance time limit');
+    }
+}
+
+/**
+ * Change the acceptance time limit
+ * @param {number} minutes - 1 to 60
+ * @returns {Promise<number>} - The saved limit
+ */
+export async function saveAcceptanceSla(minutes) {
+    try {
+        const response = await api.put('/api/restaurant/acceptance-sla', { minutes });
+        return response.data.data.minutes;
+    } catch (error) {
+        console.error('Error saving acceptance time limit:', error);
+        throw new Error(error.response?.data?.error || 'Failed to save acceptance time limit');
+    }
+}
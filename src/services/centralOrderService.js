@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { API_BASE_URL } from '../config';
+import { attachAuth } from './authService';
 
 // Central Backend URL - Single source of truth for all order operations
 const CENTRAL_BACKEND_URL = API_BASE_URL;
@@ -11,9 +12,47 @@ const centralOrderClient = axios.create({
     },
 });
 
+attachAuth(centralOrderClient);
+
+// Central Backend field names differ between ordering channels; these are the ones seen so far
+const firstText = (...values) => values.find(value => typeof value === 'string' && value.trim())?.trim() || null;
+
+/**
+ * Customer instructions for the whole order ("ring the bell", "less spicy")
+ * @param {Object} order - Order as returned by fetchActiveOrders
+ * @returns {string|null}
+ */
+export const orderInstructions = (order) =>
+    firstText(order.instructions, order.special_instructions, order.specialInstructions, order.notes, order.note);
+
+/**
+ * One order line with its customizations, in the shape the app uses
+ * @param {Object} item - Central Backend item ({ name, qty, price, variant?, addons?, instructions? })
+ * @returns {{ name: string, quantity: number, price: number|null, variant: string|null,
+ *            addOns: Array<{ name: string, price: number|null }>, instructions: string|null }}
+ */
+export const normalizeOrderItem = (item) => {
+    const variant = item.variant ?? item.size ?? null;
+    const addOns = item.addons ?? item.add_ons ?? item.addOns ?? item.modifiers ?? [];
+    return {
+        name: item.name,
+        quantity: item.qty ?? item.quantity ?? 1,
+        price: item.price != null ? Number(item.price) : null,
+        variant: typeof variant === 'string' ? variant : variant?.name ?? null,
+        addOns: (Array.isArray(addOns) ? addOns : [])
+            .map(addOn => (typeof addOn === 'string'
+                ? { name: addOn, price: null }
+                : { name: addOn?.name, price: addOn?.price != null ? Number(addOn.price) : null }))
+            .filter(addOn => addOn.name),
+        instructions: firstText(item.instructions, item.special_instructions, item.specialInstructions, item.notes, item.note)
+    };
+};
+
 /**
- * Fetch all active orders (pending, preparing, ready for pickup)
- * Client-side filtering by restaurant name is done in Dashboard.jsx
+ * Fetch active orders (pending, preparing, ready for pickup) for the signed-in
+ * restaurant — the backend filters them by restaurant ID. Items keep whatever
+ * customizations the customer chose; read them with normalizeOrderItem and
+ * orderInstructions.
  * @returns {Promise<Array>} - List of active orders
  */
 export const fetchActiveOrders = async () => {
@@ -23,13 +62,85 @@ export const fetchActiveOrders = async () => {
 };
 
 /**
- * Update order status
+ * Update order status. The backend records the acting user from the session and
+ * only allows the next step of the order's lifecycle
+ * (pending → preparing → ready → handed_over, pending → cancelled,
+ * awaiting_customer → cancelled). handed_over and awaiting_customer have their
+ * own calls: handOffOrder and proposeAdjustment. Prep time extensions go through extendPrepTime.
+ * @param {string} orderId - The order's unique ID
+ * @param {string} status - New status (preparing, ready, handed_over, cancelled)
+ * @param {Object} [details]
+ * @param {string} [details.expectedStatus] - Backend status the caller last saw
+ * @param {string} [details.expectedUpdatedAt] - updatedAt the caller last saw
+ * @param {number} [details.prepTime] - When accepting: quoted prep time in minutes
+ * @param {Date|string} [details.acceptedAt] - When accepting: defaults to now on the server
+ * @param {{ code: string, text?: string }} [details.rejectionReason] - When rejecting: OUT_OF_STOCK,
+ *        KITCHEN_BUSY, CLOSING_SOON, SPECIAL_REQUEST or OTHER (free text required for OTHER)
+ * @returns {Promise<Object>} - Updated order object. Rejects with a 409 (code STALE_ORDER or
+ *          INVALID_TRANSITION, data: { status, updatedAt }) when the order changed meanwhile
+ */
+export const updateOrderStatus = async (orderId, status, details = {}) => {
+    const response = await centralOrderClient.patch(`/api/orders/${orderId}/status`, { status, ...details });
+    return response.data;
+};
+
+/**
+ * Hand a ready order to its rider. The backend checks the pickup code the rider
+ * reads out before the order leaves.
+ * @param {string} orderId - The order's unique ID
+ * @param {string} code - 4-digit pickup code from the rider
+ * @returns {Promise<Object>} - Updated order object. Rejects with 400 (INVALID_HANDOFF_CODE,
+ *          attemptsRemaining), 429 (HANDOFF_LOCKED) or 409 when the order isn't ready
+ */
+export const handOffOrder = async (orderId, code) => {
+    const response = await centralOrderClient.post(`/api/orders/${orderId}/handoff`, { code });
+    return response.data;
+};
+
+/**
+ * Propose a partial fulfilment: lines the kitchen can't serve are refunded or
+ * substituted. The order waits in awaiting_customer until the customer answers
+ * through the Central Backend, then comes back as preparing with the adjusted
+ * items and total (or cancelled).
+ * @param {string} orderId - The order's unique ID
+ * @param {Object} adjustment
+ * @param {Array<{ index: number, action: 'unavailable'|'substitute', substitute?: string, substitutePrice?: number }>} adjustment.lines
+ * @param {string} [adjustment.note] - Message for the customer
+ * @param {Object} [precondition] - { expectedStatus, expectedUpdatedAt }, as for updateOrderStatus
+ * @returns {Promise<Object>} - Updated order object. Rejects with 400 for an invalid proposal, 409 as updateOrderStatus
+ */
+export const proposeAdjustment = async (orderId, adjustment, precondition = {}) => {
+    const response = await centralOrderClient.post(`/api/orders/${orderId}/adjustment`, { ...adjustment, ...precondition });
+    return response.data;
+};
+
+/**
+ * Push a preparing order's promised ready time back. The backend adds the
+ * minutes to its prep time and sends the new ETA to the Central Backend, where
+ * every screen and the customer and rider apps pick it up.
+ * @param {string} orderId - The order's unique ID
+ * @param {number} minutes - 5 or 10
+ * @param {{ code: string, text?: string }} reason - KITCHEN_BUSY, LARGE_ORDER, INGREDIENT_DELAY,
+ *        EQUIPMENT or OTHER (free text required for OTHER)
+ * @param {Object} [precondition] - { expectedStatus, expectedUpdatedAt } as for updateOrderStatus, and
+ *        expectedPrepTime: the prep time the caller last saw
+ * @returns {Promise<Object>} - Updated order object. Rejects with 400 for an invalid extension, 409 as updateOrderStatus
+ */
+export const extendPrepTime = async (orderId, minutes, reason, precondition = {}) => {
+    const response = await centralOrderClient.post(`/api/orders/${orderId}/prep-time`, { minutes, reason, ...precondition });
+    return response.data;
+};
+
+/**
+ * Bump items off the kitchen display, or recall them. Every screen sees the
+ * change through the order stream.
  * @param {string} orderId - The order's unique ID
- * @param {string} status - New status (preparing, ready, out_for_delivery, delivered, cancelled)
- * @returns {Promise<Object>} - Updated order object
+ * @param {number[]} itemIndexes - Positions of the items in the order
+ * @param {boolean} [bumped] - false to recall
+ * @returns {Promise<Object>} - { success, data: { items, bumped } }. Rejects with 409 once the order left the kitchen
  */
-export const updateOrderStatus = async (orderId, status) => {
-    const response = await centralOrderClient.patch(`/api/orders/${orderId}/status`, { status });
+export const bumpOrderItems = async (orderId, itemIndexes, bumped = true) => {
+    const response = await centralOrderClient.put(`/api/orders/${orderId}/bumps`, { items: itemIndexes, bumped });
     return response.data;
 };
 
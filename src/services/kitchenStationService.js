@@ -0,0 +1,48 @@
+/**
+ * Kitchen Station Service
+ * Stations of the kitchen display (KDS) and which menu categories or items
+ * each one cooks.
+ */
+
+import axios from 'axios';
+import { config } from '../config';
+import { attachAuth } from './authService';
+
+const api = axios.create({
+    baseURL: config.apiUrl,
+    timeout: 10000,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+});
+
+attachAuth(api);
+
+/**
+ * Fetch the signed-in restaurant's stations
+ * @returns {Promise<Object>} - { stations: string[], categoryStations, itemStations }
+ */
+export async function getKitchenStations() {
+    try {
+        const response = await api.get('/api/restaurant/kitchen-stations');
+        return response.data.data;
+    } catch (error) {
+        console.error('Error fetching kitchen stations:', error);
+        throw new Error(error.response?.data?.error || 'Failed to fetch kitchen stations');
+    }
+}
+
+/**
+ * Replace the stations and their routing
+ * @param {Object} stations - Same shape as getKitchenStations returns
+ * @returns {Promise<Object>} - The saved settings
+ */
+export async function saveKitchenStations(stations) {
+    try {
+        const response = await api.put('/api/restaurant/kitchen-stations', stations);
+        return response.data.data;
+    } catch (error) {
+        console.error('Error saving kitchen stations:', error);
+        throw new Error(error.response?.data?.error || 'Failed to save kitchen stations');
+    }
+}
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { config } from '../config';
+import { attachAuth } from './authService';
 
 const api = axios.create({
     baseURL: config.apiUrl,
@@ -9,28 +10,7 @@ const api = axios.create({
     },
 });
 
-// Extract restaurantId from URL path (e.g., /2/menu -> 2)
-const getRestaurantIdFromPath = () => {
-    const pathParts = window.location.pathname.split('/').filter(Boolean);
-    const firstPart = pathParts[0];
-    
-    // Check if first part is a valid integer number
-    if (firstPart) {
-        const id = parseInt(firstPart, 10);
-        if (!isNaN(id) && id > 0) {
-            return id;
-        }
-    }
-    return 1; // Default to 1 (Patel Juice Centre) if missing/invalid
-};
-
-// Add interceptor to include restaurantId from URL path
-api.interceptors.request.use((reqConfig) => {
-    const restaurantId = getRestaurantIdFromPath();
-    // Always attach valid ID
-    reqConfig.params = { ...reqConfig.params, restaurantId };
-    return reqConfig;
-});
+attachAuth(api);
 
 export async function getRestaurantDetails(restaurantId) {
     try {
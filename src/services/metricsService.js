@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { config } from '../config';
+import { attachAuth } from './authService';
 
 const api = axios.create({
     baseURL: config.apiUrl,
@@ -9,6 +10,8 @@ const api = axios.create({
     },
 });
 
+attachAuth(api);
+
 /**
  * Fetch today's metrics from the backend
  * @returns {Promise<{gmv: number, totalOrders: number, averageOrderValue: number}>}
@@ -0,0 +1,127 @@
+/**
+ * Order Stream Service
+ * Live active-order updates pushed from /api/orders/stream (Server-Sent Events).
+ * Uses fetch instead of EventSource so the access token travels in the
+ * Authorization header — and can be refreshed — rather than in the URL.
+ */
+
+import { API_BASE_URL } from '../config';
+import { getSession, refreshSession, redirectToLogin, outletHeaders, followSessionOutlet } from './authService';
+
+// Back off between reconnect attempts while the stream is down
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+const openStream = (signal) => fetch(`${API_BASE_URL}/api/orders/stream`, {
+    headers: {
+        Accept: 'text/event-stream',
+        Authorization: `Bearer ${getSession()?.accessToken}`,
+        ...outletHeaders()
+    },
+    signal
+});
+
+/**
+ * Read an SSE body until it ends, calling onEvent for every complete event
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {(event: string, data: string) => void} onEvent
+ */
+async function readEvents(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            const data = [];
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+                // ":" comments are heartbeats; "retry:" is for EventSource only
+            });
+            if (data.length) onEvent(event, data.join('\n'));
+        }
+    }
+}
+
+/**
+ * Subscribe to the signed-in restaurant's active orders. Reconnects on its own
+ * (with a token refresh when needed) until unsubscribed; a session that can't be
+ * refreshed goes to /login.
+ * @param {Object} handlers
+ * @param {(orders: Array) => void} handlers.onOrders - Full active-order list (Central Backend shape)
+ * @param {(isConnected: boolean) => void} [handlers.onConnectionChange] - Use to start/stop fallback polling
+ * @returns {() => void} - Unsubscribe
+ */
+export function subscribeToOrderStream({ onOrders, onConnectionChange }) {
+    let controller = null;
+    let reconnectTimer = null;
+    let attempt = 0;
+    let stopped = false;
+
+    const connect = async () => {
+        controller = new AbortController();
+        try {
+            let response = await openStream(controller.signal);
+            if (response.status === 401) {
+                // Same as the axios clients: refresh once, else back to the login page
+                const { code } = await response.json().catch(() => ({}));
+                const session = code === 'SESSION_REVOKED' ? null : await refreshSession().catch(() => null);
+                if (!session) {
+                    redirectToLogin();
+                    return;
+                }
+                response = await openStream(controller.signal);
+                if (response.status === 401) {
+                    redirectToLogin();
+                    return;
+                }
+            }
+            if (response.status === 403 && (await response.json()).code === 'TENANT_MISMATCH') {
+                followSessionOutlet();
+                return;
+            }
+            if (!response.ok || !response.body) {
+                throw new Error(`Order stream responded ${response.status}`);
+            }
+
+            attempt = 0;
+            onConnectionChange?.(true);
+            await readEvents(response.body, (event, data) => {
+                if (event === 'orders') {
+                    onOrders(JSON.parse(data).orders);
+                }
+            });
+        } catch (error) {
+            if (stopped) return;
+            console.error('Order stream error:', error.message);
+        }
+
+        if (stopped) return;
+        // The server closes the stream when the access token expires: reconnect
+        onConnectionChange?.(false);
+        const delay = RECONNECT_DELAYS_MS[Math.min(attempt, RECONNECT_DELAYS_MS.length - 1)];
+        attempt += 1;
+        reconnectTimer = setTimeout(connect, delay);
+    };
+
+    connect();
+
+    return () => {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        controller?.abort();
+    };
+}
+
+export default {
+    subscribeToOrderStream
+};
@@ -0,0 +1,65 @@
+/**
+ * Outlet Service
+ * Chain accounts: list the outlets a login is linked to, switch the session
+ * between them, and open new ones.
+ */
+
+import axios from 'axios';
+import { config } from '../config';
+import { attachAuth, saveSession } from './authService';
+
+const api = axios.create({
+    baseURL: config.apiUrl,
+    timeout: 10000,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+});
+
+attachAuth(api);
+
+/**
+ * Outlets the signed-in user can work in (also refreshes the cached list in the session)
+ * @returns {Promise<Array>} - [{ restaurantId, name, city, role }]
+ */
+export async function getOutlets() {
+    try {
+        const response = await api.get('/api/auth/outlets');
+        saveSession({ outlets: response.data.data });
+        return response.data.data;
+    } catch (error) {
+        console.error('Error fetching outlets:', error);
+        throw new Error(error.response?.data?.error || 'Failed to fetch outlets');
+    }
+}
+
+/**
+ * Re-scope the session to another outlet. Every API client picks up the new
+ * token on its next request; navigate to the outlet's routes afterwards.
+ * @param {number} restaurantId
+ * @returns {Promise<Object>} - The updated session
+ */
+export async function switchOutlet(restaurantId) {
+    try {
+        const response = await api.post('/api/auth/switch-outlet', { restaurantId });
+        return saveSession(response.data.data);
+    } catch (error) {
+        console.error('Error switching outlet:', error);
+        throw new Error(error.response?.data?.error || 'Failed to switch outlet');
+    }
+}
+
+/**
+ * Open a new outlet under the signed-in owner
+ * @param {{ name: string, city: string, businessType?: string }} outletData
+ * @returns {Promise<Object>} - { restaurantId, name, city, role }
+ */
+export async function createOutlet(outletData) {
+    try {
+        const response = await api.post('/api/outlets', outletData);
+        return response.data.data;
+    } catch (error) {
+        console.error('Error adding outlet:', error);
+        throw new Error(error.response?.data?.error || 'Failed to add outlet');
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * Print Service
+ * Kitchen tickets (KOT) and bills on thermal printers. The backend renders
+ * them as ESC/POS and prints to network printers itself; tickets for a local
+ * print agent or the browser come back here to be delivered. The browser's
+ * print dialog is also the fallback whenever a printer can't be reached.
+ */
+
+import axios from 'axios';
+import { config } from '../config';
+import { attachAuth } from './authService';
+
+const api = axios.create({
+    baseURL: config.apiUrl,
+    timeout: 15000,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+});
+
+attachAuth(api);
+
+// Characters per line by paper width in mm, as on the printer (see backend/escpos.js)
+const PAPER_WIDTHS = { 58: 32, 80: 48 };
+const SETTINGS_TTL_MS = 30 * 1000;
+let settingsCache = null; // { settings, fetchedAt }
+
+/**
+ * Fetch the signed-in restaurant's printers and auto-print rules
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - Skip the short-lived cache (settings screen)
+ * @returns {Promise<Object>} - { printers: [{ id, name, connection, host?, port?, agentUrl?, paperWidth }],
+ *          rules: [{ kind, printerId, station, copies }] }
+ */
+export async function getPrinterSettings({ fresh = false } = {}) {
+    if (!fresh && settingsCache && Date.now() - settingsCache.fetchedAt < SETTINGS_TTL_MS) {
+        return settingsCache.settings;
+    }
+    try {
+        const response = await api.get('/api/restaurant/printers');
+        settingsCache = { settings: response.data.data, fetchedAt: Date.now() };
+        return settingsCache.settings;
+    } catch (error) {
+        console.error('Error fetching printers:', error);
+        throw new Error(error.response?.data?.error || 'Failed to fetch printers');
+    }
+}
+
+/**
+ * Replace the printers and auto-print rules
+ * @param {Object} settings - Same shape as getPrinterSettings returns
+ * @returns {Promise<Object>} - The saved settings (new printers get their ids)
+ */
+export async function savePrinterSettings(settings) {
+    try {
+        const response = await api.put('/api/restaurant/printers', settings);
+        settingsCache = { settings: response.data.data, fetchedAt: Date.now() };
+        return settingsCache.settings;
+    } catch (error) {
+        console.error('Error saving printers:', error);
+        throw new Error(error.response?.data?.error || 'Failed to save printers');
+    }
+}
+
+// POST the raw ESC/POS stream to a print agent on this machine or network
+async function sendToAgent(agentUrl, escpos, copies) {
+    const ticket = Uint8Array.from(atob(escpos), char => char.charCodeAt(0));
+    const body = new Uint8Array(ticket.length * copies);
+    for (let copy = 0; copy < copies; copy++) body.set(ticket, copy * ticket.length);
+
+    const response = await fetch(agentUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body
+    });
+    if (!response.ok) throw new Error(`Print agent answered ${response.status}`);
+}
+
+/**
+ * Print rendered ticket rows through the browser's print dialog, laid out on a
+ * page the width of the paper roll
+ * @param {Array<{ text: string, align: string, bold: boolean, size: string }>} rows
+ * @param {number} paperWidth - 58 or 80
+ */
+export function printInBrowser(rows, paperWidth) {
+    const frame = document.createElement('iframe');
+    frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+    document.body.appendChild(frame);
+
+    const doc = frame.contentDocument;
+    // Monospaced so the columns line up as on the printer; ~0.6em per character
+    const fontSize = (paperWidth - 8) / ((PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS[80]) * 0.6);
+    const style = doc.createElement('style');
+    style.textContent = `
+        @page { size: ${paperWidth}mm auto; margin: 0; }
+        body { margin: 4mm; font: ${fontSize.toFixed(2)}mm/1.25 'Courier New', monospace; color: #000; }
+        div { white-space: pre; }
+        .tall { font-size: 1.6em; }
+        .large { font-size: 2em; }
+    `;
+    doc.head.appendChild(style);
+    rows.forEach(row => {
+        const line = doc.createElement('div');
+        line.textContent = row.text || ' ';
+        line.style.textAlign = row.align;
+        if (row.bold) line.style.fontWeight = '700';
+        if (row.size !== 'normal') line.className = row.size;
+        doc.body.appendChild(line);
+    });
+
+    const cleanUp = () => frame.remove();
+    frame.contentWindow.addEventListener('afterprint', cleanUp);
+    setTimeout(cleanUp, 60000);
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+}
+
+/**
+ * Print an order's kitchen ticket or bill on one printer
+ * @param {string} orderId - The order's unique ID
+ * @param {'kot'|'bill'} kind
+ * @param {Object} [options]
+ * @param {string} [options.printerId] - None prints through the browser
+ * @param {string} [options.station] - Kitchen ticket with only this station's items
+ * @param {number} [options.copies] - Copies sent to a print agent
+ * @param {boolean} [options.once] - Skip it ('none') if another tablet already printed it this way.
+ *        If the print agent can't be reached the claim is handed back for another tablet instead of
+ *        falling back to the browser, so the ticket doesn't print twice.
+ * @returns {Promise<{ via: 'network'|'agent'|'browser'|'none', problem?: string }>} - How it printed;
+ *          problem says why it fell back to the browser or didn't print. Rejects if the ticket couldn't be rendered.
+ */
+export async function printOrder(orderId, kind, { printerId, station, copies = 1, once = false } = {}) {
+    let ticket;
+    try {
+        const response = await api.post(`/api/orders/${orderId}/print`, { kind, printerId, station, once });
+        ticket = response.data.data;
+    } catch (error) {
+        const body = error.response?.data;
+        if (body?.code === 'PRINTER_UNREACHABLE') {
+            printInBrowser(body.data.rows, body.data.paperWidth);
+            return { via: 'browser', problem: body.error };
+        }
+        console.error('Error printing order:', error);
+        throw new Error(body?.error || 'Failed to print');
+    }
+
+    if (ticket.delivered) return { via: 'network' };
+    if (ticket.empty || ticket.claimed) return { via: 'none' };
+    if (ticket.connection === 'agent') {
+        try {
+            await sendToAgent(ticket.agentUrl, ticket.escpos, copies);
+            return { via: 'agent' };
+        } catch (error) {
+            console.error('Print agent failed:', error);
+            if (once) {
+                await api.post(`/api/orders/${orderId}/print`, { kind, printerId, station, release: true })
+                    .catch(releaseError => console.error('Error releasing auto-print:', releaseError));
+                return { via: 'none', problem: "Couldn't reach the print agent" };
+            }
+            printInBrowser(ticket.rows, ticket.paperWidth);
+            return { via: 'browser', problem: "Couldn't reach the print agent" };
+        }
+    }
+    printInBrowser(ticket.rows, ticket.paperWidth);
+    return { via: 'browser' };
+}
+
+/**
+ * Reprint an order's kitchen ticket or bill from the order card: on the
+ * printer its auto-print rule uses, else the first printer, else the browser
+ * @returns {Promise<Object>} - As printOrder
+ */
+export async function reprintOrder(orderId, kind) {
+    const { printers, rules } = await getPrinterSettings();
+    const rule = rules.find(r => r.kind === kind);
+    const printer = printers.find(p => p.id === rule?.printerId) ?? printers[0];
+    return printOrder(orderId, kind, { printerId: printer?.id });
+}
+
+/**
+ * Run the auto-print rules after this tablet accepted an order ('kot') or
+ * marked it ready ('bill'). The backend already printed to network printers;
+ * this covers print agents and the browser.
+ * @param {string} orderId
+ * @param {'kot'|'bill'} kind
+ * @param {Object} [options]
+ * @param {boolean} [options.once] - For orders every tablet sees at once (auto-accepted):
+ *        only the first tablet to ask prints
+ * @returns {Promise<string[]>} - Problems to tell staff about
+ */
+export async function autoPrintOrder(orderId, kind, { once = false } = {}) {
+    const { printers, rules } = await getPrinterSettings();
+    const problems = [];
+    for (const rule of rules.filter(r => r.kind === kind)) {
+        const printer = printers.find(p => p.id === rule.printerId);
+        if (!printer || printer.connection === 'network') continue;
+        try {
+            const { problem } = await printOrder(orderId, kind, { printerId: printer.id, station: rule.station, copies: rule.copies, once });
+            if (problem) problems.push(problem);
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+    return problems;
+}
@@ -5,21 +5,35 @@
 
 import axios from 'axios';
 import { config } from '../config';
+import { attachAuth } from './authService';
 
 const api = axios.create({
     baseURL: config.apiUrl,
     timeout: 10000,
 });
 
+attachAuth(api);
+
+/**
+ * GET a report endpoint and return the whole response body ({ data, outlets? })
+ * @param {string} path - e.g. '/api/reports/sales'
+ * @param {string} range - 'today', 'yesterday', '7days', '30days'
+ * @param {string} scope - 'outlet' (signed-in outlet) or 'all' (every outlet the user manages)
+ */
+async function getReport(path, range, scope) {
+    const response = await api.get(path, { params: { range, scope } });
+    return response.data;
+}
+
 export const reportsService = {
     /**
      * Fetch Sales Chart Data
      * @param {string} range - 'today', 'yesterday', '7days', '30days'
+     * @param {string} scope - 'outlet' or 'all'
      */
-    async fetchSalesData(range = '7days') {
+    async fetchSalesData(range = '7days', scope = 'outlet') {
         try {
-            const response = await api.get(`/api/reports/sales?range=${range}`);
-            return response.data.data;
+            return (await getReport('/api/reports/sales', range, scope)).data;
         } catch (error) {
             console.error('Error fetching sales data:', error);
             return [];
@@ -29,11 +43,11 @@ export const reportsService = {
     /**
      * Fetch Order Funnel Statistics
      * @param {string} range - 'today', 'yesterday', '7days', '30days'
+     * @param {string} scope - 'outlet' or 'all'
      */
-    async fetchOrderStats(range = '7days') {
+    async fetchOrderStats(range = '7days', scope = 'outlet') {
         try {
-            const response = await api.get(`/api/reports/orders?range=${range}`);
-            return response.data.data;
+            return (await getReport('/api/reports/orders', range, scope)).data;
         } catch (error) {
             console.error('Error fetching order stats:', error);
             return null;
@@ -43,11 +57,11 @@ export const reportsService = {
     /**
      * Fetch Menu Performance (Top Selling Items)
      * @param {string} range - 'today', 'yesterday', '7days', '30days'
+     * @param {string} scope - 'outlet' or 'all'
      */
-    async fetchMenuPerformance(range = '7days') {
+    async fetchMenuPerformance(range = '7days', scope = 'outlet') {
         try {
-            const response = await api.get(`/api/reports/menu?range=${range}`);
-            return response.data.data;
+            return (await getReport('/api/reports/menu', range, scope)).data;
         } catch (error) {
             console.error('Error fetching menu performance:', error);
             return null;
@@ -57,11 +71,11 @@ export const reportsService = {
     /**
      * Fetch Busy Hours (Heatmap)
      * @param {string} range - 'today', 'yesterday', '7days', '30days'
+     * @param {string} scope - 'outlet' or 'all'
      */
-    async fetchBusyHours(range = '7days') {
+    async fetchBusyHours(range = '7days', scope = 'outlet') {
         try {
-            const response = await api.get(`/api/reports/heatmap?range=${range}`);
-            return response.data.data;
+            return (await getReport('/api/reports/heatmap', range, scope)).data;
         } catch (error) {
             console.error('Error fetching heatmap data:', error);
             return [];
@@ -71,17 +85,51 @@ export const reportsService = {
     /**
      * Fetch Customer Insights
      * @param {string} range - 'today', 'yesterday', '7days', '30days'
+     * @param {string} scope - 'outlet' or 'all'
      */
-    async fetchCustomerInsights(range = '7days') {
+    async fetchCustomerInsights(range = '7days', scope = 'outlet') {
         try {
-            const response = await api.get(`/api/reports/customers?range=${range}`);
-            return response.data.data;
+            return (await getReport('/api/reports/customers', range, scope)).data;
         } catch (error) {
             console.error('Error fetching customer insights:', error);
             return null;
         }
     },
 
+    /**
+     * Fetch every report across all outlets the user manages, plus a per-outlet
+     * comparison built from the rows each endpoint returns
+     * @param {string} range - 'today', 'yesterday', '7days', '30days'
+     * @returns {Promise<Object>} - { sales, orderStats, menuPerformance, busyHours, customerInsights, comparison }
+     */
+    async fetchChainReport(range = '7days') {
+        const [sales, orders, menu, heatmap, customers] = await Promise.all(
+            ['sales', 'orders', 'menu', 'heatmap', 'customers'].map(report =>
+                getReport(`/api/reports/${report}`, range, 'all').catch(error => {
+                    console.error(`Error fetching chain ${report} report:`, error);
+                    return { data: null, outlets: [] };
+                })
+            )
+        );
+
+        // Merge the per-endpoint rows into one row per outlet
+        const comparison = new Map();
+        [sales, orders, menu, heatmap, customers].forEach(({ outlets = [] }) => {
+            outlets.forEach(row => {
+                comparison.set(row.restaurantId, { ...comparison.get(row.restaurantId), ...row });
+            });
+        });
+
+        return {
+            sales: sales.data || [],
+            orderStats: orders.data,
+            menuPerformance: menu.data,
+            busyHours: heatmap.data || [],
+            customerInsights: customers.data,
+            comparison: [...comparison.values()]
+        };
+    },
+
     /**
      * Fetch Auto-generated Insights
      */
@@ -0,0 +1,77 @@
+/**
+ * Staff Service
+ * Staff accounts (owner, manager, kitchen, cashier) for the signed-in restaurant.
+ */
+
+import axios from 'axios';
+import { config } from '../config';
+import { attachAuth } from './authService';
+
+const api = axios.create({
+    baseURL: config.apiUrl,
+    timeout: 10000,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+});
+
+attachAuth(api);
+
+/**
+ * List staff accounts
+ * @returns {Promise<Array>} - [{ id, username, displayName, role, isActive, createdAt }]
+ */
+export async function getStaff() {
+    try {
+        const response = await api.get('/api/staff');
+        return response.data.data;
+    } catch (error) {
+        console.error('Error fetching staff:', error);
+        throw new Error(error.response?.data?.error || 'Failed to fetch staff');
+    }
+}
+
+/**
+ * Invite a staff member
+ * @param {{ username: string, displayName: string, role: string }} staffData
+ * @returns {Promise<Object>} - The new staff member, including a one-time temporaryPassword
+ */
+export async function inviteStaff(staffData) {
+    try {
+        const response = await api.post('/api/staff/invite', staffData);
+        return response.data.data;
+    } catch (error) {
+        console.error('Error inviting staff:', error);
+        throw new Error(error.response?.data?.error || 'Failed to invite staff member');
+    }
+}
+
+/**
+ * Change a staff member's role
+ * @param {number} staffId
+ * @param {string} role - manager, kitchen or cashier
+ */
+export async function changeStaffRole(staffId, role) {
+    try {
+        const response = await api.patch(`/api/staff/${staffId}/role`, { role });
+        return response.data.data;
+    } catch (error) {
+        console.error('Error changing staff role:', error);
+        throw new Error(error.response?.data?.error || 'Failed to change role');
+    }
+}
+
+/**
+ * Disable or re-enable a staff account
+ * @param {number} staffId
+ * @param {boolean} isActive
+ */
+export async function setStaffActive(staffId, isActive) {
+    try {
+        const response = await api.patch(`/api/staff/${staffId}/status`, { isActive });
+        return response.data.data;
+    } catch (error) {
+        console.error('Error updating staff status:', error);
+        throw new Error(error.response?.data?.error || 'Failed to update staff status');
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Two-Factor Service
+ * TOTP (authenticator app) two-factor authentication for owner accounts.
+ */
+
+import axios from 'axios';
+import { config } from '../config';
+import { attachAuth } from './authService';
+
+const api = axios.create({
+    baseURL: config.apiUrl,
+    timeout: 10000,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+});
+
+attachAuth(api);
+
+/**
+ * Whether 2FA is on for the signed-in owner
+ * @returns {Promise<{ enabled: boolean, recoveryCodesRemaining: number }>}
+ */
+export async function getTwoFactorStatus() {
+    try {
+        const response = await api.get('/api/auth/2fa');
+        return response.data.data;
+    } catch (error) {
+        console.error('Error fetching 2FA status:', error);
+        throw new Error(error.response?.data?.error || 'Failed to fetch two-factor status');
+    }
+}
+
+/**
+ * Start enrolment
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>} - qrCode is a PNG data URL
+ */
+export async function startTwoFactorSetup() {
+    try {
+        const response = await api.post('/api/auth/2fa/setup');
+        return response.data.data;
+    } catch (error) {
+        console.error('Error starting 2FA setup:', error);
+        throw new Error(error.response?.data?.error || 'Failed to start two-factor setup');
+    }
+}
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * @param {string} code - 6-digit code
+ * @returns {Promise<string[]>} - Recovery codes, shown only once
+ */
+export async function enableTwoFactor(code) {
+    try {
+        const response = await api.post('/api/auth/2fa/enable', { code });
+        return response.data.data.recoveryCodes;
+    } catch (error) {
+        console.error('Error enabling 2FA:', error);
+        throw new Error(error.response?.data?.error || 'Failed to turn on two-factor authentication');
+    }
+}
+
+/**
+ * Replace the recovery codes
+ * @param {string} code - Current 6-digit code
+ * @returns {Promise<string[]>}
+ */
+export async function regenerateRecoveryCodes(code) {
+    try {
+        const response = await api.post('/api/auth/2fa/recovery-codes', { code });
+        return response.data.data.recoveryCodes;
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        throw new Error(error.response?.data?.error || 'Failed to generate recovery codes');
+    }
+}
+
+/**
+ * Turn 2FA off
+ * @param {{ password: string, totpCode?: string, recoveryCode?: string }} credentials
+ */
+export async function disableTwoFactor(credentials) {
+    try {
+        const response = await api.post('/api/auth/2fa/disable', credentials);
+        return response.data.message;
+    } catch (error) {
+        console.error('Error disabling 2FA:', error);
+        throw new Error(error.response?.data?.error || 'Failed to turn off two-factor authentication');
+    }
+}
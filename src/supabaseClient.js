@@ -1,10 +0,0 @@
-// Supabase credentials to be replaced when provided by project head
-
-import { createClient } from "@supabase/supabase-js"
-
-export const supabase = createClient(
-  "https://placeholder.supabase.co",
-  "public-anon-key-placeholder"
-)
-
-